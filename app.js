@@ -1,443 +1,2273 @@
 // ==============================
 // IMPORTACIÓN DE MÓDULOS BÁSICOS
 // ==============================
-// - dotenv: carga variables de entorno desde un archivo .env.
 // - express: framework web para construir la API REST.
-// - PrismaClient: ORM para interactuar con la base de datos.
-// Se instancia Prisma para usarlo en las rutas.
-require('dotenv').config()
+// - bcryptjs: encripta y compara contraseñas.
+// Este módulo solo construye la aplicación (`createApp`). El cliente de Prisma, la lectura
+// de variables de entorno y el arranque del servidor están en `server.js`.
 const express = require('express')
-const { PrismaClient } = require('@prisma/client')
 const bcrypt = require('bcryptjs')
-const prisma = new PrismaClient()
 
 // =================
 // MIDDLEWARES
 // =================
 // Se importan middlewares personalizados:
-// - LoggerMiddleware: registra información de cada solicitud entrante.
+// - LoggerMiddleware: registra cada solicitud como una línea JSON con su ID de solicitud.
 // - errorHandler: captura y maneja errores de forma centralizada.
 // - authenticateToken: valida que el token JWT del usuario sea valido para acceder a rutas protegidas.
+// - authorize / authorizeSelfOrAdmin: restringen el acceso según el rol del usuario autenticado.
+// - requirePrismaUserStore: rechaza las rutas que necesitan los usuarios en la base de datos
+//   (sesiones, claves de API y citas) cuando se usa USER_STORE=file.
+// - requireScope / denyApiKeys: limitan lo que pueden hacer las claves de API.
+// - validate: valida `body`, `params` y `query` contra los esquemas declarados por cada ruta.
+// - rateLimit: limita las solicitudes por IP o por cuenta en las rutas de autenticación.
+// - metricsAccess: limita `GET /metrics` por token o por IP.
+// - uploadFile: recibe un archivo en `multipart/form-data` y comprueba su tamaño y su tipo.
 const LoggerMiddleware = require('./middlewares/logger')
+const { logger } = require('./utils/logger')
 const errorHandler = require('./middlewares/errorHandler')
 const authenticateToken = require('./middlewares/auth')
+const { authorize, authorizeSelfOrAdmin, requireScope, denyApiKeys } = require('./middlewares/authorize')
+const requirePrismaUserStore = require('./middlewares/requirePrismaUserStore')
+const validate = require('./middlewares/validate')
+const rateLimit = require('./middlewares/rateLimit')
+const metricsAccess = require('./middlewares/metricsAccess')
+const uploadFile = require('./middlewares/upload')
 
 // ======================
 // VALIDACIONES DE DATOS
 // ======================
-// Se importa la función 'validateUser' desde el módulo de utilidades,
-// utilizada para validar los datos de entrada en las rutas de usuarios.
-const { validateUser } = require('./utils/validation')
+// Se importan los esquemas de validación que declara cada ruta.
+const {
+  userIdParamsSchema,
+  createUserSchema,
+  replaceUserSchema,
+  patchUserSchema,
+  updateMeSchema,
+  changePasswordSchema,
+  listUsersQuerySchema,
+  adminListUsersQuerySchema,
+  exportUsersQuerySchema,
+  importUsersQuerySchema,
+  searchUsersQuerySchema,
+  avatarQuerySchema,
+  loginSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
+  emailSchema,
+  resetPasswordSchema
+} = require('./schemas/users')
+const {
+  appointmentIdParamsSchema,
+  listAppointmentsQuerySchema,
+  createAppointmentSchema,
+  updateAppointmentSchema,
+  appointmentStatusSchema
+} = require('./schemas/appointments')
+const {
+  apiKeyIdParamsSchema,
+  createApiKeySchema,
+  listApiKeysQuerySchema
+} = require('./schemas/apiKeys')
+
+// ======================
+// ALMACÉN DE USUARIOS
+// ======================
+// Repositorio único de usuarios. Según `USER_STORE` guarda los datos en la
+// base de datos (Prisma) o en el archivo `users.json`.
+const { createUserStore, omitPassword } = require('./stores/userStore')
+
+// ======================
+// AVATARES
+// ======================
+// Los archivos subidos se guardan en el almacén de archivos (por defecto, la carpeta `uploads/`).
+const { createFileStorage } = require('./stores/fileStorage')
+const { AVATAR_TYPES, avatarKey, avatarFingerprint, buildAvatarUrl } = require('./utils/avatars')
+const { detectFileType } = require('./utils/fileTypes')
+
+// ======================
+// IMPORTACIÓN Y EXPORTACIÓN DE USUARIOS
+// ======================
+// Altas masivas desde CSV o JSON y exportación por lotes en CSV, JSON o NDJSON.
+const { readImportRows, importUsers } = require('./utils/userImport')
+const { EXPORT_BATCH_SIZE, EXPORT_CONTENT_TYPES, serializeUsers } = require('./utils/userExport')
+const { Readable } = require('stream')
+const { pipeline } = require('stream/promises')
+
+// ======================
+// LÍMITES DE SOLICITUDES
+// ======================
+// Contadores compartidos por los límites de solicitudes y el bloqueo de cuentas
+// tras varios intentos fallidos de inicio de sesión.
+const { createRateLimitStore } = require('./stores/rateLimitStore')
+const { createLoginLockout } = require('./utils/loginLockout')
+
+// ======================
+// PAGINACIÓN
+// ======================
+// Sobre común de los listados paginados (`data`, `meta` y `links`).
+const { paginate } = require('./utils/pagination')
+
+// ======================
+// SOLICITUDES CONDICIONALES
+// ======================
+// ETags a partir de la versión de los usuarios (`If-None-Match` y `If-Match`).
+const { userETag, pageETag, assertIfMatch } = require('./utils/etag')
+
+// ======================
+// AUDITORÍA
+// ======================
+// Registro de quién cambió cada usuario y qué cambió, y el esquema de su consulta.
+const { AUDIT_ACTIONS, recordAudit } = require('./utils/audit')
+const { listAuditQuerySchema } = require('./schemas/audit')
+
+// ====================
+// ERRORES HTTP
+// ====================
+// Errores tipados que las rutas lanzan y que `errorHandler` convierte en la respuesta
+// `{ status, statusCode, message }`.
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  ValidationError,
+  TooManyRequestsError
+} = require('./utils/errors')
+
+// ====================
+// TOKENS DE SESIÓN
+// ====================
+// Funciones para emitir, rotar y revocar tokens de acceso y de refresco.
+const { hashToken, issueTokens, revokeSession, revokeUserSessions, rotateRefreshToken, isSessionActive } = require('./utils/tokens')
+
+// ====================
+// EVENTOS Y WEBHOOKS
+// ====================
+// Las rutas de usuarios publican eventos en el bus; los webhooks los encolan para
+// entregarlos a los sistemas suscritos (la entrega la hace el proceso de `server.js`).
+const { USER_EVENTS, createEventBus } = require('./utils/events')
+const { generateWebhookSecret, omitSecret, enqueueWebhookDeliveries } = require('./utils/webhooks')
+const {
+  webhookIdParamsSchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  listWebhooksQuerySchema,
+  listDeliveriesQuerySchema
+} = require('./schemas/webhooks')
+
+// ====================
+// CAMBIOS EN TIEMPO REAL
+// ====================
+// Feed de cambios de usuarios que `GET /events` envía como Server-Sent Events.
+const { formatSseMessage, createUserFeed } = require('./utils/userFeed')
+
+// ====================
+// CLAVES DE API
+// ====================
+// Claves con alcances para que otros servicios llamen a la API (cabecera `X-API-Key`).
+const { createApiKey, findActiveApiKey, omitKeyHash } = require('./utils/apiKeys')
+
+// ==============================
+// VERIFICACIÓN Y RECUPERACIÓN DE CUENTA
+// ==============================
+// Tokens de un solo uso (verificación de correo y restablecimiento de contraseña)
+// y el servicio de correo que los entrega.
+const { createUserToken, consumeUserToken } = require('./utils/userTokens')
+const { createMailer } = require('./utils/mailer')
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./utils/accountEmails')
+
+// ====================
+// CITAS
+// ====================
+// Reglas de negocio de las citas: ciclo de estados, validación y detección de solapamientos.
+const {
+  ACTIVE_STATUSES,
+  canTransition,
+  validateAppointment,
+  findOverlappingAppointment,
+  runSerializable
+} = require('./utils/appointments')
+
+// ====================
+// MÉTRICAS
+// ====================
+// Contadores e histogramas de solicitudes, autenticación y base de datos en formato
+// Prometheus (`GET /metrics`).
+const { METRICS_CONTENT_TYPE, createMetrics } = require('./utils/metrics')
+
+// ====================
+// DOCUMENTACIÓN DE LA API
+// ====================
+// El documento OpenAPI se genera a partir de las rutas registradas y de sus esquemas
+// de validación; `schemas/openapi.js` agrega resúmenes y esquemas de respuesta.
+const swaggerUi = require('swagger-ui-express')
+const { buildOpenApiSpec } = require('./utils/openapi')
+const { componentSchemas, routeDocs, tags } = require('./schemas/openapi')
+const { version } = require('./package.json')
+
+// ====================
+// VISTAS HTML
+// ====================
+// Las rutas que también sirven HTML a los navegadores lo generan con las vistas de `views/`,
+// que escapan automáticamente los datos interpolados (ver `utils/html.js`).
+const { viewEngine } = require('./utils/html')
+
+// ====================
+// CONFIGURACIÓN
+// ====================
+// Completa la configuración recibida con los valores por defecto (ver `utils/config.js`).
+const { withDefaults } = require('./utils/config')
 
 // =========================
 // IMPORTACIÓN DE LIBRERÍAS
 // =========================
 // Se importan módulos del núcleo de Node.js:
-// - fs: para operaciones con archivos.
-// - path: para manejar rutas de archivos de forma segura.
+// - fs: para comprobar que el archivo de usuarios se puede leer (`GET /ready`).
+// - path: para ubicar la carpeta de vistas.
 const fs = require('fs')
 const path = require('path')
 
-// =============================
-// RUTA DEL ARCHIVO DE USUARIOS
-// =============================
-// Se obtiene la ruta absoluta del archivo 'users.json'
-// ubicado en el mismo directorio del archivo actual.
-const usersFilePath = path.join(__dirname, 'users.json')
-
 // ========================
-// CONFIGURACIÓN DE LA APP
+// FÁBRICA DE LA APLICACIÓN
 // ========================
-// Se instancia la aplicación Express y se configuran middlewares globales:
-// - express.json(): para parsear cuerpos JSON.
-// - express.urlencoded(): para formularios codificados.
-// - LoggerMiddleware: para registrar peticiones.
-// - errorHandler: middleware global de manejo de errores.
-const app = express()
-app.use(express.json())
-app.use(express.urlencoded({ extended: true }))
-app.use(LoggerMiddleware)
-app.use(errorHandler)
-
-// =====================================
-// CONFIGURACIÓN DEL PUERTO DEL SERVIDOR
-// =====================================
-//Asignación del puerto donde se ejecuta la aplicación.
-//Se obtiene el puerto desde la variable de entorno `PORT` definida en el archivo `.env`.
-//Si no está presente, se asigna por defecto el puerto 3000.
-const PORT = process.env.PORT || 3000
-
-// =======================
-// RUTAS HTTP PRINCIPALES
-// =======================
-// Aquí se definen las rutas de la aplicación Express que manejan las solicitudes
-// GET, POST, PUT, DELETE, etc.
-
 /**
- * Ruta principal (home) de la aplicación backend
- * 
- * No recibe parámetros.
- * 
- * Devuelve una respuesta en formato HTML con una información básica de la aplicación.
- * 
- * Contenido devuelto:
- * - Un titulo profesional (`<h1>`) con el nombre del curso.
- * - Un parrafo descriptivo sobre la tecnología usada (Node.js y Express.js).
- * - Un parrafo con el puerto en el que se está ejecutando la aplicación
- * 
- * @route GET /
- * @returns {HTML} Página informativa en formato HTML
-*/
-app.get('/', (req, res) => {
-  res.send(`
-    <h1>Curso Express.js V2</h1>
-    <p>Esto es una aplicación node.js con express.js</p>
-    <p>Corre en el puerto: ${PORT}</p>
-  `)
-})
+ * Crea la aplicación Express con todas sus rutas, sin ponerla a escuchar
+ * (eso lo hace `server.js`). Así se puede usar también dentro de otro proceso, por ejemplo en pruebas.
+ *
+ * @example
+ * const app = createApp({ prisma, config: loadConfig() })
+ * app.listen(config.port)
+ *
+ * @param {Object} options
+ * @param {Object} options.prisma - Cliente de Prisma
+ * @param {Object} [options.userStore] - Almacén de usuarios; por defecto se crea según `config.userStore`
+ * @param {Object} [options.mailer] - Servicio de correo; por defecto se crea según `config.mail`
+ * @param {Object} [options.fileStorage] - Almacén de archivos (avatares); por defecto se crea según `config.fileStorage`
+ * @param {Object} [options.events] - Bus de eventos (ver `utils/events.js`); por defecto se crea uno nuevo
+ * @param {Object} [options.metrics] - Métricas (ver `utils/metrics.js`); por defecto se crean nuevas. `server.js`
+ *   pasa las mismas que miden las consultas de Prisma (`withQueryMetrics`)
+ * @param {Object} [options.rateLimitStore] - Almacén de contadores de los límites; por defecto se crea
+ *   según `config.rateLimit.store`. Pasar uno compartido (p. ej. sobre Redis) unifica los límites entre instancias
+ * @param {Object} [options.config] - Configuración (ver `utils/config.js`); los campos que falten toman su valor por defecto
+ * @returns {Object} Aplicación de Express
+ */
+const createApp = ({
+  prisma,
+  userStore: customUserStore,
+  mailer: customMailer,
+  fileStorage: customFileStorage,
+  events: customEvents,
+  metrics: customMetrics,
+  rateLimitStore: customRateLimitStore,
+  config = {}
+}) => {
+  // Configuración efectiva: la recibida completada con los valores por defecto.
+  const settings = withDefaults(config)
 
-/**
- * Maneja el filtro de búsqueda a través de una solicitud GET
- * 
- * Recibe los parámetros `termino` y `categoría` desde `req.quiery`.
- * 
- * Si alguno de los parámetros no se proporciona, se asignan valores por defecto:
- * - `termino`: `No especificado`
- * - `categoria`: `Todas'
- * 
- * Devuelve una respuesta en formato HTML con un mensaje y los datos recibidos.
- * 
- * @route GET /search
- * @return {HTML} Página con los resultados de busqueda
-*/
-app.get('/search', (req, res) => {
-  const terms = req.query.termino || 'No especificado'
-  const category = req.query.categoria || 'Todas'
-  res.send(`
-    <h2>Resultados de Busqueda:</h2>
-    <p>Terminos: ${terms}</p>
-    <p>Categoría: ${category}</p>
-  `)
-})
+  // Se crea el almacén de usuarios usado por todas las rutas de usuarios
+  // (en la base de datos o en el archivo `users.json`, según `settings.userStore`).
+  const userStore = customUserStore || createUserStore({
+    type: settings.userStore,
+    prisma,
+    filePath: settings.usersFilePath
+  })
 
-/**
- * Maneja el envío de un formulario a través de una solicitud POST
- * 
- * Recibe los parámetros `name` y `email` desde `req.body`.
- * 
- * Si alguno de los parámetros no se proporciona, se asignan valores por defecto:
- * - `name`: 'Anónimo'
- * - `email`: 'No proporcionado'
- * 
- * Devuelve una respuesta en formato JSON con un mensaje y los datos recibidos.
- * 
- * @route POST /form
- * @returns {Object} JSON con el mensaje y los datos procesado
-*/
-app.post('/form', (req, res) => {
-  const name = req.body.name || 'Anónimo'
-  const email = req.body.email || 'No proporcionado'
-  res.json({
-    message: 'Datos recibidos',
-    data: {
-      name,
-      email
+  // Se crea el servicio de correo. Por defecto los mensajes se guardan en la carpeta `outbox/`.
+  const mailer = customMailer || createMailer(settings.mail)
+
+  /**
+   * Crea un token de verificación de email y lo envía al usuario.
+   * @param {Object} user - Usuario (`id`, `name`, `email`)
+   */
+  const sendVerification = async (user) => {
+    const ttlMs = settings.accountTokens.emailVerificationTtlMs
+    const verificationToken = await createUserToken(prisma, user.id, 'EMAIL_VERIFICATION', ttlMs)
+    await sendVerificationEmail(mailer, user, verificationToken, { appUrl: settings.appUrl, ttlMs })
+  }
+
+  /**
+   * Igual que `sendVerification`, pero un fallo solo se registra: la cuenta ya se guardó y el
+   * usuario puede pedir otro enlace con `POST /verify-email/resend`.
+   * @param {Object} req - Solicitud (para el ID en el registro)
+   * @param {Object} user - Usuario
+   */
+  const trySendVerification = async (req, user) => {
+    try {
+      await sendVerification(user)
+    } catch (error) {
+      logger.error({ msg: 'verification email failed', requestId: req.id, userId: user.id, message: error.message })
     }
+  }
+
+  // Se crea el almacén de archivos de los avatares. Por defecto, la carpeta `uploads/`.
+  const fileStorage = customFileStorage || createFileStorage(settings.fileStorage)
+
+  // Se crean las métricas: las solicitudes las registra `LoggerMiddleware` y los rechazos de
+  // autenticación `authenticateToken`, ambos a través de `app.locals.metrics`.
+  const metrics = customMetrics || createMetrics()
+
+  // Se crea el bus de eventos. Cada evento se encola para los webhooks suscritos. El encolado
+  // va después de guardar el cambio y fuera de su transacción: si falla, la solicitud no se
+  // deshace, pero el error se registra y se cuenta en `webhook_enqueue_failures_total` para
+  // poder alertar (esas entregas se pierden).
+  const events = customEvents || createEventBus()
+  events.subscribe((event) => {
+    enqueueWebhookDeliveries(prisma, event).catch((error) => {
+      metrics.recordWebhookEnqueueFailure(event.type)
+      logger.error({ msg: 'webhook enqueue failed', event: event.type, eventId: event.id, message: error.message })
+    })
   })
-})
 
-/**
- * Maneja el envío de un formulario a travéz de una solicitud POST
- * 
- * Recibe un objeto JSON desde `req.body`.
- * Valida que se esté recibiendo; si no, responde con un error 400.
- * 
- * Si los datos son válidos, responde con un código 201 y el objeto recibido.
- * 
- * @route POST /api/data
- * @param {Object} req.body - Objeto JSON enviado en el cuerpo de la solicitud.
- * @return {JSON} Confirmación del recibo con los datos enviados.
- * 
-*/
-app.post('/api/data', (req, res) => {
-  const data = req.body
-  if(!data || Object.keys(data).length === 0) {
-    return res.status(400).json({error: "No se recibieron datos"})
+  /**
+   * Publica un evento del ciclo de vida de un usuario (ver `USER_EVENTS`).
+   * @param {string} type - Tipo de evento
+   * @param {Object} user - Usuario (se publica sin la contraseña)
+   */
+  const publishUserEvent = (type, user) => {
+    events.publish(type, { user: omitPassword(user) })
   }
-  res.status(201).json({
-    message: "Datos JSON recibidos",
-    data
+
+  // Se crea el feed de cambios de usuarios de `GET /events`, que guarda los últimos
+  // cambios para los clientes que se reconectan.
+  const userFeed = createUserFeed({ events, bufferSize: settings.userFeed.bufferSize })
+
+  // Se crean los límites de las rutas de autenticación, que usan bcrypt (costoso en CPU) o envían correos:
+  // - `limitByIp(nombre)`: solicitudes por IP a una ruta.
+  // - `limitByAccount(nombre)`: solicitudes por correo (`req.body.email`, ya validado) a una ruta.
+  // - `loginLockout`: bloqueo progresivo de la cuenta tras varias contraseñas incorrectas.
+  const rateLimitStore = customRateLimitStore || createRateLimitStore({ type: settings.rateLimit.store })
+  const limitByIp = (name) => rateLimit({
+    name: `${name}:ip`,
+    windowMs: settings.rateLimit.windowMs,
+    limit: settings.rateLimit.maxPerIp,
+    store: rateLimitStore
   })
-})
+  const limitByAccount = (name) => rateLimit({
+    name: `${name}:account`,
+    windowMs: settings.rateLimit.windowMs,
+    limit: settings.rateLimit.maxPerAccount,
+    store: rateLimitStore,
+    keyGenerator: (req) => req.body.email?.toLowerCase()
+  })
+  const loginLockout = createLoginLockout({ store: rateLimitStore, ...settings.loginLockout })
 
-/**
- * Maneja la solicitud GET para obtener la lista de usuarios desde un archivo JSON local.
- * 
- * Utiliza `fs.readFile` con codificación `utf-8` para leer el archivo especificado en `usersFilePath`.
- * 
- * - Si la lectura es exitosa, devuelve los usuarios como JSON.
- * - Si ocurre un error, responde con código 500 y un mensaje de error.
- * 
- * @route GET /users
- * @returns {JSON} Arreglo de usuarios o mensaje de error en caso de fallo
-*/
-app.get('/users', (req, res) => {
-  fs.readFile(usersFilePath, 'utf-8', (err, data) => {
-    if(err) {
-      return res.status(500).json({error: 'Error con conexión de datos.'})
-    }
-    const users = JSON.parse(data)
-    res.json(users)
-  })
-})
+  // ========================
+  // CONFIGURACIÓN DE LA APP
+  // ========================
+  // Se instancia la aplicación Express y se configuran middlewares globales:
+  // - LoggerMiddleware: asigna el ID de la solicitud (`X-Request-Id`) y registra cada petición
+  //   en formato JSON. Va primero para cubrir también los cuerpos que no se pueden parsear.
+  // - express.json(): para parsear cuerpos JSON.
+  // - express.urlencoded(): para formularios codificados.
+  // - express.text(): para los CSV de `POST /users/import` (mismo límite de tamaño que JSON, 100 kB).
+  // El middleware global de manejo de errores (`errorHandler`) se registra al final,
+  // después de todas las rutas, para que reciba sus errores.
+  // Las vistas HTML son los módulos de `views/` (motor `viewEngine` de `utils/html.js`).
+  // El cliente de Prisma, el almacén de usuarios, el almacén de archivos, el bus de eventos, el feed de cambios, las métricas y la configuración se comparten en `app.locals`
+  // para que los middlewares (por ejemplo `authenticateToken`) y `server.js` puedan consultarlos.
+  const app = express()
+  app.set('trust proxy', settings.trustProxy)
+  app.locals.prisma = prisma
+  app.locals.userStore = userStore
+  app.locals.fileStorage = fileStorage
+  app.locals.events = events
+  app.locals.metrics = metrics
+  app.locals.userFeed = userFeed
+  app.locals.config = settings
+  app.locals.isShuttingDown = false
+  app.engine('js', viewEngine)
+  app.set('view engine', 'js')
+  app.set('views', path.join(__dirname, 'views'))
+  app.use(LoggerMiddleware)
+  app.use(express.json())
+  app.use(express.urlencoded({ extended: true }))
+  app.use(express.text({ type: 'text/csv' }))
 
-/**
- * Maneja la solicitud GET para obtener un usuario
- * 
- * Recibe el parámetro `id` desde `req.params`.
- * 
- * Devuelve un mensaje en formato HTML con un mensaje y los datos recibidos.
- * 
- * @route GET /users/:id
- * @returns {HTML} Página con los resultados de busqueda
-*/
-app.get('/users/:id', (req, res) => {
-  const id = req.params.id
-  res.send(`
-    <h1>Mostrar información del usuario con ID: ${id}</h1>
-  `)
-})
-
-/** 
- * Maneja el envío de un formulario para crear un usuario mediante una solicitud POST
- * 
- * Recibe un objeto JSON desde `req.body`.
- * Utiliza `fs.readFile` con codificación `utf-8` para leer el archivo específicado en `usersFilePath`.
- * 
- * - Si ocurre un error al leer el archivo, responde con código 500 y un mensaje de error.
- * - Si la lectura es exitosa, parsea la información del archivo.
- * 
- * Valida el nuevo usuario utilizando la función `validateUser`.
- * 
- * - Si la validación falla, responde con código 400 y un mensaje de error detallado.
- * 
- * Si la validación es correcta:
- * - Añade el nuevo usuario al arreglo existente.
- * - Utiliza `fs.writeFile` con codificación `utf-8` para sobrescribir el archivo actualizado.
- * - Si ocurre un error al guardar, responde con código 500 y un mensaje de error.
- * - Si se guarda correctamente, responde con código 201 y el objeto del nuevo usuario.
- * 
- * @route POST /users
- * @param {Object} req.body - Objeto JSON con los datos del nuevo usuario
- * @returns {JSON} Usuario creado o mensaje de error
-*/
-app.post('/users', (req, res) => {
-  const newUser = req.body
-  fs.readFile(usersFilePath, 'utf-8', (err, data) => {
-    if (err) {
-      return res.status(500).json({ error: 'Error con conexión de datos.' })
-    }
-    const user = JSON.parse(data)
-
-    const validation = validateUser(newUser, user)
-    if (!validation.isValid) {
-      return res.status(400).json({ error: validation.error })
-    }
+  // =======================
+  // SALUD DEL SERVICIO
+  // =======================
+  // Sondas para orquestadores y balanceadores de carga, y métricas para Prometheus.
 
-    user.push(newUser)
-    fs.writeFile(usersFilePath, JSON.stringify(user, null, 2), (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Error al guardar el usuario.' })            
+  /**
+   * Sonda de vida (liveness): indica que el proceso responde.
+   * No consulta dependencias externas, para que una caída de la base de datos
+   * no provoque reinicios del proceso.
+   *
+   * @route GET /health
+   * @access Público
+   * @returns {JSON} `{ status: 'ok', uptime }`
+   */
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) })
+  })
+
+  /**
+   * Sonda de disponibilidad (readiness): indica si la instancia puede atender solicitudes.
+   *
+   * Comprueba:
+   * - `database`: la base de datos responde a una consulta (`SELECT 1`).
+   * - `usersFile`: el archivo `users.json` se puede leer (solo con `USER_STORE=file`).
+   *
+   * Respuestas:
+   * - 200: Todas las comprobaciones pasan.
+   * - 503: Alguna comprobación falla o el servidor se está apagando.
+   *
+   * @route GET /ready
+   * @access Público
+   * @returns {JSON} `{ status, checks: { database, usersFile? } }`
+   */
+  app.get('/ready', async (req, res) => {
+    const check = async (probe) => {
+      try {
+        await probe()
+        return 'ok'
+      } catch {
+        return 'error'
       }
-      res.status(201).json(newUser)
+    }
+
+    const checks = {
+      database: await check(() => prisma.$queryRaw`SELECT 1`),
+      ...(userStore.type === 'file' && {
+        usersFile: await check(() => fs.promises.access(settings.usersFilePath, fs.constants.R_OK))
+      })
+    }
+    const isReady = !app.locals.isShuttingDown && Object.values(checks).every((result) => result === 'ok')
+
+    res.status(isReady ? 200 : 503).json({
+      status: isReady ? 'ok' : (app.locals.isShuttingDown ? 'shutting down' : 'unavailable'),
+      checks
     })
   })
-})
-
-/** 
- * Maneja la actualización de un usuario mediante una solicitud PUT
- * 
- * Recibe un ID de usuario como parámetro de ruta (`req.params.id`) y un objeto con los datos actualizados desde (`req.body`)
- * 
- * - Valida que se haya recibido un cuerpo de datos
- * - Lee el archivo de usuarios (`usersFilePath`) usando `fs.readFile` con codificación `utf-8`
- * - Si ocurre un error al leer el archivo, responde con código 500
- * 
- * Utiliza `validateUser` para validar los datos del usuario actualizado.
- * - Si la validación falla, responde con código 400 y el mensaje correspondiente.
- * 
- * Si todo es correcto:
- * - Actualiza el usuario correspondiente en el arreglo.
- * - Escribe los datos actualizados en el archivo utilizando `fs.writeFile`.
- * - Si hay error al escribir, responde con código 500.
- * - Si se guarda correctamente, responde con el usuario actualizado.
- * 
- * @route PUT /users/:id
- * @param {number} req.params.id - ID del usuario a actualizar
- * @param {Object} req.body - Datos actualizados del usuario
- * @returns {JSON} Usuario actualizado o mensaje de error 
-*/
-app.put('/users/:id', (req, res) => {
-  const userId = parseInt(req.params.id, 10)
-  const updatedUser = req.body
-  
-  if (!updatedUser || Object.keys(updatedUser).length === 0){
-    return res.status(500).json({ error: 'No se recibieron datos.'})
-  }
 
-  fs.readFile(usersFilePath, 'utf-8', (err, data) => {
-    if (err) {
-      return res.status(500).json({ error: 'Error con conexión de datos.'})
-    }
-    let users = JSON.parse(data)
+  /**
+   * Métricas de la instancia en el formato de texto de Prometheus: solicitudes y su duración
+   * por método, ruta y código de estado, rechazos de autenticación, duración de las consultas
+   * de Prisma, memoria del proceso y retraso del bucle de eventos (ver `utils/metrics.js`).
+   *
+   * Respuestas:
+   * - 200: Métricas.
+   * - 401: Falta el token de métricas o no coincide (si se configuró `METRICS_TOKEN`).
+   * - 403: La IP no está en `METRICS_ALLOWED_IPS` (si se configuró).
+   *
+   * @route GET /metrics
+   * @access Privado (token de métricas o IP permitida; público si no se configura ninguno)
+   * @returns {Text} Métricas en formato Prometheus
+   */
+  app.get('/metrics', metricsAccess(settings.metrics), (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render())
+  })
 
-    const validation = validateUser(updatedUser, users, userId)
-    if (!validation.isValid) {
-      return res.status(400).json({ error: validation.error })
+  // =======================
+  // RUTAS HTTP PRINCIPALES
+  // =======================
+  // Aquí se definen las rutas de la aplicación Express que manejan las solicitudes
+  // GET, POST, PUT, DELETE, etc.
+
+  /**
+   * Ruta principal (home) de la aplicación backend
+   * 
+   * No recibe parámetros.
+   * 
+   * Devuelve una información básica de la aplicación: el nombre del curso, la tecnología
+   * usada (Node.js y Express.js) y el puerto en el que se está ejecutando.
+   * 
+   * El formato se negocia con la cabecera `Accept`: JSON para los clientes de la API
+   * (y cuando se acepta cualquier formato) y HTML para los navegadores (vista `home`).
+   * 
+   * @route GET /
+   * @returns {JSON|HTML} Información de la aplicación
+  */
+  app.get('/', (req, res) => {
+    const info = {
+      name: 'Curso Express.js V2',
+      description: 'Esto es una aplicación node.js con express.js',
+      port: settings.port
     }
+    res.format({
+      'application/json': () => res.json(info),
+      'text/html': () => res.render('home', info)
+    })
+  })
 
-    users = users.map( user => (user.id === userId ? {...user, ...updatedUser} : user ))
+  /**
+   * Obtiene una página de usuarios del almacén de usuarios.
+   * 
+   * Función auxiliar compartida por `GET /users`, `GET /db-users` y `GET /search`.
+   * Usa `page`, `limit`, `sort` y `order` de `req.query` (ya validados) y los filtros indicados.
+   * 
+   * @param {Object} req - Objeto de solicitud HTTP
+   * @param {Object} filters - Filtros del listado (`name`, `email`, `role`, `term`)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Incluye los usuarios eliminados
+   * @returns {Promise<Object>} Página de usuarios (sin contraseñas) con `data`, `meta` y `links`
+   */
+  const findUsersPage = async (req, filters, { includeDeleted = false } = {}) => {
+    const { page, limit, sort, order } = req.query
+    const { items, total } = await userStore.list({
+      filters,
+      sort,
+      order,
+      skip: (page - 1) * limit,
+      take: limit,
+      includeDeleted
+    })
+    return paginate(req, { items: items.map(omitPassword), total, page, limit })
+  }
 
-    fs.writeFile(usersFilePath, JSON.stringify(users, null, 2), (err) => {
-      if (err) {
-        return res
-          .status(500)
-          .json({error: 'Error al actualizar el usuario'})
+  /**
+   * Busca usuarios a través de una solicitud GET
+   * 
+   * Recibe los parámetros `termino` y `categoria` desde `req.query`, además de los de paginación
+   * y orden (`page`, `limit`, `sort`, `order`):
+   * - `termino`: texto que se busca, sin distinguir mayúsculas, en el nombre y en el correo.
+   * - `categoria`: rol de los usuarios (`ADMIN` o `USER`). Si no se envía, se incluyen todos.
+   * 
+   * La búsqueda se hace en el almacén de usuarios (base de datos o `users.json`).
+   * 
+   * Devuelve la página de resultados, el total y los enlaces a la página siguiente y anterior.
+   * Con `Accept: text/html` (navegadores) responde con la vista `search`, que incluye el
+   * formulario de búsqueda; en otro caso, con JSON. Como `GET /users`, solo está disponible
+   * para los administradores.
+   * 
+   * @route GET /search
+   * @access Privado (solo ADMIN)
+   * @return {JSON|HTML} Página de usuarios encontrados
+  */
+  app.get('/search', authenticateToken, authorize('ADMIN'), requireScope('users:read'), validate({ query: searchUsersQuerySchema }), async (req, res) => {
+    const { termino, categoria } = req.query
+    const results = await findUsersPage(req, { term: termino, role: categoria })
+    res.format({
+      'application/json': () => res.set('ETag', pageETag(results)).json(results),
+      'text/html': () => res.render('search', { termino, categoria, results })
+    })
+  })
+
+  /**
+   * Maneja el envío de un formulario a través de una solicitud POST
+   * 
+   * Recibe los parámetros `name` y `email` desde `req.body`.
+   * 
+   * Si alguno de los parámetros no se proporciona, se asignan valores por defecto:
+   * - `name`: 'Anónimo'
+   * - `email`: 'No proporcionado'
+   * 
+   * Devuelve una respuesta en formato JSON con un mensaje y los datos recibidos.
+   * 
+   * @route POST /form
+   * @returns {Object} JSON con el mensaje y los datos procesado
+  */
+  app.post('/form', (req, res) => {
+    const name = req.body.name || 'Anónimo'
+    const email = req.body.email || 'No proporcionado'
+    res.json({
+      message: 'Datos recibidos',
+      data: {
+        name,
+        email
       }
-      res.json(updatedUser)
     })
   })
-})
 
-/**
- * Maneja la eliminación de un usuario mediante una solicitud DELETE.
- *
- * Recibe un ID de usuario como parámetro de ruta (`req.params.id`).
- *
- * - Lee el archivo de usuarios (`usersFilePath`) usando `fs.readFile` con codificación `utf-8`.
- * - Si ocurre un error al leer el archivo, responde con código 500.
- *
- * Filtra el arreglo para eliminar el usuario con el ID proporcionado.
- * - Escribe el nuevo arreglo en el archivo usando `fs.writeFile`.
- * - Si ocurre un error al escribir, responde con código 500.
- * - Si se elimina correctamente, responde con código 204 (sin contenido).
- *
- * @route DELETE /users/:id
- * @param {number} req.params.id - ID del usuario a eliminar
- * @returns {204 No Content | 500 Internal Server Error}
- */
-app.delete('/users/:id', (req, res) => {
-  const userId = parseInt(req.params.id, 10)
-  fs.readFile(usersFilePath, 'utf-8', (err, data) => {
-    if (err) {
-      return res.status(500).json({ error: 'Error con conexión de datos.' })
-    }
-    let users = JSON.parse(data)
-    users = users.filter(user => user.id !== userId)
-    fs.writeFile(usersFilePath, JSON.stringify(users, null, 2), (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Error al eliminar el usuario.' })
+  /**
+   * Maneja el envío de un formulario a travéz de una solicitud POST
+   * 
+   * Recibe un objeto JSON desde `req.body`.
+   * Valida que se esté recibiendo; si no, lanza un `BadRequestError` (400).
+   * 
+   * Si los datos son válidos, responde con un código 201 y el objeto recibido.
+   * 
+   * @route POST /api/data
+   * @param {Object} req.body - Objeto JSON enviado en el cuerpo de la solicitud.
+   * @return {JSON} Confirmación del recibo con los datos enviados.
+   * 
+  */
+  app.post('/api/data', (req, res) => {
+    const data = req.body
+    if(!data || Object.keys(data).length === 0) {
+      throw new BadRequestError('No se recibieron datos')
+    }
+    res.status(201).json({
+      message: "Datos JSON recibidos",
+      data
+    })
+  })
+
+  /**
+   * Maneja la solicitud GET para obtener la lista de usuarios.
+   * 
+   * Utiliza el almacén de usuarios (`userStore`), que lee del archivo `users.json`
+   * o de la base de datos según la variable de entorno `USER_STORE`.
+   * 
+   * Parámetros de `req.query` (validados con `listUsersQuerySchema`):
+   * - `page` y `limit`: paginación (por defecto página 1 con 20 usuarios, máximo 100).
+   * - `sort` (`id`, `name`, `email` o `role`) y `order` (`asc` o `desc`).
+   * - `name`, `email`: coincidencia parcial sin distinguir mayúsculas; `role`: rol exacto.
+   * 
+   * - Solo los administradores pueden listar a todos los usuarios (401 sin token, 403 con otro rol).
+   * - Si la lectura es exitosa, devuelve la página de usuarios (sin contraseñas) con
+   *   `data`, `meta` (total, página, límite y total de páginas) y `links` (self, next y prev).
+   *   Lleva un `ETag` de la página: con `If-None-Match` igual responde 304.
+   * - Si ocurre un error, lo pasa al manejador de errores (500).
+   * 
+   * @route GET /users
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Página de usuarios o mensaje de error en caso de fallo
+  */
+  app.get('/users', authenticateToken, authorize('ADMIN'), requireScope('users:read'), validate({ query: listUsersQuerySchema }), async (req, res) => {
+    const { name, email, role } = req.query
+    const page = await findUsersPage(req, { name, email, role })
+    res.set('ETag', pageETag(page)).json(page)
+  })
+
+  /**
+   * Exporta todos los usuarios (sin contraseñas ni usuarios eliminados) como archivo descargable.
+   *
+   * - `format`: `csv` (por defecto), `json` o `ndjson`.
+   * - Los usuarios se leen en lotes de `EXPORT_BATCH_SIZE` y se escriben a medida que llegan,
+   *   respetando la contrapresión del cliente.
+   * - Si falla la lectura a mitad de la exportación, la conexión se corta (el archivo
+   *   queda incompleto) y el error se registra en el log.
+   *
+   * Se registra antes de `GET /users/:id` para que `export` no se tome como un ID.
+   *
+   * @route GET /users/export
+   * @access Privado (solo ADMIN)
+   * @returns {CSV|JSON|NDJSON} Archivo con los usuarios
+   */
+  app.get('/users/export', authenticateToken, authorize('ADMIN'), requireScope('users:read'), validate({ query: exportUsersQuerySchema }), async (req, res) => {
+    const { format } = req.query
+    const date = new Date().toISOString().slice(0, 10)
+    res.attachment(`users-${date}.${format}`)
+    res.type(EXPORT_CONTENT_TYPES[format])
+
+    const batches = userStore.batches({ batchSize: EXPORT_BATCH_SIZE })
+    await pipeline(Readable.from(serializeUsers(batches, format)), res)
+  })
+
+  /**
+   * Importa usuarios de forma masiva desde un archivo CSV o JSON.
+   *
+   * - Cuerpo `text/csv` con cabecera (`name,email,password` y, opcionalmente, `id` y `role`)
+   *   o `application/json` con una lista de objetos con esos campos.
+   * - Cada fila se valida con las reglas del alta de usuarios; las inválidas no detienen
+   *   la importación.
+   * - Se omiten las filas cuyo correo o `id` ya existe (también entre usuarios eliminados)
+   *   o ya apareció en una fila anterior.
+   * - Con `dryRun=true` solo se devuelve el informe, sin crear usuarios.
+   * - Cada usuario creado se registra en el historial de auditoría.
+   *
+   * Respuestas:
+   * - 200: Informe por fila (`created`, `skipped` o `invalid`) y resumen.
+   * - 400: El CSV está mal formado o el JSON no es una lista.
+   * - 415: El cuerpo no es CSV ni JSON.
+   *
+   * @route POST /users/import
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Informe de la importación
+   */
+  app.post('/users/import', authenticateToken, authorize('ADMIN'), requireScope('users:write'), validate({ query: importUsersQuerySchema }), async (req, res) => {
+    const { rows, coerce } = readImportRows(req)
+    const report = await importUsers({
+      rows,
+      coerce,
+      userStore,
+      dryRun: req.query.dryRun,
+      onCreated: async (user) => {
+        await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_CREATED, targetId: user.id, after: user })
+        publishUserEvent(USER_EVENTS.CREATED, user)
       }
-      res.status(204).send()
     })
+    res.json(report)
   })
-})
 
-/**
- * Ruta de prueba que genera un error intencional.
- *
- * Su objetivo es probar el middleware global de manejo de errores.
- * Llama a `next()` con una instancia de Error.
- *
- * @route GET /error
- * @throws {Error} Error intencional para pruebas
- */
-app.get('/error', (req, res, next) => {
-  next(new Error('Error intencional'))
-})
+  /**
+   * Maneja la solicitud GET para obtener un usuario
+   * 
+   * Recibe el parámetro `id` desde `req.params` y busca el usuario en el almacén de usuarios.
+   * 
+   * - Si no existe (o está eliminado), responde con código 404.
+   * - Si existe, responde con el usuario (sin contraseña): en JSON para los clientes de la API
+   *   y con la vista `user` para los navegadores (`Accept: text/html`).
+   * - La respuesta JSON lleva el `ETag` de la versión del usuario: con `If-None-Match` igual
+   *   responde 304, y es el valor que esperan `PUT` y `PATCH` en `If-Match`.
+   * 
+   * @route GET /users/:id
+   * @access Privado (administrador o el propio usuario)
+   * @returns {JSON|HTML} Usuario o mensaje de error
+  */
+  app.get('/users/:id', authenticateToken, authorizeSelfOrAdmin(), requireScope('users:read'), validate({ params: userIdParamsSchema }), async (req, res) => {
+    const user = await userStore.findById(req.params.id)
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    res.format({
+      'application/json': () => res.set('ETag', userETag(user)).json(omitPassword(user)),
+      'text/html': () => res.render('user', { user: omitPassword(user) })
+    })
+  })
 
-/**
- * Obtiene la lista de usuarios desde la base de datos mediante una solicitud GET.
- *
- * Utiliza Prisma ORM para ejecutar `users.findMany()` y recuperar todos los registros de la tabla `users`.
- *
- * - Si la operación es exitosa, responde con un arreglo JSON de usuarios.
- * - Si ocurre un error al consultar la base de datos, responde con código 500 y un mensaje de error.
- *
- * @route GET /db-users
- * @returns {JSON} Lista de usuarios o mensaje de error en caso de fallo
- */
-app.get('/db-users', async(req, res) => {
-  try {
-    const users = await prisma.users.findMany()
-    res.json(users)
-  } catch (error) {
-    res.status(500).json({ error: 'Error al comunicarse con la base de datos' })
+  /** 
+   * Maneja el envío de un formulario para crear un usuario mediante una solicitud POST
+   * 
+   * Recibe un objeto JSON desde `req.body`, validado con `createUserSchema`
+   * (`name`, `email` y `password` obligatorios; los demás campos, como `role`, se descartan).
+   * 
+   * Es el alta de usuarios por parte de un administrador; el registro público es `POST /register`.
+   * 
+   * - Si la validación falla, responde con código 422 y la lista de errores por campo.
+   * - Si ya existe un usuario con el mismo correo, lanza un `ConflictError` (409).
+   * 
+   * Si la validación es correcta:
+   * - Encripta la contraseña con bcrypt y asigna el rol 'USER'.
+   * - Guarda el usuario en el almacén de usuarios, que le asigna el ID.
+   * - Si ocurre un error al guardar, lo pasa al manejador de errores (500).
+   * - Si se guarda correctamente, responde con código 201 y el nuevo usuario (sin contraseña).
+   * 
+   * @route POST /users
+   * @access Privado (solo ADMIN)
+   * @param {Object} req.body - Objeto JSON con los datos del nuevo usuario (`name`, `email`, `password`)
+   * @returns {JSON} Usuario creado o mensaje de error
+  */
+  app.post('/users', limitByIp('users'), authenticateToken, authorize('ADMIN'), requireScope('users:write'), validate({ body: createUserSchema }), async (req, res) => {
+    const { name, email, password } = req.body
+
+    if (await userStore.findByEmail(email, { includeDeleted: true })) {
+      throw new ConflictError('El correo electrónico ya está registrado.')
+    }
+
+    const newUser = await userStore.create({
+      name,
+      email,
+      password: await bcrypt.hash(password, 10),
+      role: 'USER'
+    })
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_CREATED, targetId: newUser.id, after: newUser })
+    publishUserEvent(USER_EVENTS.CREATED, newUser)
+    res.status(201).json(omitPassword(newUser))
+  })
+
+  /**
+   * Comprueba que un correo no pertenezca a otro usuario (tampoco a uno eliminado,
+   * que conserva su correo hasta que se purga).
+   * 
+   * Función auxiliar compartida por `PUT /users/:id`, `PATCH /users/:id` y `PATCH /me`.
+   * 
+   * @param {string} email - Correo que se quiere guardar
+   * @param {number} userId - Usuario que lo guarda
+   * @throws {ConflictError} Si el correo pertenece a otro usuario (409)
+   */
+  const assertEmailAvailable = async (email, userId) => {
+    const owner = await userStore.findByEmail(email, { includeDeleted: true })
+    if (owner && owner.id !== userId) {
+      throw new ConflictError('El correo electrónico ya está registrado.')
+    }
   }
-})
 
-/**
- * Ruta protegida de prueba
- * 
- * Esta ruta solo es accesible si el usuario incluye un token JWT válido
- * en el encabezado `Authorization: Bearer <token>`.
- * 
- * El middleware `authenticateToken` se encarga de verificar el token.
- * Si es válido, permite el acceso a esta ruta.
- * 
- * @route GET /protected-route
- * @access Privado (requiere token)
-*/
-app.get('/protected-route', authenticateToken, (req, res) => {
-  res.send('Esta es una ruta protegida')
-})
+  /**
+   * Guarda los cambios de un usuario comprobando que el correo no pertenezca a otro usuario.
+   * 
+   * Función auxiliar compartida por `PUT /users/:id` y `PATCH /users/:id`.
+   * 
+   * - Si el usuario no existe o está eliminado, lanza un `NotFoundError` (404).
+   * - Exige `If-Match` con el ETag del usuario: si falta, lanza un `PreconditionRequiredError` (428);
+   *   si no es el de la versión actual, un `PreconditionFailedError` (412). El cambio solo se guarda
+   *   si la versión sigue siendo la leída, así no se pisa el cambio de otro cliente.
+   * - Si el correo pertenece a otro usuario, lanza un `ConflictError` (409).
+   * - Si se envía `password`, se guarda encriptada.
+   * - Registra el cambio en el historial de auditoría.
+   * - Responde con el usuario guardado (sin contraseña) y su nuevo `ETag`.
+   * 
+   * @param {Object} req - Objeto de solicitud HTTP (con `params` y `body` ya validados)
+   * @param {Object} res - Objeto de respuesta HTTP
+   */
+  const saveUserChanges = async (req, res) => {
+    const userId = req.params.id
+    const { password, ...changes } = req.body
 
-/**
- * Ruta para registrar un nuevo usuario.
- * 
- * - Recibe `email`, `password` y `name` desde el cuerpo de la solicitud (`req.body`).
- * - Encripta la contraseña usando bcrypt antes de guardarla.
- * - Crea un nuevo usuario en la base de datos con rol predeterminado 'USER'.
- * 
- * Respuestas:
- * - 201: Usuario creado exitosamente.
- * - 500: Error interno si falla la operación en la base de datos.
- * 
- * @route POST /register
- * @access Público
- */
-app.post('/register', async (req, res) => {
-  const { email, password, name } = req.body
-  const hashedPassword = await bcrypt.hash(password, 10)
-  
-  const newUser = await prisma.users.create({
-    data: {
+    const before = await userStore.findById(userId)
+    if (!before) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    assertIfMatch(req, userETag(before))
+
+    if (changes.email) {
+      await assertEmailAvailable(changes.email, userId)
+    }
+
+    const updatedUser = await userStore.update(userId, {
+      ...changes,
+      ...(password && { password: await bcrypt.hash(password, 10) })
+    }, { expectedVersion: before.version })
+    if (!updatedUser) {
+      // Otro cliente modificó (o eliminó) el usuario entre la lectura y la escritura.
+      throw new PreconditionFailedError('El usuario cambió desde que se leyó. Vuelve a leerlo y reintenta.')
+    }
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_UPDATED, targetId: userId, before, after: updatedUser })
+    publishUserEvent(USER_EVENTS.UPDATED, updatedUser)
+    res.set('ETag', userETag(updatedUser)).json(omitPassword(updatedUser))
+  }
+
+  /** 
+   * Maneja la actualización completa de un usuario mediante una solicitud PUT
+   * 
+   * Recibe un ID de usuario como parámetro de ruta (`req.params.id`) y un objeto con los datos actualizados desde (`req.body`)
+   * 
+   * Valida los datos con `replaceUserSchema`: `name` y `email` son obligatorios y `password` opcional.
+   * - Si la validación falla, responde con código 422 y la lista de errores por campo.
+   * - Si el usuario no existe o está eliminado, responde con código 404.
+   * - Si falta `If-Match`, responde con código 428; si el ETag no es el actual, con 412.
+   * - Si el correo pertenece a otro usuario, responde con código 409.
+   * 
+   * Si todo es correcto:
+   * - Actualiza el usuario en el almacén de usuarios (si se envía `password`, se guarda encriptada).
+   * - Si hay error al guardar, lo pasa al manejador de errores (500).
+   * - Si se guarda correctamente, responde con el usuario actualizado y su nuevo `ETag`.
+   * 
+   * @route PUT /users/:id
+   * @access Privado (administrador o el propio usuario)
+   * @param {number} req.params.id - ID del usuario a actualizar
+   * @param {Object} req.body - Datos actualizados del usuario
+   * @returns {JSON} Usuario actualizado o mensaje de error 
+  */
+  app.put(
+    '/users/:id',
+    authenticateToken,
+    authorizeSelfOrAdmin(),
+    requireScope('users:write'),
+    validate({ params: userIdParamsSchema, body: replaceUserSchema }),
+    saveUserChanges
+  )
+
+  /** 
+   * Maneja la actualización parcial de un usuario mediante una solicitud PATCH
+   * 
+   * Igual que `PUT /users/:id`, pero todos los campos de `patchUserSchema` son opcionales:
+   * solo se actualizan los que se envían (al menos uno).
+   * 
+   * @route PATCH /users/:id
+   * @access Privado (administrador o el propio usuario)
+   * @param {number} req.params.id - ID del usuario a actualizar
+   * @param {Object} req.body - Campos a actualizar (`name`, `email`, `password`)
+   * @returns {JSON} Usuario actualizado o mensaje de error 
+  */
+  app.patch(
+    '/users/:id',
+    authenticateToken,
+    authorizeSelfOrAdmin(),
+    requireScope('users:write'),
+    validate({ params: userIdParamsSchema, body: patchUserSchema }),
+    saveUserChanges
+  )
+
+  /**
+   * Maneja la eliminación de un usuario mediante una solicitud DELETE.
+   *
+   * Recibe un ID de usuario como parámetro de ruta (`req.params.id`).
+   *
+   * - El borrado es lógico: el usuario queda marcado con `deletedAt` y deja de aparecer
+   *   en los listados, pero se puede restaurar con `POST /users/:id/restore` hasta que
+   *   se purgue (`npm run users:purge`).
+   * - Revoca todas sus sesiones y lo registra en el historial de auditoría.
+   * - Si el usuario no existe o ya estaba eliminado, responde con código 404.
+   * - Si se elimina correctamente, responde con código 204 (sin contenido).
+   *
+   * @route DELETE /users/:id
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID del usuario a eliminar
+   * @returns {204 No Content | 404 Not Found | 500 Internal Server Error}
+   */
+  app.delete('/users/:id', authenticateToken, authorize('ADMIN'), requireScope('users:write'), validate({ params: userIdParamsSchema }), async (req, res) => {
+    const userId = req.params.id
+    const before = await userStore.findById(userId)
+    if (!before || !(await userStore.remove(userId))) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    await revokeUserSessions(prisma, userId)
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_DELETED, targetId: userId, before })
+    publishUserEvent(USER_EVENTS.DELETED, before)
+    res.status(204).send()
+  })
+
+  /**
+   * Restaura un usuario eliminado.
+   *
+   * - Si el usuario no existe (o ya se purgó), responde con código 404.
+   * - Si el usuario no está eliminado, responde con código 409.
+   * - Si se restaura correctamente, lo registra en el historial de auditoría y responde
+   *   con el usuario (sin contraseña). Sus sesiones anteriores siguen revocadas.
+   *
+   * @route POST /users/:id/restore
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID del usuario a restaurar
+   * @returns {JSON} Usuario restaurado o mensaje de error
+   */
+  app.post('/users/:id/restore', authenticateToken, authorize('ADMIN'), requireScope('users:write'), validate({ params: userIdParamsSchema }), async (req, res) => {
+    const userId = req.params.id
+    const before = await userStore.findById(userId, { includeDeleted: true })
+    if (!before) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+
+    const restored = await userStore.restore(userId)
+    if (!restored) {
+      throw new ConflictError('El usuario no está eliminado.')
+    }
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_RESTORED, targetId: userId, before, after: restored })
+    publishUserEvent(USER_EVENTS.RESTORED, restored)
+    res.json(omitPassword(restored))
+  })
+
+  /**
+   * Sube (o reemplaza) el avatar de un usuario.
+   *
+   * Recibe el archivo en el campo `avatar` de un formulario `multipart/form-data`.
+   *
+   * - Si no es multipart, o el archivo no es PNG, JPEG, GIF o WebP, responde con código 415.
+   *   El tipo se comprueba por el contenido del archivo, no por su nombre.
+   * - Si el archivo supera `AVATAR_MAX_BYTES` (por defecto 2 MB), responde con código 413.
+   * - Si falta el archivo, responde con código 422.
+   * - Si el usuario no existe, responde con código 404.
+   *
+   * Si todo es correcto, guarda el archivo en el almacén de archivos, actualiza `avatarUrl`
+   * (con una huella del contenido, ver `utils/avatars.js`), lo registra en el historial de
+   * auditoría y responde con el usuario actualizado y su nuevo `ETag`.
+   *
+   * @route PUT /users/:id/avatar
+   * @access Privado (administrador o el propio usuario)
+   * @param {number} req.params.id - ID del usuario
+   * @returns {JSON} Usuario actualizado o mensaje de error
+   */
+  app.put(
+    '/users/:id/avatar',
+    authenticateToken,
+    authorizeSelfOrAdmin(),
+    requireScope('users:write'),
+    validate({ params: userIdParamsSchema }),
+    uploadFile({ field: 'avatar', maxBytes: settings.avatars.maxBytes, allowedTypes: AVATAR_TYPES }),
+    async (req, res) => {
+      const userId = req.params.id
+      const before = await userStore.findById(userId)
+      if (!before) {
+        throw new NotFoundError('Usuario no encontrado.')
+      }
+
+      await fileStorage.save(avatarKey(userId), req.file.data)
+      const updatedUser = await userStore.update(userId, { avatarUrl: buildAvatarUrl(userId, req.file.data) })
+      if (!updatedUser) {
+        throw new NotFoundError('Usuario no encontrado.')
+      }
+      await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_UPDATED, targetId: userId, before, after: updatedUser })
+      publishUserEvent(USER_EVENTS.UPDATED, updatedUser)
+      res.set('ETag', userETag(updatedUser)).json(omitPassword(updatedUser))
+    }
+  )
+
+  /**
+   * Devuelve el avatar de un usuario.
+   *
+   * - El `Content-Type` sale del contenido del archivo.
+   * - `ETag` es la huella del contenido: con `If-None-Match` igual responde 304.
+   * - Pedido con la URL de `avatarUrl` (`?v=` con la huella actual), se puede guardar en caché
+   *   sin caducidad (`immutable`): un avatar nuevo tendrá otra URL. Sin `v` (o con una huella
+   *   antigua), la caché debe revalidarlo en cada uso (`no-cache`).
+   * - Si el usuario no existe o no tiene avatar, responde con código 404.
+   *
+   * @route GET /users/:id/avatar
+   * @access Público
+   * @param {number} req.params.id - ID del usuario
+   * @returns {Image} Avatar o mensaje de error
+   */
+  app.get('/users/:id/avatar', validate({ params: userIdParamsSchema, query: avatarQuerySchema }), async (req, res) => {
+    const user = await userStore.findById(req.params.id)
+    const data = user?.avatarUrl ? await fileStorage.read(avatarKey(user.id)) : null
+    if (!data) {
+      throw new NotFoundError('El usuario no tiene avatar.')
+    }
+
+    const fingerprint = avatarFingerprint(data)
+    res.set({
+      'Content-Type': detectFileType(data) || 'application/octet-stream',
+      ETag: `"${fingerprint}"`,
+      'Cache-Control': req.query.v === fingerprint ? 'public, max-age=31536000, immutable' : 'public, no-cache',
+      'X-Content-Type-Options': 'nosniff'
+    })
+    res.send(data)
+  })
+
+  /**
+   * Elimina el avatar de un usuario: borra el archivo y deja `avatarUrl` en `null`.
+   *
+   * - Si el usuario no existe o no tiene avatar, responde con código 404.
+   * - Si se elimina correctamente, lo registra en el historial de auditoría y responde con
+   *   código 204 (sin contenido).
+   *
+   * @route DELETE /users/:id/avatar
+   * @access Privado (administrador o el propio usuario)
+   * @param {number} req.params.id - ID del usuario
+   * @returns {204 No Content | 404 Not Found}
+   */
+  app.delete('/users/:id/avatar', authenticateToken, authorizeSelfOrAdmin(), requireScope('users:write'), validate({ params: userIdParamsSchema }), async (req, res) => {
+    const userId = req.params.id
+    const before = await userStore.findById(userId)
+    if (!before?.avatarUrl) {
+      throw new NotFoundError('El usuario no tiene avatar.')
+    }
+
+    const updatedUser = await userStore.update(userId, { avatarUrl: null })
+    if (!updatedUser) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    await fileStorage.remove(avatarKey(userId))
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_UPDATED, targetId: userId, before, after: updatedUser })
+    publishUserEvent(USER_EVENTS.UPDATED, updatedUser)
+    res.status(204).send()
+  })
+
+  /**
+   * Ruta de prueba que genera un error intencional.
+   *
+   * Su objetivo es probar el middleware global de manejo de errores.
+   * Llama a `next()` con una instancia de Error.
+   *
+   * @route GET /error
+   * @throws {Error} Error intencional para pruebas
+   */
+  app.get('/error', (req, res, next) => {
+    next(new Error('Error intencional'))
+  })
+
+  /**
+   * Obtiene la lista completa de usuarios mediante una solicitud GET.
+   *
+   * Utiliza el almacén de usuarios, igual que `GET /users`, y admite los mismos
+   * parámetros de paginación, orden y filtros. Con `includeDeleted=true` incluye
+   * también los usuarios eliminados (con su fecha `deletedAt`).
+   *
+   * - Si la operación es exitosa, responde con la página de usuarios (sin contraseñas).
+   * - Si ocurre un error al consultar la base de datos, lo pasa al manejador de errores.
+   *
+   * @route GET /db-users
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Página de usuarios o mensaje de error en caso de fallo
+   */
+  app.get('/db-users', authenticateToken, authorize('ADMIN'), requireScope('users:read'), validate({ query: adminListUsersQuerySchema }), async(req, res) => {
+    const { name, email, role, includeDeleted } = req.query
+    const page = await findUsersPage(req, { name, email, role }, { includeDeleted })
+    res.set('ETag', pageETag(page)).json(page)
+  })
+
+  /**
+   * Ruta protegida de prueba
+   * 
+   * Esta ruta solo es accesible si el usuario incluye un token JWT válido
+   * en el encabezado `Authorization: Bearer <token>`.
+   * 
+   * El middleware `authenticateToken` se encarga de verificar el token.
+   * Si es válido, permite el acceso a esta ruta.
+   * 
+   * @route GET /protected-route
+   * @access Privado (requiere token)
+  */
+  app.get('/protected-route', authenticateToken, (req, res) => {
+    res.send('Esta es una ruta protegida')
+  })
+
+  /**
+   * Ruta para registrar un nuevo usuario.
+   * 
+   * - Recibe `email`, `password` y `name` desde el cuerpo de la solicitud (`req.body`),
+   *   validados con `createUserSchema` (el rol enviado por el cliente se descarta).
+   * - Encripta la contraseña usando bcrypt antes de guardarla.
+   * - Crea un nuevo usuario en el almacén de usuarios con rol predeterminado 'USER'.
+   * 
+   * - Envía un correo con el enlace para verificar la dirección de email. Si el envío falla,
+   *   el alta no se deshace: se registra el error y el usuario puede pedir otro enlace con
+   *   `POST /verify-email/resend`. Con `USER_STORE=file` no se envía (los tokens de
+   *   verificación necesitan los usuarios en la base de datos).
+   * 
+   * Respuestas:
+   * - 201: Usuario creado exitosamente.
+   * - 409: El correo ya está registrado (también si pertenece a un usuario eliminado).
+   * - 422: Datos inválidos (lista de errores por campo).
+   * - 500: Error interno si falla la operación en la base de datos.
+   * 
+   * @route POST /register
+   * @access Público
+   */
+  app.post('/register', limitByIp('register'), validate({ body: createUserSchema }), async (req, res) => {
+    const { email, password, name } = req.body
+    if (await userStore.findByEmail(email, { includeDeleted: true })) {
+      throw new ConflictError('El correo electrónico ya está registrado.')
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10)
+
+    const newUser = await userStore.create({
       email,
       password: hashedPassword,
       name,
       role: 'USER'
+    })
+
+    await recordAudit(prisma, req, {
+      action: AUDIT_ACTIONS.USER_REGISTERED,
+      targetId: newUser.id,
+      actorId: newUser.id,
+      after: newUser
+    })
+    publishUserEvent(USER_EVENTS.REGISTERED, newUser)
+
+    if (userStore.type === 'prisma') {
+      await trySendVerification(req, newUser)
     }
+
+    res.status(201).json({ 
+      message: 'Usuario creado con exito',
+      user: omitPassword(newUser)
+    })
   })
 
-  res.status(201).json({ 
-    message: 'Usuario creado con exito',
-    user: newUser
+  /**
+   * Ruta para iniciar sesión.
+   * 
+   * - Recibe `email` y `password` desde el cuerpo de la solicitud (`req.body`).
+   * - Busca el usuario en el almacén de usuarios y compara la contraseña con el hash guardado usando bcrypt.
+   * - Si las credenciales son correctas, crea una nueva sesión y devuelve un token de acceso
+   *   de corta duración junto con un token de refresco.
+   * 
+   * - Si `REQUIRE_EMAIL_VERIFICATION=true`, rechaza a los usuarios que aún no verificaron su correo.
+   * - Limita los intentos por IP y por cuenta, y bloquea la cuenta de forma progresiva tras
+   *   varias contraseñas incorrectas seguidas (ver `utils/loginLockout.js`).
+   * 
+   * Respuestas:
+   * - 200: Credenciales válidas, devuelve `accessToken`, `refreshToken`, `tokenType` y `expiresIn`.
+   * - 401: Credenciales inválidas.
+   * - 403: El correo no está verificado (solo con `REQUIRE_EMAIL_VERIFICATION=true`).
+   * - 422: No se enviaron `email` o `password`.
+   * - 429: Demasiados intentos o cuenta bloqueada (cabecera `Retry-After`).
+   * - 501: La aplicación usa USER_STORE=file (las sesiones necesitan los usuarios en la base de datos).
+   * 
+   * @route POST /login
+   * @access Público
+   */
+  app.post('/login', limitByIp('login'), requirePrismaUserStore, validate({ body: loginSchema }), limitByAccount('login'), async (req, res) => {
+    const { email, password } = req.body
+
+    const lockSeconds = await loginLockout.getLock(email)
+    if (lockSeconds > 0) {
+      res.set('Retry-After', String(lockSeconds))
+      throw new TooManyRequestsError('Cuenta bloqueada temporalmente por demasiados intentos fallidos.', {
+        retryAfter: lockSeconds
+      })
+    }
+
+    const user = await userStore.findByEmail(email)
+    const isValidPassword = user?.password ? await bcrypt.compare(password, user.password) : false
+    if (!isValidPassword) {
+      await loginLockout.registerFailure(email)
+      throw new UnauthorizedError('Credenciales inválidas.')
+    }
+    await loginLockout.reset(email)
+    if (settings.requireEmailVerification && !user.emailVerifiedAt) {
+      throw new ForbiddenError('Debes verificar tu correo electrónico antes de iniciar sesión.')
+    }
+
+    const tokens = await issueTokens(prisma, user, settings.auth)
+    res.json(tokens)
   })
-})
 
-// =======================
-// INICIO DEL SERVIDOR
-// =======================
-// Se pone en marcha el servidor Express en el puerto definido.
-// Muestra en consola la URL local para verificar que está activo.
-/**
- * Inicia el servidor Express en el puerto definido por la constante `PORT`.
- *
- * Una vez iniciado, muestra un mensaje en la consola con la URL local del servidor.
- *
- * @function app.listen
- * @param {number} PORT - Puerto en el que se ejecuta el servidor
- */
-app.listen(PORT, () => {
-  console.log(`Servidor: http://localhost:${PORT}`)   
-})
\ No newline at end of file
+  /**
+   * Ruta para rotar el token de refresco.
+   * 
+   * - Recibe `refreshToken` desde el cuerpo de la solicitud (`req.body`).
+   * - Busca el token por su hash. Si es válido, lo revoca y emite un nuevo par de tokens
+   *   dentro de la misma sesión (los datos del usuario se leen de nuevo, por ejemplo el rol).
+   * - Si se presenta un token que ya fue revocado, se asume que fue robado y se revoca
+   *   la sesión completa. Ver `rotateRefreshToken` en `utils/tokens.js`.
+   * 
+   * Respuestas:
+   * - 200: Nuevo par de tokens.
+   * - 401: Token desconocido, revocado o expirado.
+   * - 422: No se envió `refreshToken`.
+   * - 501: La aplicación usa USER_STORE=file.
+   * 
+   * @route POST /token/refresh
+   * @access Público (requiere token de refresco)
+   */
+  app.post('/token/refresh', limitByIp('token-refresh'), requirePrismaUserStore, validate({ body: refreshTokenSchema }), async (req, res) => {
+    const { refreshToken } = req.body
+
+    const { tokens, error } = await rotateRefreshToken(prisma, refreshToken, {
+      findUser: (id) => userStore.findById(id),
+      auth: settings.auth
+    })
+    if (error) {
+      throw new UnauthorizedError(error)
+    }
+    res.json(tokens)
+  })
+
+  /**
+   * Ruta para cerrar sesión.
+   * 
+   * - Recibe `refreshToken` desde el cuerpo de la solicitud (`req.body`).
+   * - Revoca todos los tokens de la sesión a la que pertenece, de modo que
+   *   `authenticateToken` rechaza también los tokens de acceso emitidos para ella.
+   * 
+   * Respuestas:
+   * - 204: Sesión cerrada (también si el token ya estaba revocado o no existe).
+   * - 422: No se envió `refreshToken`.
+   * - 501: La aplicación usa USER_STORE=file.
+   * 
+   * @route POST /logout
+   * @access Público (requiere token de refresco)
+   */
+  app.post('/logout', requirePrismaUserStore, validate({ body: refreshTokenSchema }), async (req, res) => {
+    const { refreshToken } = req.body
+
+    const storedToken = await prisma.refreshTokens.findUnique({
+      where: { tokenHash: hashToken(refreshToken) }
+    })
+    if (storedToken) {
+      await revokeSession(prisma, storedToken.sessionId)
+    }
+    res.status(204).send()
+  })
+
+  /**
+   * Ruta para verificar el correo electrónico.
+   * 
+   * - Recibe el `token` enviado por correo al registrarse.
+   * - Si es válido, lo marca como usado y guarda la fecha de verificación del usuario.
+   * 
+   * Respuestas:
+   * - 200: Correo verificado.
+   * - 400: Token inválido, expirado o ya usado.
+   * - 422: No se envió `token`.
+   * - 501: La aplicación usa USER_STORE=file.
+   * 
+   * @route POST /verify-email
+   * @access Público (requiere token de verificación)
+   */
+  app.post('/verify-email', limitByIp('verify-email'), requirePrismaUserStore, validate({ body: verifyEmailSchema }), async (req, res) => {
+    const userToken = await consumeUserToken(prisma, req.body.token, 'EMAIL_VERIFICATION')
+    if (!userToken) {
+      throw new BadRequestError('Token inválido o expirado.')
+    }
+
+    const before = await userStore.findById(userToken.userId)
+    const user = await userStore.update(userToken.userId, { emailVerifiedAt: new Date() })
+    if (user) {
+      await recordAudit(prisma, req, {
+        action: AUDIT_ACTIONS.USER_EMAIL_VERIFIED,
+        targetId: user.id,
+        actorId: user.id,
+        before,
+        after: user
+      })
+      publishUserEvent(USER_EVENTS.UPDATED, user)
+    }
+    res.json({ message: 'Correo verificado con exito' })
+  })
+
+  /**
+   * Ruta para reenviar el correo de verificación.
+   * 
+   * - Recibe `email` desde el cuerpo de la solicitud.
+   * - Si el usuario existe y aún no está verificado, genera un token nuevo (los anteriores
+   *   dejan de servir) y lo envía por correo.
+   * - La respuesta es siempre la misma para no revelar qué correos están registrados.
+   * 
+   * Respuestas:
+   * - 202: Solicitud aceptada.
+   * - 422: Correo inválido.
+   * - 501: La aplicación usa USER_STORE=file.
+   * 
+   * @route POST /verify-email/resend
+   * @access Público
+   */
+  app.post('/verify-email/resend', limitByIp('verify-email-resend'), requirePrismaUserStore, validate({ body: emailSchema }), limitByAccount('verify-email-resend'), async (req, res) => {
+    const user = await userStore.findByEmail(req.body.email)
+    if (user && !user.emailVerifiedAt) {
+      await sendVerification(user)
+    }
+    res.status(202).json({ message: 'Si el correo está registrado y sin verificar, recibirás un nuevo enlace.' })
+  })
+
+  /**
+   * Ruta para solicitar el restablecimiento de la contraseña.
+   * 
+   * - Recibe `email` desde el cuerpo de la solicitud.
+   * - Si el usuario existe, le envía un token de un solo uso con validez limitada
+   *   (`PASSWORD_RESET_TOKEN_TTL_MINUTES`).
+   * - La respuesta es siempre la misma para no revelar qué correos están registrados.
+   * 
+   * Respuestas:
+   * - 202: Solicitud aceptada.
+   * - 422: Correo inválido.
+   * - 501: La aplicación usa USER_STORE=file.
+   * 
+   * @route POST /password/forgot
+   * @access Público
+   */
+  app.post('/password/forgot', limitByIp('password-forgot'), requirePrismaUserStore, validate({ body: emailSchema }), limitByAccount('password-forgot'), async (req, res) => {
+    const user = await userStore.findByEmail(req.body.email)
+    if (user) {
+      const ttlMs = settings.accountTokens.passwordResetTtlMs
+      const resetToken = await createUserToken(prisma, user.id, 'PASSWORD_RESET', ttlMs)
+      await sendPasswordResetEmail(mailer, user, resetToken, { appUrl: settings.appUrl, ttlMs })
+    }
+    res.status(202).json({ message: 'Si el correo está registrado, recibirás un enlace para restablecer la contraseña.' })
+  })
+
+  /**
+   * Ruta para restablecer la contraseña.
+   * 
+   * - Recibe el `token` enviado por correo y la nueva `password`.
+   * - Si el token es válido, lo marca como usado, guarda el nuevo hash de la contraseña,
+   *   revoca todas las sesiones abiertas del usuario y desbloquea su cuenta.
+   * 
+   * Respuestas:
+   * - 200: Contraseña actualizada.
+   * - 400: Token inválido, expirado o ya usado.
+   * - 422: Datos inválidos (lista de errores por campo).
+   * - 501: La aplicación usa USER_STORE=file.
+   * 
+   * @route POST /password/reset
+   * @access Público (requiere token de restablecimiento)
+   */
+  app.post('/password/reset', limitByIp('password-reset'), requirePrismaUserStore, validate({ body: resetPasswordSchema }), async (req, res) => {
+    const { token, password } = req.body
+
+    const userToken = await consumeUserToken(prisma, token, 'PASSWORD_RESET')
+    if (!userToken) {
+      throw new BadRequestError('Token inválido o expirado.')
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10)
+    const before = await userStore.findById(userToken.userId)
+    const user = await userStore.update(userToken.userId, { password: hashedPassword })
+    if (!user) {
+      throw new BadRequestError('Token inválido o expirado.')
+    }
+    await recordAudit(prisma, req, {
+      action: AUDIT_ACTIONS.USER_PASSWORD_RESET,
+      targetId: user.id,
+      actorId: user.id,
+      before,
+      after: user
+    })
+    await revokeUserSessions(prisma, userToken.userId)
+    await loginLockout.reset(user.email)
+
+    res.json({ message: 'Contraseña actualizada con exito. Inicia sesión de nuevo.' })
+  })
+
+  /**
+   * Cambia el rol de un usuario de la base de datos.
+   * 
+   * Función auxiliar compartida por las rutas de promoción y degradación.
+   * 
+   * - Si un administrador intenta quitarse a sí mismo el rol, lanza un `BadRequestError` (400)
+   *   para evitar que la aplicación se quede sin administradores por error.
+   * - Si el usuario no existe, lanza un `NotFoundError` (404).
+   * - Si todo es correcto, responde con el usuario actualizado (sin la contraseña).
+   * 
+   * @param {string} role - Nuevo rol (`ADMIN` o `USER`)
+   * @returns {Function} Manejador de Express
+   */
+  const changeRole = (role) => async (req, res) => {
+    const userId = req.params.id
+    if (role !== 'ADMIN' && userId === req.user.id) {
+      throw new BadRequestError('Un administrador no puede quitarse su propio rol.')
+    }
+
+    const before = await userStore.findById(userId)
+    const updatedUser = await userStore.update(userId, { role })
+    if (!updatedUser) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_ROLE_CHANGED, targetId: userId, before, after: updatedUser })
+    publishUserEvent(USER_EVENTS.UPDATED, updatedUser)
+    res.json(omitPassword(updatedUser))
+  }
+
+  /**
+   * Promueve un usuario al rol `ADMIN`.
+   * 
+   * El nuevo rol se refleja en los tokens de acceso emitidos a partir del siguiente
+   * inicio de sesión o refresco de tokens.
+   * 
+   * @route POST /db-users/:id/promote
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID del usuario a promover
+   * @returns {JSON} Usuario actualizado o mensaje de error
+   */
+  app.post(
+    '/db-users/:id/promote',
+    authenticateToken,
+    authorize('ADMIN'),
+    requireScope('users:write'),
+    validate({ params: userIdParamsSchema }),
+    changeRole('ADMIN')
+  )
+
+  /**
+   * Degrada un usuario al rol `USER`.
+   * 
+   * Un administrador no puede degradarse a sí mismo.
+   * 
+   * @route POST /db-users/:id/demote
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID del usuario a degradar
+   * @returns {JSON} Usuario actualizado o mensaje de error
+   */
+  app.post(
+    '/db-users/:id/demote',
+    authenticateToken,
+    authorize('ADMIN'),
+    requireScope('users:write'),
+    validate({ params: userIdParamsSchema }),
+    changeRole('USER')
+  )
+
+  // =======================
+  // CUENTA DEL USUARIO AUTENTICADO
+  // =======================
+  // Rutas de autoservicio: el usuario se identifica con el token de acceso (`req.user.id`),
+  // así que no puede consultar ni modificar otras cuentas.
+
+  /**
+   * Obtiene el usuario del token de acceso, o lanza un `NotFoundError` (404) si ya no
+   * existe (por ejemplo, si la cuenta se cerró con un token que no pertenece a una sesión).
+   * 
+   * @param {Object} req - Objeto de solicitud HTTP (con `req.user`)
+   * @returns {Promise<Object>} Usuario completo
+   */
+  const findCurrentUser = async (req) => {
+    const user = await userStore.findById(req.user.id)
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    return user
+  }
+
+  /**
+   * Devuelve los datos del usuario autenticado (sin contraseña).
+   * 
+   * @route GET /me
+   * @access Privado (requiere token)
+   * @returns {JSON} Usuario autenticado
+   */
+  app.get('/me', authenticateToken, denyApiKeys(), async (req, res) => {
+    res.json(omitPassword(await findCurrentUser(req)))
+  })
+
+  /**
+   * Actualiza el nombre y/o el correo del usuario autenticado.
+   * 
+   * - Si el correo pertenece a otro usuario, responde con código 409.
+   * - Si el correo cambia, queda sin verificar y se envía el enlace de verificación a la
+   *   nueva dirección (solo con los usuarios en la base de datos, como en `POST /register`).
+   * - Si la cuenta se elimina mientras tanto, responde con código 404.
+   * - Registra el cambio en el historial de auditoría.
+   * 
+   * @route PATCH /me
+   * @access Privado (requiere token)
+   * @param {Object} req.body - `name` y/o `email`
+   * @returns {JSON} Usuario actualizado (sin contraseña)
+   */
+  app.patch('/me', authenticateToken, denyApiKeys(), validate({ body: updateMeSchema }), async (req, res) => {
+    const before = await findCurrentUser(req)
+    const changes = { ...req.body }
+    const emailChanged = changes.email !== undefined && changes.email !== before.email
+
+    if (emailChanged) {
+      await assertEmailAvailable(changes.email, before.id)
+      changes.emailVerifiedAt = null
+    }
+
+    const user = await userStore.update(before.id, changes)
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_UPDATED, targetId: user.id, before, after: user })
+    publishUserEvent(USER_EVENTS.UPDATED, user)
+
+    if (emailChanged && userStore.type === 'prisma') {
+      await trySendVerification(req, user)
+    }
+    res.json(omitPassword(user))
+  })
+
+  /**
+   * Cambia la contraseña del usuario autenticado.
+   * 
+   * - Comprueba la contraseña actual con bcrypt; si no coincide, responde con código 422
+   *   (error en el campo `currentPassword`).
+   * - Guarda el hash de la nueva contraseña y cierra las demás sesiones del usuario;
+   *   la sesión actual sigue activa.
+   * - Registra el cambio en el historial de auditoría.
+   * 
+   * @route POST /me/password
+   * @access Privado (requiere token)
+   * @param {Object} req.body - `currentPassword` y `newPassword`
+   * @returns {204 No Content | 422 Unprocessable Entity}
+   */
+  app.post('/me/password', limitByIp('me-password'), authenticateToken, denyApiKeys(), validate({ body: changePasswordSchema }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body
+    const before = await findCurrentUser(req)
+
+    if (!(await bcrypt.compare(currentPassword, before.password))) {
+      throw new ValidationError([
+        { location: 'body', field: 'currentPassword', message: 'La contraseña actual no es correcta.' }
+      ])
+    }
+
+    const user = await userStore.update(before.id, { password: await bcrypt.hash(newPassword, 10) })
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    await revokeUserSessions(prisma, user.id, { exceptSessionId: req.user.sid })
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_PASSWORD_CHANGED, targetId: user.id, before, after: user })
+    res.status(204).send()
+  })
+
+  /**
+   * Cierra la cuenta del usuario autenticado.
+   * 
+   * - Elimina el usuario (borrado lógico, igual que `DELETE /users/:id`): un administrador
+   *   puede restaurarlo hasta que se purgue.
+   * - Revoca todas sus sesiones, así que sus tokens dejan de ser válidos.
+   * - Registra el cierre en el historial de auditoría.
+   * 
+   * @route DELETE /me
+   * @access Privado (requiere token)
+   * @returns {204 No Content}
+   */
+  app.delete('/me', authenticateToken, denyApiKeys(), async (req, res) => {
+    const before = await findCurrentUser(req)
+    await userStore.remove(before.id)
+    await revokeUserSessions(prisma, before.id)
+    await recordAudit(prisma, req, { action: AUDIT_ACTIONS.USER_DELETED, targetId: before.id, before })
+    publishUserEvent(USER_EVENTS.DELETED, before)
+    res.status(204).send()
+  })
+
+  // =======================
+  // CLAVES DE API
+  // =======================
+  // Los administradores crean, listan y revocan las claves que usan otros servicios.
+  // Las claves no pueden gestionarse con otra clave (`denyApiKeys`) y, como guardan el ID de
+  // su dueño en la tabla `Users`, no están disponibles con USER_STORE=file (`requirePrismaUserStore`).
+
+  /**
+   * Crea una clave de API.
+   * 
+   * Cuerpo (validado con `createApiKeySchema`):
+   * - `name`: nombre descriptivo de la clave.
+   * - `scopes`: alcances de la clave (`users:read`, `appointments:write`, ...).
+   * - `ownerId` (opcional): usuario en cuyo nombre actúa; por defecto, el administrador autenticado.
+   * - `expiresAt` (opcional): fecha de expiración (ISO 8601, en el futuro).
+   * 
+   * Respuestas:
+   * - 201: Clave creada. `key` es la clave en texto plano: solo se muestra en esta respuesta.
+   * - 404: El usuario `ownerId` no existe.
+   * - 422: Datos inválidos o `expiresAt` en el pasado.
+   * 
+   * @route POST /api-keys
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Clave creada, con `key`
+   */
+  app.post('/api-keys', requirePrismaUserStore, authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ body: createApiKeySchema }), async (req, res) => {
+    const { name, scopes, ownerId = req.user.id, expiresAt } = req.body
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new ValidationError([
+        { location: 'body', field: 'expiresAt', message: 'Debe ser una fecha futura.' }
+      ])
+    }
+    if (!(await userStore.findById(ownerId))) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+
+    const { apiKey, key } = await createApiKey(prisma, {
+      name,
+      scopes,
+      ownerId,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    })
+    res.status(201).json({ ...omitKeyHash(apiKey), key })
+  })
+
+  /**
+   * Lista las claves de API, de la más reciente a la más antigua. Nunca incluye la clave
+   * ni su hash: solo `prefix` para reconocerla.
+   * 
+   * Parámetros de `req.query` (validados con `listApiKeysQuerySchema`):
+   * - `ownerId`: solo las claves de ese usuario.
+   * - `includeRevoked`: incluye también las claves revocadas.
+   * - `page` y `limit`: paginación.
+   * 
+   * @route GET /api-keys
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Página de claves
+   */
+  app.get('/api-keys', requirePrismaUserStore, authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ query: listApiKeysQuerySchema }), async (req, res) => {
+    const { page, limit, ownerId, includeRevoked } = req.query
+    const where = {
+      ownerId,
+      ...(!includeRevoked && { revokedAt: null })
+    }
+    const [items, total] = await prisma.$transaction([
+      prisma.apiKeys.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.apiKeys.count({ where })
+    ])
+    res.json(paginate(req, { items: items.map(omitKeyHash), total, page, limit }))
+  })
+
+  /**
+   * Revoca una clave de API: deja de aceptarse de inmediato. La clave se conserva
+   * (con `revokedAt`) para consultar su historial.
+   * 
+   * Respuestas:
+   * - 204: Clave revocada.
+   * - 404: La clave no existe o ya estaba revocada.
+   * 
+   * @route DELETE /api-keys/:id
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID de la clave
+   * @returns {204 No Content}
+   */
+  app.delete('/api-keys/:id', requirePrismaUserStore, authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ params: apiKeyIdParamsSchema }), async (req, res) => {
+    const { count } = await prisma.apiKeys.updateMany({
+      where: { id: req.params.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    })
+    if (count === 0) {
+      throw new NotFoundError('Clave de API no encontrada.')
+    }
+    res.status(204).send()
+  })
+
+  // =======================
+  // WEBHOOKS
+  // =======================
+  // Los administradores gestionan las suscripciones y consultan el registro de entregas.
+  // Las entregas las hace el proceso de `server.js` (ver `utils/webhooks.js`).
+
+  /**
+   * Busca una suscripción o lanza un `NotFoundError` (404).
+   * 
+   * @param {number} id - ID de la suscripción
+   * @returns {Promise<Object>} Suscripción
+   */
+  const findWebhook = async (id) => {
+    const subscription = await prisma.webhookSubscriptions.findUnique({ where: { id } })
+    if (!subscription) {
+      throw new NotFoundError('Webhook no encontrado.')
+    }
+    return subscription
+  }
+
+  /**
+   * Crea una suscripción a eventos.
+   * 
+   * Cuerpo (validado con `createWebhookSchema`):
+   * - `url`: dirección http(s) que recibe los eventos con POST.
+   * - `events` (opcional): eventos que recibe (`user.created`, ...); vacío o ausente: todos.
+   * - `secret` (opcional): secreto para firmar las entregas; si no se envía, se genera.
+   * - `active` (opcional): si recibe eventos (por defecto `true`).
+   * 
+   * Respuestas:
+   * - 201: Suscripción creada, con `secret`: es la única respuesta que lo incluye.
+   * 
+   * @route POST /webhooks
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Suscripción creada
+   */
+  app.post('/webhooks', authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ body: createWebhookSchema }), async (req, res) => {
+    const { url, events: eventTypes, secret = generateWebhookSecret(), active } = req.body
+    const subscription = await prisma.webhookSubscriptions.create({
+      data: { url, events: eventTypes, secret, active }
+    })
+    res.status(201).json(subscription)
+  })
+
+  /**
+   * Lista las suscripciones, sin sus secretos.
+   * 
+   * @route GET /webhooks
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Página de suscripciones
+   */
+  app.get('/webhooks', authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ query: listWebhooksQuerySchema }), async (req, res) => {
+    const { page, limit } = req.query
+    const [items, total] = await prisma.$transaction([
+      prisma.webhookSubscriptions.findMany({ orderBy: { id: 'asc' }, skip: (page - 1) * limit, take: limit }),
+      prisma.webhookSubscriptions.count()
+    ])
+    res.json(paginate(req, { items: items.map(omitSecret), total, page, limit }))
+  })
+
+  /**
+   * Modifica una suscripción (URL, eventos, secreto o si está activa). Las entregas ya
+   * encoladas conservan su evento, pero se firman y envían con los datos nuevos.
+   * 
+   * @route PATCH /webhooks/:id
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID de la suscripción
+   * @returns {JSON} Suscripción actualizada (sin secreto)
+   */
+  app.patch('/webhooks/:id', authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ params: webhookIdParamsSchema, body: updateWebhookSchema }), async (req, res) => {
+    await findWebhook(req.params.id)
+    const subscription = await prisma.webhookSubscriptions.update({ where: { id: req.params.id }, data: req.body })
+    res.json(omitSecret(subscription))
+  })
+
+  /**
+   * Elimina una suscripción junto con su registro de entregas.
+   * 
+   * @route DELETE /webhooks/:id
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID de la suscripción
+   * @returns {204 No Content}
+   */
+  app.delete('/webhooks/:id', authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ params: webhookIdParamsSchema }), async (req, res) => {
+    await findWebhook(req.params.id)
+    await prisma.webhookSubscriptions.delete({ where: { id: req.params.id } })
+    res.status(204).send()
+  })
+
+  /**
+   * Registro de entregas de una suscripción, de la más reciente a la más antigua: estado,
+   * intentos, último código de respuesta o error y próximo intento.
+   * 
+   * Parámetros de `req.query` (validados con `listDeliveriesQuerySchema`):
+   * - `status`: `PENDING`, `SUCCEEDED` o `FAILED`.
+   * - `event`: tipo de evento.
+   * - `page` y `limit`: paginación.
+   * 
+   * @route GET /webhooks/:id/deliveries
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID de la suscripción
+   * @returns {JSON} Página de entregas
+   */
+  app.get('/webhooks/:id/deliveries', authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ params: webhookIdParamsSchema, query: listDeliveriesQuerySchema }), async (req, res) => {
+    await findWebhook(req.params.id)
+    const { page, limit, status, event } = req.query
+    const where = { subscriptionId: req.params.id, status, event }
+    const [items, total] = await prisma.$transaction([
+      prisma.webhookDeliveries.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.webhookDeliveries.count({ where })
+    ])
+    res.json(paginate(req, { items, total, page, limit }))
+  })
+
+  /**
+   * Vuelve a encolar una entrega (por ejemplo, una `FAILED` después de arreglar el receptor).
+   * Se intenta en la siguiente revisión de la cola, con todos los reintentos disponibles.
+   * 
+   * Respuestas:
+   * - 202: Entrega encolada.
+   * - 404: La entrega no existe.
+   * - 409: La entrega ya está pendiente.
+   * 
+   * @route POST /webhooks/deliveries/:id/redeliver
+   * @access Privado (solo ADMIN)
+   * @param {number} req.params.id - ID de la entrega
+   * @returns {JSON} Entrega encolada
+   */
+  app.post('/webhooks/deliveries/:id/redeliver', authenticateToken, authorize('ADMIN'), denyApiKeys(), validate({ params: webhookIdParamsSchema }), async (req, res) => {
+    const delivery = await prisma.webhookDeliveries.findUnique({ where: { id: req.params.id } })
+    if (!delivery) {
+      throw new NotFoundError('Entrega no encontrada.')
+    }
+    const { count } = await prisma.webhookDeliveries.updateMany({
+      where: { id: delivery.id, status: { not: 'PENDING' } },
+      data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date(), deliveredAt: null }
+    })
+    if (count === 0) {
+      throw new ConflictError('La entrega ya está pendiente.')
+    }
+    res.status(202).json(await prisma.webhookDeliveries.findUnique({ where: { id: delivery.id } }))
+  })
+
+  // =======================
+  // CAMBIOS EN TIEMPO REAL
+  // =======================
+
+  /**
+   * Envía los cambios de usuarios a medida que ocurren, como Server-Sent Events.
+   *
+   * - Eventos: `user.created` (altas y registros), `user.updated`, `user.deleted` y
+   *   `user.restored`. Cada uno lleva un `id:` creciente y en `data` el cambio en JSON:
+   *   `{ id, type, occurredAt, user }` (el usuario sin contraseña).
+   * - Un administrador recibe los cambios de todos los usuarios; el resto, solo los de su
+   *   propio usuario. El rol es el que tenía al conectarse.
+   * - Al reconectarse, el navegador envía `Last-Event-ID` y se le reenvían los cambios que
+   *   se perdió. Si ya no están en memoria, recibe un evento `reset` y debe volver a cargar `/users`.
+   * - Cada `heartbeatMs` se envía un comentario (`: ping`) para que los proxies no cierren
+   *   la conexión por inactividad.
+   * - En cada latido se comprueba de nuevo la credencial: si la sesión se revocó (logout,
+   *   cambio de contraseña, ...), el token de acceso expiró o la clave de API ya no está activa,
+   *   se envía un evento `unauthorized` y se cierra el stream. El cliente debe reconectarse
+   *   con un token nuevo.
+   *
+   * El `EventSource` nativo del navegador no permite enviar la cabecera `Authorization`: el
+   * panel debe leer el stream con `fetch` (o un `EventSource` que admita cabeceras).
+   *
+   * @route GET /events
+   * @access Privado (requiere token)
+   * @returns {SSE} Stream de cambios
+   */
+  app.get('/events', authenticateToken, requireScope('users:read'), (req, res) => {
+    const { heartbeatMs, retryMs } = settings.userFeed
+    const isAdmin = req.user.role === 'ADMIN'
+    const send = (change) => {
+      if (!isAdmin && change.user.id !== req.user.id) return
+      res.write(formatSseMessage({ id: change.id, event: change.type, data: change }))
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Desactiva el búfer de nginx, que retrasaría los eventos.
+      'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+    res.write(`retry: ${retryMs}\n\n`)
+
+    const lastEventId = req.get('Last-Event-ID')
+    if (lastEventId !== undefined) {
+      const { changes, complete } = userFeed.since(/^\d+$/.test(lastEventId) ? Number(lastEventId) : -1)
+      if (complete) changes.forEach(send)
+      else res.write(formatSseMessage({ event: 'reset', data: { message: 'Se perdieron cambios; vuelve a cargar los usuarios.' } }))
+    }
+
+    // Indica si la credencial con la que se abrió el stream sigue siendo válida.
+    const isStillAuthorized = async () => {
+      if (req.auth.type === 'apiKey') return Boolean(await findActiveApiKey(prisma, req.get('X-API-Key')))
+      if (req.user.exp && req.user.exp * 1000 <= Date.now()) return false
+      return !req.user.sid || isSessionActive(prisma, req.user.sid)
+    }
+
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await isStillAuthorized())) {
+          res.write(formatSseMessage({ event: 'unauthorized', data: { message: 'La sesión ya no es válida.' } }))
+          return res.end()
+        }
+      } catch (error) {
+        // Un fallo de la base de datos no cierra el stream: se vuelve a comprobar en el siguiente latido.
+        logger.warn({ msg: 'event stream auth check failed', requestId: req.id, message: error.message })
+      }
+      if (!res.writableEnded) res.write(': ping\n\n')
+    }, heartbeatMs)
+    const unsubscribe = userFeed.subscribe({ onChange: send, onClose: () => res.end() })
+    res.on('close', () => {
+      clearInterval(heartbeat)
+      unsubscribe()
+    })
+  })
+
+  // =======================
+  // HISTORIAL DE AUDITORÍA
+  // =======================
+
+  /**
+   * Consulta el historial de cambios de usuarios.
+   * 
+   * Parámetros de `req.query` (validados con `listAuditQuerySchema`):
+   * - `target`: ID del usuario afectado.
+   * - `actor`: ID del usuario que hizo el cambio.
+   * - `action`: tipo de acción (`USER_UPDATED`, `USER_DELETED`, ...).
+   * - `from` y `to`: rango de fechas (ISO 8601, ambos incluidos).
+   * - `page` y `limit`: paginación.
+   * 
+   * Respuestas:
+   * - 200: Página de entradas, de la más reciente a la más antigua.
+   * - 422: Parámetros inválidos o `from` posterior a `to`.
+   * 
+   * @route GET /audit
+   * @access Privado (solo ADMIN)
+   * @returns {JSON} Página de entradas del historial
+   */
+  app.get('/audit', authenticateToken, authorize('ADMIN'), requireScope('audit:read'), validate({ query: listAuditQuerySchema }), async (req, res) => {
+    const { page, limit, target, actor, action, from, to } = req.query
+    if (from && to && new Date(from) > new Date(to)) {
+      throw new ValidationError([
+        { location: 'query', field: 'to', message: 'Debe ser posterior a `from`.' }
+      ])
+    }
+
+    const where = {
+      targetId: target,
+      actorId: actor,
+      action,
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lte: new Date(to) })
+        }
+      })
+    }
+    const [items, total] = await prisma.$transaction([
+      prisma.auditLogs.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLogs.count({ where })
+    ])
+    res.json(paginate(req, { items, total, page, limit }))
+  })
+
+  // =======================
+  // RUTAS DE CITAS
+  // =======================
+  // Todas las rutas de citas requieren un token válido. Un usuario solo puede ver y
+  // modificar sus propias citas; un administrador puede gestionar las de cualquiera.
+  // Las citas referencian a la tabla `Users`, así que con USER_STORE=file responden 501
+  // (ver `requirePrismaUserStore`).
+
+  /**
+   * Middleware que carga la cita indicada en `req.params.id` y la deja en `req.appointment`.
+   * Se usa después de validar los parámetros con `appointmentIdParamsSchema`.
+   * 
+   * - Si la cita no existe, lanza un `NotFoundError` (404).
+   * - Si la cita no pertenece al usuario autenticado (y no es ADMIN), lanza un `ForbiddenError` (403).
+   * 
+   * @param {Object} req - Objeto de solicitud HTTP
+   * @param {Object} res - Objeto de respuesta HTTP
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  const loadAppointment = async (req, res, next) => {
+    const appointment = await prisma.appointments.findUnique({ where: { id: req.params.id } })
+    if (!appointment) {
+      throw new NotFoundError('Cita no encontrada.')
+    }
+    if (req.user.role !== 'ADMIN' && appointment.userId !== req.user.id) {
+      throw new ForbiddenError('Forbidden, not the owner of this resource')
+    }
+
+    req.appointment = appointment
+    next()
+  }
+
+  /**
+   * Crea una cita para un usuario comprobando que no se solape con otra cita activa suya.
+   * 
+   * La comprobación y la inserción se hacen dentro de una transacción serializable para que
+   * dos solicitudes simultáneas no puedan reservar el mismo horario.
+   * 
+   * - 422: La fecha de fin no es posterior a la de inicio.
+   * - 409: El horario se solapa con otra cita activa del usuario, o una solicitud simultánea
+   *   modificó sus citas (la transacción se abortó y se puede repetir).
+   * - 201: Cita creada.
+   * 
+   * @param {number} userId - Usuario dueño de la cita
+   * @param {Object} req - Objeto de solicitud HTTP
+   * @param {Object} res - Objeto de respuesta HTTP
+   */
+  const createAppointment = async (userId, req, res) => {
+    const validation = validateAppointment(req.body)
+    if (!validation.isValid) {
+      throw new ValidationError([
+        { location: 'body', field: validation.field, message: validation.error }
+      ])
+    }
+    const { startsAt, endsAt } = validation
+
+    const result = await runSerializable(prisma, async (tx) => {
+      const overlapping = await findOverlappingAppointment(tx, { userId, startsAt, endsAt })
+      if (overlapping) return { overlapping }
+
+      const appointment = await tx.appointments.create({
+        data: {
+          userId,
+          title: req.body.title,
+          notes: req.body.notes,
+          startsAt,
+          endsAt
+        }
+      })
+      return { appointment }
+    })
+
+    if (result.writeConflict) {
+      throw new ConflictError('Otra solicitud modificó las citas del usuario a la vez. Vuelve a intentarlo.')
+    }
+    if (result.overlapping) {
+      throw new ConflictError('El horario se solapa con otra cita del usuario.', {
+        conflictingAppointmentId: result.overlapping.id
+      })
+    }
+    res.status(201).json(result.appointment)
+  }
+
+  /**
+   * Lista las citas.
+   * 
+   * - Un usuario normal solo recibe sus propias citas.
+   * - Un administrador recibe todas, y puede filtrar por `userId`.
+   * - Se puede filtrar por estado con `status`.
+   * 
+   * @route GET /appointments
+   * @access Privado (requiere token)
+   * @param {string} [req.query.status] - Estado de las citas a listar
+   * @param {number} [req.query.userId] - Usuario dueño de las citas (solo ADMIN)
+   * @returns {JSON} Lista de citas ordenadas por fecha de inicio
+   */
+  app.get('/appointments', requirePrismaUserStore, authenticateToken, requireScope('appointments:read'), validate({ query: listAppointmentsQuerySchema }), async (req, res) => {
+    const { status } = req.query
+    const userId = req.user.role === 'ADMIN' ? req.query.userId : req.user.id
+
+    const appointments = await prisma.appointments.findMany({
+      where: { userId, status },
+      orderBy: { startsAt: 'asc' }
+    })
+    res.json(appointments)
+  })
+
+  /**
+   * Crea una cita para el usuario autenticado.
+   * 
+   * Un administrador puede crearla en nombre de otro usuario enviando `userId`.
+   * 
+   * @route POST /appointments
+   * @access Privado (requiere token)
+   * @param {Object} req.body - `title`, `startsAt`, `endsAt` y opcionalmente `notes`
+   * @returns {JSON} Cita creada (201) o mensaje de error (409, 422)
+   */
+  app.post('/appointments', requirePrismaUserStore, authenticateToken, requireScope('appointments:write'), validate({ body: createAppointmentSchema }), (req, res) => {
+    const userId = req.user.role === 'ADMIN' && req.body.userId
+      ? req.body.userId
+      : req.user.id
+    return createAppointment(userId, req, res)
+  })
+
+  /**
+   * Obtiene una cita por su ID.
+   * 
+   * @route GET /appointments/:id
+   * @access Privado (dueño de la cita o ADMIN)
+   * @param {number} req.params.id - ID de la cita
+   * @returns {JSON} Cita o mensaje de error (404, 403)
+   */
+  app.get('/appointments/:id', requirePrismaUserStore, authenticateToken, requireScope('appointments:read'), validate({ params: appointmentIdParamsSchema }), loadAppointment, (req, res) => {
+    res.json(req.appointment)
+  })
+  /**
+   * Actualiza el título, las notas o el horario de una cita.
+   * 
+   * - Solo se pueden modificar las citas activas (`SCHEDULED` o `CONFIRMED`); si no, responde con código 409.
+   * - Si cambia el horario, se vuelve a comprobar que no se solape con otra cita del usuario (409).
+   * - El estado se cambia con `PATCH /appointments/:id/status`.
+   * 
+   * @route PATCH /appointments/:id
+   * @access Privado (dueño de la cita o ADMIN)
+   * @param {number} req.params.id - ID de la cita
+   * @param {Object} req.body - Campos a actualizar (`title`, `notes`, `startsAt`, `endsAt`)
+   * @returns {JSON} Cita actualizada o mensaje de error
+   */
+  app.patch('/appointments/:id', requirePrismaUserStore, authenticateToken, requireScope('appointments:write'), validate({ params: appointmentIdParamsSchema, body: updateAppointmentSchema }), loadAppointment, async (req, res) => {
+    const current = req.appointment
+    if (!ACTIVE_STATUSES.includes(current.status)) {
+      throw new ConflictError('No se puede modificar una cita cancelada o completada.')
+    }
+
+    const validation = validateAppointment(req.body, current)
+    if (!validation.isValid) {
+      throw new ValidationError([
+        { location: 'body', field: validation.field, message: validation.error }
+      ])
+    }
+    const { startsAt, endsAt } = validation
+
+    const result = await runSerializable(prisma, async (tx) => {
+      const overlapping = await findOverlappingAppointment(tx, {
+        userId: current.userId,
+        startsAt,
+        endsAt,
+        excludeId: current.id
+      })
+      if (overlapping) return { overlapping }
+
+      const appointment = await tx.appointments.update({
+        where: { id: current.id },
+        data: {
+          title: req.body.title,
+          notes: req.body.notes,
+          startsAt,
+          endsAt
+        }
+      })
+      return { appointment }
+    })
+
+    if (result.writeConflict) {
+      throw new ConflictError('Otra solicitud modificó las citas del usuario a la vez. Vuelve a intentarlo.')
+    }
+    if (result.overlapping) {
+      throw new ConflictError('El horario se solapa con otra cita del usuario.', {
+        conflictingAppointmentId: result.overlapping.id
+      })
+    }
+    res.json(result.appointment)
+  })
+
+  /**
+   * Cambia el estado de una cita respetando su ciclo de vida:
+   * 
+   * - `SCHEDULED` -> `CONFIRMED` | `CANCELLED`
+   * - `CONFIRMED` -> `COMPLETED` | `CANCELLED`
+   * - `CANCELLED` y `COMPLETED` son estados finales.
+   * 
+   * Respuestas:
+   * - 200: Cita con el nuevo estado.
+   * - 409: Transición no permitida desde el estado actual.
+   * - 422: Estado desconocido.
+   * 
+   * @route PATCH /appointments/:id/status
+   * @access Privado (dueño de la cita o ADMIN)
+   * @param {number} req.params.id - ID de la cita
+   * @param {string} req.body.status - Nuevo estado
+   * @returns {JSON} Cita actualizada o mensaje de error
+   */
+  app.patch('/appointments/:id/status', requirePrismaUserStore, authenticateToken, requireScope('appointments:write'), validate({ params: appointmentIdParamsSchema, body: appointmentStatusSchema }), loadAppointment, async (req, res) => {
+    const { status } = req.body
+    if (!canTransition(req.appointment.status, status)) {
+      throw new ConflictError(`No se puede pasar una cita de ${req.appointment.status} a ${status}.`)
+    }
+
+    const appointment = await prisma.appointments.update({
+      where: { id: req.appointment.id },
+      data: { status }
+    })
+    res.json(appointment)
+  })
+
+  /**
+   * Elimina una cita.
+   * 
+   * @route DELETE /appointments/:id
+   * @access Privado (dueño de la cita o ADMIN)
+   * @param {number} req.params.id - ID de la cita
+   * @returns {204 No Content | 404 Not Found}
+   */
+  app.delete('/appointments/:id', requirePrismaUserStore, authenticateToken, requireScope('appointments:write'), validate({ params: appointmentIdParamsSchema }), loadAppointment, async (req, res) => {
+    await prisma.appointments.delete({ where: { id: req.appointment.id } })
+    res.status(204).send()
+  })
+
+  /**
+   * Lista las citas de un usuario.
+   * 
+   * @route GET /users/:id/appointments
+   * @access Privado (administrador o el propio usuario)
+   * @param {number} req.params.id - ID del usuario
+   * @param {string} [req.query.status] - Estado de las citas a listar
+   * @returns {JSON} Lista de citas ordenadas por fecha de inicio
+   */
+  app.get('/users/:id/appointments', requirePrismaUserStore, authenticateToken, authorizeSelfOrAdmin(), requireScope('appointments:read'), validate({ params: userIdParamsSchema, query: listAppointmentsQuerySchema }), async (req, res) => {
+    const appointments = await prisma.appointments.findMany({
+      where: { userId: req.params.id, status: req.query.status },
+      orderBy: { startsAt: 'asc' }
+    })
+    res.json(appointments)
+  })
+
+  /**
+   * Crea una cita para un usuario.
+   * 
+   * - Si el usuario no existe, responde con código 404.
+   * - El resto de reglas son las mismas que en `POST /appointments`.
+   * 
+   * @route POST /users/:id/appointments
+   * @access Privado (administrador o el propio usuario)
+   * @param {number} req.params.id - ID del usuario
+   * @param {Object} req.body - `title`, `startsAt`, `endsAt` y opcionalmente `notes`
+   * @returns {JSON} Cita creada (201) o mensaje de error (404, 409, 422)
+   */
+  app.post('/users/:id/appointments', requirePrismaUserStore, authenticateToken, authorizeSelfOrAdmin(), requireScope('appointments:write'), validate({ params: userIdParamsSchema, body: createAppointmentSchema }), async (req, res) => {
+    const userId = req.params.id
+    const user = await userStore.findById(userId)
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado.')
+    }
+    return createAppointment(userId, req, res)
+  })
+
+  // Documento OpenAPI, generado la primera vez que se pide (cuando ya están registradas todas las rutas).
+  let openApiSpec
+
+  /**
+   * Devuelve el documento OpenAPI 3 de la API.
+   * 
+   * Se construye recorriendo las rutas registradas: los parámetros y cuerpos salen de los
+   * esquemas de `validate` y la seguridad de `authenticateToken` y `authorize`, por lo que
+   * no se desincroniza del código. Los resúmenes y respuestas están en `schemas/openapi.js`.
+   * 
+   * @route GET /openapi.json
+   * @access Público
+   * @returns {JSON} Documento OpenAPI
+   */
+  app.get('/openapi.json', (req, res) => {
+    openApiSpec = openApiSpec || buildOpenApiSpec(app, {
+      info: {
+        title: 'API del Curso Express.js',
+        version,
+        description: 'Usuarios, autenticación con JWT y citas. Las rutas protegidas requieren `Authorization: Bearer <token>`; las que indican un alcance aceptan también una clave de API en `X-API-Key`.'
+      },
+      authenticate: authenticateToken,
+      routeDocs,
+      componentSchemas,
+      tags
+    })
+    res.json(openApiSpec)
+  })
+
+  /**
+   * Documentación interactiva (Swagger UI) que carga `/openapi.json`.
+   * 
+   * @route GET /docs
+   * @access Público
+   */
+  app.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+    customSiteTitle: 'Documentación de la API',
+    swaggerOptions: { url: '/openapi.json', persistAuthorization: true }
+  }))
+
+  // =======================
+  // RUTAS DESCONOCIDAS Y ERRORES
+  // =======================
+  // Se registran después de todas las rutas:
+  // - Cualquier solicitud que no coincide con una ruta termina en un `NotFoundError` (404).
+  // - `errorHandler` recibe todos los errores (incluidos los rechazos de los manejadores
+  //   asíncronos, que Express 5 pasa a `next` automáticamente) y responde con
+  //   `{ status, statusCode, message }`.
+  app.use((req, res, next) => {
+    next(new NotFoundError(`Ruta no encontrada: ${req.method} ${req.originalUrl}`))
+  })
+  app.use(errorHandler)
+
+  return app
+}
+
+module.exports = { createApp }
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+// ===============================================
+// CLI DE ADMINISTRACIÓN
+// ===============================================
+// Tareas de administración de usuarios y tokens desde la terminal.
+//
+// Uso:
+//   node cli.js <comando> [opciones]
+//   npm run cli -- <comando> [opciones]
+//
+// `node cli.js help` muestra la lista de comandos. Los usuarios se indican por ID o por correo.
+// Los comandos leen la configuración con `loadConfig` (ver `utils/config.js`), igual que
+// la aplicación. Todos terminan con código 1 si fallan.
+
+require('dotenv').config()
+const crypto = require('crypto')
+const path = require('path')
+const { parseArgs } = require('util')
+const bcrypt = require('bcryptjs')
+const jwt = require('jsonwebtoken')
+const { PrismaClient } = require('@prisma/client')
+const { createUserStore, omitPassword } = require('./stores/userStore')
+const { createUserSchema } = require('./schemas/users')
+const { validateSchema } = require('./utils/validation')
+const { AUDIT_ACTIONS, recordAudit } = require('./utils/audit')
+const { revokeUserSessions } = require('./utils/tokens')
+const { loadConfig, ConfigError } = require('./utils/config')
+const { importJsonFile, printReport } = require('./scripts/import-users')
+const { seed } = require('./prisma/seed')
+const { createWebhookWorker } = require('./utils/webhooks')
+
+const ROLES = ['ADMIN', 'USER']
+
+// Las acciones del CLI no vienen de una solicitud HTTP: en el historial de auditoría
+// quedan sin actor ni ID de solicitud.
+const CLI_REQUEST = {}
+
+/**
+ * Error de uso o de datos de un comando: se muestra solo el mensaje, sin la traza.
+ */
+class CommandError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'CommandError'
+  }
+}
+
+/**
+ * Valida una contraseña con las mismas reglas que el alta de usuarios.
+ * @param {string} password - Contraseña
+ * @throws {CommandError} Si no es válida
+ */
+const checkPassword = (password) => {
+  const rules = createUserSchema.properties.password
+  const { errors } = validateSchema({ type: 'object', properties: { password: rules }, required: ['password'] }, { password })
+  if (errors.length > 0) {
+    throw new CommandError(`password: ${errors[0].message}`)
+  }
+}
+
+/**
+ * Genera una contraseña aleatoria (cuando no se indica `--password`).
+ * @returns {string}
+ */
+const generatePassword = () => crypto.randomBytes(12).toString('base64url')
+
+/**
+ * Busca un usuario por ID (si es un número) o por correo.
+ * @param {Object} store - Almacén de usuarios
+ * @param {string} reference - ID o correo
+ * @returns {Promise<Object>} Usuario
+ * @throws {CommandError} Si no existe
+ */
+const findUser = async (store, reference) => {
+  if (!reference) {
+    throw new CommandError('Falta el usuario (ID o correo).')
+  }
+  const user = /^\d+$/.test(reference)
+    ? await store.findById(Number(reference))
+    : await store.findByEmail(reference)
+  if (!user) {
+    throw new CommandError(`Usuario no encontrado: ${reference}`)
+  }
+  return user
+}
+
+// Cada comando declara su uso, sus opciones (formato de `util.parseArgs`) y la función
+// que lo ejecuta. `run` recibe las opciones, los argumentos posicionales y el contexto
+// (`config`, `prisma` y `store`, que se crean solo si el comando los usa).
+const COMMANDS = {
+  'users:create-admin': {
+    usage: 'users:create-admin --email <correo> --name <nombre> [--password <contraseña>]',
+    description: 'Crea un usuario ADMIN con el correo ya verificado. Sin --password, genera una.',
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      password: { type: 'string' }
+    },
+    async run ({ values, context }) {
+      const generated = values.password === undefined
+      const input = { ...values, password: generated ? generatePassword() : values.password }
+      const { value, errors } = validateSchema(createUserSchema, input)
+      if (errors.length > 0) {
+        throw new CommandError(errors.map(error => `${error.field}: ${error.message}`).join('\n'))
+      }
+
+      const store = context.store()
+      if (await store.findByEmail(value.email, { includeDeleted: true })) {
+        throw new CommandError(`El correo ${value.email} ya está registrado. Usa users:set-role para cambiar su rol.`)
+      }
+      const user = await store.create({
+        name: value.name,
+        email: value.email,
+        password: await bcrypt.hash(value.password, 10),
+        role: 'ADMIN',
+        emailVerifiedAt: new Date()
+      })
+      await recordAudit(context.prisma(), CLI_REQUEST, { action: AUDIT_ACTIONS.USER_CREATED, targetId: user.id, after: user })
+
+      console.log(`Administrador creado: ID ${user.id} <${user.email}>`)
+      if (generated) console.log(`Contraseña generada: ${value.password}`)
+    }
+  },
+
+  'users:list': {
+    usage: 'users:list [--role ADMIN|USER] [--include-deleted]',
+    description: 'Muestra los usuarios en una tabla.',
+    options: {
+      role: { type: 'string' },
+      'include-deleted': { type: 'boolean', default: false }
+    },
+    async run ({ values, context }) {
+      if (values.role && !ROLES.includes(values.role)) {
+        throw new CommandError(`--role debe ser uno de: ${ROLES.join(', ')}.`)
+      }
+      const { items } = await context.store().list({
+        filters: { role: values.role },
+        includeDeleted: values['include-deleted']
+      })
+      if (items.length === 0) {
+        console.log('No hay usuarios.')
+        return
+      }
+      console.table(items.map(user => ({
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role || 'USER',
+        verified: Boolean(user.emailVerifiedAt),
+        ...(values['include-deleted'] && { deletedAt: user.deletedAt || '' })
+      })))
+    }
+  },
+
+  'users:set-role': {
+    usage: 'users:set-role <id|correo> <ADMIN|USER>',
+    description: 'Cambia el rol de un usuario. Se aplica a partir de su siguiente inicio de sesión o refresco.',
+    async run ({ positionals: [reference, role], context }) {
+      if (!ROLES.includes(role)) {
+        throw new CommandError(`El rol debe ser uno de: ${ROLES.join(', ')}.`)
+      }
+      const store = context.store()
+      const before = await findUser(store, reference)
+      const user = await store.update(before.id, { role })
+      if (!user) {
+        // Se eliminó entre la búsqueda y la escritura.
+        throw new CommandError(`Usuario no encontrado: ${reference}`)
+      }
+      await recordAudit(context.prisma(), CLI_REQUEST, { action: AUDIT_ACTIONS.USER_ROLE_CHANGED, targetId: user.id, before, after: user })
+      console.log(`Rol de ID ${user.id} <${user.email}>: ${before.role || 'USER'} -> ${user.role}`)
+    }
+  },
+
+  'users:reset-password': {
+    usage: 'users:reset-password <id|correo> [--password <contraseña>]',
+    description: 'Cambia la contraseña de un usuario y cierra todas sus sesiones. Sin --password, genera una.',
+    options: {
+      password: { type: 'string' }
+    },
+    async run ({ values, positionals: [reference], context }) {
+      const generated = values.password === undefined
+      const password = generated ? generatePassword() : values.password
+      checkPassword(password)
+
+      const store = context.store()
+      const before = await findUser(store, reference)
+      const user = await store.update(before.id, { password: await bcrypt.hash(password, 10) })
+      if (!user) {
+        throw new CommandError(`Usuario no encontrado: ${reference}`)
+      }
+      await revokeUserSessions(context.prisma(), user.id)
+      await recordAudit(context.prisma(), CLI_REQUEST, { action: AUDIT_ACTIONS.USER_PASSWORD_RESET, targetId: user.id, before, after: user })
+
+      console.log(`Contraseña actualizada para ID ${user.id} <${user.email}>; sus sesiones se cerraron.`)
+      if (generated) console.log(`Contraseña generada: ${password}`)
+    }
+  },
+
+  'users:import-json': {
+    usage: 'users:import-json [--file ruta/al/archivo.json] [--dry-run]',
+    description: 'Importa a la base de datos los usuarios de un archivo JSON (por defecto `users.json`).',
+    options: {
+      file: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    },
+    async run ({ values, context }) {
+      const filePath = values.file ? path.resolve(values.file) : context.config().usersFilePath
+      const report = await importJsonFile({
+        filePath,
+        target: createUserStore({ type: 'prisma', prisma: context.prisma() }),
+        dryRun: values['dry-run']
+      })
+      printReport(report)
+    }
+  },
+
+  'tokens:issue': {
+    usage: 'tokens:issue <id|correo> [--expires-in 1h]',
+    description: 'Firma un token de acceso para pruebas con JWT_SECRET. No pertenece a ninguna sesión, así que no se revoca con /logout.',
+    options: {
+      'expires-in': { type: 'string', default: '1h' }
+    },
+    async run ({ values, positionals: [reference], context }) {
+      const { jwtSecret } = context.config().auth
+      const user = await findUser(context.store(), reference)
+      let token
+      try {
+        token = jwt.sign(
+          { id: user.id, email: user.email, role: user.role || 'USER' },
+          jwtSecret,
+          { expiresIn: values['expires-in'] }
+        )
+      } catch (err) {
+        throw new CommandError(`--expires-in inválido: ${err.message}`)
+      }
+      console.log(token)
+    }
+  },
+
+  'webhooks:deliver': {
+    usage: 'webhooks:deliver',
+    description: 'Intenta una vez las entregas de webhooks pendientes cuyo próximo intento ya venció (útil con `npm run webhooks:receiver`).',
+    async run ({ context }) {
+      const { workerEnabled, ...options } = context.config().webhooks
+      const attempted = await createWebhookWorker({ prisma: context.prisma(), ...options }).runOnce()
+      console.log(`Entregas intentadas: ${attempted}`)
+    }
+  },
+
+  'db:seed': {
+    usage: 'db:seed [--password <contraseña>]',
+    description: 'Crea los usuarios de ejemplo (`prisma/seed.js`) si no existen.',
+    options: {
+      password: { type: 'string' }
+    },
+    async run ({ values, context }) {
+      if (values.password !== undefined) checkPassword(values.password)
+      const users = await seed(context.prisma(), values.password === undefined ? {} : { password: values.password })
+      users.forEach(user => console.log(`  - ID ${user.id} <${user.email}> (${user.role})`))
+      console.log('Datos insertados correctamente.')
+    }
+  }
+}
+
+/**
+ * Muestra la lista de comandos.
+ */
+const printHelp = () => {
+  console.log('Uso: node cli.js <comando> [opciones]\n\nComandos:')
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  ${command.usage}\n      ${command.description}`)
+  }
+}
+
+/**
+ * Ejecuta un comando con sus argumentos.
+ *
+ * @param {Array<string>} argv - Argumentos (sin `node` ni la ruta del script)
+ * @param {Object} [options]
+ * @param {Object} [options.prisma] - Cliente de Prisma; por defecto se crea uno (y se desconecta al terminar)
+ * @param {Object} [options.config] - Configuración; por defecto se lee con `loadConfig`
+ * @returns {Promise<void>}
+ * @throws {CommandError} Si el comando no existe o sus argumentos no son válidos
+ * @throws {ConfigError} Si el comando necesita la configuración y no es válida
+ */
+const runCli = async ([name, ...args], { prisma: customPrisma, config: customConfig } = {}) => {
+  if (!name || name === 'help' || name === '--help') {
+    printHelp()
+    return
+  }
+  const command = COMMANDS[name]
+  if (!command) {
+    throw new CommandError(`Comando desconocido: ${name}. Usa \`node cli.js help\` para ver la lista.`)
+  }
+
+  let parsed
+  try {
+    parsed = parseArgs({ args, options: command.options || {}, allowPositionals: true, strict: true })
+  } catch (err) {
+    throw new CommandError(`${err.message}\nUso: node cli.js ${command.usage}`)
+  }
+
+  let prisma
+  let store
+  let config = customConfig
+  const context = {
+    config: () => (config = config || loadConfig()),
+    prisma: () => (prisma = prisma || customPrisma || new PrismaClient()),
+    store: () => (store = store || createUserStore({
+      type: context.config().userStore,
+      prisma: context.prisma(),
+      filePath: context.config().usersFilePath
+    }))
+  }
+
+  try {
+    await command.run({ values: parsed.values, positionals: parsed.positionals, context })
+  } finally {
+    if (prisma && prisma !== customPrisma) await prisma.$disconnect()
+  }
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).catch((e) => {
+    console.error(e instanceof CommandError || e instanceof ConfigError ? `Error: ${e.message}` : e)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  COMMANDS,
+  CommandError,
+  runCli
+}
@@ -4,31 +4,96 @@
 // Verifica la validez del token JWT enviado en los encabezados de la solicitud.
 // Si el token es válido, permite el acceso a rutas protegidas.
 // Si no lo es, responde con un error de autenticación.
+//
+// Los servicios pueden autenticarse también con una clave de API (cabecera `X-API-Key`,
+// ver `utils/apiKeys.js`).
 
 
 // Se importa jwt desde el paquete jsonwebtoken
 const jwt = require('jsonwebtoken')
+const { isSessionActive } = require('../utils/tokens')
+const { findActiveApiKey } = require('../utils/apiKeys')
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors')
+
+/**
+ * Cuenta un rechazo en las métricas (`auth_failures_total`, ver `utils/metrics.js`) y pasa
+ * el error al manejador de errores.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP (Request)
+ * @param {Function} next - Función para pasar al siguiente middleware
+ * @param {string} reason - Motivo del rechazo (etiqueta `reason`)
+ * @param {Error} error - Error que se responde
+ */
+function reject (req, next, reason, error) {
+  req.app.locals.metrics?.recordAuthFailure(reason)
+  next(error)
+}
+
+/**
+ * Autentica la solicitud con una clave de API. El usuario queda identificado como el dueño
+ * de la clave, con su rol actual, y `req.auth.scopes` limita lo que puede hacer.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP (Request)
+ * @param {string} key - Valor de la cabecera `X-API-Key`
+ * @param {Function} next - Función para pasar al siguiente middleware
+ */
+async function authenticateApiKey (req, key, next) {
+  let apiKey
+  try {
+    apiKey = await findActiveApiKey(req.app.locals.prisma, key)
+  } catch (error) {
+    return next(error)
+  }
+  if (!apiKey) return reject(req, next, 'invalid_api_key', new UnauthorizedError('Invalid API key'))
+
+  req.user = { id: apiKey.owner.id, email: apiKey.owner.email, role: apiKey.owner.role, apiKeyId: apiKey.id }
+  req.auth = { type: 'apiKey', keyId: apiKey.id, scopes: apiKey.scopes }
+
+  next()
+}
 
 /**
  * Middleware que verifica la validez de un token JWT enviado en el header 'Authorization'.
  *
- * - Si no se proporciona el token, responde con estado 401 (No autorizado).
- * - Si el token es inválido o ha expirado, responde con estado 403 (Prohibido).
+ * - Si no se proporciona el token, pasa un `UnauthorizedError` (401) al manejador de errores.
+ * - Si el token es inválido o ha expirado, pasa un `ForbiddenError` (403). La firma se comprueba
+ *   con la clave de la configuración de la aplicación (`app.locals.config.auth.jwtSecret`).
+ * - Si el token pertenece a una sesión revocada (logout o reutilización de un token
+ *   de refresco), pasa un `UnauthorizedError` (401). La sesión se consulta con el cliente de
+ *   Prisma registrado en `app.locals.prisma`.
  * - Si el token es válido, añade los datos decodificados a `req.user` y continúa con la solicitud.
+ *   `req.auth` queda como `{ type: 'jwt', scopes: null }` (sin límite de alcances).
+ * - Si llega la cabecera `X-API-Key`, se usa la clave en lugar del token: si no existe, está
+ *   revocada o expiró, pasa un `UnauthorizedError` (401). Si es válida, `req.user` es su dueño
+ *   y `req.auth` es `{ type: 'apiKey', keyId, scopes }`.
+ * - Cada rechazo se cuenta en `auth_failures_total` por motivo: `missing_token`, `invalid_token`,
+ *   `expired_token`, `session_revoked` o `invalid_api_key`.
  *
  * @param {Object} req - Objeto de solicitud HTTP (Request)
  * @param {Object} res - Objeto de respuesta HTTP (Response)
  * @param {Function} next - Función para pasar al siguiente middleware
  */
 function authenticateToken (req, res, next) {
+  const apiKey = req.header('X-API-Key')
+  if (apiKey) return authenticateApiKey(req, apiKey, next)
+
   const token = req.header('Authorization')?.split(' ')[1]
   if (!token) 
-    return res.status(401).json({ error: 'Acces Denied, no token provided'})
+    return reject(req, next, 'missing_token', new UnauthorizedError('Acces Denied, no token provided'))
   
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if(err) return res.status(403).json({ error: 'Invalid token' })
+  jwt.verify(token, req.app.locals.config.auth.jwtSecret, async (err, user) => {
+    if(err) return reject(req, next, err.name === 'TokenExpiredError' ? 'expired_token' : 'invalid_token', new ForbiddenError('Invalid token'))
+
+    try {
+      if (user.sid && !(await isSessionActive(req.app.locals.prisma, user.sid))) {
+        return reject(req, next, 'session_revoked', new UnauthorizedError('Session revoked'))
+      }
+    } catch (error) {
+      return next(error)
+    }
 
     req.user = user
+    req.auth = { type: 'jwt', scopes: null }
 
     next()
   })
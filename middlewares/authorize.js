@@ -0,0 +1,121 @@
+// =====================================
+// MIDDLEWARES DE AUTORIZACIÓN POR ROL
+// =====================================
+// Se usan después de `authenticateToken`, que deja el token decodificado en `req.user`.
+// Los roles corresponden al enum `Role` definido en `prisma/schema.prisma` (ADMIN, USER).
+//
+// Las solicitudes con clave de API (`req.auth.type === 'apiKey'`) actúan con el rol de su
+// dueño, pero además solo pueden usar las rutas que declaran un alcance con `requireScope`
+// que la clave tenga. Las rutas propias de una persona (su cuenta, sus claves) las rechazan
+// con `denyApiKeys`.
+
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors')
+
+/**
+ * Crea un middleware que solo deja pasar a los usuarios con alguno de los roles indicados.
+ *
+ * - Si no hay usuario autenticado en `req.user`, pasa un `UnauthorizedError` (401).
+ * - Si el rol del usuario no está en la lista, pasa un `ForbiddenError` (403).
+ *
+ * @example
+ * app.get('/db-users', authenticateToken, authorize('ADMIN'), handler)
+ *
+ * @param {...string} roles - Roles permitidos
+ * @returns {Function} Middleware de Express
+ */
+const authorize = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Acces Denied, no token provided'))
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError('Forbidden, insufficient role'))
+    }
+    next()
+  }
+
+  // Los roles quedan disponibles para la documentación OpenAPI (`utils/openapi.js`).
+  middleware.roles = roles
+  return middleware
+}
+
+/**
+ * Crea un middleware que deja pasar al administrador o al propio usuario
+ * cuyo ID llega como parámetro de ruta.
+ *
+ * @example
+ * app.put('/users/:id', authenticateToken, authorizeSelfOrAdmin(), handler)
+ *
+ * @param {string} [param='id'] - Nombre del parámetro de ruta con el ID del usuario
+ * @returns {Function} Middleware de Express
+ */
+const authorizeSelfOrAdmin = (param = 'id') => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Acces Denied, no token provided'))
+    }
+    const isOwner = Number(req.params[param]) === req.user.id
+    if (req.user.role !== 'ADMIN' && !isOwner) {
+      return next(new ForbiddenError('Forbidden, not the owner of this resource'))
+    }
+    next()
+  }
+
+  middleware.ownerParam = param
+  return middleware
+}
+
+/**
+ * Crea un middleware que exige a las claves de API alguno de los alcances indicados.
+ * Las solicitudes con token JWT no tienen límite de alcances y siempre pasan.
+ *
+ * - Si no hay usuario autenticado en `req.user`, pasa un `UnauthorizedError` (401).
+ * - Si la clave no tiene ninguno de los alcances, pasa un `ForbiddenError` (403).
+ *
+ * @example
+ * app.get('/db-users', authenticateToken, authorize('ADMIN'), requireScope('users:read'), handler)
+ *
+ * @param {...string} scopes - Alcances aceptados (ver `API_KEY_SCOPES` en `utils/apiKeys.js`)
+ * @returns {Function} Middleware de Express
+ */
+const requireScope = (...scopes) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Acces Denied, no token provided'))
+    }
+    if (req.auth?.type === 'apiKey' && !scopes.some(scope => req.auth.scopes.includes(scope))) {
+      return next(new ForbiddenError(`Forbidden, API key lacks scope ${scopes.join(' or ')}`))
+    }
+    next()
+  }
+
+  middleware.scopes = scopes
+  return middleware
+}
+
+/**
+ * Crea un middleware que rechaza las solicitudes autenticadas con clave de API.
+ *
+ * @example
+ * app.get('/me', authenticateToken, denyApiKeys(), handler)
+ *
+ * @returns {Function} Middleware de Express
+ */
+const denyApiKeys = () => {
+  const middleware = (req, res, next) => {
+    if (req.auth?.type === 'apiKey') {
+      return next(new ForbiddenError('Forbidden, API keys are not allowed here'))
+    }
+    next()
+  }
+
+  middleware.deniesApiKeys = true
+  return middleware
+}
+
+module.exports = {
+  authorize,
+  authorizeSelfOrAdmin,
+  requireScope,
+  denyApiKeys
+}
@@ -1,13 +1,22 @@
+const { logger } = require('../utils/logger')
+const { mapPrismaError } = require('../utils/prismaErrors')
+
 /**
  * Middleware global para el manejo centralizado de errores en la aplicación.
  * 
- * - Captura cualquier error que ocurra durante el ciclo de vida de una solicitud.
+ * Debe registrarse después de todas las rutas (y del 404 para rutas desconocidas).
+ * 
+ * - Captura cualquier error que ocurra durante el ciclo de vida de una solicitud,
+ *   incluidos los rechazos de los manejadores asíncronos.
+ * - Traduce los errores conocidos de Prisma a errores HTTP (p. ej. P2002 -> 409, P2025 -> 404).
  * - Devuelve una respuesta en formato JSON con:
  *    - status: 'error'
  *    - statusCode: código de estado HTTP (por defecto 500)
  *    - message: mensaje de error
+ *    - los campos adicionales del error (`details`), por ejemplo `errors` en un 422
  *    - stack: (solo en entorno de desarrollo) traza del error
- * - También registra el error con marca de tiempo en consola.
+ * - Los errores inesperados (sin `statusCode`) solo muestran su mensaje en desarrollo.
+ * - También registra el error en el log estructurado con el ID de la solicitud (`req.id`).
  * 
  * @param {Object} err - Objeto de error capturado
  * @param {Object} req - Objeto de solicitud HTTP
@@ -15,23 +24,33 @@
  * @param {Function} next - Función para pasar al siguiente middleware
  */
 const errorHandler = (err, req, res, next) => {
-  const statusCode = err.statusCode || 500
-  const message = err.message || 'Ocurrió un Error inesperado'
+  const error = mapPrismaError(err) || err
+  const statusCode = error.statusCode || 500
+  const isDevelopment = process.env.NODE_ENV === 'development'
+  const message = (error.statusCode || isDevelopment) && error.message
+    ? error.message
+    : 'Ocurrió un Error inesperado'
 
-  console.error(
-    `[ERROR] ${new Date().toISOString()} - ${statusCode} - ${message}`
-  )
+  logger[statusCode >= 500 ? 'error' : 'warn']({
+    msg: message,
+    requestId: req.id,
+    method: req.method,
+    url: req.originalUrl,
+    statusCode,
+    ...(statusCode >= 500 && { stack: err.stack })
+  })
 
-  if (err.stack) {
-    console.error(err.stack)
+  if (res.headersSent) {
+    return next(err)
   }
 
   res.status(statusCode).json({ 
     status: 'error',
     statusCode,
     message, 
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    ...error.details,
+    ...(isDevelopment && { stack: err.stack })
   })
 }
 
-module.exports = errorHandler
\ No newline at end of file
+module.exports = errorHandler
@@ -1,30 +1,74 @@
+const crypto = require('crypto')
+const { logger } = require('../utils/logger')
+
+// Formato aceptado para un `X-Request-Id` recibido del cliente o de un proxy.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+// Únicas cabeceras que se registran. El resto (y el cuerpo) no se escriben nunca: pueden llevar
+// credenciales en formatos que `redact` no reconoce, como las contraseñas de una importación CSV.
+const LOGGED_HEADERS = ['user-agent', 'content-type', 'content-length']
+
+/**
+ * Copia de las cabeceras de `LOGGED_HEADERS` que trae la solicitud.
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @returns {Object}
+ */
+const pickLoggedHeaders = (req) => {
+    return Object.fromEntries(LOGGED_HEADERS.filter(name => req.headers[name] !== undefined).map(name => [name, req.headers[name]]))
+}
+
 /**
- * Middleware para registrar información detallada de cada solicitud entrante.
+ * Middleware para registrar cada solicitud como una línea JSON.
  * 
- * - Registra en consola el método HTTP, la URL solicitada, la IP del cliente y la marca de tiempo.
- * - Calcula y muestra la duración total de la solicitud cuando la respuesta finaliza.
+ * - Asigna un ID a la solicitud: reutiliza la cabecera `X-Request-Id` si llega con un formato
+ *   válido o genera uno nuevo. Lo guarda en `req.id` y lo devuelve en la cabecera `X-Request-Id`.
+ * - Cuando la respuesta finaliza, registra el método, la ruta (el patrón, p. ej. `/users/:id`),
+ *   la URL, el código de estado, la duración, el usuario autenticado, la IP y las cabeceras de
+ *   `LOGGED_HEADERS`. El cuerpo no se registra.
+ * - El nivel depende del código de estado: `error` (5xx), `warn` (4xx) o `info`.
+ * - La misma duración alimenta las métricas de `GET /metrics` (`app.locals.metrics`, ver `utils/metrics.js`).
  * 
  * Ejemplo de salida:
- * [2025-07-10T20:00:00.000Z] GET /api/users - IP: ::1
- * [2025-07-10T20:00:00.000Z] Response: 200 - 15ms
+ * {"time":"2025-07-10T20:00:00.000Z","level":"info","msg":"request completed","requestId":"…","method":"GET","route":"/users/:id","status":200,"durationMs":15,…}
  *
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} res - Objeto de respuesta HTTP
  * @param {Function} next - Función para pasar al siguiente middleware
  */
 const LoggerMiddleware = (req, res, next) => {
-    const timestamp = new Date().toISOString()
+    const incomingId = req.get('X-Request-Id')
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID()
+    res.set('X-Request-Id', req.id)
 
-    console.log(`[${timestamp} ${req.method} ${req.url} - IP: ${req.ip}]`)  
-    
-    const start = Date.now()
+    const start = process.hrtime.bigint()
 
     res.on('finish', () => {
-        const duration = Date.now() - start
-        console.log(`[${timestamp} Response: ${res.statusCode} - ${duration}ms]`)
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info'
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : null
+
+        logger[level]({
+            msg: 'request completed',
+            requestId: req.id,
+            method: req.method,
+            route,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 100) / 100,
+            userId: req.user?.id ?? null,
+            ip: req.ip,
+            headers: pickLoggedHeaders(req)
+        })
+
+        req.app.locals.metrics?.recordHttpRequest({
+            method: req.method,
+            route,
+            status: res.statusCode,
+            durationSeconds: durationMs / 1000
+        })
     })
 
     next()
 }
 
-module.exports = LoggerMiddleware
\ No newline at end of file
+module.exports = LoggerMiddleware
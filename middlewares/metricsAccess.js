@@ -0,0 +1,79 @@
+// =====================================
+// ACCESO A LAS MÉTRICAS
+// =====================================
+// `GET /metrics` no usa las cuentas de usuario: lo consulta Prometheus (u otro recolector),
+// que se identifica con un token fijo (`METRICS_TOKEN`) o por su IP (`METRICS_ALLOWED_IPS`).
+
+const crypto = require('crypto')
+const net = require('net')
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors')
+
+/**
+ * Compara dos cadenas en tiempo constante (se comparan sus hashes, de igual longitud).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest()
+  return crypto.timingSafeEqual(hash(a), hash(b))
+}
+
+/**
+ * Crea la lista de direcciones permitidas a partir de IPs y rangos CIDR.
+ * @param {Array<string>} entries - Por ejemplo `['127.0.0.1', '10.0.0.0/8', '::1']`
+ * @returns {net.BlockList}
+ */
+const createAllowList = (entries) => {
+  const list = new net.BlockList()
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/')
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4'
+    if (prefix === undefined) list.addAddress(address, type)
+    else list.addSubnet(address, Number(prefix), type)
+  }
+  return list
+}
+
+/**
+ * Crea el middleware que protege `GET /metrics`.
+ *
+ * - Con `allowedIps`, la IP del cliente (`req.ip`, que respeta `trust proxy`) debe estar en
+ *   la lista; si no, pasa un `ForbiddenError` (403).
+ * - Con `token`, la solicitud debe llevar `Authorization: Bearer <token>`; si falta o no
+ *   coincide, pasa un `UnauthorizedError` (401).
+ * - Si se configuran ambos, se exigen los dos. Sin ninguno, las métricas son públicas.
+ *
+ * @example
+ * app.get('/metrics', metricsAccess({ token: 's3cr3t', allowedIps: ['10.0.0.0/8'] }), handler)
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.token=null] - Token que debe enviar el recolector
+ * @param {Array<string>} [options.allowedIps=[]] - IPs o rangos CIDR permitidos
+ * @returns {Function} Middleware de Express
+ */
+const metricsAccess = ({ token = null, allowedIps = [] } = {}) => {
+  const allowList = createAllowList(allowedIps)
+
+  return (req, res, next) => {
+    if (allowedIps.length > 0) {
+      // Las IPv4 pueden llegar como IPv6 mapeadas (`::ffff:127.0.0.1`).
+      const ip = req.ip?.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '') || ''
+      const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4'
+      if (!net.isIP(ip) || !allowList.check(ip, type)) {
+        return next(new ForbiddenError('Forbidden, address not allowed to read metrics'))
+      }
+    }
+
+    if (token) {
+      const [scheme, received] = (req.get('Authorization') || '').split(' ')
+      if (scheme !== 'Bearer' || !received || !safeEqual(received, token)) {
+        return next(new UnauthorizedError('Invalid metrics token'))
+      }
+    }
+
+    next()
+  }
+}
+
+module.exports = metricsAccess
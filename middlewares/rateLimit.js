@@ -0,0 +1,63 @@
+const { TooManyRequestsError } = require('../utils/errors')
+
+/**
+ * Crea un middleware que limita la cantidad de solicitudes por clave dentro de una ventana de tiempo.
+ *
+ * - La clave la calcula `keyGenerator` (por defecto la IP del cliente). Si devuelve un valor
+ *   vacío, la solicitud no se cuenta (por ejemplo, si no llegó el correo de la cuenta).
+ * - Cada respuesta lleva las cabeceras `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset`
+ *   (segundos hasta que se reinicia la ventana) y `RateLimit-Policy`. Si una ruta tiene varios
+ *   límites, las cabeceras muestran el más cercano a agotarse.
+ * - Al superar el límite pasa un `TooManyRequestsError` (429) con la cabecera `Retry-After`.
+ *
+ * @example
+ * app.post('/login', rateLimit({ name: 'login-ip', windowMs: 15 * 60 * 1000, limit: 20, store }), handler)
+ *
+ * @param {Object} options
+ * @param {string} options.name - Nombre del límite; separa sus contadores de los de otros límites
+ * @param {number} options.windowMs - Duración de la ventana en milisegundos
+ * @param {number} options.limit - Solicitudes permitidas por ventana
+ * @param {Object} options.store - Almacén de contadores (ver `stores/rateLimitStore.js`)
+ * @param {Function} [options.keyGenerator] - Calcula la clave a partir de `req`
+ * @param {string} [options.message] - Mensaje de la respuesta 429
+ * @returns {Function} Middleware de Express
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  limit,
+  store,
+  keyGenerator = (req) => req.ip,
+  message = 'Demasiadas solicitudes. Inténtalo más tarde.'
+}) => {
+  const middleware = async (req, res, next) => {
+    const key = keyGenerator(req)
+    if (!key) return next()
+
+    const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs)
+    const remaining = Math.max(0, limit - count)
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))
+
+    const currentRemaining = res.get('RateLimit-Remaining')
+    if (currentRemaining === undefined || remaining <= Number(currentRemaining)) {
+      res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+      })
+    }
+
+    if (count > limit) {
+      res.set('Retry-After', String(resetSeconds))
+      return next(new TooManyRequestsError(message, { retryAfter: resetSeconds }))
+    }
+    next()
+  }
+
+  // El límite queda disponible para la documentación OpenAPI (`utils/openapi.js`).
+  middleware.rateLimit = { name, windowMs, limit }
+  return middleware
+}
+
+module.exports = rateLimit
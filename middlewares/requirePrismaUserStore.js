@@ -0,0 +1,32 @@
+// =======================================================
+// MIDDLEWARE PARA RUTAS QUE NECESITAN LA TABLA `Users`
+// =======================================================
+// Las sesiones (tokens de refresco), los tokens de verificación y restablecimiento, las
+// claves de API y las citas guardan una clave foránea hacia la tabla `Users`. Con
+// `USER_STORE=file` los usuarios viven en `users.json` y no existen en esa tabla, así que
+// estas rutas no pueden funcionar: se rechazan con un error claro en lugar de fallar al
+// escribir en la base de datos.
+
+const { HttpError } = require('../utils/errors')
+
+/**
+ * Middleware que solo deja pasar la solicitud si el almacén de usuarios es el de Prisma.
+ *
+ * - Si la aplicación usa otro almacén (`USER_STORE=file`), pasa a `next` un error 501.
+ * - El almacén se lee de `app.locals.userStore` (ver `stores/userStore.js`).
+ *
+ * @param {Object} req - Objeto de solicitud HTTP (Request)
+ * @param {Object} res - Objeto de respuesta HTTP (Response)
+ * @param {Function} next - Función para pasar al siguiente middleware
+ */
+const requirePrismaUserStore = (req, res, next) => {
+  if (req.app.locals.userStore.type !== 'prisma') {
+    return next(new HttpError(501, `Esta función necesita los usuarios en la base de datos y no está disponible con USER_STORE=${req.app.locals.userStore.type}.`))
+  }
+  next()
+}
+
+// El almacén requerido queda disponible para la documentación OpenAPI (`utils/openapi.js`).
+requirePrismaUserStore.requiredUserStore = 'prisma'
+
+module.exports = requirePrismaUserStore
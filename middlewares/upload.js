@@ -0,0 +1,102 @@
+const { getBoundary, parseMultipart } = require('../utils/multipart')
+const { detectFileType } = require('../utils/fileTypes')
+const {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  ValidationError
+} = require('../utils/errors')
+
+// Margen sobre el tamaño del archivo para los separadores y las cabeceras del multipart.
+const MULTIPART_OVERHEAD_BYTES = 16 * 1024
+
+/**
+ * Lee el cuerpo de la solicitud sin pasar de un tamaño máximo.
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {number} limit - Bytes máximos
+ * @returns {Promise<Buffer>}
+ * @throws {PayloadTooLargeError} Si el cuerpo supera el límite
+ */
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const tooLarge = () => new PayloadTooLargeError('El archivo es demasiado grande.')
+  if (Number(req.get('Content-Length')) > limit) {
+    req.resume()
+    return reject(tooLarge())
+  }
+
+  const chunks = []
+  let size = 0
+  const onData = (chunk) => {
+    size += chunk.length
+    if (size > limit) {
+      // Se descarta el resto del cuerpo para poder responder en la misma conexión.
+      req.off('data', onData)
+      req.resume()
+      return reject(tooLarge())
+    }
+    chunks.push(chunk)
+  }
+  req.on('data', onData)
+  req.on('end', () => resolve(Buffer.concat(chunks)))
+  req.on('error', reject)
+})
+
+/**
+ * Crea un middleware que recibe un archivo enviado como `multipart/form-data`.
+ *
+ * - Si el cuerpo no es `multipart/form-data`, pasa un `UnsupportedMediaTypeError` (415).
+ * - Si el cuerpo o el archivo superan `maxBytes`, pasa un `PayloadTooLargeError` (413).
+ * - Si el cuerpo está mal formado, pasa un `BadRequestError` (400).
+ * - Si falta el campo `field` (o llega vacío), pasa un `ValidationError` (422).
+ * - El tipo se detecta por el contenido (ver `utils/fileTypes.js`), no por la extensión ni por
+ *   el `Content-Type` de la parte; si no está en `allowedTypes`, pasa un `UnsupportedMediaTypeError` (415).
+ * - Si todo es correcto, deja el archivo en `req.file` (`{ field, filename, size, mimeType, data }`)
+ *   y continúa. Los demás campos del formulario se ignoran.
+ *
+ * @example
+ * app.put('/users/:id/avatar', uploadFile({ field: 'avatar', maxBytes: 2 * 1024 * 1024, allowedTypes: ['image/png'] }), handler)
+ *
+ * @param {Object} options
+ * @param {string} options.field - Nombre del campo del archivo
+ * @param {number} options.maxBytes - Tamaño máximo del archivo
+ * @param {Array<string>} options.allowedTypes - Tipos MIME admitidos
+ * @returns {Function} Middleware de Express
+ */
+const uploadFile = ({ field, maxBytes, allowedTypes }) => {
+  const middleware = async (req, res, next) => {
+    const boundary = getBoundary(req.get('Content-Type'))
+    if (!boundary) {
+      return next(new UnsupportedMediaTypeError('Envía el archivo como multipart/form-data.'))
+    }
+
+    const body = await readBody(req, maxBytes + MULTIPART_OVERHEAD_BYTES)
+    let parts
+    try {
+      parts = parseMultipart(body, boundary)
+    } catch (error) {
+      return next(new BadRequestError(`El cuerpo multipart no es válido: ${error.message}`))
+    }
+
+    const file = parts.find((part) => part.name === field && part.filename !== undefined)
+    if (!file || file.data.length === 0) {
+      return next(new ValidationError([{ location: 'body', field, message: 'Falta el archivo.' }]))
+    }
+    if (file.data.length > maxBytes) {
+      return next(new PayloadTooLargeError(`El archivo supera el tamaño máximo (${maxBytes} bytes).`))
+    }
+
+    const mimeType = detectFileType(file.data)
+    if (!allowedTypes.includes(mimeType)) {
+      return next(new UnsupportedMediaTypeError(`El archivo debe ser de tipo ${allowedTypes.join(', ')} (se comprueba su contenido, no su extensión).`))
+    }
+
+    req.file = { field, filename: file.filename, size: file.data.length, mimeType, data: file.data }
+    next()
+  }
+
+  // El archivo esperado queda disponible para la documentación OpenAPI (`utils/openapi.js`).
+  middleware.upload = { field, maxBytes, allowedTypes }
+  return middleware
+}
+
+module.exports = uploadFile
@@ -0,0 +1,54 @@
+const { validateSchema } = require('../utils/validation')
+const { ValidationError } = require('../utils/errors')
+
+/**
+ * Crea un middleware que valida la solicitud contra los esquemas declarados por la ruta.
+ * 
+ * - Valida `req.body`, `req.params` y `req.query` con sus esquemas (los que se indiquen).
+ * - Si hay errores, pasa un `ValidationError` (422) con la lista completa de errores por campo,
+ *   que el manejador de errores devuelve como `{ status, statusCode, message, errors: [{ location, field, message }] }`.
+ * - Si todo es válido, reemplaza cada parte por su versión limpia (sin campos desconocidos
+ *   y, en `params` y `query`, con los valores convertidos al tipo declarado) y continúa.
+ * 
+ * @example
+ * app.patch('/users/:id', validate({ params: userIdParamsSchema, body: patchUserSchema }), handler)
+ * 
+ * @param {Object} schemas - Esquemas por ubicación
+ * @param {Object} [schemas.body] - Esquema del cuerpo
+ * @param {Object} [schemas.params] - Esquema de los parámetros de ruta
+ * @param {Object} [schemas.query] - Esquema de la query string
+ * @returns {Function} Middleware de Express
+ */
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = []
+    const values = {}
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue
+      const result = validateSchema(schemas[location], req[location], {
+        location,
+        coerce: location !== 'body'
+      })
+      errors.push(...result.errors)
+      values[location] = result.value
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors))
+    }
+
+    for (const [location, value] of Object.entries(values)) {
+      // En Express 5 `req.query` es un getter, por eso se redefine la propiedad.
+      Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true })
+    }
+
+    next()
+  }
+
+  // Los esquemas quedan disponibles para generar la documentación OpenAPI (`utils/openapi.js`).
+  middleware.schemas = schemas
+  return middleware
+}
+
+module.exports = validate
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "UserTokenType" AS ENUM ('EMAIL_VERIFICATION', 'PASSWORD_RESET');
+
+-- AlterTable
+ALTER TABLE "Users" ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3);
+
+-- Los usuarios existentes se consideran verificados para no bloquear su inicio de sesión
+-- cuando se active REQUIRE_EMAIL_VERIFICATION.
+UPDATE "Users" SET "emailVerifiedAt" = CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "UserTokens" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "type" "UserTokenType" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserTokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserTokens_tokenHash_key" ON "UserTokens"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "UserTokens_userId_type_idx" ON "UserTokens"("userId", "type");
+
+-- AddForeignKey
+ALTER TABLE "UserTokens" ADD CONSTRAINT "UserTokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "AuditLogs" (
+    "id" SERIAL NOT NULL,
+    "actorId" INTEGER,
+    "action" TEXT NOT NULL,
+    "targetId" INTEGER NOT NULL,
+    "changes" JSONB,
+    "requestId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLogs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLogs_targetId_createdAt_idx" ON "AuditLogs"("targetId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLogs_actorId_createdAt_idx" ON "AuditLogs"("actorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLogs_createdAt_idx" ON "AuditLogs"("createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Users" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Users_deletedAt_idx" ON "Users"("deletedAt");
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "WebhookDeliveryStatus" AS ENUM ('PENDING', 'SUCCEEDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "WebhookSubscriptions" (
+    "id" SERIAL NOT NULL,
+    "url" TEXT NOT NULL,
+    "secret" TEXT NOT NULL,
+    "events" TEXT[],
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WebhookSubscriptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WebhookDeliveries" (
+    "id" SERIAL NOT NULL,
+    "subscriptionId" INTEGER NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "WebhookDeliveryStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastAttemptAt" TIMESTAMP(3),
+    "lastStatusCode" INTEGER,
+    "lastError" TEXT,
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WebhookDeliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookDeliveries_status_nextAttemptAt_idx" ON "WebhookDeliveries"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "WebhookDeliveries_subscriptionId_createdAt_idx" ON "WebhookDeliveries"("subscriptionId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "WebhookDeliveries" ADD CONSTRAINT "WebhookDeliveries_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "WebhookSubscriptions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
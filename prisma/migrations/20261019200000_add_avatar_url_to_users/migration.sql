@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Users" ADD COLUMN     "avatarUrl" TEXT;
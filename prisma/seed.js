@@ -1,34 +1,72 @@
 // ===============================
 // SCRIPT DE SEEDING CON PRISMA
 // ===============================
+// Crea los usuarios de ejemplo para desarrollo. Se puede ejecutar varias veces:
+// los usuarios que ya existen (por correo) no se modifican.
+//
+// Uso:
+//   npm run db:seed          (equivale a `node cli.js db:seed`)
+//   npx prisma db seed
+//
+// La contraseña de todos los usuarios es `SEED_PASSWORD` (por defecto `password123`).
+
+require('dotenv').config()
+const bcrypt = require('bcryptjs')
 
 // Se importa PrismaClient desde el paquete @prisma/client
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient } = require('@prisma/client')
 
-// Se instancia PrismaClient para poder interactuar con la base de datos
-const prisma = new PrismaClient();
+// Usuarios de ejemplo. El correo ya está verificado para que puedan iniciar sesión
+// aunque se active `REQUIRE_EMAIL_VERIFICATION`.
+const SEED_USERS = [
+  { name: 'Camilo', email: 'camilo@example.com', role: 'ADMIN' },
+  { name: 'Cristina', email: 'cristina@example.com', role: 'USER' }
+]
 
 /**
- * Función principal que ejecuta la creación de múltiples usuarios en la base de datos.
- * Utiliza el método `createMany()` para insertar registros de manera masiva.
+ * Crea los usuarios de ejemplo que todavía no existen.
+ *
+ * @param {Object} prisma - Cliente de Prisma
+ * @param {Object} [options]
+ * @param {string} [options.password] - Contraseña de los usuarios (por defecto `SEED_PASSWORD` o `password123`)
+ * @returns {Promise<Array<Object>>} Usuarios de ejemplo, creados o ya existentes
  */
-async function main() {
-  await prisma.users.createMany({
-    data: [
-      { name: 'Camilo', email: 'camilo@example.com' },
-      { name: 'Cristina', email: 'cristina@example.com' },
-    ],
-  });
-
-  console.log('Datos insertados correctamente.');
+const seed = async (prisma, { password = process.env.SEED_PASSWORD || 'password123' } = {}) => {
+  const hashedPassword = await bcrypt.hash(password, 10)
+  const users = []
+
+  for (const user of SEED_USERS) {
+    users.push(await prisma.users.upsert({
+      where: { email: user.email },
+      update: {},
+      create: { ...user, password: hashedPassword, emailVerifiedAt: new Date() }
+    }))
+  }
+  return users
 }
 
-// Ejecuta la función principal y maneja posibles errores
-main()
-  .catch((e) => {
-    console.error(e);           // Muestra el error en consola
-    process.exit(1);            // Finaliza el proceso con código de error
+/**
+ * Función principal: crea los usuarios de ejemplo y muestra el resultado.
+ */
+async function main () {
+  const prisma = new PrismaClient()
+  try {
+    const users = await seed(prisma)
+    users.forEach(user => console.log(`  - ID ${user.id} <${user.email}> (${user.role})`))
+    console.log('Datos insertados correctamente.')
+  } finally {
+    await prisma.$disconnect()
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e)
+    process.exit(1)
   })
-  .finally(async () => {
-    await prisma.$disconnect(); // Cierra la conexión con la base de datos
-  });
+}
+
+module.exports = {
+  SEED_USERS,
+  seed
+}
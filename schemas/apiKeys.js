@@ -0,0 +1,50 @@
+// ==============================
+// ESQUEMAS DE VALIDACIÓN DE CLAVES DE API
+// ==============================
+// Se usan con el middleware `validate` (ver `utils/validation.js` para el formato).
+
+const { paginationQueryProperties } = require('../utils/pagination')
+const { API_KEY_SCOPES } = require('../utils/apiKeys')
+
+// Parámetro `:id` de las rutas de claves.
+const apiKeyIdParamsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  },
+  required: ['id']
+}
+
+// Alta de clave. Sin `ownerId`, la clave actúa en nombre del administrador que la crea;
+// sin `expiresAt`, no expira.
+const createApiKeySchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      items: { type: 'string', enum: API_KEY_SCOPES },
+      minItems: 1,
+      uniqueItems: true
+    },
+    ownerId: { type: 'integer', minimum: 1 },
+    expiresAt: { type: 'string', format: 'date-time' }
+  },
+  required: ['name', 'scopes']
+}
+
+// Filtros del listado de claves: dueño y si se incluyen las revocadas.
+const listApiKeysQuerySchema = {
+  type: 'object',
+  properties: {
+    ...paginationQueryProperties,
+    ownerId: { type: 'integer', minimum: 1 },
+    includeRevoked: { type: 'boolean', default: false }
+  }
+}
+
+module.exports = {
+  apiKeyIdParamsSchema,
+  createApiKeySchema,
+  listApiKeysQuerySchema
+}
@@ -0,0 +1,69 @@
+// ==============================
+// ESQUEMAS DE VALIDACIÓN DE CITAS
+// ==============================
+// Se usan con el middleware `validate` (ver `utils/validation.js` para el formato).
+// La regla que relaciona dos campos (fin posterior al inicio) está en `utils/appointments.js`.
+
+const { partial } = require('../utils/validation')
+const { STATUS_TRANSITIONS } = require('../utils/appointments')
+
+const APPOINTMENT_STATUSES = Object.keys(STATUS_TRANSITIONS)
+
+// Parámetro `:id` de las rutas de citas.
+const appointmentIdParamsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  },
+  required: ['id']
+}
+
+// Filtros de los listados de citas.
+const listAppointmentsQuerySchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: APPOINTMENT_STATUSES },
+    userId: { type: 'integer', minimum: 1 }
+  }
+}
+
+// Alta de cita. `userId` solo lo tiene en cuenta un administrador en `POST /appointments`.
+const createAppointmentSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    notes: { type: 'string', maxLength: 2000, nullable: true },
+    startsAt: { type: 'string', format: 'date-time' },
+    endsAt: { type: 'string', format: 'date-time' },
+    userId: { type: 'integer', minimum: 1 }
+  },
+  required: ['title', 'startsAt', 'endsAt']
+}
+
+// Actualización parcial de título, notas u horario.
+const updateAppointmentSchema = partial({
+  ...createAppointmentSchema,
+  properties: {
+    title: createAppointmentSchema.properties.title,
+    notes: createAppointmentSchema.properties.notes,
+    startsAt: createAppointmentSchema.properties.startsAt,
+    endsAt: createAppointmentSchema.properties.endsAt
+  }
+})
+
+// Cambio de estado.
+const appointmentStatusSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: APPOINTMENT_STATUSES }
+  },
+  required: ['status']
+}
+
+module.exports = {
+  appointmentIdParamsSchema,
+  listAppointmentsQuerySchema,
+  createAppointmentSchema,
+  updateAppointmentSchema,
+  appointmentStatusSchema
+}
@@ -0,0 +1,24 @@
+// ==============================
+// ESQUEMAS DE VALIDACIÓN DEL REGISTRO DE AUDITORÍA
+// ==============================
+// Se usan con el middleware `validate` (ver `utils/validation.js` para el formato).
+
+const { paginationQueryProperties } = require('../utils/pagination')
+const { AUDIT_ACTIONS } = require('../utils/audit')
+
+// Filtros del historial (`GET /audit`): usuario afectado, actor, acción y rango de fechas.
+const listAuditQuerySchema = {
+  type: 'object',
+  properties: {
+    ...paginationQueryProperties,
+    target: { type: 'integer', minimum: 1 },
+    actor: { type: 'integer', minimum: 1 },
+    action: { type: 'string', enum: Object.values(AUDIT_ACTIONS) },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' }
+  }
+}
+
+module.exports = {
+  listAuditQuerySchema
+}
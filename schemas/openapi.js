@@ -0,0 +1,733 @@
+// ==============================
+// DOCUMENTACIÓN OPENAPI DE LAS RUTAS
+// ==============================
+// Completa el documento que genera `utils/openapi.js` a partir de las rutas registradas:
+// - `componentSchemas`: esquemas de las respuestas (usuarios, citas, tokens y errores).
+// - `routeDocs`: resumen, etiquetas y respuestas de cada ruta, por clave `'MÉTODO /ruta'`
+//   con la ruta tal como se registra en Express.
+// Los parámetros, el cuerpo y la seguridad de cada ruta no se declaran aquí: se obtienen
+// de sus middlewares (`validate`, `authenticateToken`, `authorize`, `requireScope`, `uploadFile`).
+// La excepción son los cuerpos que no valida `validate`, como el archivo de `POST /users/import`
+// (`requestBody`).
+
+const { STATUS_TRANSITIONS } = require('../utils/appointments')
+const { WEBHOOK_EVENTS } = require('../utils/webhooks')
+const { AVATAR_TYPES } = require('../utils/avatars')
+const { importUserRowSchema } = require('./users')
+const { toOpenApiSchema } = require('../utils/openapi')
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+
+// Cabeceras de las solicitudes condicionales (ver `utils/etag.js`).
+const ifNoneMatch = { name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' }, description: 'ETag de una respuesta anterior: si no cambió, se responde 304.' }
+const ifMatch = { name: 'If-Match', in: 'header', required: true, schema: { type: 'string' }, description: 'ETag del usuario leído (`GET /users/:id`).' }
+const notModified = { description: 'No cambió desde el `ETag` de `If-None-Match`.' }
+
+// Respuesta negociada con `Accept`: JSON con el esquema indicado o la página HTML de la vista.
+const jsonOrHtml = (description, schema) => ({
+  description,
+  content: {
+    'application/json': { schema },
+    'text/html': { schema: { type: 'string' } }
+  }
+})
+
+// Página de un listado con el sobre de `utils/pagination.js`.
+const pageOf = (item) => ({
+  type: 'object',
+  properties: {
+    data: { type: 'array', items: ref(item) },
+    meta: ref('PageMeta'),
+    links: ref('PageLinks')
+  }
+})
+
+const message = (description) => ({
+  description,
+  schema: ref('Message')
+})
+
+const componentSchemas = {
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: ['ADMIN', 'USER'] },
+      emailVerifiedAt: { type: 'string', format: 'date-time', nullable: true },
+      avatarUrl: { type: 'string', nullable: true, description: 'URL del avatar (`GET /users/{id}/avatar`), con una huella del contenido en `v`.' },
+      deletedAt: { type: 'string', format: 'date-time', nullable: true },
+      version: { type: 'integer', description: 'Aumenta con cada cambio; es el valor del `ETag`.' }
+    }
+  },
+  UserPage: pageOf('User'),
+  PageMeta: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      totalPages: { type: 'integer' }
+    }
+  },
+  PageLinks: {
+    type: 'object',
+    properties: {
+      self: { type: 'string' },
+      next: { type: 'string', nullable: true },
+      prev: { type: 'string', nullable: true }
+    }
+  },
+  Tokens: {
+    type: 'object',
+    properties: {
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      tokenType: { type: 'string', example: 'Bearer' },
+      expiresIn: { type: 'string', example: '15m' }
+    }
+  },
+  Appointment: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      userId: { type: 'integer' },
+      title: { type: 'string' },
+      notes: { type: 'string', nullable: true },
+      startsAt: { type: 'string', format: 'date-time' },
+      endsAt: { type: 'string', format: 'date-time' },
+      status: { type: 'string', enum: Object.keys(STATUS_TRANSITIONS) },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          created: { type: 'integer' },
+          skipped: { type: 'integer' },
+          invalid: { type: 'integer' }
+        }
+      },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer', description: 'Posición de la fila en el archivo (desde 1, sin contar la cabecera).' },
+            status: { type: 'string', enum: ['created', 'skipped', 'invalid'] },
+            email: { type: 'string', nullable: true },
+            id: { type: 'integer', nullable: true, description: 'ID asignado (`null` en una simulación).' },
+            reason: { type: 'string', description: 'Motivo por el que se omitió la fila.' },
+            errors: { type: 'array', items: { type: 'object' }, description: 'Errores por campo de una fila inválida.' }
+          }
+        }
+      }
+    }
+  },
+  AuditLog: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      actorId: { type: 'integer', nullable: true },
+      action: { type: 'string' },
+      targetId: { type: 'integer' },
+      changes: {
+        type: 'object',
+        description: 'Campos que cambiaron; las contraseñas aparecen como `[REDACTED]`.',
+        properties: {
+          before: { type: 'object', nullable: true },
+          after: { type: 'object', nullable: true }
+        }
+      },
+      requestId: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  AuditLogPage: pageOf('AuditLog'),
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      prefix: { type: 'string', description: 'Comienzo de la clave, para reconocerla.' },
+      scopes: { type: 'array', items: { type: 'string' } },
+      ownerId: { type: 'integer' },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+      lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+      revokedAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  CreatedApiKey: {
+    allOf: [
+      ref('ApiKey'),
+      {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'Clave en texto plano. Solo se muestra al crearla.' }
+        }
+      }
+    ]
+  },
+  ApiKeyPage: pageOf('ApiKey'),
+  WebhookSubscription: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, description: 'Vacía: todos los eventos.' },
+      active: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  CreatedWebhookSubscription: {
+    allOf: [
+      ref('WebhookSubscription'),
+      {
+        type: 'object',
+        properties: {
+          secret: { type: 'string', description: 'Secreto de la firma `X-Webhook-Signature`. Solo se muestra al crearla.' }
+        }
+      }
+    ]
+  },
+  WebhookSubscriptionPage: pageOf('WebhookSubscription'),
+  UserChange: {
+    type: 'object',
+    description: 'Cambio enviado por `GET /events`.',
+    properties: {
+      id: { type: 'integer', description: 'ID creciente; el navegador lo reenvía en `Last-Event-ID` al reconectarse.' },
+      type: { type: 'string', enum: ['user.created', 'user.updated', 'user.deleted', 'user.restored'] },
+      occurredAt: { type: 'string', format: 'date-time' },
+      user: ref('User')
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      subscriptionId: { type: 'integer' },
+      eventId: { type: 'string', description: 'Valor de `X-Webhook-Id`, igual en todos los reintentos.' },
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      payload: { type: 'object', description: 'Cuerpo enviado: `{ id, type, occurredAt, data }`.' },
+      status: { type: 'string', enum: ['PENDING', 'SUCCEEDED', 'FAILED'] },
+      attempts: { type: 'integer' },
+      nextAttemptAt: { type: 'string', format: 'date-time' },
+      lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+      lastStatusCode: { type: 'integer', nullable: true },
+      lastError: { type: 'string', nullable: true },
+      deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookDeliveryPage: pageOf('WebhookDelivery'),
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'unavailable', 'shutting down'] },
+      checks: {
+        type: 'object',
+        properties: {
+          database: { type: 'string', enum: ['ok', 'error'] },
+          usersFile: { type: 'string', enum: ['ok', 'error'] }
+        }
+      }
+    }
+  },
+  Message: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'error' },
+      statusCode: { type: 'integer' },
+      message: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        properties: {
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['body', 'params', 'query'] },
+                field: { type: 'string', nullable: true },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    ]
+  }
+}
+
+const tags = [
+  { name: 'Autenticación', description: 'Registro, sesiones y recuperación de la cuenta.' },
+  { name: 'Usuarios', description: 'Consulta y administración de usuarios.' },
+  { name: 'Cuenta', description: 'Datos y contraseña del usuario autenticado.' },
+  { name: 'Citas', description: 'Citas de los usuarios y su ciclo de estados.' },
+  { name: 'Ejemplos', description: 'Rutas de ejemplo del curso.' },
+  { name: 'Auditoría', description: 'Historial de cambios de usuarios.' },
+  { name: 'Webhooks', description: 'Avisos firmados (HMAC-SHA256) de los eventos de usuarios a otros sistemas, con reintentos.' },
+  { name: 'Claves de API', description: 'Claves con alcances para el acceso entre servicios (`X-API-Key`).' },
+  { name: 'Operación', description: 'Sondas de vida y disponibilidad, y métricas para Prometheus.' }
+]
+
+const routeDocs = {
+  // Operación
+  'GET /health': {
+    tags: ['Operación'],
+    summary: 'Sonda de vida',
+    responses: {
+      200: {
+        description: 'El proceso responde.',
+        schema: { type: 'object', properties: { status: { type: 'string' }, uptime: { type: 'integer' } } }
+      }
+    }
+  },
+  'GET /ready': {
+    tags: ['Operación'],
+    summary: 'Sonda de disponibilidad',
+    description: 'Comprueba la conexión con la base de datos y, con `USER_STORE=file`, que `users.json` se pueda leer.',
+    responses: {
+      200: { description: 'La instancia puede atender solicitudes.', schema: ref('Readiness') },
+      503: { description: 'Alguna comprobación falla o el servidor se está apagando.', schema: ref('Readiness') }
+    }
+  },
+  'GET /metrics': {
+    tags: ['Operación'],
+    summary: 'Métricas en formato Prometheus',
+    description: 'Solicitudes y su duración por método, ruta y código de estado, rechazos de autenticación, duración de las consultas de Prisma, memoria y retraso del bucle de eventos.\n\nSi se configura `METRICS_TOKEN`, requiere `Authorization: Bearer <token>`; si se configura `METRICS_ALLOWED_IPS`, solo responde a esas direcciones.',
+    responses: {
+      200: {
+        description: 'Métricas de la instancia.',
+        content: { 'text/plain': { schema: { type: 'string', example: 'http_requests_total{method="GET",route="/users/:id",status="200"} 3' } } }
+      },
+      401: 'Unauthorized',
+      403: 'Forbidden'
+    }
+  },
+
+  // Ejemplos del curso
+  'GET /': {
+    tags: ['Ejemplos'],
+    summary: 'Página de bienvenida',
+    description: 'JSON para los clientes de la API o HTML para los navegadores, según la cabecera `Accept`.',
+    responses: {
+      200: jsonOrHtml('Información de la aplicación.', {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          port: { type: 'integer' }
+        }
+      }),
+      406: { description: 'No se acepta JSON ni HTML.' }
+    }
+  },
+  'GET /search': {
+    tags: ['Usuarios'],
+    summary: 'Buscar usuarios por término y rol',
+    description: '`termino` se busca, sin distinguir mayúsculas, en el nombre y en el correo; `categoria` filtra por rol. ' +
+      'Responde con JSON o con HTML según la cabecera `Accept`.',
+    parameters: [ifNoneMatch],
+    responses: {
+      200: jsonOrHtml('Página de usuarios encontrados.', ref('UserPage')),
+      304: notModified,
+      406: { description: 'No se acepta JSON ni HTML.' }
+    }
+  },
+  'POST /form': {
+    tags: ['Ejemplos'],
+    summary: 'Recibir un formulario',
+    responses: { 200: message('Datos recibidos.') }
+  },
+  'POST /api/data': {
+    tags: ['Ejemplos'],
+    summary: 'Recibir un objeto JSON',
+    responses: { 201: message('Datos recibidos.'), 400: 'BadRequest' }
+  },
+  'GET /error': { hidden: true },
+  'GET /protected-route': {
+    tags: ['Ejemplos'],
+    summary: 'Ruta protegida de prueba',
+    responses: { 200: { description: 'Texto de bienvenida.', contentType: 'text/html', schema: { type: 'string' } } }
+  },
+
+  // Usuarios
+  'GET /users': {
+    tags: ['Usuarios'],
+    summary: 'Listar usuarios',
+    parameters: [ifNoneMatch],
+    responses: { 200: { description: 'Página de usuarios (sin contraseñas), con `ETag`.', schema: ref('UserPage') }, 304: notModified }
+  },
+  'GET /users/export': {
+    tags: ['Usuarios'],
+    summary: 'Exportar usuarios',
+    description: 'Archivo descargable con todos los usuarios (sin contraseñas), generado por lotes.',
+    responses: {
+      200: {
+        description: 'Usuarios en el formato pedido.',
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'array', items: ref('User') } },
+          'application/x-ndjson': { schema: { type: 'string' } }
+        }
+      }
+    }
+  },
+  'POST /users/import': {
+    tags: ['Usuarios'],
+    summary: 'Importar usuarios desde CSV o JSON',
+    description: 'Cada fila se valida con las reglas del alta de usuarios. Se omiten los correos y los `id` que ya existen o se repiten.',
+    requestBody: {
+      required: true,
+      content: {
+        'text/csv': {
+          schema: { type: 'string', example: 'name,email,password,role\nAna Pérez,ana@example.com,secreto1,USER' }
+        },
+        'application/json': {
+          schema: { type: 'array', items: toOpenApiSchema(importUserRowSchema) }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Informe por fila.', schema: ref('ImportReport') },
+      400: 'BadRequest',
+      415: 'UnsupportedMediaType'
+    }
+  },
+  'GET /users/:id': {
+    tags: ['Usuarios'],
+    summary: 'Mostrar un usuario',
+    description: 'Responde con JSON o con HTML según la cabecera `Accept`. La respuesta JSON lleva el `ETag` que esperan `PUT` y `PATCH`.',
+    parameters: [ifNoneMatch],
+    responses: {
+      200: jsonOrHtml('Usuario (sin contraseña).', ref('User')),
+      304: notModified,
+      404: 'NotFound',
+      406: { description: 'No se acepta JSON ni HTML.' }
+    }
+  },
+  'POST /users': {
+    tags: ['Usuarios'],
+    summary: 'Crear un usuario',
+    responses: { 201: { description: 'Usuario creado.', schema: ref('User') }, 409: 'Conflict' }
+  },
+  'PUT /users/:id': {
+    tags: ['Usuarios'],
+    summary: 'Reemplazar los datos de un usuario',
+    parameters: [ifMatch],
+    responses: { 200: { description: 'Usuario guardado, con su nuevo `ETag`.', schema: ref('User') }, 404: 'NotFound', 409: 'Conflict', 412: 'PreconditionFailed', 428: 'PreconditionRequired' }
+  },
+  'PATCH /users/:id': {
+    tags: ['Usuarios'],
+    summary: 'Actualizar parcialmente un usuario',
+    parameters: [ifMatch],
+    responses: { 200: { description: 'Usuario guardado, con su nuevo `ETag`.', schema: ref('User') }, 404: 'NotFound', 409: 'Conflict', 412: 'PreconditionFailed', 428: 'PreconditionRequired' }
+  },
+  'DELETE /users/:id': {
+    tags: ['Usuarios'],
+    summary: 'Eliminar un usuario',
+    description: 'Borrado lógico: el usuario se puede restaurar hasta que se purgue.',
+    responses: { 204: { description: 'Usuario eliminado.' }, 404: 'NotFound' }
+  },
+  'POST /users/:id/restore': {
+    tags: ['Usuarios'],
+    summary: 'Restaurar un usuario eliminado',
+    responses: {
+      200: { description: 'Usuario restaurado.', schema: ref('User') },
+      404: 'NotFound',
+      409: 'Conflict'
+    }
+  },
+  'PUT /users/:id/avatar': {
+    tags: ['Usuarios'],
+    summary: 'Subir el avatar de un usuario',
+    description: 'Reemplaza el avatar anterior. El tipo se comprueba por el contenido del archivo, no por su nombre.',
+    responses: { 200: { description: 'Usuario con su nuevo `avatarUrl` y `ETag`.', schema: ref('User') }, 404: 'NotFound' }
+  },
+  'GET /users/:id/avatar': {
+    tags: ['Usuarios'],
+    summary: 'Obtener el avatar de un usuario',
+    description: 'Con la huella actual en `v` (la URL de `avatarUrl`) la respuesta se puede guardar en caché sin caducidad; sin ella, hay que revalidarla con `If-None-Match`.',
+    parameters: [ifNoneMatch],
+    responses: {
+      200: {
+        description: 'Imagen, con `ETag` y `Cache-Control`.',
+        content: Object.fromEntries(AVATAR_TYPES.map((type) => [type, { schema: { type: 'string', format: 'binary' } }]))
+      },
+      304: notModified,
+      404: 'NotFound'
+    }
+  },
+  'DELETE /users/:id/avatar': {
+    tags: ['Usuarios'],
+    summary: 'Eliminar el avatar de un usuario',
+    responses: { 204: { description: 'Avatar eliminado.' }, 404: 'NotFound' }
+  },
+  'GET /db-users': {
+    tags: ['Usuarios'],
+    summary: 'Listar usuarios (administración)',
+    parameters: [ifNoneMatch],
+    responses: { 200: { description: 'Página de usuarios (sin contraseñas), con `ETag`.', schema: ref('UserPage') }, 304: notModified }
+  },
+  'POST /db-users/:id/promote': {
+    tags: ['Usuarios'],
+    summary: 'Dar el rol ADMIN a un usuario',
+    responses: { 200: { description: 'Usuario actualizado.', schema: ref('User') }, 404: 'NotFound' }
+  },
+  'POST /db-users/:id/demote': {
+    tags: ['Usuarios'],
+    summary: 'Quitar el rol ADMIN a un usuario',
+    responses: { 200: { description: 'Usuario actualizado.', schema: ref('User') }, 400: 'BadRequest', 404: 'NotFound' }
+  },
+
+  // Autenticación
+  'POST /register': {
+    tags: ['Autenticación'],
+    summary: 'Registrar un usuario',
+    description: 'Envía un correo con el enlace para verificar la dirección de email.',
+    responses: {
+      201: {
+        description: 'Usuario creado.',
+        schema: { type: 'object', properties: { message: { type: 'string' }, user: ref('User') } }
+      },
+      409: 'Conflict'
+    }
+  },
+  'POST /login': {
+    tags: ['Autenticación'],
+    summary: 'Iniciar sesión',
+    responses: {
+      200: { description: 'Nuevo par de tokens.', schema: ref('Tokens') },
+      401: 'Unauthorized',
+      403: 'Forbidden'
+    }
+  },
+  'POST /token/refresh': {
+    tags: ['Autenticación'],
+    summary: 'Rotar el token de refresco',
+    description: 'Si se presenta un token ya revocado, se revoca la sesión completa.',
+    responses: { 200: { description: 'Nuevo par de tokens.', schema: ref('Tokens') }, 401: 'Unauthorized' }
+  },
+  'POST /logout': {
+    tags: ['Autenticación'],
+    summary: 'Cerrar la sesión',
+    responses: { 204: { description: 'Sesión cerrada.' } }
+  },
+  'POST /verify-email': {
+    tags: ['Autenticación'],
+    summary: 'Verificar el correo electrónico',
+    responses: { 200: message('Correo verificado.'), 400: 'BadRequest' }
+  },
+  'POST /verify-email/resend': {
+    tags: ['Autenticación'],
+    summary: 'Reenviar el correo de verificación',
+    responses: { 202: message('Solicitud aceptada.') }
+  },
+  'POST /password/forgot': {
+    tags: ['Autenticación'],
+    summary: 'Solicitar el restablecimiento de la contraseña',
+    responses: { 202: message('Solicitud aceptada.') }
+  },
+  'POST /password/reset': {
+    tags: ['Autenticación'],
+    summary: 'Restablecer la contraseña',
+    description: 'Revoca todas las sesiones abiertas del usuario.',
+    responses: { 200: message('Contraseña actualizada.'), 400: 'BadRequest' }
+  },
+
+  // Cuenta propia
+  'GET /me': {
+    tags: ['Cuenta'],
+    summary: 'Obtener mis datos',
+    responses: { 200: { description: 'Usuario autenticado (sin contraseña).', schema: ref('User') }, 404: 'NotFound' }
+  },
+  'PATCH /me': {
+    tags: ['Cuenta'],
+    summary: 'Actualizar mi nombre o correo',
+    description: 'Si cambia el correo, queda sin verificar y se envía un nuevo enlace de verificación.',
+    responses: { 200: { description: 'Usuario actualizado.', schema: ref('User') }, 404: 'NotFound', 409: 'Conflict' }
+  },
+  'POST /me/password': {
+    tags: ['Cuenta'],
+    summary: 'Cambiar mi contraseña',
+    description: 'Exige la contraseña actual. Cierra las demás sesiones; la actual sigue activa.',
+    responses: { 204: { description: 'Contraseña actualizada.' }, 404: 'NotFound' }
+  },
+  'DELETE /me': {
+    tags: ['Cuenta'],
+    summary: 'Cerrar mi cuenta',
+    description: 'Elimina la cuenta (borrado lógico) y revoca todas sus sesiones.',
+    responses: { 204: { description: 'Cuenta cerrada.' }, 404: 'NotFound' }
+  },
+
+  // Webhooks
+  'POST /webhooks': {
+    tags: ['Webhooks'],
+    summary: 'Crear una suscripción a eventos',
+    description: 'Cada evento se envía con POST a `url`, firmado en `X-Webhook-Signature` (`sha256=<hex>` sobre `<X-Webhook-Timestamp>.<cuerpo>`). ' +
+      'Si el receptor no responde 2xx, se reintenta con espera exponencial.',
+    responses: { 201: { description: 'Suscripción creada, con su secreto.', schema: ref('CreatedWebhookSubscription') } }
+  },
+  'GET /webhooks': {
+    tags: ['Webhooks'],
+    summary: 'Listar suscripciones',
+    responses: { 200: { description: 'Suscripciones (sin secretos).', schema: ref('WebhookSubscriptionPage') } }
+  },
+  'PATCH /webhooks/:id': {
+    tags: ['Webhooks'],
+    summary: 'Modificar una suscripción',
+    responses: { 200: { description: 'Suscripción actualizada (sin secreto).', schema: ref('WebhookSubscription') }, 404: 'NotFound' }
+  },
+  'DELETE /webhooks/:id': {
+    tags: ['Webhooks'],
+    summary: 'Eliminar una suscripción',
+    description: 'Elimina también su registro de entregas.',
+    responses: { 204: { description: 'Suscripción eliminada.' }, 404: 'NotFound' }
+  },
+  'GET /webhooks/:id/deliveries': {
+    tags: ['Webhooks'],
+    summary: 'Registro de entregas de una suscripción',
+    responses: { 200: { description: 'Entregas de la más reciente a la más antigua.', schema: ref('WebhookDeliveryPage') }, 404: 'NotFound' }
+  },
+  'POST /webhooks/deliveries/:id/redeliver': {
+    tags: ['Webhooks'],
+    summary: 'Reenviar una entrega',
+    description: 'La vuelve a encolar con todos los reintentos disponibles.',
+    responses: { 202: { description: 'Entrega encolada.', schema: ref('WebhookDelivery') }, 404: 'NotFound', 409: 'Conflict' }
+  },
+
+  // Claves de API
+  'POST /api-keys': {
+    tags: ['Claves de API'],
+    summary: 'Crear una clave de API',
+    description: 'La clave (`key`) solo se muestra en esta respuesta. Sin `ownerId`, actúa en nombre del administrador que la crea.',
+    responses: { 201: { description: 'Clave creada.', schema: ref('CreatedApiKey') }, 404: 'NotFound' }
+  },
+  'GET /api-keys': {
+    tags: ['Claves de API'],
+    summary: 'Listar claves de API',
+    description: 'Nunca incluye la clave ni su hash. Las revocadas solo aparecen con `includeRevoked=true`.',
+    responses: { 200: { description: 'Claves de la más reciente a la más antigua.', schema: ref('ApiKeyPage') } }
+  },
+  'DELETE /api-keys/:id': {
+    tags: ['Claves de API'],
+    summary: 'Revocar una clave de API',
+    responses: { 204: { description: 'Clave revocada.' }, 404: 'NotFound' }
+  },
+
+  // Cambios en tiempo real
+  'GET /events': {
+    tags: ['Usuarios'],
+    summary: 'Cambios de usuarios en tiempo real (Server-Sent Events)',
+    description: 'Eventos `user.created`, `user.updated`, `user.deleted` y `user.restored` con un `id` creciente; `data` es un `UserChange` en JSON. Un administrador recibe los cambios de todos los usuarios y el resto solo los suyos. Periódicamente (por defecto cada 15 segundos) se envía un comentario `: ping` y se comprueba de nuevo la credencial: si la sesión se revocó, el token expiró o la clave de API ya no está activa, se envía un evento `unauthorized` y se cierra el stream.',
+    parameters: [
+      {
+        name: 'Last-Event-ID',
+        in: 'header',
+        required: false,
+        description: 'Último `id` recibido: se reenvían los cambios posteriores. Si ya no están en memoria, se envía un evento `reset`.',
+        schema: { type: 'string' }
+      }
+    ],
+    responses: {
+      200: {
+        description: 'Stream de eventos (no termina mientras el cliente siga conectado y su credencial sea válida).',
+        content: {
+          'text/event-stream': {
+            schema: { type: 'string', example: 'id: 42\nevent: user.updated\ndata: {"id":42,"type":"user.updated","occurredAt":"2026-10-19T10:00:00.000Z","user":{"id":7,...}}\n\n' }
+          }
+        }
+      }
+    }
+  },
+
+  // Auditoría
+  'GET /audit': {
+    tags: ['Auditoría'],
+    summary: 'Consultar el historial de cambios de usuarios',
+    responses: { 200: { description: 'Entradas de la más reciente a la más antigua.', schema: ref('AuditLogPage') } }
+  },
+
+  // Citas
+  'GET /appointments': {
+    tags: ['Citas'],
+    summary: 'Listar citas',
+    description: 'Un usuario recibe sus propias citas; un administrador recibe todas y puede filtrar por `userId`.',
+    responses: { 200: { description: 'Citas ordenadas por fecha de inicio.', schema: { type: 'array', items: ref('Appointment') } } }
+  },
+  'POST /appointments': {
+    tags: ['Citas'],
+    summary: 'Crear una cita',
+    description: 'Un administrador puede crearla en nombre de otro usuario enviando `userId`.',
+    responses: { 201: { description: 'Cita creada.', schema: ref('Appointment') }, 409: 'Conflict' }
+  },
+  'GET /appointments/:id': {
+    tags: ['Citas'],
+    summary: 'Obtener una cita',
+    responses: { 200: { description: 'Cita.', schema: ref('Appointment') }, 403: 'Forbidden', 404: 'NotFound' }
+  },
+  'PATCH /appointments/:id': {
+    tags: ['Citas'],
+    summary: 'Actualizar el título, las notas o el horario de una cita',
+    responses: {
+      200: { description: 'Cita actualizada.', schema: ref('Appointment') },
+      403: 'Forbidden',
+      404: 'NotFound',
+      409: 'Conflict'
+    }
+  },
+  'PATCH /appointments/:id/status': {
+    tags: ['Citas'],
+    summary: 'Cambiar el estado de una cita',
+    responses: {
+      200: { description: 'Cita con el nuevo estado.', schema: ref('Appointment') },
+      403: 'Forbidden',
+      404: 'NotFound',
+      409: 'Conflict'
+    }
+  },
+  'DELETE /appointments/:id': {
+    tags: ['Citas'],
+    summary: 'Eliminar una cita',
+    responses: { 204: { description: 'Cita eliminada.' }, 403: 'Forbidden', 404: 'NotFound' }
+  },
+  'GET /users/:id/appointments': {
+    tags: ['Citas'],
+    summary: 'Listar las citas de un usuario',
+    responses: { 200: { description: 'Citas ordenadas por fecha de inicio.', schema: { type: 'array', items: ref('Appointment') } } }
+  },
+  'POST /users/:id/appointments': {
+    tags: ['Citas'],
+    summary: 'Crear una cita para un usuario',
+    responses: { 201: { description: 'Cita creada.', schema: ref('Appointment') }, 404: 'NotFound', 409: 'Conflict' }
+  },
+
+  // Documentación
+  'GET /openapi.json': { hidden: true }
+}
+
+module.exports = {
+  componentSchemas,
+  routeDocs,
+  tags
+}
@@ -0,0 +1,207 @@
+// ==============================
+// ESQUEMAS DE VALIDACIÓN DE USUARIOS Y AUTENTICACIÓN
+// ==============================
+// Se usan con el middleware `validate` (ver `utils/validation.js` para el formato).
+
+const { partial } = require('../utils/validation')
+const { paginationQueryProperties } = require('../utils/pagination')
+
+// Parámetro `:id` de las rutas de usuarios.
+const userIdParamsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  },
+  required: ['id']
+}
+
+// Campos editables de un usuario. El rol no está: solo se cambia con las rutas de administración.
+const userProperties = {
+  name: { type: 'string', minLength: 3, maxLength: 100 },
+  email: { type: 'string', format: 'email' },
+  password: { type: 'string', minLength: 6, maxLength: 72 }
+}
+
+// Alta de usuario (`POST /users` y `POST /register`).
+const createUserSchema = {
+  type: 'object',
+  properties: userProperties,
+  required: ['name', 'email', 'password']
+}
+
+// Reemplazo completo (`PUT /users/:id`): la contraseña es opcional.
+const replaceUserSchema = {
+  type: 'object',
+  properties: userProperties,
+  required: ['name', 'email']
+}
+
+// Actualización parcial (`PATCH /users/:id`).
+const patchUserSchema = partial(replaceUserSchema)
+
+// Campos por los que se pueden ordenar los listados de usuarios.
+const USER_SORT_FIELDS = ['id', 'name', 'email', 'role']
+
+// Paginación y orden comunes a los listados de usuarios.
+const listingProperties = {
+  ...paginationQueryProperties,
+  sort: { type: 'string', enum: USER_SORT_FIELDS, default: 'id' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'asc' }
+}
+
+// Listado de usuarios (`GET /users` y `GET /db-users`): filtros por nombre, correo y rol.
+// `name` y `email` buscan coincidencias parciales sin distinguir mayúsculas.
+const listUsersQuerySchema = {
+  type: 'object',
+  properties: {
+    ...listingProperties,
+    name: { type: 'string', maxLength: 100 },
+    email: { type: 'string', maxLength: 100 },
+    role: { type: 'string', enum: ['ADMIN', 'USER'] }
+  }
+}
+
+// Listado de administración (`GET /db-users`): admite además `includeDeleted` para
+// mostrar también los usuarios eliminados.
+const adminListUsersQuerySchema = {
+  type: 'object',
+  properties: {
+    ...listUsersQuerySchema.properties,
+    includeDeleted: { type: 'boolean', default: false }
+  }
+}
+
+// Actualización del perfil propio (`PATCH /me`): la contraseña se cambia con `POST /me/password`.
+const updateMeSchema = partial({
+  type: 'object',
+  properties: {
+    name: userProperties.name,
+    email: userProperties.email
+  }
+})
+
+// Cambio de contraseña propia (`POST /me/password`).
+const changePasswordSchema = {
+  type: 'object',
+  properties: {
+    currentPassword: { type: 'string', maxLength: 72 },
+    newPassword: userProperties.password
+  },
+  required: ['currentPassword', 'newPassword']
+}
+
+// Exportación de usuarios (`GET /users/export`).
+const exportUsersQuerySchema = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['csv', 'json', 'ndjson'], default: 'csv' }
+  }
+}
+
+// Importación de usuarios (`POST /users/import`): con `dryRun` solo se genera el informe.
+const importUsersQuerySchema = {
+  type: 'object',
+  properties: {
+    dryRun: { type: 'boolean', default: false }
+  }
+}
+
+// Cada fila de una importación: los mismos campos que el alta, más el `id` de origen
+// (para descartar filas repetidas) y el rol.
+const importUserRowSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    ...userProperties,
+    role: { type: 'string', enum: ['ADMIN', 'USER'], default: 'USER' }
+  },
+  required: ['name', 'email', 'password']
+}
+
+// Búsqueda de usuarios (`GET /search`): `termino` se busca en el nombre y en el correo,
+// `categoria` filtra por rol.
+const searchUsersQuerySchema = {
+  type: 'object',
+  properties: {
+    ...listingProperties,
+    termino: { type: 'string', maxLength: 100 },
+    categoria: { type: 'string', enum: ['ADMIN', 'USER'] }
+  }
+}
+
+// Avatar (`GET /users/:id/avatar`): `v` es la huella de `avatarUrl`; solo sirve para
+// que cada avatar tenga su propia URL (ver `utils/avatars.js`).
+const avatarQuerySchema = {
+  type: 'object',
+  properties: {
+    v: { type: 'string', maxLength: 64 }
+  }
+}
+
+// Inicio de sesión.
+const loginSchema = {
+  type: 'object',
+  properties: {
+    email: { type: 'string' },
+    password: { type: 'string' }
+  },
+  required: ['email', 'password']
+}
+
+// Rotación de tokens y cierre de sesión.
+const refreshTokenSchema = {
+  type: 'object',
+  properties: {
+    refreshToken: { type: 'string' }
+  },
+  required: ['refreshToken']
+}
+
+// Verificación de correo.
+const verifyEmailSchema = {
+  type: 'object',
+  properties: {
+    token: { type: 'string' }
+  },
+  required: ['token']
+}
+
+// Solicitudes que solo reciben un correo (reenvío de verificación y olvido de contraseña).
+const emailSchema = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', format: 'email' }
+  },
+  required: ['email']
+}
+
+// Restablecimiento de contraseña.
+const resetPasswordSchema = {
+  type: 'object',
+  properties: {
+    token: { type: 'string' },
+    password: userProperties.password
+  },
+  required: ['token', 'password']
+}
+
+module.exports = {
+  userIdParamsSchema,
+  createUserSchema,
+  replaceUserSchema,
+  patchUserSchema,
+  updateMeSchema,
+  changePasswordSchema,
+  listUsersQuerySchema,
+  adminListUsersQuerySchema,
+  exportUsersQuerySchema,
+  importUsersQuerySchema,
+  importUserRowSchema,
+  searchUsersQuerySchema,
+  avatarQuerySchema,
+  loginSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
+  emailSchema,
+  resetPasswordSchema
+}
@@ -0,0 +1,73 @@
+// ==============================
+// ESQUEMAS DE VALIDACIÓN DE WEBHOOKS
+// ==============================
+// Se usan con el middleware `validate` (ver `utils/validation.js` para el formato).
+
+const { partial } = require('../utils/validation')
+const { paginationQueryProperties } = require('../utils/pagination')
+const { WEBHOOK_EVENTS } = require('../utils/webhooks')
+
+const DELIVERY_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED']
+
+// Parámetro `:id` de las rutas de suscripciones y de entregas.
+const webhookIdParamsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  },
+  required: ['id']
+}
+
+// Campos de una suscripción.
+const webhookProperties = {
+  url: { type: 'string', format: 'uri', maxLength: 2000 },
+  events: {
+    type: 'array',
+    items: { type: 'string', enum: WEBHOOK_EVENTS },
+    uniqueItems: true
+  },
+  secret: { type: 'string', minLength: 16, maxLength: 200 },
+  active: { type: 'boolean' }
+}
+
+// Alta de suscripción. Sin `events` (o con la lista vacía) recibe todos los eventos;
+// sin `secret`, se genera uno.
+const createWebhookSchema = {
+  type: 'object',
+  properties: {
+    ...webhookProperties,
+    events: { ...webhookProperties.events, default: [] },
+    active: { ...webhookProperties.active, default: true }
+  },
+  required: ['url']
+}
+
+// Cambios en una suscripción: los mismos campos, todos opcionales (al menos uno) y sin
+// valores por defecto, para no tocar los que no se envían.
+const updateWebhookSchema = partial({ type: 'object', properties: webhookProperties })
+
+// Paginación del listado de suscripciones.
+const listWebhooksQuerySchema = {
+  type: 'object',
+  properties: {
+    ...paginationQueryProperties
+  }
+}
+
+// Filtros del registro de entregas de una suscripción.
+const listDeliveriesQuerySchema = {
+  type: 'object',
+  properties: {
+    ...paginationQueryProperties,
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    event: { type: 'string', enum: WEBHOOK_EVENTS }
+  }
+}
+
+module.exports = {
+  webhookIdParamsSchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  listWebhooksQuerySchema,
+  listDeliveriesQuerySchema
+}
@@ -0,0 +1,100 @@
+// ===============================================
+// IMPORTACIÓN DE `users.json` A LA TABLA `Users`
+// ===============================================
+// Copia los usuarios del almacén en archivo al almacén de Prisma e informa de
+// las filas que no se pueden importar.
+//
+// Uso:
+//   npm run users:import -- [--file ruta/al/archivo.json] [--dry-run]
+//
+// - `--file`: archivo a importar (por defecto `users.json` en la raíz del proyecto).
+// - `--dry-run`: solo genera el informe, sin escribir en la base de datos.
+
+require('dotenv').config()
+const path = require('path')
+const { PrismaClient } = require('@prisma/client')
+const { createUserStore } = require('../stores/userStore')
+const { importUsers } = require('../utils/userImport')
+
+/**
+ * Importa los usuarios de un archivo JSON (almacén `file`) a otro almacén.
+ *
+ * Usa la misma importación que `POST /users/import` (`utils/userImport.js`): cada usuario se
+ * valida con `importUserRowSchema` y termina como `created`, `skipped` o `invalid`. Las
+ * contraseñas del archivo ya son hashes de bcrypt, así que se copian sin volver a cifrarlas.
+ * Los IDs no se conservan: cada fila del informe lleva el ID de origen (`sourceId`) y el nuevo (`id`).
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Archivo JSON de usuarios
+ * @param {Object} options.target - Almacén de destino
+ * @param {boolean} [options.dryRun=false] - No escribe en el destino
+ * @returns {Promise<Object>} Informe de `importUsers`
+ */
+const importJsonFile = async ({ filePath, target, dryRun = false }) => {
+  const users = await createUserStore({ type: 'file', filePath }).findAll()
+  const report = await importUsers({
+    rows: users.map(({ name, email, password, role }) => ({ name, email, password, role })),
+    userStore: target,
+    passwordsHashed: true,
+    dryRun
+  })
+  report.rows.forEach((entry, index) => {
+    entry.sourceId = users[index].id
+  })
+  return report
+}
+
+/**
+ * Muestra el informe de la importación en consola.
+ * @param {Object} report - Informe devuelto por `importJsonFile`
+ */
+const printReport = (report) => {
+  const { summary, dryRun } = report
+  const rows = (status, describe) => report.rows
+    .filter(row => row.status === status)
+    .forEach(row => console.log(`  - ID ${row.sourceId} <${row.email ?? ''}> ${describe(row)}`))
+
+  console.log(dryRun ? 'Simulación de importación (no se escribió nada):' : 'Importación completada:')
+  console.log(`Importados: ${summary.created}`)
+  rows('created', row => (row.id ? `-> ID ${row.id}` : ''))
+  console.log(`Omitidos: ${summary.skipped}`)
+  rows('skipped', row => `(${row.reason})`)
+  console.log(`Datos inválidos: ${summary.invalid}`)
+  rows('invalid', row => `(${row.errors.map(error => `${error.field}: ${error.message}`).join(' ')})`)
+}
+
+/**
+ * Función principal del comando: lee los argumentos, ejecuta la importación y muestra el informe.
+ */
+async function main () {
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const fileIndex = args.indexOf('--file')
+  const filePath = fileIndex !== -1
+    ? path.resolve(args[fileIndex + 1])
+    : path.join(__dirname, '..', 'users.json')
+
+  const prisma = new PrismaClient()
+  try {
+    const report = await importJsonFile({
+      filePath,
+      target: createUserStore({ type: 'prisma', prisma }),
+      dryRun
+    })
+    printReport(report)
+  } finally {
+    await prisma.$disconnect()
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  importJsonFile,
+  printReport
+}
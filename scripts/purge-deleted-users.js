@@ -0,0 +1,107 @@
+// ===============================================
+// PURGA DE USUARIOS ELIMINADOS
+// ===============================================
+// Borra definitivamente los usuarios que llevan eliminados (borrado lógico) más
+// tiempo que el periodo de retención. Sus sesiones, tokens y citas se borran en
+// cascada y sus avatares se borran del almacén de archivos; el historial de auditoría
+// se conserva.
+//
+// Uso:
+//   npm run users:purge -- [--days 30] [--dry-run]
+//
+// - `--days`: días de retención (por defecto `USER_RETENTION_DAYS` o 30).
+// - `--dry-run`: solo muestra los usuarios que se purgarían, sin borrarlos.
+//
+// Lee la configuración con `loadConfig` (ver `utils/config.js`), así usa el mismo almacén de
+// usuarios y de archivos (`FILE_STORAGE`, `UPLOADS_DIR`) que la aplicación.
+// Pensado para ejecutarse de forma periódica (por ejemplo, con cron una vez al día).
+
+require('dotenv').config()
+const { PrismaClient } = require('@prisma/client')
+const { createUserStore } = require('../stores/userStore')
+const { createFileStorage } = require('../stores/fileStorage')
+const { avatarKey } = require('../utils/avatars')
+const { loadConfig } = require('../utils/config')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Purga los usuarios eliminados antes del límite de retención.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Almacén de usuarios
+ * @param {Object} [options.fileStorage] - Almacén de archivos; si se indica, se borran los avatares de los usuarios purgados
+ * @param {number} options.retentionDays - Días que se conserva un usuario eliminado
+ * @param {boolean} [options.dryRun=false] - No borra nada
+ * @param {Date} [options.now=new Date()] - Fecha de referencia
+ * @returns {Promise<{ deletedBefore: Date, ids: Array<number> }>} Límite aplicado e IDs purgados (o que se purgarían)
+ */
+const purgeDeletedUsers = async ({ store, fileStorage, retentionDays, dryRun = false, now = new Date() }) => {
+  const deletedBefore = new Date(now.getTime() - retentionDays * DAY_MS)
+
+  if (dryRun) {
+    const users = await store.findAll({ includeDeleted: true })
+    const ids = users
+      .filter(user => user.deletedAt && new Date(user.deletedAt) < deletedBefore)
+      .map(user => user.id)
+    return { deletedBefore, ids }
+  }
+
+  const ids = await store.purge(deletedBefore)
+  if (fileStorage) {
+    for (const id of ids) await fileStorage.remove(avatarKey(id))
+  }
+  return { deletedBefore, ids }
+}
+
+/**
+ * Lee los días de retención de `--days` o, si no se indica, usa `fallback`.
+ * @param {Array<string>} args - Argumentos del comando
+ * @param {number} fallback - Días de la configuración (`USER_RETENTION_DAYS`)
+ * @returns {number}
+ * @throws {Error} Si el valor no es un número entero positivo
+ */
+const readRetentionDays = (args, fallback) => {
+  const daysIndex = args.indexOf('--days')
+  if (daysIndex === -1) return fallback
+  const value = args[daysIndex + 1]
+  const days = Number(value)
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new Error(`Los días de retención deben ser un número entero positivo (se recibió: ${value}).`)
+  }
+  return days
+}
+
+/**
+ * Función principal del comando: lee los argumentos, ejecuta la purga y muestra el resultado.
+ */
+async function main () {
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const config = loadConfig()
+  const retentionDays = readRetentionDays(args, config.userRetentionDays)
+
+  const prisma = new PrismaClient()
+  try {
+    const store = createUserStore({ type: config.userStore, prisma, filePath: config.usersFilePath })
+    const fileStorage = createFileStorage(config.fileStorage)
+    const { deletedBefore, ids } = await purgeDeletedUsers({ store, fileStorage, retentionDays, dryRun })
+
+    console.log(dryRun ? 'Simulación de purga (no se borró nada):' : 'Purga completada:')
+    console.log(`Usuarios eliminados antes de ${deletedBefore.toISOString()}: ${ids.length}`)
+    ids.forEach(id => console.log(`  - ID ${id}`))
+  } finally {
+    await prisma.$disconnect()
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  purgeDeletedUsers
+}
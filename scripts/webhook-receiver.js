@@ -0,0 +1,105 @@
+// ===============================================
+// RECEPTOR LOCAL DE WEBHOOKS
+// ===============================================
+// Servidor HTTP mínimo para probar los webhooks sin un sistema externo: comprueba la
+// firma de cada entrega y muestra el evento recibido.
+//
+// Uso:
+//   npm run webhooks:receiver -- --secret <secreto> [--port 4000] [--fail 2]
+//
+// - `--secret`: secreto de la suscripción (el que devolvió `POST /webhooks`).
+// - `--port`: puerto en el que escucha (por defecto 4000).
+// - `--fail`: responde 500 a las primeras N entregas, para ver los reintentos.
+//
+// Después, crear la suscripción con `url: http://localhost:4000/` y provocar un evento
+// (por ejemplo, registrar un usuario). Con `node cli.js webhooks:deliver` se procesa
+// la cola sin esperar al proceso del servidor.
+
+const http = require('http')
+const { parseArgs } = require('util')
+const { verifySignature } = require('../utils/webhooks')
+
+/**
+ * Crea el servidor receptor (sin ponerlo a escuchar).
+ *
+ * - Firma inválida o caducada: 401.
+ * - Las primeras `failFirst` entregas válidas: 500.
+ * - El resto: 204, y se llama a `onEvent` con el evento y sus cabeceras.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Secreto de la suscripción
+ * @param {number} [options.failFirst=0] - Entregas que se rechazan con 500
+ * @param {Function} [options.onEvent] - `(event, headers)` por cada entrega aceptada
+ * @returns {http.Server}
+ */
+const createWebhookReceiver = ({ secret, failFirst = 0, onEvent = () => {} }) => {
+  let received = 0
+
+  return http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf-8')
+      const valid = verifySignature({
+        secret,
+        signature: req.headers['x-webhook-signature'],
+        timestamp: req.headers['x-webhook-timestamp'],
+        body
+      })
+      if (!valid) {
+        res.writeHead(401).end('Firma inválida')
+        return
+      }
+
+      received++
+      if (received <= failFirst) {
+        res.writeHead(500).end(`Fallo simulado ${received} de ${failFirst}`)
+        return
+      }
+
+      onEvent(JSON.parse(body), req.headers)
+      res.writeHead(204).end()
+    })
+  })
+}
+
+/**
+ * Función principal: lee las opciones y pone el receptor a escuchar.
+ */
+function main () {
+  const { values } = parseArgs({
+    options: {
+      secret: { type: 'string' },
+      port: { type: 'string', default: '4000' },
+      fail: { type: 'string', default: '0' }
+    }
+  })
+  if (!values.secret) {
+    throw new Error('Falta --secret (el secreto de la suscripción).')
+  }
+
+  const server = createWebhookReceiver({
+    secret: values.secret,
+    failFirst: Number(values.fail),
+    onEvent: (event, headers) => {
+      console.log(`[${headers['x-webhook-id']}] ${event.type}`)
+      console.log(JSON.stringify(event.data, null, 2))
+    }
+  })
+  server.listen(Number(values.port), () => {
+    console.log(`Receptor de webhooks: http://localhost:${values.port}/`)
+  })
+}
+
+if (require.main === module) {
+  try {
+    main()
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+}
+
+module.exports = {
+  createWebhookReceiver
+}
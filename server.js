@@ -0,0 +1,95 @@
+// ==============================
+// PUNTO DE ENTRADA DEL SERVIDOR
+// ==============================
+// Carga y valida la configuración, crea el cliente de Prisma y la aplicación (`createApp`)
+// y pone el servidor a escuchar. Si falta alguna variable obligatoria (`JWT_SECRET`,
+// `DATABASE_URL`), termina de inmediato con un mensaje que las enumera.
+//
+// Apagado ordenado: al recibir SIGTERM o SIGINT el servidor deja de aceptar conexiones,
+// `GET /ready` pasa a responder 503, se cierran los streams de `GET /events`, se esperan las
+// solicitudes en curso y se cierra la conexión con la base de datos. Si las solicitudes no terminan en `SHUTDOWN_TIMEOUT_MS`
+// (por defecto 10 segundos), se cortan las conexiones que queden.
+//
+// También arranca el proceso que entrega los webhooks encolados (salvo con
+// `WEBHOOK_WORKER_ENABLED=false`); en el apagado se detiene antes de cerrar la base de datos.
+//
+// El cliente de Prisma se extiende para medir sus consultas con las mismas métricas que
+// publica `GET /metrics` (ver `utils/metrics.js`).
+
+require('dotenv').config()
+const { PrismaClient } = require('@prisma/client')
+const { createApp } = require('./app')
+const { loadConfig } = require('./utils/config')
+const { createWebhookWorker } = require('./utils/webhooks')
+const { createMetrics, withQueryMetrics } = require('./utils/metrics')
+const { logger, configureLogger } = require('./utils/logger')
+
+let config
+try {
+  config = loadConfig()
+} catch (error) {
+  logger.error({ msg: 'invalid configuration', problems: error.problems, message: error.message })
+  process.exit(1)
+}
+configureLogger(config.logging)
+
+const metrics = createMetrics()
+const prisma = withQueryMetrics(new PrismaClient(), metrics)
+const app = createApp({ prisma, config, metrics })
+
+const { workerEnabled, ...workerOptions } = config.webhooks
+const webhookWorker = workerEnabled ? createWebhookWorker({ prisma, ...workerOptions }) : null
+webhookWorker?.start()
+
+/**
+ * Inicia el servidor Express en el puerto configurado (`PORT`, por defecto 3000).
+ *
+ * Una vez iniciado, muestra un mensaje en la consola con la URL local del servidor.
+ */
+const server = app.listen(config.port, () => {
+  console.log(`Servidor: http://localhost:${config.port}`)
+})
+
+let isShuttingDown = false
+
+// Durante el apagado, las conexiones keep-alive se cierran en cuanto terminan su solicitud en curso.
+server.on('request', (req, res) => {
+  res.on('finish', () => {
+    if (isShuttingDown) setImmediate(() => server.closeIdleConnections())
+  })
+})
+
+/**
+ * Apaga el servidor de forma ordenada.
+ * @param {string} signal - Señal recibida
+ */
+const shutdown = async (signal) => {
+  if (isShuttingDown) return
+  isShuttingDown = true
+  app.locals.isShuttingDown = true
+  logger.info({ msg: 'shutting down', signal })
+  // Los streams de `GET /events` no terminan solos: se cierran para no esperar al tiempo límite.
+  app.locals.userFeed.close()
+
+  const forceTimer = setTimeout(() => {
+    logger.warn({ msg: 'shutdown timeout, closing open connections', timeoutMs: config.shutdownTimeoutMs })
+    server.closeAllConnections()
+  }, config.shutdownTimeoutMs)
+  forceTimer.unref()
+
+  // `close` deja de aceptar conexiones y espera a que terminen las solicitudes en curso.
+  await new Promise((resolve) => server.close(resolve))
+  clearTimeout(forceTimer)
+  await webhookWorker?.stop()
+
+  try {
+    await prisma.$disconnect()
+  } catch (error) {
+    logger.error({ msg: 'prisma disconnect failed', message: error.message })
+    process.exitCode = 1
+  }
+  logger.info({ msg: 'shutdown complete' })
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
@@ -0,0 +1,41 @@
+// ==============================
+// ALMACÉN DE ARCHIVOS
+// ==============================
+// Guarda los archivos que suben los usuarios (por ahora, los avatares). El almacén se elige
+// con la variable de entorno `FILE_STORAGE`:
+// - `local` (por defecto): carpeta del disco (`UPLOADS_DIR`, por defecto `uploads/`).
+//
+// Con varias instancias, todas deben ver los mismos archivos: basta con pasar a `createApp`
+// otro almacén (por ejemplo, sobre S3) que implemente la misma interfaz.
+//
+// Las claves son rutas relativas con `/` (por ejemplo `avatars/7`); solo admiten letras,
+// números, `-`, `_` y `.`, sin segmentos vacíos ni `..`.
+//
+// Interfaz común (todos los métodos son asíncronos):
+// - save(key, data): guarda el contenido (`Buffer`), reemplazando el anterior si existía.
+// - read(key): contenido (`Buffer`) o `null` si no existe.
+// - remove(key): `true` si se borró, `false` si no existía.
+
+const createLocalFileStorage = require('./localFileStorage')
+
+/**
+ * Crea el almacén de archivos indicado.
+ *
+ * @param {Object} options
+ * @param {string} [options.type='local'] - Tipo de almacén
+ * @param {string} [options.dir] - Carpeta raíz (almacén `local`)
+ * @returns {Object} Almacén de archivos
+ * @throws {Error} Si el tipo de almacén no existe
+ */
+const createFileStorage = ({ type = 'local', dir }) => {
+  switch (type) {
+    case 'local':
+      return createLocalFileStorage({ dir })
+    default:
+      throw new Error(`FILE_STORAGE desconocido: ${type}`)
+  }
+}
+
+module.exports = {
+  createFileStorage
+}
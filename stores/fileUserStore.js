@@ -0,0 +1,189 @@
+// ==============================
+// ALMACÉN DE USUARIOS EN ARCHIVO JSON
+// ==============================
+// Implementa la interfaz del repositorio de usuarios (ver `stores/userStore.js`)
+// sobre un archivo JSON local, como `users.json`.
+// La lectura y la escritura pasan por `jsonFileStore`, que encola las escrituras
+// y reemplaza el archivo de forma atómica.
+
+const createJsonFileStore = require('./jsonFileStore')
+const { ConflictError } = require('../utils/errors')
+
+/**
+ * Indica si `value` contiene `search` sin distinguir mayúsculas.
+ * @param {string} value - Texto en el que buscar
+ * @param {string} search - Texto a buscar
+ * @returns {boolean}
+ */
+const includesInsensitive = (value, search) => {
+  return String(value ?? '').toLowerCase().includes(search.toLowerCase())
+}
+
+/**
+ * Indica si un usuario cumple los filtros de un listado.
+ * @param {Object} user - Usuario
+ * @param {Object} filters - Filtros (`name`, `email`, `role`, `term`)
+ * @returns {boolean}
+ */
+const matchesFilters = (user, { name, email, role, term }) => {
+  if (name && !includesInsensitive(user.name, name)) return false
+  if (email && !includesInsensitive(user.email, email)) return false
+  if (role && (user.role || 'USER') !== role) return false
+  if (term && !includesInsensitive(user.name, term) && !includesInsensitive(user.email, term)) return false
+  return true
+}
+
+/**
+ * Indica si un usuario está eliminado (borrado lógico).
+ * @param {Object} user - Usuario
+ * @returns {boolean}
+ */
+const isDeleted = (user) => Boolean(user.deletedAt)
+
+/**
+ * Comprueba que ningún otro usuario tenga el correo, igual que la restricción única
+ * de la tabla `Users`. Se llama dentro de la escritura encolada, así dos altas
+ * simultáneas con el mismo correo no pueden pasar las dos.
+ * @param {Array<Object>} users - Usuarios del archivo
+ * @param {string} email - Correo a comprobar
+ * @param {number} [exceptId] - ID del usuario que se está modificando
+ * @throws {ConflictError} Si el correo ya está registrado
+ */
+const assertEmailAvailable = (users, email, exceptId) => {
+  if (users.some(user => user.email === email && user.id !== exceptId)) {
+    throw new ConflictError('El correo electrónico ya está registrado.')
+  }
+}
+
+/**
+ * Devuelve la versión de un usuario. Los usuarios guardados antes de que existiera
+ * `version` cuentan como versión 1.
+ * @param {Object} user - Usuario
+ * @returns {number}
+ */
+const versionOf = (user) => user.version ?? 1
+
+/**
+ * Devuelve el usuario con su versión explícita (ver `versionOf`).
+ * @param {Object} user - Usuario
+ * @returns {Object}
+ */
+const withVersion = (user) => ({ ...user, version: versionOf(user) })
+
+/**
+ * Crea un almacén de usuarios respaldado por un archivo JSON.
+ *
+ * Los IDs se asignan de forma incremental a partir del mayor ID existente
+ * (también de los usuarios eliminados, para no reutilizar sus IDs).
+ * `deletedAt` se guarda como fecha ISO 8601. `version` aumenta en cada escritura.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Ruta absoluta del archivo JSON
+ * @returns {Object} Almacén de usuarios
+ */
+const createFileUserStore = ({ filePath }) => {
+  const file = createJsonFileStore({ filePath })
+
+  // Todas las lecturas devuelven los usuarios con su versión.
+  const readUsers = async () => (await file.read()).map(withVersion)
+
+  return {
+    type: 'file',
+
+    async findAll ({ includeDeleted = false } = {}) {
+      const users = await readUsers()
+      return includeDeleted ? users : users.filter(user => !isDeleted(user))
+    },
+
+    async list ({ filters = {}, sort = 'id', order = 'asc', skip = 0, take, includeDeleted = false }) {
+      const users = (await readUsers())
+        .filter(user => includeDeleted || !isDeleted(user))
+        .filter(user => matchesFilters(user, filters))
+      const direction = order === 'desc' ? -1 : 1
+      users.sort((a, b) => {
+        const left = a[sort] ?? ''
+        const right = b[sort] ?? ''
+        const comparison = typeof left === 'number' && typeof right === 'number'
+          ? left - right
+          : String(left).localeCompare(String(right))
+        return comparison * direction
+      })
+      return {
+        items: users.slice(skip, take === undefined ? undefined : skip + take),
+        total: users.length
+      }
+    },
+
+    async * batches ({ batchSize = 500, includeDeleted = false } = {}) {
+      const users = (await readUsers())
+        .filter(user => includeDeleted || !isDeleted(user))
+        .sort((a, b) => a.id - b.id)
+      for (let start = 0; start < users.length; start += batchSize) {
+        yield users.slice(start, start + batchSize)
+      }
+    },
+
+    async findById (id, { includeDeleted = false } = {}) {
+      const users = await readUsers()
+      return users.find(user => user.id === id && (includeDeleted || !isDeleted(user))) || null
+    },
+
+    async findByEmail (email, { includeDeleted = false } = {}) {
+      const users = await readUsers()
+      return users.find(user => user.email === email && (includeDeleted || !isDeleted(user))) || null
+    },
+
+    create (data) {
+      return file.update((users) => {
+        assertEmailAvailable(users, data.email)
+        const id = users.reduce((max, user) => Math.max(max, user.id), 0) + 1
+        const newUser = { id, ...data, version: 1 }
+        users.push(newUser)
+        return newUser
+      })
+    },
+
+    update (id, data, { expectedVersion } = {}) {
+      return file.update((users) => {
+        const index = users.findIndex(user => user.id === id && !isDeleted(user))
+        if (index === -1) return null
+        if (expectedVersion !== undefined && versionOf(users[index]) !== expectedVersion) return null
+        if (data.email !== undefined) assertEmailAvailable(users, data.email, id)
+        users[index] = { ...users[index], ...data, id, version: versionOf(users[index]) + 1 }
+        return users[index]
+      })
+    },
+
+    remove (id) {
+      return file.update((users) => {
+        const user = users.find(user => user.id === id && !isDeleted(user))
+        if (!user) return false
+        user.deletedAt = new Date().toISOString()
+        user.version = versionOf(user) + 1
+        return true
+      })
+    },
+
+    restore (id) {
+      return file.update((users) => {
+        const user = users.find(user => user.id === id && isDeleted(user))
+        if (!user) return null
+        delete user.deletedAt
+        user.version = versionOf(user) + 1
+        return user
+      })
+    },
+
+    purge (deletedBefore) {
+      return file.update((users) => {
+        const purged = users.filter(user => isDeleted(user) && new Date(user.deletedAt) < deletedBefore)
+        for (const user of purged) {
+          users.splice(users.indexOf(user), 1)
+        }
+        return purged.map(user => user.id)
+      })
+    }
+  }
+}
+
+module.exports = createFileUserStore
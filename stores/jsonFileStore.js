@@ -0,0 +1,125 @@
+// ==============================
+// PERSISTENCIA ATÓMICA EN ARCHIVOS JSON
+// ==============================
+// Lectura y escritura segura de un archivo JSON compartido por varias solicitudes:
+// - Las escrituras se encolan dentro del proceso, así dos solicitudes simultáneas
+//   no se pisan (cada una lee el resultado de la anterior).
+// - Cada escritura va a un archivo temporal que luego se renombra sobre el original;
+//   el renombrado es atómico, por lo que un fallo a mitad de escritura no corrompe el archivo.
+// - Antes de reemplazar el archivo se guarda una copia de seguridad (`<archivo>.bak`)
+//   que se usa para recuperarlo si el original no se puede leer.
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const { logger } = require('../utils/logger')
+
+/**
+ * Crea el error que se lanza cuando ni el archivo ni su copia de seguridad se pueden leer.
+ * Lleva `statusCode` 500 para que las rutas y el manejador de errores respondan con un error claro.
+ * @param {string} filePath - Archivo que no se pudo leer
+ * @param {Error} cause - Error original
+ * @returns {Error}
+ */
+const unreadableFileError = (filePath, cause) => {
+  const error = new Error('No se pudo leer el archivo de datos.', { cause })
+  error.filePath = filePath
+  error.statusCode = 500
+  error.code = 'FILE_STORE_UNREADABLE'
+  return error
+}
+
+/**
+ * Crea un almacén sobre un archivo JSON.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Ruta absoluta del archivo JSON
+ * @param {string} [options.backupPath] - Ruta de la copia de seguridad (por defecto `<filePath>.bak`)
+ * @param {*} [options.defaultValue=[]] - Contenido inicial si no existen ni el archivo ni la copia
+ * @returns {{ read: Function, update: Function }}
+ */
+const createJsonFileStore = ({ filePath, backupPath = `${filePath}.bak`, defaultValue = [] }) => {
+  // Cola de escrituras: cada actualización espera a que termine la anterior.
+  let queue = Promise.resolve()
+
+  const parseFile = async (path) => {
+    return JSON.parse(await fs.readFile(path, 'utf-8'))
+  }
+
+  /**
+   * Escribe el contenido en un archivo temporal y lo renombra sobre `path`.
+   */
+  const writeAtomic = async (path, content) => {
+    const tmpPath = `${path}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    const handle = await fs.open(tmpPath, 'w')
+    try {
+      await handle.writeFile(content, 'utf-8')
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    try {
+      await fs.rename(tmpPath, path)
+    } catch (error) {
+      await fs.rm(tmpPath, { force: true })
+      throw error
+    }
+  }
+
+  /**
+   * Lee el archivo. Si está dañado o no existe, intenta recuperarlo desde la copia de seguridad.
+   * @returns {Promise<*>} Contenido del archivo
+   * @throws {Error} `FILE_STORE_UNREADABLE` si no hay forma de leerlo
+   */
+  const read = async () => {
+    let mainError
+    try {
+      return await parseFile(filePath)
+    } catch (error) {
+      mainError = error
+    }
+
+    try {
+      const data = await parseFile(backupPath)
+      logger.warn({ msg: 'archivo ilegible, se recupera desde la copia de seguridad', filePath, backupPath })
+      await writeAtomic(filePath, JSON.stringify(data, null, 2))
+      return data
+    } catch (backupError) {
+      if (mainError.code === 'ENOENT' && backupError.code === 'ENOENT') {
+        return structuredClone(defaultValue)
+      }
+      throw unreadableFileError(filePath, mainError)
+    }
+  }
+
+  /**
+   * Aplica una modificación al contenido del archivo de forma exclusiva.
+   *
+   * `mutator` recibe el contenido actual y lo modifica en el sitio; su valor de retorno
+   * se devuelve al llamador.
+   *
+   * @param {Function} mutator - Función (síncrona o asíncrona) que modifica los datos
+   * @returns {Promise<*>} Lo que devuelva `mutator`
+   */
+  const update = (mutator) => {
+    const run = queue.then(async () => {
+      const data = await read()
+      const result = await mutator(data)
+
+      const content = JSON.stringify(data, null, 2)
+      try {
+        await fs.copyFile(filePath, backupPath)
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+      await writeAtomic(filePath, content)
+      return result
+    })
+    // Un fallo no debe bloquear las escrituras siguientes.
+    queue = run.catch(() => {})
+    return run
+  }
+
+  return { read, update }
+}
+
+module.exports = createJsonFileStore
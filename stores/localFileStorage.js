@@ -0,0 +1,72 @@
+// ==============================
+// ALMACÉN DE ARCHIVOS EN DISCO
+// ==============================
+// Implementa la interfaz del almacén de archivos (ver `stores/fileStorage.js`) sobre una
+// carpeta local. Cada clave es un archivo dentro de esa carpeta.
+// Las escrituras van a un archivo temporal que luego se renombra, así una lectura
+// simultánea nunca ve un archivo a medio escribir.
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+
+// Formato de las claves: segmentos de letras, números, `-`, `_` y `.` separados por `/`.
+const KEY_PATTERN = /^[\w-][\w.-]*(\/[\w-][\w.-]*)*$/
+
+/**
+ * Crea un almacén de archivos sobre una carpeta del disco.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Carpeta raíz; se crea al guardar el primer archivo
+ * @returns {{ save: Function, read: Function, remove: Function }}
+ */
+const createLocalFileStorage = ({ dir }) => {
+  /**
+   * Ruta del archivo de una clave. Rechaza las claves que podrían salir de la carpeta.
+   * @param {string} key - Clave
+   * @returns {string}
+   * @throws {Error} Si la clave no tiene un formato válido
+   */
+  const resolveKey = (key) => {
+    if (!KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+      throw new Error(`Clave de archivo inválida: ${key}`)
+    }
+    return path.join(dir, ...key.split('/'))
+  }
+
+  return {
+    async save (key, data) {
+      const filePath = resolveKey(key)
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+      try {
+        await fs.writeFile(tmpPath, data)
+        await fs.rename(tmpPath, filePath)
+      } catch (error) {
+        await fs.rm(tmpPath, { force: true })
+        throw error
+      }
+    },
+
+    async read (key) {
+      try {
+        return await fs.readFile(resolveKey(key))
+      } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+      }
+    },
+
+    async remove (key) {
+      try {
+        await fs.unlink(resolveKey(key))
+        return true
+      } catch (error) {
+        if (error.code === 'ENOENT') return false
+        throw error
+      }
+    }
+  }
+}
+
+module.exports = createLocalFileStorage
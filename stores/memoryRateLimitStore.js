@@ -0,0 +1,54 @@
+// ==============================
+// ALMACÉN DE CONTADORES EN MEMORIA
+// ==============================
+// Implementa la interfaz de `stores/rateLimitStore.js` con un `Map` en la memoria del proceso.
+// Las claves expiradas se eliminan al consultarlas y con una limpieza periódica.
+
+/**
+ * Crea un almacén de contadores en memoria.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.cleanupIntervalMs=60000] - Cada cuánto se eliminan las claves expiradas
+ * @returns {Object} Almacén de contadores
+ */
+const createMemoryRateLimitStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map()
+
+  const isExpired = (entry) => entry.resetAt <= Date.now()
+
+  // El temporizador no impide que el proceso termine.
+  const cleanup = setInterval(() => {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) entries.delete(key)
+    }
+  }, cleanupIntervalMs)
+  cleanup.unref()
+
+  return {
+    async increment (key, windowMs) {
+      let entry = entries.get(key)
+      if (!entry || isExpired(entry)) {
+        entry = { count: 0, resetAt: Date.now() + windowMs }
+        entries.set(key, entry)
+      }
+      entry.count += 1
+      return { count: entry.count, resetAt: entry.resetAt }
+    },
+
+    async get (key) {
+      const entry = entries.get(key)
+      if (!entry) return null
+      if (isExpired(entry)) {
+        entries.delete(key)
+        return null
+      }
+      return { count: entry.count, resetAt: entry.resetAt }
+    },
+
+    async reset (key) {
+      entries.delete(key)
+    }
+  }
+}
+
+module.exports = createMemoryRateLimitStore
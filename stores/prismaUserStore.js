@@ -0,0 +1,118 @@
+// ==============================
+// ALMACÉN DE USUARIOS EN BASE DE DATOS (PRISMA)
+// ==============================
+// Implementa la interfaz del repositorio de usuarios (ver `stores/userStore.js`)
+// sobre el modelo `Users` de Prisma.
+//
+// Cada escritura aumenta `version` dentro de la misma consulta (`increment`), así la
+// comprobación de `expectedVersion` en `update` y el cambio son una sola operación atómica.
+
+/**
+ * Traduce los filtros de un listado a una condición `where` de Prisma.
+ * @param {Object} filters - Filtros (`name`, `email`, `role`, `term`)
+ * @param {boolean} [includeDeleted=false] - Incluye los usuarios eliminados
+ * @returns {Object} Condición de Prisma
+ */
+const buildWhere = ({ name, email, role, term }, includeDeleted = false) => {
+  const contains = (value) => ({ contains: value, mode: 'insensitive' })
+  return {
+    ...(!includeDeleted && { deletedAt: null }),
+    ...(name && { name: contains(name) }),
+    ...(email && { email: contains(email) }),
+    ...(role && { role }),
+    ...(term && { OR: [{ name: contains(term) }, { email: contains(term) }] })
+  }
+}
+
+/**
+ * Crea un almacén de usuarios respaldado por la tabla `Users`.
+ *
+ * @param {Object} options
+ * @param {Object} options.prisma - Cliente de Prisma
+ * @returns {Object} Almacén de usuarios
+ */
+const createPrismaUserStore = ({ prisma }) => {
+  return {
+    type: 'prisma',
+
+    findAll ({ includeDeleted = false } = {}) {
+      return prisma.users.findMany({
+        where: includeDeleted ? {} : { deletedAt: null },
+        orderBy: { id: 'asc' }
+      })
+    },
+
+    async list ({ filters = {}, sort = 'id', order = 'asc', skip = 0, take, includeDeleted = false }) {
+      const where = buildWhere(filters, includeDeleted)
+      const [items, total] = await prisma.$transaction([
+        prisma.users.findMany({ where, orderBy: { [sort]: order }, skip, take }),
+        prisma.users.count({ where })
+      ])
+      return { items, total }
+    },
+
+    async * batches ({ batchSize = 500, includeDeleted = false } = {}) {
+      let lastId = 0
+      while (true) {
+        const batch = await prisma.users.findMany({
+          where: { id: { gt: lastId }, ...(!includeDeleted && { deletedAt: null }) },
+          orderBy: { id: 'asc' },
+          take: batchSize
+        })
+        if (batch.length > 0) yield batch
+        if (batch.length < batchSize) return
+        lastId = batch[batch.length - 1].id
+      }
+    },
+
+    findById (id, { includeDeleted = false } = {}) {
+      return prisma.users.findFirst({ where: { id, ...(!includeDeleted && { deletedAt: null }) } })
+    },
+
+    findByEmail (email, { includeDeleted = false } = {}) {
+      return prisma.users.findFirst({ where: { email, ...(!includeDeleted && { deletedAt: null }) } })
+    },
+
+    create (data) {
+      return prisma.users.create({ data })
+    },
+
+    async update (id, data, { expectedVersion } = {}) {
+      const { count } = await prisma.users.updateMany({
+        where: { id, deletedAt: null, ...(expectedVersion !== undefined && { version: expectedVersion }) },
+        data: { ...data, version: { increment: 1 } }
+      })
+      if (count === 0) return null
+      return prisma.users.findUnique({ where: { id } })
+    },
+
+    async remove (id) {
+      const { count } = await prisma.users.updateMany({
+        where: { id, deletedAt: null },
+        data: { deletedAt: new Date(), version: { increment: 1 } }
+      })
+      return count > 0
+    },
+
+    async restore (id) {
+      const { count } = await prisma.users.updateMany({
+        where: { id, deletedAt: { not: null } },
+        data: { deletedAt: null, version: { increment: 1 } }
+      })
+      if (count === 0) return null
+      return prisma.users.findUnique({ where: { id } })
+    },
+
+    async purge (deletedBefore) {
+      const where = { deletedAt: { not: null, lt: deletedBefore } }
+      const users = await prisma.users.findMany({ where, select: { id: true }, orderBy: { id: 'asc' } })
+      const ids = users.map(user => user.id)
+      if (ids.length > 0) {
+        await prisma.users.deleteMany({ where: { id: { in: ids }, ...where } })
+      }
+      return ids
+    }
+  }
+}
+
+module.exports = createPrismaUserStore
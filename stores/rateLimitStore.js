@@ -0,0 +1,39 @@
+// ==============================
+// ALMACÉN DE CONTADORES DE LÍMITE DE SOLICITUDES
+// ==============================
+// Guarda los contadores del limitador de solicitudes (`middlewares/rateLimit.js`) y del
+// bloqueo de cuentas por intentos fallidos (`utils/loginLockout.js`).
+// El almacén se elige con la variable de entorno `RATE_LIMIT_STORE`:
+// - `memory` (por defecto): en la memoria del proceso. Cada instancia lleva sus propios contadores.
+//
+// Para compartir los contadores entre varias instancias basta con pasar a `createApp` otro
+// almacén (por ejemplo, sobre Redis) que implemente la misma interfaz.
+//
+// Interfaz común (todos los métodos son asíncronos):
+// - increment(key, windowMs): suma 1 al contador de la clave y devuelve `{ count, resetAt }`.
+//   Si la clave no existe o su ventana ya terminó, empieza una ventana nueva de `windowMs`.
+// - get(key): `{ count, resetAt }` de la clave, o `null` si no existe o ya expiró.
+// - reset(key): elimina la clave.
+
+const createMemoryRateLimitStore = require('./memoryRateLimitStore')
+
+/**
+ * Crea el almacén de contadores indicado.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.type='memory'] - Tipo de almacén
+ * @returns {Object} Almacén de contadores
+ * @throws {Error} Si el tipo de almacén no existe
+ */
+const createRateLimitStore = ({ type = 'memory' } = {}) => {
+  switch (type) {
+    case 'memory':
+      return createMemoryRateLimitStore()
+    default:
+      throw new Error(`RATE_LIMIT_STORE desconocido: ${type}`)
+  }
+}
+
+module.exports = {
+  createRateLimitStore
+}
@@ -0,0 +1,72 @@
+// ==============================
+// REPOSITORIO DE USUARIOS
+// ==============================
+// Todas las rutas de usuarios pasan por esta interfaz, sin importar dónde se guarden los datos.
+// El almacén se elige con la variable de entorno `USER_STORE`:
+// - `prisma` (por defecto): tabla `Users` de la base de datos.
+// - `file`: archivo JSON local (`users.json`). Las sesiones, los tokens de verificación y
+//   restablecimiento y las citas guardan una clave foránea hacia la tabla `Users`, así que
+//   sus rutas no están disponibles con este almacén (ver `middlewares/requirePrismaUserStore.js`).
+//
+// Los usuarios se eliminan con borrado lógico: `remove` les pone la fecha `deletedAt` y dejan
+// de aparecer en las consultas, salvo que se pida `includeDeleted: true`.
+//
+// Cada usuario lleva un número de versión (`version`, desde 1) que aumenta con cada escritura
+// (`update`, `remove`, `restore`). Las rutas lo usan como ETag para detectar cambios concurrentes.
+//
+// Interfaz común (todos los métodos son asíncronos):
+// - type: `prisma` o `file` (propiedad, no método).
+// - findAll({ includeDeleted }): lista de usuarios.
+// - list({ filters, sort, order, skip, take, includeDeleted }): página de usuarios `{ items, total }`.
+//   `filters` admite `name` y `email` (coincidencia parcial sin distinguir mayúsculas),
+//   `role` (exacto) y `term` (coincidencia parcial en nombre o correo).
+// - batches({ batchSize, includeDeleted }): iterador asíncrono de lotes de usuarios ordenados
+//   por ID, para recorrer todos los usuarios sin cargarlos a la vez en memoria.
+// - findById(id, { includeDeleted }) / findByEmail(email, { includeDeleted }): usuario o `null`.
+// - create(data): usuario creado, con su ID asignado por el almacén.
+// - update(id, data, { expectedVersion }): usuario actualizado o `null` si no existe, está
+//   eliminado o, si se indica `expectedVersion`, su versión ya no es esa.
+// - remove(id): `true` si se eliminó, `false` si no existía o ya estaba eliminado.
+// - restore(id): usuario restaurado o `null` si no existe o no estaba eliminado.
+// - purge(deletedBefore): borra definitivamente los usuarios eliminados antes de esa fecha
+//   y devuelve sus IDs.
+
+const createFileUserStore = require('./fileUserStore')
+const createPrismaUserStore = require('./prismaUserStore')
+
+/**
+ * Crea el almacén de usuarios indicado.
+ *
+ * @param {Object} options
+ * @param {string} [options.type='prisma'] - `prisma` o `file`
+ * @param {Object} [options.prisma] - Cliente de Prisma (almacén `prisma`)
+ * @param {string} [options.filePath] - Ruta del archivo JSON (almacén `file`)
+ * @returns {Object} Almacén de usuarios
+ * @throws {Error} Si el tipo de almacén no existe
+ */
+const createUserStore = ({ type = 'prisma', prisma, filePath }) => {
+  switch (type) {
+    case 'prisma':
+      return createPrismaUserStore({ prisma })
+    case 'file':
+      return createFileUserStore({ filePath })
+    default:
+      throw new Error(`USER_STORE desconocido: ${type}`)
+  }
+}
+
+/**
+ * Devuelve una copia del usuario sin el hash de la contraseña,
+ * para poder enviarlo en las respuestas.
+ * @param {Object} user - Usuario completo
+ * @returns {Object} Usuario sin `password`
+ */
+const omitPassword = (user) => {
+  const { password, ...publicUser } = user
+  return publicUser
+}
+
+module.exports = {
+  createUserStore,
+  omitPassword
+}
@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+let ctx
+let adminHeaders
+
+beforeEach(async () => {
+  ctx = await startApp()
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users[0].role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  adminHeaders = { Authorization: `Bearer ${body.accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+/**
+ * Crea una clave de API como administrador.
+ * @param {Object} body - `scopes` y opcionalmente `ownerId` y `expiresAt`
+ * @returns {Promise<Object>} Respuesta de `POST /api-keys`
+ */
+const createKey = (body) => ctx.request('POST', '/api-keys', { headers: adminHeaders, body: { name: 'Informes', ...body } })
+
+test('la clave se muestra una sola vez y solo se guarda su hash', async () => {
+  const created = await createKey({ scopes: ['users:read'] })
+  assert.equal(created.status, 201)
+  assert.match(created.body.key, /^ak_/)
+  assert.equal(created.body.keyHash, undefined)
+
+  const [stored] = ctx.prisma.db.apiKeys
+  assert.notEqual(stored.keyHash, created.body.key)
+  assert.equal(stored.prefix, created.body.key.slice(0, stored.prefix.length))
+
+  const list = await ctx.request('GET', '/api-keys', { headers: adminHeaders })
+  assert.equal(list.body.meta.total, 1)
+  assert.equal(list.body.data[0].key, undefined)
+  assert.equal(list.body.data[0].keyHash, undefined)
+})
+
+test('una clave solo usa las rutas de sus alcances', async () => {
+  const { body } = await createKey({ scopes: ['users:read'] })
+  const headers = { 'X-API-Key': body.key }
+
+  assert.equal((await ctx.request('GET', '/users', { headers })).status, 200)
+  assert.equal((await ctx.request('GET', '/search?termino=admin', { headers })).status, 200)
+  assert.equal((await ctx.request('GET', '/users/1', { headers })).status, 200)
+
+  const created = await ctx.request('POST', '/users', { headers, body: { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123' } })
+  assert.equal(created.status, 403)
+  assert.equal((await ctx.request('GET', '/audit', { headers })).status, 403)
+  assert.equal((await ctx.request('GET', '/appointments', { headers })).status, 403)
+})
+
+test('una clave nunca puede más que su dueño', async () => {
+  await registerAndLogin(ctx.request)
+  const { body } = await createKey({ scopes: ['users:read'], ownerId: 2 })
+
+  const response = await ctx.request('GET', '/users', { headers: { 'X-API-Key': body.key } })
+  assert.equal(response.status, 403)
+})
+
+test('las rutas de la cuenta y de las claves no aceptan claves de API', async () => {
+  const { body } = await createKey({ scopes: ['users:read', 'users:write'] })
+  const headers = { 'X-API-Key': body.key }
+
+  assert.equal((await ctx.request('GET', '/me', { headers })).status, 403)
+  assert.equal((await ctx.request('GET', '/api-keys', { headers })).status, 403)
+})
+
+test('una clave desconocida, revocada o expirada responde 401', async () => {
+  assert.equal((await ctx.request('GET', '/users', { headers: { 'X-API-Key': 'ak_no-existe' } })).status, 401)
+
+  const { body: revoked } = await createKey({ scopes: ['users:read'] })
+  assert.equal((await ctx.request('DELETE', `/api-keys/${revoked.id}`, { headers: adminHeaders })).status, 204)
+  assert.equal((await ctx.request('GET', '/users', { headers: { 'X-API-Key': revoked.key } })).status, 401)
+  assert.equal((await ctx.request('DELETE', `/api-keys/${revoked.id}`, { headers: adminHeaders })).status, 404)
+
+  const { body: expired } = await createKey({ scopes: ['users:read'] })
+  ctx.prisma.db.apiKeys.find(apiKey => apiKey.id === expired.id).expiresAt = new Date(Date.now() - 1000)
+  assert.equal((await ctx.request('GET', '/users', { headers: { 'X-API-Key': expired.key } })).status, 401)
+})
+
+test('una fecha de expiración pasada responde 422 y un dueño desconocido 404', async () => {
+  const past = await createKey({ scopes: ['users:read'], expiresAt: '2020-01-01T00:00:00.000Z' })
+  assert.equal(past.status, 422)
+  assert.equal(past.body.errors[0].field, 'expiresAt')
+
+  assert.equal((await createKey({ scopes: ['users:read'], ownerId: 99 })).status, 404)
+})
@@ -0,0 +1,77 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+const { prismaError } = require('./helpers/fakePrisma')
+
+let ctx
+let headers
+
+beforeEach(async () => {
+  ctx = await startApp()
+  const { accessToken } = await registerAndLogin(ctx.request)
+  headers = { Authorization: `Bearer ${accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+/**
+ * Crea una cita del usuario autenticado entre dos horas del mismo día.
+ * @param {string} from - Hora de inicio (`HH:MM`)
+ * @param {string} to - Hora de fin (`HH:MM`)
+ */
+const book = (from, to) => ctx.request('POST', '/appointments', {
+  headers,
+  body: { title: `Cita ${from}`, startsAt: `2030-05-10T${from}:00.000Z`, endsAt: `2030-05-10T${to}:00.000Z` }
+})
+
+test('una cita que se solapa con otra activa responde 409 con el ID en conflicto', async () => {
+  const first = await book('10:00', '11:00')
+  assert.equal(first.status, 201)
+
+  const overlapping = await book('10:30', '11:30')
+  assert.equal(overlapping.status, 409)
+  assert.equal(overlapping.body.conflictingAppointmentId, first.body.id)
+  assert.equal(ctx.prisma.db.appointments.length, 1)
+})
+
+test('las citas que solo se tocan en un extremo no se solapan', async () => {
+  assert.equal((await book('10:00', '11:00')).status, 201)
+  assert.equal((await book('11:00', '12:00')).status, 201)
+  assert.equal((await book('09:00', '10:00')).status, 201)
+})
+
+test('una cita cancelada no ocupa el horario', async () => {
+  const first = await book('10:00', '11:00')
+  const cancelled = await ctx.request('PATCH', `/appointments/${first.body.id}/status`, { headers, body: { status: 'CANCELLED' } })
+  assert.equal(cancelled.status, 200)
+
+  assert.equal((await book('10:00', '11:00')).status, 201)
+})
+
+test('mover una cita sobre otra responde 409; sobre su propio horario no', async () => {
+  const first = await book('10:00', '11:00')
+  const second = await book('12:00', '13:00')
+
+  const onOther = await ctx.request('PATCH', `/appointments/${second.body.id}`, {
+    headers,
+    body: { startsAt: '2030-05-10T10:30:00.000Z', endsAt: '2030-05-10T12:30:00.000Z' }
+  })
+  assert.equal(onOther.status, 409)
+  assert.equal(onOther.body.conflictingAppointmentId, first.body.id)
+
+  const onItself = await ctx.request('PATCH', `/appointments/${second.body.id}`, {
+    headers,
+    body: { endsAt: '2030-05-10T13:30:00.000Z' }
+  })
+  assert.equal(onItself.status, 200)
+})
+
+test('un conflicto de escritura de la transacción serializable responde 409', async () => {
+  ctx.prisma.$transaction = async () => { throw prismaError('P2034', 'Transaction failed due to a write conflict') }
+
+  const response = await book('10:00', '11:00')
+  assert.equal(response.status, 409)
+  assert.match(response.body.message, /Vuelve a intentarlo/)
+})
@@ -0,0 +1,71 @@
+const { test, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { canTransition, validateAppointment, findOverlappingAppointment, runSerializable } = require('../utils/appointments')
+const { createFakePrisma, prismaError } = require('./helpers/fakePrisma')
+
+let prisma
+
+beforeEach(async () => {
+  prisma = createFakePrisma()
+  await prisma.appointments.create({
+    data: { userId: 1, title: 'Revisión', startsAt: new Date('2026-11-02T10:00:00Z'), endsAt: new Date('2026-11-02T11:00:00Z') }
+  })
+})
+
+const slot = (startsAt, endsAt, extra = {}) => ({ userId: 1, startsAt: new Date(startsAt), endsAt: new Date(endsAt), ...extra })
+
+test('detecta un horario que se solapa con una cita activa del usuario', async () => {
+  const overlapping = await findOverlappingAppointment(prisma, slot('2026-11-02T10:30:00Z', '2026-11-02T11:30:00Z'))
+  assert.equal(overlapping.id, 1)
+
+  // Un intervalo que contiene por completo a la cita también se solapa.
+  assert.ok(await findOverlappingAppointment(prisma, slot('2026-11-02T09:00:00Z', '2026-11-02T12:00:00Z')))
+})
+
+test('los intervalos que solo se tocan (fin == inicio) no se solapan', async () => {
+  assert.equal(await findOverlappingAppointment(prisma, slot('2026-11-02T11:00:00Z', '2026-11-02T12:00:00Z')), null)
+  assert.equal(await findOverlappingAppointment(prisma, slot('2026-11-02T09:00:00Z', '2026-11-02T10:00:00Z')), null)
+})
+
+test('las citas canceladas o completadas no ocupan el horario', async () => {
+  for (const status of ['CANCELLED', 'COMPLETED']) {
+    prisma.db.appointments[0].status = status
+    assert.equal(await findOverlappingAppointment(prisma, slot('2026-11-02T10:00:00Z', '2026-11-02T11:00:00Z')), null)
+  }
+  prisma.db.appointments[0].status = 'CONFIRMED'
+  assert.ok(await findOverlappingAppointment(prisma, slot('2026-11-02T10:00:00Z', '2026-11-02T11:00:00Z')))
+})
+
+test('ignora la cita indicada en excludeId y las citas de otros usuarios', async () => {
+  assert.equal(await findOverlappingAppointment(prisma, slot('2026-11-02T10:00:00Z', '2026-11-02T11:00:00Z', { excludeId: 1 })), null)
+  assert.equal(await findOverlappingAppointment(prisma, slot('2026-11-02T10:00:00Z', '2026-11-02T11:00:00Z', { userId: 2 })), null)
+})
+
+test('runSerializable convierte el conflicto de escritura (P2034) en writeConflict', async () => {
+  assert.deepEqual(await runSerializable(prisma, async () => ({ appointment: 1 })), { appointment: 1 })
+
+  prisma.$transaction = async () => { throw prismaError('P2034', 'Transaction failed due to a write conflict or a deadlock.') }
+  assert.deepEqual(await runSerializable(prisma, async () => ({})), { writeConflict: true })
+
+  prisma.$transaction = async () => { throw prismaError('P2002', 'Unique constraint failed') }
+  await assert.rejects(runSerializable(prisma, async () => ({})), { code: 'P2002' })
+})
+
+test('validateAppointment exige un fin posterior al inicio', () => {
+  const result = validateAppointment({ startsAt: '2026-11-02T10:00:00Z', endsAt: '2026-11-02T10:00:00Z' })
+  assert.deepEqual(result, { isValid: false, field: 'endsAt', error: 'La fecha de fin debe ser posterior a la de inicio.' })
+
+  // En una actualización los campos que no llegan se toman de la cita actual.
+  const current = { startsAt: new Date('2026-11-02T10:00:00Z'), endsAt: new Date('2026-11-02T11:00:00Z') }
+  const { isValid, endsAt } = validateAppointment({ endsAt: '2026-11-02T12:00:00Z' }, current)
+  assert.equal(isValid, true)
+  assert.equal(endsAt.toISOString(), '2026-11-02T12:00:00.000Z')
+  assert.equal(validateAppointment({ startsAt: '2026-11-02T12:00:00Z' }, current).isValid, false)
+})
+
+test('canTransition sigue el ciclo de estados', () => {
+  assert.equal(canTransition('SCHEDULED', 'CONFIRMED'), true)
+  assert.equal(canTransition('CONFIRMED', 'COMPLETED'), true)
+  assert.equal(canTransition('SCHEDULED', 'COMPLETED'), false)
+  assert.equal(canTransition('CANCELLED', 'SCHEDULED'), false)
+})
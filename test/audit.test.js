@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { diff } = require('../utils/audit')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+test('diff guarda solo los campos que cambiaron y oculta la contraseña', () => {
+  const before = { id: 1, name: 'Ana', email: 'ana@example.com', password: 'hash-1' }
+  const after = { id: 1, name: 'Ana María', email: 'ana@example.com', password: 'hash-2' }
+
+  assert.deepEqual(diff(before, after), {
+    before: { name: 'Ana', password: '[REDACTED]' },
+    after: { name: 'Ana María', password: '[REDACTED]' }
+  })
+})
+
+test('diff no registra la versión', () => {
+  assert.deepEqual(diff({ id: 1, name: 'Ana', version: 1 }, { id: 1, name: 'Ana', version: 2 }), { before: {}, after: {} })
+})
+
+test('diff de un alta o una baja deja el otro lado en null', () => {
+  assert.deepEqual(diff(null, { id: 1, name: 'Ana' }), { before: null, after: { id: 1, name: 'Ana' } })
+  assert.deepEqual(diff({ id: 1, password: 'hash' }, null), { before: { id: 1, password: '[REDACTED]' }, after: null })
+})
+
+let ctx
+
+beforeEach(async () => {
+  ctx = await startApp()
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+/**
+ * Registra a Ana (USER) y a un administrador.
+ * @returns {Promise<{ user: Object, admin: Object }>} Tokens de cada uno
+ */
+const setup = async () => {
+  const user = await registerAndLogin(ctx.request)
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users.find(row => row.email === 'admin@example.com').role = 'ADMIN'
+  const { body: admin } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  return { user, admin }
+}
+
+const bearer = ({ accessToken }) => ({ Authorization: `Bearer ${accessToken}` })
+
+test('los cambios de usuarios quedan en el historial con el actor y el ID de la solicitud', async () => {
+  const { admin } = await setup()
+
+  const updated = await ctx.request('PATCH', '/users/1', {
+    headers: { ...bearer(admin), 'X-Request-Id': 'req-123', 'If-Match': '"1"' },
+    body: { name: 'Ana María', password: 'otroSecreto1' }
+  })
+  assert.equal(updated.status, 200)
+
+  const entry = ctx.prisma.db.auditLogs.find(row => row.action === 'USER_UPDATED')
+  assert.equal(entry.targetId, 1)
+  assert.equal(entry.actorId, 2)
+  assert.equal(entry.requestId, 'req-123')
+  assert.deepEqual(entry.changes.after, { name: 'Ana María', password: '[REDACTED]' })
+
+  assert.equal((await ctx.request('DELETE', '/users/1', { headers: bearer(admin) })).status, 204)
+  assert.deepEqual(ctx.prisma.db.auditLogs.map(row => row.action), ['USER_REGISTERED', 'USER_REGISTERED', 'USER_UPDATED', 'USER_DELETED'])
+})
+
+test('GET /audit filtra por usuario y acción, y solo lo consulta un ADMIN', async () => {
+  const { user, admin } = await setup()
+  await ctx.request('PATCH', '/users/1', { headers: { ...bearer(user), 'If-Match': '"1"' }, body: { name: 'Ana María' } })
+
+  assert.equal((await ctx.request('GET', '/audit')).status, 401)
+  assert.equal((await ctx.request('GET', '/audit', { headers: bearer(user) })).status, 403)
+
+  const byTarget = await ctx.request('GET', '/audit?target=1', { headers: bearer(admin) })
+  assert.equal(byTarget.status, 200)
+  assert.deepEqual(byTarget.body.data.map(row => row.action), ['USER_UPDATED', 'USER_REGISTERED'])
+  assert.equal(byTarget.body.meta.total, 2)
+
+  const byAction = await ctx.request('GET', '/audit?action=USER_REGISTERED', { headers: bearer(admin) })
+  assert.deepEqual(byAction.body.data.map(row => row.targetId), [2, 1])
+})
+
+test('GET /audit responde 422 si from es posterior a to', async () => {
+  const { admin } = await setup()
+
+  const response = await ctx.request('GET', '/audit?from=2030-01-02T00:00:00Z&to=2030-01-01T00:00:00Z', { headers: bearer(admin) })
+  assert.equal(response.status, 422)
+  assert.equal(response.body.errors[0].field, 'to')
+})
@@ -0,0 +1,87 @@
+const { test, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+const realNow = Date.now
+let ctx
+
+afterEach(async () => {
+  mock.restoreAll()
+  await ctx.close()
+})
+
+/**
+ * Adelanta el reloj (`Date.now`) los milisegundos indicados respecto a la hora real.
+ * @param {number} ms
+ */
+const advanceClock = (ms) => {
+  mock.restoreAll()
+  const start = realNow()
+  mock.method(Date, 'now', () => start + ms)
+}
+
+const register = (email, headers) => ctx.request('POST', '/register', {
+  headers,
+  body: { name: 'Ana Pérez', email, password: 'secreto123' }
+})
+const login = (password) => ctx.request('POST', '/login', { body: { email: 'ana@example.com', password } })
+
+test('las rutas de autenticación envían las cabeceras RateLimit-* y responden 429 con Retry-After', async () => {
+  ctx = await startApp({ config: { rateLimit: { windowMs: 60 * 1000, maxPerIp: 2 } } })
+
+  const first = await register('a@example.com')
+  assert.equal(first.status, 201)
+  assert.equal(first.headers.get('ratelimit-limit'), '2')
+  assert.equal(first.headers.get('ratelimit-remaining'), '1')
+  assert.equal(first.headers.get('ratelimit-policy'), '2;w=60')
+
+  assert.equal((await register('b@example.com')).status, 201)
+  const blocked = await register('c@example.com')
+  assert.equal(blocked.status, 429)
+  assert.equal(blocked.headers.get('retry-after'), '60')
+  assert.equal(blocked.body.statusCode, 429)
+  assert.equal(ctx.prisma.db.users.length, 2)
+})
+
+test('el límite por IP usa la IP del cliente detrás de un proxy de confianza', async () => {
+  ctx = await startApp({ config: { trustProxy: true, rateLimit: { maxPerIp: 1 } } })
+
+  assert.equal((await register('a@example.com', { 'X-Forwarded-For': '203.0.113.1' })).status, 201)
+  assert.equal((await register('b@example.com', { 'X-Forwarded-For': '203.0.113.1' })).status, 429)
+  assert.equal((await register('b@example.com', { 'X-Forwarded-For': '203.0.113.2' })).status, 201)
+})
+
+test('el límite por cuenta cuenta las solicitudes de cada correo', async () => {
+  ctx = await startApp({ config: { rateLimit: { maxPerIp: 100, maxPerAccount: 2 } } })
+  const forgot = (email) => ctx.request('POST', '/password/forgot', { body: { email } })
+
+  assert.equal((await forgot('ana@example.com')).status, 202)
+  assert.equal((await forgot('ana@example.com')).status, 202)
+  assert.equal((await forgot('ana@example.com')).status, 429)
+  assert.equal((await forgot('bea@example.com')).status, 202)
+})
+
+test('la cuenta se bloquea de forma progresiva y vuelve a aceptar el inicio de sesión al expirar', async () => {
+  ctx = await startApp({ config: { loginLockout: { threshold: 2, baseLockMs: 60 * 1000, maxLockMs: 10 * 60 * 1000 } } })
+  await registerAndLogin(ctx.request)
+
+  assert.equal((await login('incorrecta')).status, 401)
+  assert.equal((await login('incorrecta')).status, 401)
+
+  // Bloqueada: ni siquiera la contraseña correcta sirve.
+  const locked = await login('secreto123')
+  assert.equal(locked.status, 429)
+  assert.equal(locked.headers.get('retry-after'), '60')
+
+  // Un fallo más al terminar el bloqueo duplica su duración.
+  advanceClock(61 * 1000)
+  assert.equal((await login('incorrecta')).status, 401)
+  assert.equal((await login('secreto123')).headers.get('retry-after'), '120')
+
+  advanceClock((61 + 121) * 1000)
+  assert.equal((await login('secreto123')).status, 200)
+
+  // El inicio de sesión correcto reinicia el contador de fallos.
+  assert.equal((await login('incorrecta')).status, 401)
+  assert.equal((await login('secreto123')).status, 200)
+})
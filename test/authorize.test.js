@@ -0,0 +1,67 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { authorize, authorizeSelfOrAdmin, requireScope, denyApiKeys } = require('../middlewares/authorize')
+
+/**
+ * Ejecuta un middleware con una solicitud simulada.
+ * @param {Function} middleware
+ * @param {Object} req - `user`, `auth` y `params`
+ * @returns {number|string} Código del error pasado a `next`, o `'next'` si continuó sin error
+ */
+const run = (middleware, req) => {
+  let result = 'no llamado'
+  middleware({ params: {}, ...req }, {}, (error) => { result = error ? error.statusCode : 'next' })
+  return result
+}
+
+const admin = { id: 1, role: 'ADMIN' }
+const user = { id: 2, role: 'USER' }
+const jwtAuth = { type: 'jwt', scopes: null }
+const apiKey = (scopes) => ({ type: 'apiKey', keyId: 9, scopes })
+
+test('authorize deja pasar a los roles indicados', () => {
+  assert.equal(run(authorize('ADMIN'), { user: admin }), 'next')
+  assert.equal(run(authorize('ADMIN', 'USER'), { user }), 'next')
+})
+
+test('authorize responde 403 a otro rol y 401 sin usuario', () => {
+  assert.equal(run(authorize('ADMIN'), { user }), 403)
+  assert.equal(run(authorize('ADMIN'), {}), 401)
+})
+
+test('authorizeSelfOrAdmin deja pasar al dueño y al administrador', () => {
+  assert.equal(run(authorizeSelfOrAdmin(), { user, params: { id: '2' } }), 'next')
+  assert.equal(run(authorizeSelfOrAdmin(), { user: admin, params: { id: '2' } }), 'next')
+})
+
+test('authorizeSelfOrAdmin rechaza a otro usuario con 403 y sin usuario con 401', () => {
+  assert.equal(run(authorizeSelfOrAdmin(), { user, params: { id: '3' } }), 403)
+  assert.equal(run(authorizeSelfOrAdmin(), { params: { id: '2' } }), 401)
+})
+
+test('authorizeSelfOrAdmin usa el parámetro indicado', () => {
+  assert.equal(run(authorizeSelfOrAdmin('userId'), { user, params: { id: '3', userId: '2' } }), 'next')
+})
+
+test('requireScope no limita los tokens JWT', () => {
+  assert.equal(run(requireScope('users:write'), { user, auth: jwtAuth }), 'next')
+})
+
+test('requireScope exige a las claves de API alguno de los alcances; sin usuario responde 401', () => {
+  const middleware = requireScope('users:read', 'users:write')
+  assert.equal(run(middleware, { user, auth: apiKey(['users:write']) }), 'next')
+  assert.equal(run(middleware, { user, auth: apiKey(['audit:read']) }), 403)
+  assert.equal(run(middleware, {}), 401)
+})
+
+test('denyApiKeys rechaza las claves de API y deja pasar los tokens', () => {
+  assert.equal(run(denyApiKeys(), { user, auth: apiKey(['users:read']) }), 403)
+  assert.equal(run(denyApiKeys(), { user, auth: jwtAuth }), 'next')
+})
+
+test('los middlewares exponen sus reglas para la documentación OpenAPI', () => {
+  assert.deepEqual(authorize('ADMIN', 'USER').roles, ['ADMIN', 'USER'])
+  assert.equal(authorizeSelfOrAdmin('userId').ownerParam, 'userId')
+  assert.deepEqual(requireScope('users:read').scopes, ['users:read'])
+  assert.equal(denyApiKeys().deniesApiKeys, true)
+})
@@ -0,0 +1,140 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { detectFileType } = require('../utils/fileTypes')
+const createLocalFileStorage = require('../stores/localFileStorage')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32, 1)])
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(32, 1)])
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 '), Buffer.alloc(16, 1)])
+
+/**
+ * Arma un cuerpo multipart/form-data con un archivo.
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+const multipart = ({ field = 'avatar', filename = 'foto.png', type = 'image/png', data }) => {
+  const boundary = '----prueba'
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="${filename}"\r\nContent-Type: ${type}\r\n\r\n`),
+    data,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ])
+  return { body, contentType: `multipart/form-data; boundary=${boundary}` }
+}
+
+test('detectFileType reconoce PNG, JPEG, GIF y WebP por sus primeros bytes', () => {
+  assert.equal(detectFileType(PNG), 'image/png')
+  assert.equal(detectFileType(JPEG), 'image/jpeg')
+  assert.equal(detectFileType(Buffer.from('GIF87a....')), 'image/gif')
+  assert.equal(detectFileType(Buffer.from('GIF89a....')), 'image/gif')
+  assert.equal(detectFileType(WEBP), 'image/webp')
+})
+
+test('detectFileType no reconoce otros contenidos ni firmas incompletas', () => {
+  assert.equal(detectFileType(Buffer.from('<html><script>alert(1)</script></html>')), null)
+  assert.equal(detectFileType(PNG.subarray(0, 4)), null)
+  assert.equal(detectFileType(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE')])), null)
+  assert.equal(detectFileType(Buffer.alloc(0)), null)
+})
+
+let dir
+let ctx
+let auth
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'avatars-'))
+  ctx = await startApp({ config: { fileStorage: { dir }, avatars: { maxBytes: 1024 } } })
+  const { accessToken } = await registerAndLogin(ctx.request)
+  auth = { Authorization: `Bearer ${accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+const upload = (file, headers = auth) => {
+  const { body, contentType } = multipart(file)
+  return ctx.request('PUT', '/users/1/avatar', { headers: { ...headers, 'Content-Type': contentType }, text: body })
+}
+
+test('el almacén local guarda, lee y borra archivos y rechaza claves fuera de su carpeta', async () => {
+  const storage = createLocalFileStorage({ dir })
+
+  await storage.save('avatars/7', PNG)
+  assert.deepEqual(await storage.read('avatars/7'), PNG)
+  assert.equal(await storage.remove('avatars/7'), true)
+  assert.equal(await storage.read('avatars/7'), null)
+  assert.equal(await storage.remove('avatars/7'), false)
+
+  await assert.rejects(storage.save('../fuera', PNG), /Clave de archivo inválida/)
+  await assert.rejects(storage.read('avatars/../../fuera'), /Clave de archivo inválida/)
+})
+
+test('rechaza con 415 un archivo que no es imagen aunque se declare image/png', async () => {
+  const { status } = await upload({ data: Buffer.from('<html><script>alert(1)</script></html>') })
+  assert.equal(status, 415)
+  assert.equal(ctx.prisma.db.users[0].avatarUrl, null)
+  assert.equal(await createLocalFileStorage({ dir }).read('avatars/1'), null)
+})
+
+test('guarda la imagen y la sirve con el tipo detectado, no con el declarado', async () => {
+  const uploaded = await upload({ filename: 'foto.png', type: 'image/png', data: JPEG })
+  assert.equal(uploaded.status, 200)
+  assert.match(uploaded.body.avatarUrl, /^\/users\/1\/avatar\?v=/)
+  assert.equal(uploaded.headers.get('etag'), '"2"')
+  assert.ok(ctx.prisma.db.auditLogs.some(log => log.action === 'USER_UPDATED' && log.changes.after.avatarUrl === uploaded.body.avatarUrl))
+
+  const avatar = await ctx.request('GET', uploaded.body.avatarUrl)
+  assert.equal(avatar.status, 200)
+  assert.equal(avatar.headers.get('content-type'), 'image/jpeg')
+  assert.equal(avatar.headers.get('x-content-type-options'), 'nosniff')
+  assert.match(avatar.headers.get('cache-control'), /immutable/)
+})
+
+test('sin la huella actual el avatar se revalida y responde 304 si no cambió', async () => {
+  await upload({ data: PNG })
+
+  const avatar = await ctx.request('GET', '/users/1/avatar')
+  assert.equal(avatar.headers.get('cache-control'), 'public, no-cache')
+
+  const etag = avatar.headers.get('etag')
+  const revalidated = await ctx.request('GET', '/users/1/avatar', { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } })
+  assert.equal(revalidated.status, 304)
+})
+
+test('responde 413 si el archivo supera el tamaño máximo', async () => {
+  const { status } = await upload({ data: Buffer.concat([PNG, Buffer.alloc(2048)]) })
+  assert.equal(status, 413)
+})
+
+test('responde 415 si el cuerpo no es multipart y 422 si falta el archivo', async () => {
+  const notMultipart = await ctx.request('PUT', '/users/1/avatar', { headers: auth, body: { avatar: 'x' } })
+  assert.equal(notMultipart.status, 415)
+
+  const missing = await upload({ field: 'otro', data: PNG })
+  assert.equal(missing.status, 422)
+  assert.equal(missing.body.errors[0].field, 'avatar')
+})
+
+test('solo el propio usuario o un administrador pueden cambiar el avatar', async () => {
+  const { accessToken } = await registerAndLogin(ctx.request, { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123' })
+
+  assert.equal((await upload({ data: PNG }, {})).status, 401)
+  assert.equal((await upload({ data: PNG }, { Authorization: `Bearer ${accessToken}` })).status, 403)
+  assert.equal(ctx.prisma.db.users[0].avatarUrl, null)
+})
+
+test('DELETE /users/:id/avatar borra el archivo y deja avatarUrl en null', async () => {
+  await upload({ data: PNG })
+
+  assert.equal((await ctx.request('DELETE', '/users/1/avatar', { headers: auth })).status, 204)
+  assert.equal(ctx.prisma.db.users[0].avatarUrl, null)
+  assert.equal(await createLocalFileStorage({ dir }).read('avatars/1'), null)
+
+  assert.equal((await ctx.request('GET', '/users/1/avatar')).status, 404)
+  assert.equal((await ctx.request('DELETE', '/users/1/avatar', { headers: auth })).status, 404)
+})
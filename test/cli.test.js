@@ -0,0 +1,136 @@
+const { test, mock, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
+const bcrypt = require('bcryptjs')
+const jwt = require('jsonwebtoken')
+const { runCli, CommandError } = require('../cli')
+const { withDefaults } = require('../utils/config')
+const { createFakePrisma } = require('./helpers/fakePrisma')
+
+const CLI_PATH = path.join(__dirname, '..', 'cli.js')
+
+let prisma
+let config
+let output
+
+beforeEach(async () => {
+  prisma = createFakePrisma()
+  config = withDefaults({ auth: { jwtSecret: 'test-secret' } })
+  output = []
+  mock.method(console, 'log', (...args) => output.push(args.join(' ')))
+  mock.method(console, 'table', (rows) => output.push(rows))
+  prisma.db.users.push({ id: 1, name: 'Ana Pérez', email: 'ana@example.com', password: await bcrypt.hash('secreto123', 4), role: 'USER', emailVerifiedAt: null, deletedAt: null })
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+const cli = (...argv) => runCli(argv, { prisma, config })
+
+/**
+ * Ejecuta `cli.js` en otro proceso, sin variables de entorno de la aplicación
+ * y fuera del proyecto (para que `dotenv` no cargue su `.env`).
+ * @returns {Promise<{ code: number, stderr: string }>}
+ */
+const spawnCli = (...argv) => new Promise((resolve) => {
+  const env = { PATH: process.env.PATH }
+  execFile(process.execPath, [CLI_PATH, ...argv], { cwd: os.tmpdir(), env, timeout: 20000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stderr })
+  })
+})
+
+test('help muestra la lista de comandos', async () => {
+  await cli('help')
+  assert.match(output[0], /Uso: node cli\.js <comando>/)
+  assert.ok(output.some(line => line.includes('users:set-role <id|correo> <ADMIN|USER>')))
+})
+
+test('un comando desconocido o una opción inválida lanzan CommandError con el uso', async () => {
+  await assert.rejects(cli('users:nada'), (error) => error instanceof CommandError && /Comando desconocido: users:nada/.test(error.message))
+  await assert.rejects(cli('users:list', '--rol', 'ADMIN'), (error) => error instanceof CommandError && /Uso: node cli\.js users:list/.test(error.message))
+  await assert.rejects(cli('users:list', '--role', 'ROOT'), /--role debe ser uno de: ADMIN, USER/)
+})
+
+test('users:create-admin crea un ADMIN verificado y muestra la contraseña generada', async () => {
+  await cli('users:create-admin', '--email', 'root@example.com', '--name', 'Root')
+
+  const admin = prisma.db.users.find(user => user.email === 'root@example.com')
+  assert.equal(admin.role, 'ADMIN')
+  assert.ok(admin.emailVerifiedAt)
+  const generated = output.find(line => line.startsWith('Contraseña generada: ')).split(': ')[1]
+  assert.ok(await bcrypt.compare(generated, admin.password))
+  await assert.rejects(cli('users:create-admin', '--email', 'ana@example.com', '--name', 'Ana'), /ya está registrado/)
+})
+
+test('users:set-role cambia el rol, lo registra en la auditoría y rechaza a un usuario inexistente', async () => {
+  await cli('users:set-role', 'ana@example.com', 'ADMIN')
+  assert.equal(prisma.db.users[0].role, 'ADMIN')
+  assert.equal(prisma.db.auditLogs[0].action, 'USER_ROLE_CHANGED')
+
+  await assert.rejects(cli('users:set-role', '99', 'USER'), { name: 'CommandError', message: 'Usuario no encontrado: 99' })
+  await assert.rejects(cli('users:set-role', '1', 'ROOT'), /El rol debe ser uno de/)
+})
+
+test('users:set-role y users:reset-password fallan si el usuario desaparece antes de guardar', async () => {
+  prisma.users.updateMany = async () => ({ count: 0 })
+
+  await assert.rejects(cli('users:set-role', 'ana@example.com', 'ADMIN'), { name: 'CommandError', message: 'Usuario no encontrado: ana@example.com' })
+  await assert.rejects(cli('users:reset-password', '1', '--password', 'nuevo12345'), { name: 'CommandError', message: 'Usuario no encontrado: 1' })
+  assert.deepEqual(prisma.db.auditLogs, [])
+})
+
+test('users:reset-password cambia la contraseña y cierra las sesiones', async () => {
+  prisma.db.refreshTokens.push({ id: 1, userId: 1, tokenHash: 'x', revokedAt: null })
+
+  await cli('users:reset-password', '1', '--password', 'nuevo12345')
+  assert.ok(await bcrypt.compare('nuevo12345', prisma.db.users[0].password))
+  assert.ok(prisma.db.refreshTokens[0].revokedAt)
+  await assert.rejects(cli('users:reset-password', '1', '--password', '123'), /password:/)
+})
+
+test('tokens:issue firma un token con la clave de config.auth', async () => {
+  await cli('tokens:issue', 'ana@example.com', '--expires-in', '5m')
+
+  const payload = jwt.verify(output[0], 'test-secret')
+  assert.deepEqual([payload.id, payload.email, payload.role], [1, 'ana@example.com', 'USER'])
+  await assert.rejects(cli('tokens:issue', '1', '--expires-in', 'pronto'), /--expires-in inválido/)
+})
+
+test('webhooks:deliver intenta las entregas vencidas con la configuración de webhooks', async () => {
+  const fetch = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }))
+  prisma.db.webhookSubscriptions.push({ id: 1, url: 'http://127.0.0.1:9/hooks', secret: 'whsec_secreto-de-prueba', events: [], active: true })
+  prisma.db.webhookDeliveries.push({ id: 1, subscriptionId: 1, eventId: 'evt-1', event: 'user.created', payload: {}, status: 'PENDING', attempts: 0, nextAttemptAt: new Date(0) })
+
+  await cli('webhooks:deliver')
+
+  assert.equal(fetch.mock.callCount(), 1)
+  assert.equal(prisma.db.webhookDeliveries[0].status, 'SUCCEEDED')
+  assert.equal(output.at(-1), 'Entregas intentadas: 1')
+})
+
+test('db:seed crea los usuarios de ejemplo con la contraseña cifrada y no los duplica', async () => {
+  await cli('db:seed', '--password', 'semilla123')
+  await cli('db:seed')
+
+  const seeded = prisma.db.users.filter(user => user.email !== 'ana@example.com')
+  assert.deepEqual(seeded.map(user => [user.email, user.role]), [['camilo@example.com', 'ADMIN'], ['cristina@example.com', 'USER']])
+  for (const user of seeded) {
+    assert.match(user.password, /^\$2[aby]\$10\$/)
+    assert.ok(await bcrypt.compare('semilla123', user.password))
+    assert.ok(user.emailVerifiedAt)
+  }
+})
+
+test('el proceso termina con código 1 y solo el mensaje ante un error de uso o de configuración', async () => {
+  const unknown = await spawnCli('users:nada')
+  assert.equal(unknown.code, 1)
+  assert.match(unknown.stderr, /^Error: Comando desconocido: users:nada/)
+
+  const noConfig = await spawnCli('tokens:issue', '1')
+  assert.equal(noConfig.code, 1)
+  assert.match(noConfig.stderr, /^Error: Configuración inválida:\n- JWT_SECRET es obligatoria\./)
+  assert.doesNotMatch(noConfig.stderr, /at /)
+})
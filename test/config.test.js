@@ -0,0 +1,139 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('path')
+const { loadConfig, withDefaults, DEFAULT_CONFIG, ConfigError } = require('../utils/config')
+
+const REQUIRED = { JWT_SECRET: 'secreto', DATABASE_URL: 'postgresql://localhost/db' }
+
+test('con solo las variables obligatorias usa los valores por defecto', () => {
+  const config = loadConfig(REQUIRED)
+
+  assert.equal(config.port, 3000)
+  assert.equal(config.userStore, 'prisma')
+  assert.equal(config.appUrl, 'http://localhost:3000')
+  assert.deepEqual(config.auth, { jwtSecret: 'secreto', accessTokenExpiresIn: '15m', refreshTokenExpiresDays: 7 })
+  assert.deepEqual(config.logging, DEFAULT_CONFIG.logging)
+  assert.deepEqual(config.accountTokens, DEFAULT_CONFIG.accountTokens)
+})
+
+test('lee la autenticación, el registro y los tokens de la cuenta de las variables de entorno', () => {
+  const config = loadConfig({
+    ...REQUIRED,
+    PORT: '8080',
+    ACCESS_TOKEN_EXPIRES_IN: '1h',
+    REFRESH_TOKEN_EXPIRES_DAYS: '30',
+    LOG_DESTINATION: 'file',
+    LOG_FILE: 'tmp/app.jsonl',
+    LOG_LEVEL: 'warn',
+    EMAIL_VERIFICATION_TOKEN_TTL_HOURS: '2',
+    APP_URL: 'https://app.example.com/'
+  })
+
+  assert.equal(config.appUrl, 'https://app.example.com')
+  assert.deepEqual(config.auth, { jwtSecret: 'secreto', accessTokenExpiresIn: '1h', refreshTokenExpiresDays: 30 })
+  assert.equal(config.logging.destination, 'file')
+  assert.equal(config.logging.filePath, path.resolve('tmp/app.jsonl'))
+  assert.equal(config.logging.level, 'warn')
+  assert.equal(config.accountTokens.emailVerificationTtlMs, 2 * 60 * 60 * 1000)
+})
+
+test('APP_URL toma el puerto configurado si no se indica', () => {
+  assert.equal(loadConfig({ ...REQUIRED, PORT: '8080' }).appUrl, 'http://localhost:8080')
+})
+
+test('enumera todos los problemas en un solo error', () => {
+  assert.throws(() => loadConfig({
+    PORT: 'abc',
+    USER_STORE: 'redis',
+    ACCESS_TOKEN_EXPIRES_IN: 'pronto',
+    REFRESH_TOKEN_EXPIRES_DAYS: '0',
+    LOG_DESTINATION: 'syslog',
+    LOG_LEVEL: 'trace',
+    APP_URL: 'ftp://example.com'
+  }), (error) => {
+    assert.ok(error instanceof ConfigError)
+    assert.deepEqual(error.problems, [
+      'JWT_SECRET es obligatoria.',
+      'DATABASE_URL es obligatoria.',
+      'PORT debe ser un número entero positivo.',
+      'REFRESH_TOKEN_EXPIRES_DAYS debe ser un número entero positivo.',
+      'ACCESS_TOKEN_EXPIRES_IN debe ser una duración, por ejemplo 15m o 1h.',
+      'APP_URL debe ser una URL http o https.',
+      'USER_STORE debe ser uno de: prisma, file.',
+      'LOG_DESTINATION debe ser uno de: stdout, file.',
+      'LOG_LEVEL debe ser uno de: debug, info, warn, error.'
+    ])
+    return true
+  })
+})
+
+test('acepta USER_STORE=file', () => {
+  assert.equal(loadConfig({ ...REQUIRED, USER_STORE: 'file' }).userStore, 'file')
+})
+
+test('lee la retención de usuarios eliminados', () => {
+  assert.equal(loadConfig(REQUIRED).userRetentionDays, 30)
+  assert.equal(loadConfig({ ...REQUIRED, USER_RETENTION_DAYS: '90' }).userRetentionDays, 90)
+  assert.throws(() => loadConfig({ ...REQUIRED, USER_RETENTION_DAYS: '-1' }), /USER_RETENTION_DAYS debe ser un número entero positivo/)
+})
+
+test('withDefaults completa también los grupos anidados', () => {
+  const config = withDefaults({ port: 4000, auth: { jwtSecret: 'x' } })
+
+  assert.equal(config.port, 4000)
+  assert.deepEqual(config.auth, { ...DEFAULT_CONFIG.auth, jwtSecret: 'x' })
+  assert.deepEqual(config.mail, DEFAULT_CONFIG.mail)
+})
+
+test('lee los límites de solicitudes, el bloqueo de cuentas y TRUST_PROXY', () => {
+  const config = loadConfig({
+    ...REQUIRED,
+    AUTH_RATE_LIMIT_PER_IP: '50',
+    LOGIN_LOCKOUT_THRESHOLD: '3',
+    TRUST_PROXY: '1'
+  })
+
+  assert.equal(config.rateLimit.maxPerIp, 50)
+  assert.equal(config.rateLimit.maxPerAccount, DEFAULT_CONFIG.rateLimit.maxPerAccount)
+  assert.equal(config.loginLockout.threshold, 3)
+  assert.equal(config.trustProxy, 1)
+  assert.equal(loadConfig({ ...REQUIRED, TRUST_PROXY: 'loopback' }).trustProxy, 'loopback')
+
+  assert.throws(() => loadConfig({ ...REQUIRED, RATE_LIMIT_STORE: 'redis' }), /RATE_LIMIT_STORE debe ser uno de: memory/)
+})
+
+test('lee la configuración de los webhooks', () => {
+  assert.equal(loadConfig(REQUIRED).webhooks.workerEnabled, true)
+
+  const { webhooks } = loadConfig({ ...REQUIRED, WEBHOOK_WORKER_ENABLED: 'false', WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_RETRY_BASE_MS: '500' })
+  assert.equal(webhooks.workerEnabled, false)
+  assert.equal(webhooks.maxAttempts, 3)
+  assert.equal(webhooks.baseDelayMs, 500)
+  assert.throws(() => loadConfig({ ...REQUIRED, WEBHOOK_TIMEOUT_MS: '0' }), /WEBHOOK_TIMEOUT_MS debe ser un número entero positivo/)
+})
+
+test('lee el acceso a las métricas y rechaza IPs inválidas', () => {
+  assert.deepEqual(loadConfig(REQUIRED).metrics, { token: null, allowedIps: [] })
+
+  const { metrics } = loadConfig({ ...REQUIRED, METRICS_TOKEN: 's3cr3t', METRICS_ALLOWED_IPS: '127.0.0.1, 10.0.0.0/8,::1' })
+  assert.deepEqual(metrics, { token: 's3cr3t', allowedIps: ['127.0.0.1', '10.0.0.0/8', '::1'] })
+
+  assert.throws(() => loadConfig({ ...REQUIRED, METRICS_ALLOWED_IPS: '10.0.0.0/33,localhost' }), /METRICS_ALLOWED_IPS tiene valores que no son IPs ni rangos CIDR: 10\.0\.0\.0\/33, localhost/)
+})
+
+test('lee la configuración del feed de cambios', () => {
+  assert.deepEqual(loadConfig(REQUIRED).userFeed, DEFAULT_CONFIG.userFeed)
+
+  const { userFeed } = loadConfig({ ...REQUIRED, USER_FEED_BUFFER_SIZE: '50', USER_FEED_HEARTBEAT_MS: '5000' })
+  assert.equal(userFeed.bufferSize, 50)
+  assert.equal(userFeed.heartbeatMs, 5000)
+  assert.throws(() => loadConfig({ ...REQUIRED, USER_FEED_RETRY_MS: 'x' }), /USER_FEED_RETRY_MS debe ser un número entero positivo/)
+})
+
+test('lee el almacén de archivos y el tamaño máximo de los avatares', () => {
+  const config = loadConfig({ ...REQUIRED, UPLOADS_DIR: 'subidas', AVATAR_MAX_BYTES: '4096' })
+  assert.equal(config.fileStorage.dir, path.resolve('subidas'))
+  assert.equal(config.avatars.maxBytes, 4096)
+
+  assert.throws(() => loadConfig({ ...REQUIRED, FILE_STORAGE: 's3' }), /FILE_STORAGE debe ser uno de: local/)
+})
@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+let ctx
+let admin
+let ana
+
+beforeEach(async () => {
+  ctx = await startApp()
+  ana = await registerAndLogin(ctx.request)
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users.find(user => user.email === 'admin@example.com').role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  admin = { Authorization: `Bearer ${body.accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+test('un usuario eliminado desaparece de los listados y pierde sus sesiones', async () => {
+  assert.equal((await ctx.request('DELETE', '/users/1', { headers: admin })).status, 204)
+
+  const list = await ctx.request('GET', '/users', { headers: admin })
+  assert.deepEqual(list.body.data.map(user => user.id), [2])
+  const withDeleted = await ctx.request('GET', '/db-users?includeDeleted=true', { headers: admin })
+  assert.deepEqual(withDeleted.body.data.map(user => user.id), [1, 2])
+  assert.ok(withDeleted.body.data[0].deletedAt)
+
+  assert.equal((await ctx.request('POST', '/token/refresh', { body: { refreshToken: ana.refreshToken } })).status, 401)
+  assert.equal((await ctx.request('POST', '/login', { body: { email: 'ana@example.com', password: 'secreto123' } })).status, 401)
+})
+
+test('eliminar un usuario inexistente o ya eliminado responde 404', async () => {
+  assert.equal((await ctx.request('DELETE', '/users/99', { headers: admin })).status, 404)
+
+  await ctx.request('DELETE', '/users/1', { headers: admin })
+  assert.equal((await ctx.request('DELETE', '/users/1', { headers: admin })).status, 404)
+  assert.equal((await ctx.request('PATCH', '/users/1', { headers: admin, body: { name: 'Ana María' } })).status, 404)
+})
+
+test('el correo de un usuario eliminado no se puede volver a registrar', async () => {
+  await ctx.request('DELETE', '/users/1', { headers: admin })
+
+  const response = await ctx.request('POST', '/register', { body: { name: 'Ana Bis', email: 'ana@example.com', password: 'secreto123' } })
+  assert.equal(response.status, 409)
+})
+
+test('restore devuelve el usuario eliminado; 409 si no lo está y 404 si no existe', async () => {
+  await ctx.request('DELETE', '/users/1', { headers: admin })
+
+  const restored = await ctx.request('POST', '/users/1/restore', { headers: admin })
+  assert.equal(restored.status, 200)
+  assert.equal(restored.body.deletedAt, null)
+  assert.equal(restored.body.password, undefined)
+  assert.equal((await ctx.request('POST', '/login', { body: { email: 'ana@example.com', password: 'secreto123' } })).status, 200)
+
+  assert.equal((await ctx.request('POST', '/users/1/restore', { headers: admin })).status, 409)
+  assert.equal((await ctx.request('POST', '/users/99/restore', { headers: admin })).status, 404)
+  assert.deepEqual(
+    ctx.prisma.db.auditLogs.filter(entry => entry.targetId === 1).map(entry => entry.action),
+    ['USER_REGISTERED', 'USER_DELETED', 'USER_RESTORED']
+  )
+})
@@ -0,0 +1,110 @@
+const { test, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError
+} = require('../utils/errors')
+const { mapPrismaError } = require('../utils/prismaErrors')
+const errorHandler = require('../middlewares/errorHandler')
+const { logger } = require('../utils/logger')
+const { prismaError } = require('./helpers/fakePrisma')
+
+beforeEach(() => {
+  mock.method(logger, 'warn', () => {})
+  mock.method(logger, 'error', () => {})
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+/**
+ * Ejecuta `errorHandler` con una solicitud simulada.
+ * @param {Error} error - Error a manejar
+ * @param {Object} [res] - Propiedades extra de la respuesta (p. ej. `headersSent`)
+ * @returns {Object} `{ code, body }` enviados, o `{ next }` si se delegó en Express
+ */
+const handle = (error, res = {}) => {
+  let result
+  errorHandler(error, { id: 'req-1', method: 'GET', originalUrl: '/x' }, {
+    ...res,
+    status: (code) => ({ json: (body) => { result = { code, body } } })
+  }, (nextError) => { result = { next: nextError } })
+  return result
+}
+
+test('cada error tipado lleva su código y un mensaje por defecto', () => {
+  const cases = [
+    [BadRequestError, 400],
+    [UnauthorizedError, 401],
+    [ForbiddenError, 403],
+    [NotFoundError, 404],
+    [ConflictError, 409]
+  ]
+  for (const [ErrorClass, statusCode] of cases) {
+    const error = new ErrorClass()
+    assert.ok(error instanceof HttpError)
+    assert.equal(error.statusCode, statusCode)
+    assert.equal(error.name, ErrorClass.name)
+    assert.equal(typeof error.message, 'string')
+  }
+
+  const validation = new ValidationError([{ location: 'body', field: 'email', message: 'Inválido.' }])
+  assert.equal(validation.statusCode, 422)
+  assert.deepEqual(validation.details, { errors: validation.errors })
+})
+
+test('mapPrismaError traduce los códigos conocidos y la falta de conexión', () => {
+  const conflict = mapPrismaError(prismaError('P2002', 'Unique constraint failed', { target: ['email'] }))
+  assert.ok(conflict instanceof ConflictError)
+  assert.match(conflict.message, /email/)
+
+  assert.equal(mapPrismaError(prismaError('P2003', 'Foreign key constraint failed', { field_name: 'userId' })).statusCode, 409)
+  assert.ok(mapPrismaError(prismaError('P2025', 'Record not found.')) instanceof NotFoundError)
+  assert.equal(mapPrismaError(prismaError('P2000', 'Value too long', { column_name: 'name' })).errors[0].field, 'name')
+
+  const unavailable = Object.assign(new Error('sin conexión'), { name: 'PrismaClientInitializationError' })
+  assert.equal(mapPrismaError(unavailable).statusCode, 503)
+})
+
+test('mapPrismaError ignora los errores que no son de Prisma o que no conoce', () => {
+  assert.equal(mapPrismaError(new Error('otro')), null)
+  assert.equal(mapPrismaError(prismaError('P9999', 'Otro')), null)
+})
+
+test('errorHandler responde con el sobre de error y los detalles del error', () => {
+  const { code, body } = handle(new ConflictError('El horario se solapa.', { conflictingAppointmentId: 3 }))
+
+  assert.equal(code, 409)
+  assert.deepEqual(body, {
+    status: 'error',
+    statusCode: 409,
+    message: 'El horario se solapa.',
+    conflictingAppointmentId: 3
+  })
+})
+
+test('errorHandler traduce los errores de Prisma', () => {
+  const { code, body } = handle(prismaError('P2025', 'Record not found.'))
+
+  assert.equal(code, 404)
+  assert.equal(body.message, 'Registro no encontrado.')
+})
+
+test('errorHandler oculta el mensaje de los errores inesperados', () => {
+  const { code, body } = handle(new Error('detalle interno'))
+
+  assert.equal(code, 500)
+  assert.equal(body.message, 'Ocurrió un Error inesperado')
+  assert.equal(logger.error.mock.callCount(), 1)
+})
+
+test('errorHandler delega en Express si la respuesta ya empezó', () => {
+  const error = new Error('tarde')
+  assert.deepEqual(handle(error, { headersSent: true }), { next: error })
+})
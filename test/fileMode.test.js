@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { startApp, signTestToken } = require('./helpers/testApp')
+
+let dir
+let usersFilePath
+let ctx
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-mode-'))
+  usersFilePath = path.join(dir, 'users.json')
+  await fs.writeFile(usersFilePath, JSON.stringify([{ id: 1, name: 'Admin', email: 'admin@example.com', role: 'ADMIN' }]))
+  ctx = await startApp({ config: { userStore: 'file', usersFilePath } })
+})
+
+afterEach(async () => {
+  await ctx.close()
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+const adminHeaders = () => ({ Authorization: `Bearer ${signTestToken({ id: 1, email: 'admin@example.com', role: 'ADMIN' })}` })
+
+test('con USER_STORE=file el registro y los listados usan users.json', async () => {
+  const registered = await ctx.request('POST', '/register', { body: { name: 'Ana Pérez', email: 'ana@example.com', password: 'secreto123' } })
+  assert.equal(registered.status, 201)
+
+  const saved = JSON.parse(await fs.readFile(usersFilePath, 'utf-8'))
+  assert.deepEqual(saved.map(user => user.email), ['admin@example.com', 'ana@example.com'])
+  // No se crea ningún token de verificación: la tabla necesita el usuario en la base de datos.
+  assert.deepEqual(ctx.prisma.db.userTokens, [])
+
+  const list = await ctx.request('GET', '/users', { headers: adminHeaders() })
+  assert.equal(list.status, 200)
+  assert.equal(list.body.meta.total, 2)
+})
+
+test('con USER_STORE=file las sesiones, la recuperación de cuenta, las claves de API y las citas responden 501', async () => {
+  for (const [method, requestPath, body] of [
+    ['POST', '/login', { email: 'admin@example.com', password: 'secreto123' }],
+    ['POST', '/token/refresh', { refreshToken: 'x' }],
+    ['POST', '/password/forgot', { email: 'admin@example.com' }],
+    ['GET', '/appointments'],
+    ['GET', '/users/1/appointments'],
+    ['POST', '/api-keys', { name: 'Informes', scopes: ['users:read'] }]
+  ]) {
+    const response = await ctx.request(method, requestPath, { body, headers: adminHeaders() })
+    assert.equal(response.status, 501, `${method} ${requestPath}`)
+    assert.match(response.body.message, /USER_STORE=file/)
+  }
+})
+
+test('con USER_STORE=file PATCH /me cambia el correo sin crear el token de verificación', async () => {
+  const response = await ctx.request('PATCH', '/me', { headers: adminHeaders(), body: { email: 'admin.nuevo@example.com' } })
+  assert.equal(response.status, 200)
+  assert.equal(response.body.email, 'admin.nuevo@example.com')
+
+  const [saved] = JSON.parse(await fs.readFile(usersFilePath, 'utf-8'))
+  assert.equal(saved.email, 'admin.nuevo@example.com')
+  assert.deepEqual(ctx.prisma.db.userTokens, [])
+  assert.deepEqual(ctx.mails, [])
+})
+
+test('un users.json ilegible llega al manejador de errores como 500', async () => {
+  await fs.writeFile(usersFilePath, '[{"id": 1')
+
+  const response = await ctx.request('GET', '/users', { headers: adminHeaders() })
+  assert.equal(response.status, 500)
+  assert.deepEqual(response.body, { status: 'error', statusCode: 500, message: 'No se pudo leer el archivo de datos.' })
+})
+
+test('GET /ready comprueba users.json solo con USER_STORE=file', async () => {
+  const ready = await ctx.request('GET', '/ready')
+  assert.equal(ready.status, 200)
+  assert.deepEqual(ready.body.checks, { database: 'ok', usersFile: 'ok' })
+
+  await fs.rm(usersFilePath)
+  const missing = await ctx.request('GET', '/ready')
+  assert.equal(missing.status, 503)
+  assert.equal(missing.body.checks.usersFile, 'error')
+
+  await ctx.close()
+  ctx = await startApp({ config: { usersFilePath } })
+  const prismaMode = await ctx.request('GET', '/ready')
+  assert.equal(prismaMode.status, 200)
+  assert.deepEqual(prismaMode.body.checks, { database: 'ok' })
+})
+
+test('GET /ready responde 503 si la base de datos no contesta o el servidor se está apagando', async () => {
+  ctx.prisma.$queryRaw = async () => { throw new Error('sin conexión') }
+  const down = await ctx.request('GET', '/ready')
+  assert.equal(down.status, 503)
+  assert.equal(down.body.checks.database, 'error')
+
+  ctx.prisma.$queryRaw = async () => [{}]
+  ctx.app.locals.isShuttingDown = true
+  const shuttingDown = await ctx.request('GET', '/ready')
+  assert.equal(shuttingDown.status, 503)
+  assert.equal(shuttingDown.body.status, 'shutting down')
+  assert.equal((await ctx.request('GET', '/health')).status, 200)
+})
@@ -0,0 +1,129 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { createUserStore } = require('../stores/userStore')
+
+let dir
+let store
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-users-'))
+  const filePath = path.join(dir, 'users.json')
+  await fs.writeFile(filePath, '[]')
+  store = createUserStore({ type: 'file', filePath })
+})
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('asigna IDs incrementales y busca por ID y por correo', async () => {
+  const ana = await store.create({ name: 'Ana', email: 'ana@example.com' })
+  const bob = await store.create({ name: 'Bob', email: 'bob@example.com' })
+
+  assert.deepEqual([ana.id, bob.id], [1, 2])
+  assert.equal((await store.findById(2)).email, 'bob@example.com')
+  assert.equal((await store.findByEmail('ana@example.com')).id, 1)
+  assert.equal(await store.findById(3), null)
+})
+
+test('create rechaza un correo ya registrado con 409', async () => {
+  await store.create({ name: 'Ana', email: 'ana@example.com' })
+
+  await assert.rejects(store.create({ name: 'Otra', email: 'ana@example.com' }), { statusCode: 409 })
+  assert.equal((await store.findAll()).length, 1)
+})
+
+test('dos altas simultáneas con el mismo correo: solo una se guarda', async () => {
+  const results = await Promise.allSettled([
+    store.create({ name: 'Ana', email: 'ana@example.com' }),
+    store.create({ name: 'Ana bis', email: 'ana@example.com' })
+  ])
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected'])
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409)
+  assert.equal((await store.findAll()).length, 1)
+})
+
+test('update rechaza el correo de otro usuario y acepta el propio', async () => {
+  await store.create({ name: 'Ana', email: 'ana@example.com' })
+  const bob = await store.create({ name: 'Bob', email: 'bob@example.com' })
+
+  await assert.rejects(store.update(bob.id, { email: 'ana@example.com' }), { statusCode: 409 })
+  assert.equal((await store.update(bob.id, { email: 'bob@example.com', name: 'Roberto' })).name, 'Roberto')
+})
+
+test('update y remove indican si el usuario no existe', async () => {
+  assert.equal(await store.update(9, { name: 'Nadie' }), null)
+  assert.equal(await store.remove(9), false)
+
+  const ana = await store.create({ name: 'Ana', email: 'ana@example.com' })
+  assert.equal(await store.remove(ana.id), true)
+  assert.deepEqual(await store.findAll(), [])
+})
+
+test('remove hace un borrado lógico que restore deshace', async () => {
+  const ana = await store.create({ name: 'Ana', email: 'ana@example.com' })
+  assert.equal(await store.remove(ana.id), true)
+
+  assert.equal(await store.findById(ana.id), null)
+  assert.equal(await store.findByEmail('ana@example.com'), null)
+  assert.ok((await store.findById(ana.id, { includeDeleted: true })).deletedAt)
+  assert.deepEqual((await store.list({ includeDeleted: true })).total, 1)
+  assert.equal(await store.update(ana.id, { name: 'Ana María' }), null)
+  assert.equal(await store.remove(ana.id), false)
+  // El correo sigue ocupado, como en la tabla `Users`.
+  await assert.rejects(store.create({ name: 'Otra', email: 'ana@example.com' }), { statusCode: 409 })
+
+  const restored = await store.restore(ana.id)
+  assert.equal(restored.deletedAt, undefined)
+  assert.equal(await store.restore(ana.id), null)
+  assert.equal((await store.findByEmail('ana@example.com')).id, ana.id)
+})
+
+test('cada escritura aumenta la versión y update respeta expectedVersion', async () => {
+  const ana = await store.create({ name: 'Ana', email: 'ana@example.com' })
+  assert.equal(ana.version, 1)
+
+  assert.equal(await store.update(1, { name: 'Ana María' }, { expectedVersion: 2 }), null)
+  assert.equal((await store.update(1, { name: 'Ana María' }, { expectedVersion: 1 })).version, 2)
+  await store.remove(1)
+  assert.equal((await store.restore(1)).version, 4)
+})
+
+test('los usuarios guardados sin versión cuentan como versión 1', async () => {
+  await fs.writeFile(path.join(dir, 'users.json'), JSON.stringify([{ id: 1, name: 'Ana', email: 'ana@example.com' }]))
+
+  assert.equal((await store.findById(1)).version, 1)
+  assert.equal((await store.update(1, { name: 'Ana María' }, { expectedVersion: 1 })).version, 2)
+})
+
+test('purge borra solo los eliminados antes de la fecha y no reutiliza sus IDs', async () => {
+  const ana = await store.create({ name: 'Ana', email: 'ana@example.com' })
+  const bob = await store.create({ name: 'Bob', email: 'bob@example.com' })
+  await store.remove(ana.id)
+
+  assert.deepEqual(await store.purge(new Date(Date.now() - 60 * 1000)), [])
+  assert.deepEqual(await store.purge(new Date(Date.now() + 60 * 1000)), [ana.id])
+  assert.deepEqual((await store.findAll({ includeDeleted: true })).map(user => user.id), [bob.id])
+  assert.equal((await store.create({ name: 'Eva', email: 'eva@example.com' })).id, 3)
+})
+
+test('batches recorre los usuarios activos por lotes, en orden de ID', async () => {
+  for (const name of ['Ana', 'Bob', 'Eva', 'Leo', 'Max']) {
+    await store.create({ name, email: `${name.toLowerCase()}@example.com` })
+  }
+  await store.remove(2)
+
+  const batches = []
+  for await (const batch of store.batches({ batchSize: 2 })) batches.push(batch.map(user => user.id))
+  assert.deepEqual(batches, [[1, 3], [4, 5]])
+})
+
+test('createUserStore indica el tipo de almacén y rechaza uno desconocido', () => {
+  assert.equal(store.type, 'file')
+  assert.equal(createUserStore({ type: 'prisma', prisma: {} }).type, 'prisma')
+  assert.throws(() => createUserStore({ type: 'redis' }), /USER_STORE desconocido/)
+})
@@ -0,0 +1,267 @@
+// ==============================
+// CLIENTE DE PRISMA EN MEMORIA (PRUEBAS)
+// ==============================
+// Implementa el subconjunto del cliente de Prisma que usa la aplicación, sobre listas en
+// memoria, para probar sin base de datos. Reproduce lo necesario para las pruebas:
+// filtros de `where` (`in`, `not`, `gt`, `lt`, `contains`, `AND`, `OR`, `NOT`, ...), `include`
+// de las relaciones declaradas, `orderBy`, `skip`/`take`, restricciones únicas (P2002) y
+// registros inexistentes (P2025).
+//
+// Las transacciones no aíslan nada: el callback recibe el mismo cliente.
+
+/**
+ * Crea un error como los que lanza el cliente de Prisma (`PrismaClientKnownRequestError`).
+ * @param {string} code - Código de Prisma
+ * @param {string} message - Mensaje
+ * @param {Object} [meta] - Metadatos
+ * @returns {Error}
+ */
+const prismaError = (code, message, meta) => {
+  const error = new Error(message)
+  error.name = 'PrismaClientKnownRequestError'
+  error.code = code
+  error.meta = meta
+  return error
+}
+
+const isEqual = (a, b) => (a instanceof Date || b instanceof Date) ? +a === +b : a === b
+
+/**
+ * Indica si un valor cumple la condición de un campo de `where`.
+ * @param {*} value - Valor del registro
+ * @param {*} condition - Valor exacto u objeto de operadores
+ * @returns {boolean}
+ */
+const matchesCondition = (value, condition) => {
+  if (!condition || typeof condition !== 'object' || condition instanceof Date) return isEqual(value, condition)
+
+  if ('equals' in condition && !isEqual(value, condition.equals)) return false
+  if ('not' in condition && isEqual(value, condition.not)) return false
+  if ('in' in condition && !condition.in.some(item => isEqual(value, item))) return false
+  if ('notIn' in condition && condition.notIn.some(item => isEqual(value, item))) return false
+  if ('gt' in condition && !(value > condition.gt)) return false
+  if ('gte' in condition && !(value >= condition.gte)) return false
+  if ('lt' in condition && !(value < condition.lt)) return false
+  if ('lte' in condition && !(value <= condition.lte)) return false
+  if ('contains' in condition) {
+    const insensitive = condition.mode === 'insensitive'
+    const text = insensitive ? String(value ?? '').toLowerCase() : String(value ?? '')
+    const search = insensitive ? String(condition.contains).toLowerCase() : String(condition.contains)
+    if (!text.includes(search)) return false
+  }
+  return true
+}
+
+/**
+ * Indica si un registro cumple un `where` completo.
+ * @param {Object} row - Registro
+ * @param {Object} [where={}] - Filtro
+ * @returns {boolean}
+ */
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  if (field === 'AND') return [].concat(condition).every(item => matches(row, item))
+  if (field === 'OR') return condition.some(item => matches(row, item))
+  if (field === 'NOT') return ![].concat(condition).some(item => matches(row, item))
+  if (condition === undefined) return true
+  return matchesCondition(row[field], condition)
+})
+
+/**
+ * Aplica un `data` de Prisma a un registro (valores y `{ increment }`).
+ * @param {Object} row - Registro (se modifica)
+ * @param {Object} data - Cambios
+ */
+const applyData = (row, data) => {
+  for (const [field, value] of Object.entries(data)) {
+    row[field] = value && typeof value === 'object' && 'increment' in value ? row[field] + value.increment : value
+  }
+}
+
+/**
+ * Crea un modelo en memoria.
+ * @param {Object} options
+ * @param {Array<Object>} options.rows - Registros del modelo
+ * @param {Function} [options.defaults] - Valores por defecto de un registro nuevo
+ * @param {Array<string>} [options.unique=[]] - Campos únicos (además de `id`)
+ * @param {Object} [options.relations={}] - Relaciones para `include`: `nombre: (registro) => relacionado`
+ * @returns {Object}
+ */
+const createModel = ({ rows, defaults = () => ({}), unique = [], relations = {} }) => {
+  let lastId = 0
+
+  const project = (row, { include, select } = {}) => {
+    if (!row) return null
+    let result = { ...row }
+    for (const name of Object.keys(include || {})) result[name] = relations[name](row)
+    if (select) {
+      result = Object.fromEntries(Object.keys(select).filter(field => select[field]).map(field => [field, result[field]]))
+    }
+    return result
+  }
+
+  const sort = (list, orderBy) => {
+    if (!orderBy) return list
+    const rules = [].concat(orderBy).map(rule => Object.entries(rule)[0])
+    return [...list].sort((a, b) => {
+      for (const [field, direction] of rules) {
+        if (a[field] < b[field]) return direction === 'desc' ? 1 : -1
+        if (a[field] > b[field]) return direction === 'desc' ? -1 : 1
+      }
+      return 0
+    })
+  }
+
+  const assertUnique = (data, self) => {
+    for (const field of unique) {
+      if (data[field] !== undefined && rows.some(row => row !== self && row[field] === data[field])) {
+        throw prismaError('P2002', 'Unique constraint failed', { target: [field] })
+      }
+    }
+  }
+
+  const findOrThrow = (where) => {
+    const row = rows.find(item => matches(item, where))
+    if (!row) throw prismaError('P2025', 'Record to update not found.')
+    return row
+  }
+
+  const insert = (data) => {
+    assertUnique(data)
+    const row = { id: ++lastId, ...defaults(), ...data }
+    lastId = Math.max(lastId, row.id)
+    rows.push(row)
+    return row
+  }
+
+  return {
+    async findMany (args = {}) {
+      let list = sort(rows.filter(row => matches(row, args.where)), args.orderBy)
+      if (args.cursor) list = list.slice(list.findIndex(row => matches(row, args.cursor)))
+      if (args.skip) list = list.slice(args.skip)
+      if (args.take) list = list.slice(0, args.take)
+      return list.map(row => project(row, args))
+    },
+    async findFirst (args = {}) {
+      return project(sort(rows.filter(row => matches(row, args.where)), args.orderBy)[0], args)
+    },
+    async findUnique (args) {
+      return project(rows.find(row => matches(row, args.where)), args)
+    },
+    async findUniqueOrThrow (args) {
+      return project(findOrThrow(args.where), args)
+    },
+    async count (args = {}) {
+      return rows.filter(row => matches(row, args.where)).length
+    },
+    async create (args) {
+      return project(insert(args.data), args)
+    },
+    async createMany (args) {
+      args.data.forEach(insert)
+      return { count: args.data.length }
+    },
+    async update (args) {
+      const row = findOrThrow(args.where)
+      assertUnique(args.data, row)
+      applyData(row, args.data)
+      return project(row, args)
+    },
+    async upsert (args) {
+      const row = rows.find(item => matches(item, args.where))
+      if (!row) return project(insert(args.create), args)
+      applyData(row, args.update)
+      return project(row, args)
+    },
+    async updateMany (args) {
+      const list = rows.filter(row => matches(row, args.where))
+      list.forEach(row => applyData(row, args.data))
+      return { count: list.length }
+    },
+    async delete (args) {
+      const row = findOrThrow(args.where)
+      rows.splice(rows.indexOf(row), 1)
+      return row
+    },
+    async deleteMany (args = {}) {
+      const list = rows.filter(row => matches(row, args.where))
+      list.forEach(row => rows.splice(rows.indexOf(row), 1))
+      return { count: list.length }
+    }
+  }
+}
+
+/**
+ * Crea el cliente en memoria con los modelos de `prisma/schema.prisma`.
+ * `db` da acceso directo a los registros para preparar o comprobar datos.
+ * @returns {Object}
+ */
+const createFakePrisma = () => {
+  const db = {
+    users: [],
+    refreshTokens: [],
+    userTokens: [],
+    appointments: [],
+    auditLogs: [],
+    apiKeys: [],
+    webhookSubscriptions: [],
+    webhookDeliveries: []
+  }
+  const findUser = (id) => db.users.find(user => user.id === id) || null
+
+  const prisma = {
+    db,
+    users: createModel({
+      rows: db.users,
+      unique: ['email'],
+      defaults: () => ({ role: 'USER', emailVerifiedAt: null, deletedAt: null, avatarUrl: null, version: 1 })
+    }),
+    refreshTokens: createModel({
+      rows: db.refreshTokens,
+      unique: ['tokenHash'],
+      defaults: () => ({ revokedAt: null, createdAt: new Date() }),
+      relations: { user: (row) => findUser(row.userId) }
+    }),
+    userTokens: createModel({
+      rows: db.userTokens,
+      unique: ['tokenHash'],
+      defaults: () => ({ usedAt: null, createdAt: new Date() })
+    }),
+    appointments: createModel({
+      rows: db.appointments,
+      defaults: () => ({ status: 'SCHEDULED', notes: null, createdAt: new Date() })
+    }),
+    auditLogs: createModel({
+      rows: db.auditLogs,
+      defaults: () => ({ createdAt: new Date() })
+    }),
+    apiKeys: createModel({
+      rows: db.apiKeys,
+      unique: ['keyHash'],
+      defaults: () => ({ lastUsedAt: null, revokedAt: null, expiresAt: null, createdAt: new Date() }),
+      relations: { owner: (row) => findUser(row.ownerId) }
+    }),
+    webhookSubscriptions: createModel({
+      rows: db.webhookSubscriptions,
+      defaults: () => ({ events: [], active: true, createdAt: new Date() })
+    }),
+    webhookDeliveries: createModel({
+      rows: db.webhookDeliveries,
+      defaults: () => ({ status: 'PENDING', attempts: 0, nextAttemptAt: new Date(), lastAttemptAt: null, lastStatusCode: null, lastError: null, deliveredAt: null, createdAt: new Date() }),
+      relations: { subscription: (row) => db.webhookSubscriptions.find(item => item.id === row.subscriptionId) || null }
+    }),
+    async $transaction (operations) {
+      return typeof operations === 'function' ? operations(prisma) : Promise.all(operations)
+    },
+    // `GET /ready` solo comprueba que la consulta responda.
+    async $queryRaw () {
+      return [{ '?column?': 1 }]
+    },
+    async $disconnect () {}
+  }
+  return prisma
+}
+
+module.exports = {
+  createFakePrisma,
+  prismaError
+}
@@ -0,0 +1,97 @@
+// ==============================
+// APLICACIÓN DE PRUEBA
+// ==============================
+// Levanta `createApp` sobre el cliente de Prisma en memoria (`fakePrisma.js`), en un puerto
+// libre, con un servicio de correo que guarda los mensajes en una lista.
+
+const http = require('http')
+const jwt = require('jsonwebtoken')
+const { createApp } = require('../../app')
+const { configureLogger } = require('../../utils/logger')
+const { createFakePrisma } = require('./fakePrisma')
+
+// Solo los errores: los registros de cada solicitud ensucian la salida de las pruebas.
+configureLogger({ level: 'error' })
+
+const TEST_AUTH = { jwtSecret: 'test-secret' }
+
+/**
+ * Inicia la aplicación.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuración parcial (se completa con `withDefaults`)
+ * @returns {Promise<Object>} `{ app, prisma, mails, base, request, close }` (`base` es la URL del servidor)
+ */
+const startApp = async ({ config = {} } = {}) => {
+  const prisma = createFakePrisma()
+  const mails = []
+  const mailer = {
+    async send (message) {
+      mails.push(message)
+      return { id: String(mails.length) }
+    }
+  }
+  const app = createApp({ prisma, mailer, config: { ...config, auth: { ...TEST_AUTH, ...config.auth } } })
+
+  const server = http.createServer(app)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  /**
+   * Envía una solicitud con el cuerpo en JSON (`body`) o tal cual (`text`, con el
+   * `Content-Type` en `headers`).
+   * @returns {Promise<{ status: number, headers: Headers, body: * }>}
+   */
+  const request = async (method, path, { body, text, headers = {} } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined ? text : JSON.stringify(body)
+    })
+    const raw = await response.text()
+    let parsed = raw
+    try {
+      parsed = JSON.parse(raw)
+    } catch {}
+    return { status: response.status, headers: response.headers, body: parsed }
+  }
+
+  // Como en el apagado de `server.js`, se cierran primero los streams de `GET /events`:
+  // si no, `server.close` esperaría a que los clientes se desconecten.
+  const close = () => {
+    app.locals.userFeed.close()
+    return new Promise(resolve => server.close(resolve))
+  }
+
+  return { app, prisma, mails, base, request, close }
+}
+
+/**
+ * Registra un usuario e inicia sesión con él.
+ *
+ * @param {Function} request - `request` de `startApp`
+ * @param {Object} [user] - `name`, `email` y `password`
+ * @returns {Promise<Object>} Respuesta de `POST /login` (`accessToken`, `refreshToken`, ...)
+ */
+const registerAndLogin = async (request, { name = 'Ana Pérez', email = 'ana@example.com', password = 'secreto123' } = {}) => {
+  await request('POST', '/register', { body: { name, email, password } })
+  const { body } = await request('POST', '/login', { body: { email, password } })
+  return body
+}
+
+/**
+ * Firma un token de acceso sin sesión, para las rutas que no dependen de ella
+ * (por ejemplo con `USER_STORE=file`, donde no se puede iniciar sesión).
+ *
+ * @param {Object} user - `id`, `email` y `role`
+ * @returns {string} JWT firmado con la clave de las pruebas
+ */
+const signTestToken = ({ id, email, role }) => {
+  return jwt.sign({ id, email, role }, TEST_AUTH.jwtSecret, { expiresIn: '5m' })
+}
+
+module.exports = {
+  startApp,
+  registerAndLogin,
+  signTestToken
+}
@@ -0,0 +1,83 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { escapeHtml, html } = require('../utils/html')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+const PAYLOAD = '<script>alert("x")</script>\' onmouseover=\'alert(1)'
+
+test('escapeHtml escapa etiquetas, comillas y el ampersand', () => {
+  assert.equal(escapeHtml(PAYLOAD), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&#39; onmouseover=&#39;alert(1)')
+  assert.equal(escapeHtml('Tom & Jerry'), 'Tom &amp; Jerry')
+})
+
+test('html escapa los valores interpolados pero no los fragmentos anidados', () => {
+  const item = html`<li>${PAYLOAD}</li>`
+  const page = String(html`<ul>${[item, null, false, undefined]}</ul><input value="${'"><b>'}">`)
+
+  assert.equal(page, '<ul><li>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&#39; onmouseover=&#39;alert(1)</li></ul><input value="&quot;&gt;&lt;b&gt;">')
+})
+
+let ctx
+let adminHeaders
+
+beforeEach(async () => {
+  ctx = await startApp()
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users[0].role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  adminHeaders = { Authorization: `Bearer ${body.accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+const asHtml = (headers) => ({ ...headers, Accept: 'text/html' })
+
+test('GET /search en HTML escapa el término buscado en el formulario y en el texto', async () => {
+  const response = await ctx.request('GET', `/search?termino=${encodeURIComponent(PAYLOAD)}`, { headers: asHtml(adminHeaders) })
+
+  assert.equal(response.status, 200)
+  assert.match(response.headers.get('content-type'), /text\/html/)
+  assert.ok(!response.body.includes('<script>'))
+  assert.ok(!response.body.includes('\' onmouseover'))
+  assert.ok(response.body.includes('value="&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&#39; onmouseover=&#39;alert(1)"'))
+})
+
+test('GET /search escapa los nombres de los resultados y responde JSON por defecto', async () => {
+  ctx.prisma.db.users[0].name = PAYLOAD
+
+  const page = await ctx.request('GET', '/search?termino=admin', { headers: asHtml(adminHeaders) })
+  assert.ok(!page.body.includes('<script>'))
+  assert.ok(page.body.includes('>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&#39; onmouseover=&#39;alert(1)</a>'))
+
+  const json = await ctx.request('GET', '/search?termino=admin', { headers: adminHeaders })
+  assert.match(json.headers.get('content-type'), /application\/json/)
+  assert.equal(json.body.data[0].name, PAYLOAD)
+})
+
+test('GET /users/:id en HTML escapa los datos del usuario', async () => {
+  ctx.prisma.db.users[0].name = PAYLOAD
+
+  const response = await ctx.request('GET', '/users/1', { headers: asHtml(adminHeaders) })
+  assert.equal(response.status, 200)
+  assert.ok(!response.body.includes('<script>'))
+  assert.ok(response.body.includes('<h1>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&#39; onmouseover=&#39;alert(1)</h1>'))
+  assert.ok(!response.body.includes('password'))
+})
+
+test('GET /users/:id responde 404 con un ID desconocido y 401 sin credenciales, también en HTML', async () => {
+  const missing = await ctx.request('GET', '/users/99', { headers: asHtml(adminHeaders) })
+  assert.equal(missing.status, 404)
+
+  const anonymous = await ctx.request('GET', '/users/1', { headers: { Accept: 'text/html' } })
+  assert.equal(anonymous.status, 401)
+})
+
+test('GET / negocia HTML o JSON según Accept', async () => {
+  const page = await ctx.request('GET', '/', { headers: { Accept: 'text/html' } })
+  assert.match(page.body, /<h1>Curso Express\.js V2<\/h1>/)
+
+  const json = await ctx.request('GET', '/')
+  assert.equal(json.body.name, 'Curso Express.js V2')
+})
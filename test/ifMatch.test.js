@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+let ctx
+let auth
+
+beforeEach(async () => {
+  ctx = await startApp()
+  const { accessToken } = await registerAndLogin(ctx.request)
+  auth = { Authorization: `Bearer ${accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+const getUser = (headers = {}) => ctx.request('GET', '/users/1', { headers: { ...auth, ...headers } })
+const patchUser = (headers, body = { name: 'Ana María' }) => ctx.request('PATCH', '/users/1', { headers: { ...auth, ...headers }, body })
+
+// `fetch` añade `Cache-Control: no-cache` a las solicitudes condicionales (y Express nunca
+// responde 304 con él) salvo que la solicitud ya traiga esa cabecera.
+const conditional = (etag) => ({ 'If-None-Match': etag, 'Cache-Control': 'max-age=0' })
+
+test('GET /users/:id envía el ETag de la versión y responde 304 con If-None-Match', async () => {
+  const { headers } = await getUser()
+  assert.equal(headers.get('etag'), '"1"')
+
+  assert.equal((await getUser(conditional('"1"'))).status, 304)
+})
+
+test('el ETag de los listados cambia cuando cambia un usuario de la página', async () => {
+  ctx.prisma.db.users[0].role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'ana@example.com', password: 'secreto123' } })
+  auth = { Authorization: `Bearer ${body.accessToken}` }
+
+  const first = await ctx.request('GET', '/users', { headers: auth })
+  const etag = first.headers.get('etag')
+  assert.match(etag, /^W\//)
+  assert.equal((await ctx.request('GET', '/users', { headers: { ...auth, ...conditional(etag) } })).status, 304)
+
+  await patchUser({ 'If-Match': '"1"' })
+  const changed = await ctx.request('GET', '/users', { headers: { ...auth, ...conditional(etag) } })
+  assert.equal(changed.status, 200)
+  assert.notEqual(changed.headers.get('etag'), etag)
+})
+
+test('sin If-Match responde 428 y no modifica el usuario', async () => {
+  const { status, body } = await patchUser({})
+
+  assert.equal(status, 428)
+  assert.equal(body.statusCode, 428)
+  assert.equal(ctx.prisma.db.users[0].name, 'Ana Pérez')
+})
+
+test('con un ETag antiguo responde 412 y no modifica el usuario', async () => {
+  const { status } = await patchUser({ 'If-Match': '"7"' })
+
+  assert.equal(status, 412)
+  assert.equal(ctx.prisma.db.users[0].name, 'Ana Pérez')
+})
+
+test('con el ETag actual guarda el cambio y devuelve el usuario con el nuevo ETag', async () => {
+  const { headers } = await getUser()
+  const updated = await patchUser({ 'If-Match': headers.get('etag') })
+
+  assert.equal(updated.status, 200)
+  assert.equal(updated.body.name, 'Ana María')
+  assert.equal(updated.body.password, undefined)
+  assert.equal(updated.headers.get('etag'), '"2"')
+
+  // El ETag leído antes del cambio ya no sirve.
+  assert.equal((await patchUser({ 'If-Match': headers.get('etag') }, { name: 'Otra' })).status, 412)
+})
+
+test('si otro cliente escribe entre la lectura y la escritura responde 412', async () => {
+  const { userStore } = ctx.app.locals
+  const update = userStore.update
+  userStore.update = async (id, data, options) => {
+    ctx.prisma.db.users[0].version += 1
+    return update(id, data, options)
+  }
+
+  assert.equal((await patchUser({ 'If-Match': '"1"' })).status, 412)
+  assert.equal(ctx.prisma.db.users[0].name, 'Ana Pérez')
+})
+
+test('If-Match acepta * y listas de ETags, pero no ETags débiles', async () => {
+  assert.equal((await patchUser({ 'If-Match': 'W/"1"' })).status, 412)
+  assert.equal((await patchUser({ 'If-Match': '"9", "1"' })).status, 200)
+  assert.equal((await patchUser({ 'If-Match': '*' }, { name: 'Ana Sofía' })).status, 200)
+})
+
+test('PUT /users/:id también exige If-Match', async () => {
+  const body = { name: 'Ana María', email: 'ana@example.com' }
+  assert.equal((await ctx.request('PUT', '/users/1', { headers: auth, body })).status, 428)
+  assert.equal((await ctx.request('PUT', '/users/1', { headers: { ...auth, 'If-Match': '"1"' }, body })).status, 200)
+})
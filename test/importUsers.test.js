@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { createUserStore } = require('../stores/userStore')
+const { importJsonFile } = require('../scripts/import-users')
+const { createFakePrisma } = require('./helpers/fakePrisma')
+
+// Hashes de bcrypt ficticios (60 caracteres, como los de `users.json`).
+const hash = (n) => `$2a$10$${String(n).repeat(53)}`
+
+// Las tres filas de `johndoe2019@gmail.com` reproducen el `users.json` original.
+const USERS = [
+  { id: 1, name: 'John Doe', email: 'johndoe2019@gmail.com', password: hash(1) },
+  { id: 2, name: 'Jenny Smith', email: 'jenny2025@gmail.com' },
+  { id: 3, name: 'Cristian López', email: 'cristian@hotmail.com', password: hash(3) },
+  { id: 4, name: 'John Doe', email: 'johndoe2019@gmail.com', password: hash(4) },
+  { id: 5, name: 'John Doe', email: 'JohnDoe2019@gmail.com', password: hash(5) },
+  { id: 6, name: 'Xavier', email: 'no-es-correo', password: hash(6) }
+]
+
+let dir
+let filePath
+let prisma
+let target
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'import-users-'))
+  filePath = path.join(dir, 'users.json')
+  await fs.writeFile(filePath, JSON.stringify(USERS))
+  prisma = createFakePrisma()
+  target = createUserStore({ type: 'prisma', prisma })
+})
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+/**
+ * Resume el informe como `[ID de origen, estado]` por fila.
+ * @param {Object} report
+ */
+const statuses = (report) => report.rows.map(row => [row.sourceId, row.status])
+
+test('omite las dos repeticiones de johndoe y marca como inválidas las filas sin contraseña', async () => {
+  const report = await importJsonFile({ filePath, target })
+
+  assert.deepEqual(statuses(report), [[1, 'created'], [2, 'invalid'], [3, 'created'], [4, 'skipped'], [5, 'skipped'], [6, 'invalid']])
+  assert.deepEqual(report.summary, { total: 6, created: 2, skipped: 2, invalid: 2 })
+  assert.equal(report.rows[3].reason, 'Correo repetido en la fila 1.')
+  assert.equal(report.rows[4].reason, 'Correo repetido en la fila 1.')
+  assert.deepEqual(report.rows[1].errors.map(error => error.field), ['password'])
+  assert.deepEqual(report.rows[5].errors.map(error => error.field), ['email'])
+})
+
+test('copia los hashes de las contraseñas sin volver a cifrarlos y asigna IDs nuevos', async () => {
+  const report = await importJsonFile({ filePath, target })
+
+  assert.deepEqual(report.rows.filter(row => row.status === 'created').map(row => [row.sourceId, row.id]), [[1, 1], [3, 2]])
+  assert.deepEqual(prisma.db.users.map(user => [user.email, user.password, user.role]), [
+    ['johndoe2019@gmail.com', hash(1), 'USER'],
+    ['cristian@hotmail.com', hash(3), 'USER']
+  ])
+})
+
+test('con dryRun genera el mismo informe sin escribir en el destino', async () => {
+  const report = await importJsonFile({ filePath, target, dryRun: true })
+
+  assert.equal(report.dryRun, true)
+  assert.deepEqual(statuses(report), [[1, 'created'], [2, 'invalid'], [3, 'created'], [4, 'skipped'], [5, 'skipped'], [6, 'invalid']])
+  assert.deepEqual(report.rows.filter(row => row.status === 'created').map(row => row.id), [null, null])
+  assert.equal(prisma.db.users.length, 0)
+})
+
+test('los correos que ya están en el destino, aunque estén eliminados, se omiten', async () => {
+  await target.create({ name: 'Cristian', email: 'cristian@hotmail.com', password: 'otro', role: 'ADMIN' })
+  await target.remove(1)
+
+  const report = await importJsonFile({ filePath, target })
+
+  assert.equal(report.rows[2].status, 'skipped')
+  assert.equal(report.rows[2].reason, 'El correo electrónico ya está registrado.')
+  assert.equal(prisma.db.users.length, 2)
+})
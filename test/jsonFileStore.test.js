@@ -0,0 +1,89 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const createJsonFileStore = require('../stores/jsonFileStore')
+
+let dir
+let filePath
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'))
+  filePath = path.join(dir, 'users.json')
+})
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf-8'))
+
+test('sin archivo ni copia devuelve el valor inicial', async () => {
+  const store = createJsonFileStore({ filePath })
+  assert.deepEqual(await store.read(), [])
+})
+
+test('update escribe el archivo y guarda el contenido anterior en .bak', async () => {
+  const store = createJsonFileStore({ filePath })
+  await store.update(users => { users.push({ id: 1 }) })
+  await store.update(users => { users.push({ id: 2 }) })
+
+  assert.deepEqual(await readJson(filePath), [{ id: 1 }, { id: 2 }])
+  assert.deepEqual(await readJson(`${filePath}.bak`), [{ id: 1 }])
+})
+
+test('las actualizaciones simultáneas no se pisan', async () => {
+  const store = createJsonFileStore({ filePath })
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.update(users => { users.push({ id: i + 1 }) })))
+
+  assert.equal((await readJson(filePath)).length, 20)
+})
+
+test('no deja archivos temporales', async () => {
+  const store = createJsonFileStore({ filePath })
+  await store.update(users => { users.push({ id: 1 }) })
+  await store.update(users => { users.push({ id: 2 }) })
+
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['users.json', 'users.json.bak'])
+})
+
+test('si el mutador falla no se escribe nada y la cola sigue', async () => {
+  const store = createJsonFileStore({ filePath })
+  await store.update(users => { users.push({ id: 1 }) })
+
+  await assert.rejects(store.update(users => {
+    users.push({ id: 2 })
+    throw new Error('fallo')
+  }), /fallo/)
+  assert.deepEqual(await readJson(filePath), [{ id: 1 }])
+
+  await store.update(users => { users.push({ id: 3 }) })
+  assert.deepEqual(await readJson(filePath), [{ id: 1 }, { id: 3 }])
+})
+
+test('un archivo dañado se recupera desde la copia de seguridad', async () => {
+  const store = createJsonFileStore({ filePath })
+  await store.update(users => { users.push({ id: 1 }) })
+  await store.update(users => { users.push({ id: 2 }) })
+  await fs.writeFile(filePath, '[{"id": 1}, {"id"')
+
+  assert.deepEqual(await store.read(), [{ id: 1 }])
+  // El archivo queda reescrito con el contenido recuperado.
+  assert.deepEqual(await readJson(filePath), [{ id: 1 }])
+})
+
+test('un archivo borrado se recupera desde la copia de seguridad', async () => {
+  await fs.writeFile(`${filePath}.bak`, JSON.stringify([{ id: 7 }]))
+  const store = createJsonFileStore({ filePath })
+
+  assert.deepEqual(await store.read(), [{ id: 7 }])
+})
+
+test('si el archivo y la copia están dañados lanza FILE_STORE_UNREADABLE', async () => {
+  await fs.writeFile(filePath, '{')
+  await fs.writeFile(`${filePath}.bak`, '{')
+  const store = createJsonFileStore({ filePath })
+
+  await assert.rejects(store.read(), { code: 'FILE_STORE_UNREADABLE', statusCode: 500 })
+})
@@ -0,0 +1,148 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { EventEmitter } = require('events')
+const { createLogger, redact } = require('../utils/logger')
+const LoggerMiddleware = require('../middlewares/logger')
+
+let dir
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'logger-'))
+})
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+const readLines = async (file) => (await fs.readFile(file, 'utf-8')).trim().split('\n').map(line => JSON.parse(line))
+
+/**
+ * Ejecuta `fn` capturando lo que se escribe en la salida estándar.
+ * @param {Function} fn
+ * @returns {Array<Object>} Líneas JSON escritas
+ */
+const captureStdout = (fn) => {
+  const lines = []
+  const write = process.stdout.write
+  process.stdout.write = (chunk) => {
+    lines.push(JSON.parse(chunk))
+    return true
+  }
+  try {
+    fn()
+  } finally {
+    process.stdout.write = write
+  }
+  return lines
+}
+
+test('redact oculta credenciales a cualquier profundidad', () => {
+  const clean = redact({
+    headers: { Authorization: 'Bearer abc', 'x-api-key': 'clave', accept: 'application/json' },
+    body: { email: 'ana@example.com', password: 'secreto', tokens: [{ refreshToken: 'r' }] }
+  })
+
+  assert.deepEqual(clean, {
+    headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]', accept: 'application/json' },
+    body: { email: 'ana@example.com', password: '[REDACTED]', tokens: [{ refreshToken: '[REDACTED]' }] }
+  })
+})
+
+test('el destino file agrega líneas JSON y respeta el nivel mínimo', async () => {
+  const filePath = path.join(dir, 'logs', 'app.jsonl')
+  const logger = createLogger({ destination: 'file', filePath, level: 'warn' })
+
+  logger.info({ msg: 'no se registra' })
+  logger.warn({ msg: 'aviso', password: 'secreto' })
+  logger.error({ msg: 'fallo' })
+
+  const lines = await readLines(filePath)
+  assert.deepEqual(lines.map(line => [line.level, line.msg]), [['warn', 'aviso'], ['error', 'fallo']])
+  assert.equal(lines[0].password, '[REDACTED]')
+  assert.ok(!Number.isNaN(Date.parse(lines[0].time)))
+})
+
+test('el archivo rota por tamaño y conserva maxFiles copias', async () => {
+  const filePath = path.join(dir, 'app.jsonl')
+  const logger = createLogger({ destination: 'file', filePath, maxBytes: 200, maxFiles: 2 })
+
+  for (let i = 0; i < 12; i++) logger.info({ msg: `línea ${i}`, padding: 'x'.repeat(40) })
+
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['app.jsonl', 'app.jsonl.1', 'app.jsonl.2'])
+  const last = await readLines(filePath)
+  assert.equal(last.at(-1).msg, 'línea 11')
+  for (const file of await fs.readdir(dir)) {
+    assert.ok((await fs.stat(path.join(dir, file))).size <= 200)
+  }
+})
+
+/**
+ * Simula una solicitud que pasa por `LoggerMiddleware` y termina con `status`.
+ * @returns {{ req: Object, res: Object, lines: Array<Object>, recorded: Array<Object> }}
+ */
+const runRequest = ({ headers = {}, status = 200 } = {}) => {
+  const recorded = []
+  const req = {
+    app: { locals: { metrics: { recordHttpRequest: (request) => recorded.push(request) } } },
+    method: 'POST',
+    originalUrl: '/users/7?x=1',
+    baseUrl: '',
+    route: { path: '/users/:id' },
+    ip: '127.0.0.1',
+    user: { id: 3 },
+    headers,
+    get: (name) => headers[name.toLowerCase()]
+  }
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: status,
+    headers: {},
+    set (name, value) { this.headers[name] = value }
+  })
+  const lines = captureStdout(() => {
+    LoggerMiddleware(req, res, () => {})
+    res.emit('finish')
+  })
+  return { req, res, lines, recorded }
+}
+
+test('el middleware registra una línea por solicitud con su ID y sin credenciales', () => {
+  const { req, res, lines, recorded } = runRequest({
+    headers: { authorization: 'Bearer abc', 'user-agent': 'pruebas', 'content-type': 'application/json' },
+    status: 404
+  })
+
+  assert.match(req.id, /^[0-9a-f-]{36}$/)
+  assert.equal(res.headers['X-Request-Id'], req.id)
+  assert.equal(lines.length, 1)
+  const [line] = lines
+  assert.equal(line.level, 'warn')
+  assert.equal(line.requestId, req.id)
+  assert.deepEqual([line.method, line.route, line.url, line.status, line.userId], ['POST', '/users/:id', '/users/7?x=1', 404, 3])
+  assert.equal(typeof line.durationMs, 'number')
+  assert.deepEqual(line.headers, { 'user-agent': 'pruebas', 'content-type': 'application/json' })
+  assert.ok(!JSON.stringify(line).includes('Bearer abc'))
+  assert.equal(recorded.length, 1)
+  assert.deepEqual([recorded[0].method, recorded[0].route, recorded[0].status], ['POST', '/users/:id', 404])
+  assert.equal(typeof recorded[0].durationSeconds, 'number')
+})
+
+test('reutiliza un X-Request-Id válido y reemplaza uno con formato inválido', () => {
+  assert.equal(runRequest({ headers: { 'x-request-id': 'abc-123' } }).req.id, 'abc-123')
+  assert.notEqual(runRequest({ headers: { 'x-request-id': 'a b\nc' } }).req.id, 'a b\nc')
+  assert.equal(runRequest({ status: 503 }).lines[0].level, 'error')
+})
+
+test('errorHandler registra el error con el ID de la solicitud', () => {
+  const errorHandler = require('../middlewares/errorHandler')
+  const error = Object.assign(new Error('Algo falló'), { statusCode: 502 })
+  let sent
+  const res = { status: (code) => ({ json: (body) => { sent = { code, body } } }) }
+
+  const lines = captureStdout(() => errorHandler(error, { id: 'req-1', method: 'GET', originalUrl: '/x' }, res, () => {}))
+
+  assert.deepEqual([lines[0].level, lines[0].msg, lines[0].requestId, lines[0].statusCode], ['error', 'Algo falló', 'req-1', 502])
+  assert.deepEqual(sent, { code: 502, body: { status: 'error', statusCode: 502, message: 'Algo falló' } })
+})
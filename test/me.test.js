@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+let ctx
+let login
+let headers
+
+beforeEach(async () => {
+  ctx = await startApp()
+  login = await registerAndLogin(ctx.request)
+  headers = { Authorization: `Bearer ${login.accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+test('GET /me devuelve el usuario del token sin contraseña; sin token responde 401', async () => {
+  const me = await ctx.request('GET', '/me', { headers })
+  assert.equal(me.status, 200)
+  assert.equal(me.body.email, 'ana@example.com')
+  assert.equal(me.body.password, undefined)
+
+  assert.equal((await ctx.request('GET', '/me')).status, 401)
+})
+
+test('PATCH /me cambia el correo, lo deja sin verificar y envía el enlace a la nueva dirección', async () => {
+  ctx.prisma.db.users[0].emailVerifiedAt = new Date()
+
+  const response = await ctx.request('PATCH', '/me', { headers, body: { email: 'ana.nueva@example.com' } })
+  assert.equal(response.status, 200)
+  assert.equal(response.body.email, 'ana.nueva@example.com')
+  assert.equal(response.body.emailVerifiedAt, null)
+  assert.equal(ctx.mails.at(-1).to, 'ana.nueva@example.com')
+  assert.ok(ctx.prisma.db.auditLogs.some(log => log.action === 'USER_UPDATED'))
+})
+
+test('PATCH /me responde 409 si el correo es de otro usuario', async () => {
+  await registerAndLogin(ctx.request, { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123' })
+
+  const response = await ctx.request('PATCH', '/me', { headers, body: { email: 'bea@example.com' } })
+  assert.equal(response.status, 409)
+})
+
+test('PATCH /me responde 404 si la cuenta desaparece antes de guardar', async () => {
+  ctx.app.locals.userStore.update = async () => null
+
+  const response = await ctx.request('PATCH', '/me', { headers, body: { name: 'Ana María' } })
+  assert.equal(response.status, 404)
+  assert.equal(response.body.message, 'Usuario no encontrado.')
+})
+
+test('POST /me/password exige la contraseña actual y cierra las demás sesiones', async () => {
+  const { body: other } = await ctx.request('POST', '/login', { body: { email: 'ana@example.com', password: 'secreto123' } })
+
+  const wrong = await ctx.request('POST', '/me/password', { headers, body: { currentPassword: 'otra-cosa', newPassword: 'nueva-clave-123' } })
+  assert.equal(wrong.status, 422)
+  assert.equal(wrong.body.errors[0].field, 'currentPassword')
+
+  const changed = await ctx.request('POST', '/me/password', { headers, body: { currentPassword: 'secreto123', newPassword: 'nueva-clave-123' } })
+  assert.equal(changed.status, 204)
+
+  assert.equal((await ctx.request('GET', '/me', { headers })).status, 200)
+  assert.equal((await ctx.request('GET', '/me', { headers: { Authorization: `Bearer ${other.accessToken}` } })).status, 401)
+  assert.equal((await ctx.request('POST', '/login', { body: { email: 'ana@example.com', password: 'nueva-clave-123' } })).status, 200)
+})
+
+test('DELETE /me elimina la cuenta y revoca sus sesiones', async () => {
+  assert.equal((await ctx.request('DELETE', '/me', { headers })).status, 204)
+
+  assert.ok(ctx.prisma.db.users[0].deletedAt)
+  assert.equal((await ctx.request('GET', '/me', { headers })).status, 401)
+  assert.equal((await ctx.request('POST', '/token/refresh', { body: { refreshToken: login.refreshToken } })).status, 401)
+})
@@ -0,0 +1,96 @@
+const { test, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createMetrics, withQueryMetrics } = require('../utils/metrics')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+test('render publica contadores e histogramas en el formato de Prometheus', () => {
+  const metrics = createMetrics()
+  metrics.recordHttpRequest({ method: 'GET', route: '/users/:id', status: 200, durationSeconds: 0.02 })
+  metrics.recordHttpRequest({ method: 'GET', route: null, status: 404, durationSeconds: 3 })
+  metrics.recordAuthFailure('missing_token')
+
+  const text = metrics.render()
+  assert.match(text, /^# TYPE http_requests_total counter$/m)
+  assert.match(text, /^http_requests_total\{method="GET",route="\/users\/:id",status="200"\} 1$/m)
+  assert.match(text, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m)
+  assert.match(text, /^http_request_duration_seconds_bucket\{method="GET",route="\/users\/:id",status="200",le="0\.01"\} 0$/m)
+  assert.match(text, /^http_request_duration_seconds_bucket\{method="GET",route="\/users\/:id",status="200",le="0\.025"\} 1$/m)
+  assert.match(text, /^http_request_duration_seconds_bucket\{method="GET",route="unmatched",status="404",le="\+Inf"\} 1$/m)
+  assert.match(text, /^http_request_duration_seconds_sum\{method="GET",route="unmatched",status="404"\} 3$/m)
+  assert.match(text, /^auth_failures_total\{reason="missing_token"\} 1$/m)
+  assert.match(text, /^# TYPE process_resident_memory_bytes gauge$/m)
+  assert.ok(text.endsWith('\n'))
+})
+
+test('render escapa las comillas, barras y saltos de línea de las etiquetas', () => {
+  const metrics = createMetrics()
+  metrics.recordWebhookEnqueueFailure('a"b\\c\nd')
+
+  assert.match(metrics.render(), /^webhook_enqueue_failures_total\{event="a\\"b\\\\c\\nd"\} 1$/m)
+})
+
+test('withQueryMetrics mide las consultas correctas y las que fallan', async () => {
+  const metrics = createMetrics()
+  // `$extends` devuelve la extensión para poder llamar a su `$allOperations`.
+  const { query } = withQueryMetrics({ $extends: (extension) => extension }, metrics)
+
+  assert.equal(await query.$allOperations({ model: 'User', operation: 'findMany', args: {}, query: async () => [] }).then(r => r.length), 0)
+  await assert.rejects(query.$allOperations({ operation: '$queryRaw', args: {}, query: async () => { throw new Error('sin conexión') } }))
+
+  const text = metrics.render()
+  assert.match(text, /^prisma_query_duration_seconds_count\{model="User",operation="findMany",outcome="ok"\} 1$/m)
+  assert.match(text, /^prisma_query_duration_seconds_count\{model="raw",operation="\$queryRaw",outcome="error"\} 1$/m)
+})
+
+let ctx
+
+afterEach(async () => {
+  // Las pruebas de `createMetrics` no levantan la aplicación.
+  await ctx?.close()
+  ctx = undefined
+})
+
+test('GET /metrics cuenta las solicitudes por patrón de ruta y los rechazos de autenticación', async () => {
+  ctx = await startApp()
+  const { accessToken } = await registerAndLogin(ctx.request)
+  await ctx.request('GET', '/users/1', { headers: { Authorization: `Bearer ${accessToken}` } })
+  await ctx.request('GET', '/users/1')
+  await ctx.request('GET', '/users/1', { headers: { Authorization: 'Bearer no-es-un-token' } })
+  await ctx.request('GET', '/no-existe')
+
+  const { status, headers, body } = await ctx.request('GET', '/metrics')
+  assert.equal(status, 200)
+  assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/)
+  assert.match(body, /^http_requests_total\{method="GET",route="\/users\/:id",status="200"\} 1$/m)
+  assert.match(body, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m)
+  assert.match(body, /^auth_failures_total\{reason="missing_token"\} 1$/m)
+  assert.match(body, /^auth_failures_total\{reason="invalid_token"\} 1$/m)
+})
+
+test('con METRICS_TOKEN exige el token', async () => {
+  ctx = await startApp({ config: { metrics: { token: 's3cr3t' } } })
+
+  assert.equal((await ctx.request('GET', '/metrics')).status, 401)
+  assert.equal((await ctx.request('GET', '/metrics', { headers: { Authorization: 'Bearer otro' } })).status, 401)
+  assert.equal((await ctx.request('GET', '/metrics', { headers: { Authorization: 'Bearer s3cr3t' } })).status, 200)
+})
+
+test('con METRICS_ALLOWED_IPS solo responde a esas direcciones', async () => {
+  ctx = await startApp({ config: { metrics: { allowedIps: ['10.0.0.0/8'] } } })
+  assert.equal((await ctx.request('GET', '/metrics')).status, 403)
+  await ctx.close()
+
+  ctx = await startApp({ config: { metrics: { allowedIps: ['127.0.0.0/8'] } } })
+  assert.equal((await ctx.request('GET', '/metrics')).status, 200)
+})
+
+test('los eventos que no se pueden encolar para los webhooks se cuentan', async () => {
+  ctx = await startApp()
+  ctx.prisma.webhookSubscriptions.findMany = async () => { throw new Error('sin conexión') }
+
+  await ctx.request('POST', '/register', { body: { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123' } })
+  await new Promise(resolve => setImmediate(resolve))
+
+  const { body } = await ctx.request('GET', '/metrics')
+  assert.match(body, /^webhook_enqueue_failures_total\{event="user\.registered"\} 1$/m)
+})
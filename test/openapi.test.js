@@ -0,0 +1,87 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const { buildOpenApiSpec, toOpenApiPath, toOpenApiSchema } = require('../utils/openapi')
+const { authorize, authorizeSelfOrAdmin, requireScope } = require('../middlewares/authorize')
+const validate = require('../middlewares/validate')
+const requirePrismaUserStore = require('../middlewares/requirePrismaUserStore')
+const { createUserSchema, userIdParamsSchema, listUsersQuerySchema } = require('../schemas/users')
+
+const authenticate = (req, res, next) => next()
+const ok = (req, res) => res.json({})
+
+/**
+ * Construye el documento de una aplicación de prueba con rutas representativas.
+ * @returns {Object} Documento OpenAPI
+ */
+const buildSpec = () => {
+  const app = express()
+  app.get('/users', authenticate, authorize('ADMIN'), validate({ query: listUsersQuerySchema }), ok)
+  app.get('/db-users', authenticate, authorize('ADMIN'), requireScope('users:read'), ok)
+  app.post('/register', validate({ body: createUserSchema }), ok)
+  app.get('/users/:id/appointments', requirePrismaUserStore, authenticate, authorizeSelfOrAdmin(), validate({ params: userIdParamsSchema }), ok)
+  app.get('/files/:name', ok)
+  app.get('/error', ok)
+
+  return buildOpenApiSpec(app, {
+    info: { title: 'Prueba', version: '1.0.0' },
+    authenticate,
+    routeDocs: {
+      'GET /users': { summary: 'Listar usuarios', tags: ['Usuarios'] },
+      'GET /error': { hidden: true }
+    }
+  })
+}
+
+test('toOpenApiPath y toOpenApiSchema adaptan rutas y esquemas', () => {
+  assert.equal(toOpenApiPath('/users/:id/appointments/:appointmentId'), '/users/{id}/appointments/{appointmentId}')
+  assert.deepEqual(toOpenApiSchema({ type: 'object', required: [] }), { type: 'object' })
+  assert.deepEqual(toOpenApiSchema({ type: 'object', required: ['name'] }).required, ['name'])
+})
+
+test('la seguridad y los roles salen de los middlewares de la ruta', () => {
+  const operation = buildSpec().paths['/users'].get
+
+  assert.equal(operation.summary, 'Listar usuarios')
+  assert.deepEqual(operation.security, [{ bearerAuth: [] }])
+  assert.match(operation.description, /Requiere el rol ADMIN/)
+  assert.deepEqual(Object.keys(operation.responses).sort(), ['200', '401', '403', '422', '500'])
+  assert.ok(operation.parameters.every(param => param.in === 'query'))
+})
+
+test('el cuerpo sale del esquema de validate y las rutas públicas no llevan seguridad', () => {
+  const operation = buildSpec().paths['/register'].post
+
+  assert.equal(operation.security, undefined)
+  assert.deepEqual(operation.requestBody.content['application/json'].schema.required, ['name', 'email', 'password'])
+  assert.equal(operation.responses[401], undefined)
+})
+
+test('los parámetros de ruta se declaran aunque no tengan esquema', () => {
+  const spec = buildSpec()
+
+  assert.deepEqual(spec.paths['/files/{name}'].get.parameters, [
+    { name: 'name', in: 'path', required: true, schema: { type: 'string' } }
+  ])
+  assert.equal(spec.paths['/users/{id}/appointments'].get.parameters[0].schema.type, 'integer')
+})
+
+test('documenta al dueño del recurso y el 501 de las rutas que necesitan la base de datos', () => {
+  const operation = buildSpec().paths['/users/{id}/appointments'].get
+
+  assert.match(operation.description, /Solo el propio usuario o un administrador/)
+  assert.deepEqual(operation.responses[501], { $ref: '#/components/responses/NotImplemented' })
+})
+
+test('las rutas con alcance aceptan también la clave de API', () => {
+  const spec = buildSpec()
+  const operation = spec.paths['/db-users'].get
+
+  assert.deepEqual(operation.security, [{ bearerAuth: [] }, { apiKeyAuth: [] }])
+  assert.match(operation.description, /requiere el alcance users:read/)
+  assert.deepEqual(spec.components.securitySchemes.apiKeyAuth, { type: 'apiKey', in: 'header', name: 'X-API-Key' })
+})
+
+test('las rutas ocultas no aparecen', () => {
+  assert.equal(buildSpec().paths['/error'], undefined)
+})
@@ -0,0 +1,30 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { paginate } = require('../utils/pagination')
+
+const req = (originalUrl) => ({ originalUrl })
+
+test('paginate devuelve los datos con el total y los enlaces, conservando los filtros', () => {
+  const page = paginate(req('/users?role=USER&page=2&limit=2'), { items: [{ id: 3 }, { id: 4 }], total: 5, page: 2, limit: 2 })
+
+  assert.deepEqual(page.data, [{ id: 3 }, { id: 4 }])
+  assert.deepEqual(page.meta, { total: 5, page: 2, limit: 2, totalPages: 3 })
+  assert.deepEqual(page.links, {
+    self: '/users?role=USER&page=2&limit=2',
+    next: '/users?role=USER&page=3&limit=2',
+    prev: '/users?role=USER&page=1&limit=2'
+  })
+})
+
+test('la primera y la última página no tienen enlace prev y next', () => {
+  assert.equal(paginate(req('/users'), { items: [], total: 3, page: 1, limit: 20 }).links.prev, null)
+  assert.equal(paginate(req('/users'), { items: [], total: 3, page: 1, limit: 20 }).links.next, null)
+})
+
+test('una página posterior a la última enlaza prev con la última', () => {
+  const page = paginate(req('/users?page=9'), { items: [], total: 3, page: 9, limit: 2 })
+
+  assert.equal(page.meta.totalPages, 2)
+  assert.equal(page.links.prev, '/users?page=2')
+  assert.equal(page.links.next, null)
+})
@@ -0,0 +1,50 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { purgeDeletedUsers } = require('../scripts/purge-deleted-users')
+const { createUserStore } = require('../stores/userStore')
+const { createFakePrisma } = require('./helpers/fakePrisma')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const now = new Date('2030-06-01T00:00:00.000Z')
+
+/**
+ * Crea un almacén de Prisma con tres usuarios: uno activo, uno eliminado hace 40 días
+ * y otro eliminado hace 10 días.
+ */
+const setup = () => {
+  const prisma = createFakePrisma()
+  prisma.db.users.push(
+    { id: 1, email: 'activa@example.com', deletedAt: null },
+    { id: 2, email: 'antigua@example.com', deletedAt: new Date(now - 40 * DAY_MS) },
+    { id: 3, email: 'reciente@example.com', deletedAt: new Date(now - 10 * DAY_MS) }
+  )
+  return { prisma, store: createUserStore({ type: 'prisma', prisma }) }
+}
+
+test('purga los usuarios eliminados antes del periodo de retención', async () => {
+  const { prisma, store } = setup()
+
+  const result = await purgeDeletedUsers({ store, retentionDays: 30, now })
+  assert.deepEqual(result, { deletedBefore: new Date(now - 30 * DAY_MS), ids: [2] })
+  assert.deepEqual(prisma.db.users.map(user => user.id), [1, 3])
+})
+
+test('en modo simulación solo informa de los usuarios que se purgarían', async () => {
+  const { prisma, store } = setup()
+
+  const { ids } = await purgeDeletedUsers({ store, retentionDays: 5, dryRun: true, now })
+  assert.deepEqual(ids, [2, 3])
+  assert.equal(prisma.db.users.length, 3)
+})
+
+test('borra del almacén de archivos los avatares de los usuarios purgados', async () => {
+  const { store } = setup()
+  const removed = []
+  const fileStorage = { remove: async (key) => removed.push(key) }
+
+  await purgeDeletedUsers({ store, fileStorage, retentionDays: 5, dryRun: true, now })
+  assert.deepEqual(removed, [])
+
+  await purgeDeletedUsers({ store, fileStorage, retentionDays: 30, now })
+  assert.deepEqual(removed, ['avatars/2'])
+})
@@ -0,0 +1,120 @@
+const { test, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const rateLimit = require('../middlewares/rateLimit')
+const createMemoryRateLimitStore = require('../stores/memoryRateLimitStore')
+const { createLoginLockout } = require('../utils/loginLockout')
+
+const realNow = Date.now
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+/**
+ * Adelanta el reloj (`Date.now`) los milisegundos indicados respecto a la hora real.
+ * @param {number} ms
+ */
+const advanceClock = (ms) => {
+  mock.restoreAll()
+  const start = realNow()
+  mock.method(Date, 'now', () => start + ms)
+}
+
+/**
+ * Ejecuta los middlewares en orden con una solicitud y una respuesta simuladas.
+ * @param {Function[]} middlewares
+ * @param {Object} [req]
+ * @returns {Promise<{ headers: Object, error: Object|undefined }>}
+ */
+const run = async (middlewares, req = { ip: '10.0.0.1' }) => {
+  const headers = {}
+  const res = {
+    get: (name) => headers[name],
+    set (name, value) {
+      if (typeof name === 'object') Object.assign(headers, name)
+      else headers[name] = value
+    }
+  }
+  let error
+  for (const middleware of middlewares) {
+    await middleware(req, res, (err) => { error = err })
+    if (error) break
+  }
+  return { headers, error }
+}
+
+test('cuenta las solicitudes por IP y responde 429 con Retry-After al superar el límite', async () => {
+  const limiter = rateLimit({ name: 'login:ip', windowMs: 60 * 1000, limit: 2, store: createMemoryRateLimitStore() })
+
+  const first = await run([limiter])
+  assert.deepEqual(first.headers, {
+    'RateLimit-Limit': '2',
+    'RateLimit-Remaining': '1',
+    'RateLimit-Reset': '60',
+    'RateLimit-Policy': '2;w=60'
+  })
+  assert.equal((await run([limiter])).error, undefined)
+
+  const blocked = await run([limiter])
+  assert.equal(blocked.error.statusCode, 429)
+  assert.deepEqual(blocked.error.details, { retryAfter: 60 })
+  assert.equal(blocked.headers['Retry-After'], '60')
+  assert.equal(blocked.headers['RateLimit-Remaining'], '0')
+
+  // Otra IP lleva su propio contador.
+  assert.equal((await run([limiter], { ip: '10.0.0.2' })).error, undefined)
+})
+
+test('la ventana se reinicia al expirar', async () => {
+  const limiter = rateLimit({ name: 'login:ip', windowMs: 60 * 1000, limit: 1, store: createMemoryRateLimitStore() })
+  await run([limiter])
+  assert.equal((await run([limiter])).error.statusCode, 429)
+
+  advanceClock(61 * 1000)
+  assert.equal((await run([limiter])).error, undefined)
+})
+
+test('con varios límites, las cabeceras muestran el más cercano a agotarse', async () => {
+  const store = createMemoryRateLimitStore()
+  const byIp = rateLimit({ name: 'login:ip', windowMs: 60 * 1000, limit: 10, store })
+  const byAccount = rateLimit({
+    name: 'login:account',
+    windowMs: 60 * 1000,
+    limit: 3,
+    store,
+    keyGenerator: (req) => req.body.email
+  })
+
+  const { headers } = await run([byIp, byAccount], { ip: '10.0.0.1', body: { email: 'ana@example.com' } })
+  assert.equal(headers['RateLimit-Limit'], '3')
+  assert.equal(headers['RateLimit-Remaining'], '2')
+})
+
+test('una clave vacía no se cuenta', async () => {
+  const store = createMemoryRateLimitStore()
+  const limiter = rateLimit({ name: 'x', windowMs: 1000, limit: 1, store, keyGenerator: () => undefined })
+
+  const result = await run([limiter])
+  assert.deepEqual(result, { headers: {}, error: undefined })
+  assert.equal(limiter.rateLimit.limit, 1)
+})
+
+test('el bloqueo de cuenta empieza en el umbral, se duplica y no supera el máximo', async () => {
+  const lockout = createLoginLockout({
+    store: createMemoryRateLimitStore(),
+    threshold: 2,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 150 * 1000
+  })
+
+  assert.equal(await lockout.registerFailure('ana@example.com'), 0)
+  assert.equal(await lockout.getLock('ana@example.com'), 0)
+  assert.equal(await lockout.registerFailure('ana@example.com'), 60)
+  assert.equal(await lockout.getLock('ANA@example.com'), 60)
+  assert.equal(await lockout.registerFailure('ana@example.com'), 120)
+  assert.equal(await lockout.registerFailure('ana@example.com'), 150)
+
+  await lockout.reset('ana@example.com')
+  assert.equal(await lockout.getLock('ana@example.com'), 0)
+  assert.equal(await lockout.registerFailure('ana@example.com'), 0)
+})
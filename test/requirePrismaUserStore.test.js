@@ -0,0 +1,24 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const requirePrismaUserStore = require('../middlewares/requirePrismaUserStore')
+
+/**
+ * Ejecuta el middleware con el almacén indicado en `app.locals`.
+ * @param {string} type - Tipo de almacén
+ * @returns {Error|string} Error pasado a `next`, o `'next'` si continuó sin error
+ */
+const run = (type) => {
+  let result = 'no llamado'
+  requirePrismaUserStore({ app: { locals: { userStore: { type } } } }, {}, (error) => { result = error || 'next' })
+  return result
+}
+
+test('deja pasar con el almacén de Prisma', () => {
+  assert.equal(run('prisma'), 'next')
+})
+
+test('con USER_STORE=file responde 501 con un mensaje claro', () => {
+  const error = run('file')
+  assert.equal(error.statusCode, 501)
+  assert.match(error.message, /USER_STORE=file/)
+})
@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+let ctx
+
+beforeEach(async () => {
+  ctx = await startApp()
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+const refresh = (refreshToken) => ctx.request('POST', '/token/refresh', { body: { refreshToken } })
+const protectedRoute = (accessToken) => ctx.request('GET', '/protected-route', { headers: { Authorization: `Bearer ${accessToken}` } })
+
+test('la rotación devuelve un par nuevo y revoca el token usado', async () => {
+  const login = await registerAndLogin(ctx.request)
+
+  const rotated = await refresh(login.refreshToken)
+  assert.equal(rotated.status, 200)
+  assert.notEqual(rotated.body.refreshToken, login.refreshToken)
+  assert.equal((await protectedRoute(rotated.body.accessToken)).status, 200)
+
+  const [used] = ctx.prisma.db.refreshTokens
+  assert.ok(used.revokedAt)
+  assert.equal(ctx.prisma.db.refreshTokens.filter(token => !token.revokedAt).length, 1)
+})
+
+test('reutilizar un token revocado revoca toda la sesión', async () => {
+  const login = await registerAndLogin(ctx.request)
+  const rotated = await refresh(login.refreshToken)
+
+  const reused = await refresh(login.refreshToken)
+  assert.equal(reused.status, 401)
+  assert.equal(reused.body.message, 'Token de refresco revocado.')
+
+  // El par emitido en la rotación también deja de servir.
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401)
+  assert.equal((await protectedRoute(rotated.body.accessToken)).status, 401)
+})
+
+test('dos rotaciones simultáneas del mismo token: solo una gana y la sesión se revoca', async () => {
+  const login = await registerAndLogin(ctx.request)
+
+  const results = await Promise.all([refresh(login.refreshToken), refresh(login.refreshToken)])
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 401])
+
+  const winner = results.find(result => result.status === 200)
+  assert.equal((await refresh(winner.body.refreshToken)).status, 401)
+})
+
+test('la reutilización no afecta a otras sesiones del usuario', async () => {
+  const first = await registerAndLogin(ctx.request)
+  const { body: second } = await ctx.request('POST', '/login', { body: { email: 'ana@example.com', password: 'secreto123' } })
+
+  await refresh(first.refreshToken)
+  await refresh(first.refreshToken)
+
+  assert.equal((await refresh(second.refreshToken)).status, 200)
+})
+
+test('un token desconocido o expirado responde 401', async () => {
+  const login = await registerAndLogin(ctx.request)
+  assert.equal((await refresh('no-existe')).status, 401)
+
+  ctx.prisma.db.refreshTokens[0].expiresAt = new Date(Date.now() - 1000)
+  const expired = await refresh(login.refreshToken)
+  assert.equal(expired.status, 401)
+  assert.equal(expired.body.message, 'Token de refresco expirado.')
+})
+
+test('logout revoca la sesión y sus tokens de acceso', async () => {
+  const login = await registerAndLogin(ctx.request)
+
+  assert.equal((await ctx.request('POST', '/logout', { body: { refreshToken: login.refreshToken } })).status, 204)
+  assert.equal((await protectedRoute(login.accessToken)).status, 401)
+  assert.equal((await refresh(login.refreshToken)).status, 401)
+})
+
+test('los tokens usan la validez de config.auth', async () => {
+  await ctx.close()
+  ctx = await startApp({ config: { auth: { accessTokenExpiresIn: '5m', refreshTokenExpiresDays: 1 } } })
+
+  const login = await registerAndLogin(ctx.request)
+  assert.equal(login.expiresIn, '5m')
+  const [stored] = ctx.prisma.db.refreshTokens
+  assert.equal(Math.round((stored.expiresAt - Date.now()) / (60 * 60 * 1000)), 24)
+})
@@ -0,0 +1,116 @@
+const { test, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const jwt = require('jsonwebtoken')
+const { issueTokens, rotateRefreshToken, revokeSession, isSessionActive } = require('../utils/tokens')
+const authenticateToken = require('../middlewares/auth')
+const { createFakePrisma } = require('./helpers/fakePrisma')
+
+const auth = { jwtSecret: 'test-secret', accessTokenExpiresIn: '15m', refreshTokenExpiresDays: 7 }
+
+let prisma
+let user
+
+const findUser = (id) => prisma.users.findUnique({ where: { id } })
+const rotate = (refreshToken) => rotateRefreshToken(prisma, refreshToken, { findUser, auth })
+
+beforeEach(async () => {
+  prisma = createFakePrisma()
+  user = await prisma.users.create({ data: { name: 'Ana Pérez', email: 'ana@example.com', password: 'hash', role: 'USER' } })
+})
+
+/**
+ * Ejecuta `authenticateToken` con el token indicado.
+ * @param {string} accessToken - JWT
+ * @returns {Promise<{ error: Error|undefined, user: Object|undefined }>} Error pasado a `next` (si lo hubo) y `req.user`
+ */
+const authenticate = (accessToken) => new Promise((resolve) => {
+  const req = { app: { locals: { prisma, config: { auth } } }, header: (name) => name === 'Authorization' ? `Bearer ${accessToken}` : undefined }
+  authenticateToken(req, {}, (error) => resolve({ error, user: req.user }))
+})
+
+test('issueTokens guarda solo el hash del token de refresco y firma la sesión en el JWT', async () => {
+  const tokens = await issueTokens(prisma, user, auth)
+
+  const [stored] = prisma.db.refreshTokens
+  assert.notEqual(stored.tokenHash, tokens.refreshToken)
+  assert.equal(stored.userId, user.id)
+  assert.equal(jwt.verify(tokens.accessToken, auth.jwtSecret).sid, stored.sessionId)
+  assert.equal(tokens.tokenType, 'Bearer')
+  assert.equal(tokens.expiresIn, '15m')
+  assert.equal(Math.round((stored.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)), 7)
+})
+
+test('la rotación devuelve un par nuevo en la misma sesión y revoca el token usado', async () => {
+  const login = await issueTokens(prisma, user, auth)
+
+  const { tokens } = await rotate(login.refreshToken)
+  assert.notEqual(tokens.refreshToken, login.refreshToken)
+  assert.ok(prisma.db.refreshTokens[0].revokedAt)
+  assert.equal(prisma.db.refreshTokens[1].sessionId, prisma.db.refreshTokens[0].sessionId)
+  assert.equal((await authenticate(tokens.accessToken)).user.id, user.id)
+})
+
+test('reutilizar un token revocado revoca toda la sesión', async () => {
+  const login = await issueTokens(prisma, user, auth)
+  const { tokens } = await rotate(login.refreshToken)
+
+  assert.deepEqual(await rotate(login.refreshToken), { error: 'Token de refresco revocado.' })
+
+  // El par emitido en la rotación también deja de servir.
+  assert.equal((await rotate(tokens.refreshToken)).error, 'Token de refresco revocado.')
+  assert.equal((await authenticate(tokens.accessToken)).error.statusCode, 401)
+})
+
+test('dos rotaciones simultáneas del mismo token: solo una gana y la sesión se revoca', async () => {
+  const login = await issueTokens(prisma, user, auth)
+
+  const results = await Promise.all([rotate(login.refreshToken), rotate(login.refreshToken)])
+  assert.equal(results.filter(result => result.tokens).length, 1)
+  assert.equal(results.find(result => result.error).error, 'Token de refresco revocado.')
+
+  const winner = results.find(result => result.tokens)
+  assert.ok((await rotate(winner.tokens.refreshToken)).error)
+})
+
+test('la reutilización no afecta a otras sesiones del usuario', async () => {
+  const first = await issueTokens(prisma, user, auth)
+  const second = await issueTokens(prisma, user, auth)
+
+  await rotate(first.refreshToken)
+  await rotate(first.refreshToken)
+
+  assert.ok((await rotate(second.refreshToken)).tokens)
+})
+
+test('un token desconocido o expirado se rechaza', async () => {
+  const login = await issueTokens(prisma, user, auth)
+  assert.deepEqual(await rotate('no-existe'), { error: 'Token de refresco inválido.' })
+
+  prisma.db.refreshTokens[0].expiresAt = new Date(Date.now() - 1000)
+  assert.deepEqual(await rotate(login.refreshToken), { error: 'Token de refresco expirado.' })
+})
+
+test('si el usuario ya no existe, el token se rechaza y la sesión se revoca', async () => {
+  const login = await issueTokens(prisma, user, auth)
+  prisma.db.users.length = 0
+
+  assert.deepEqual(await rotate(login.refreshToken), { error: 'Token de refresco inválido.' })
+  assert.ok(prisma.db.refreshTokens[0].revokedAt)
+})
+
+test('authenticateToken rechaza los tokens firmados con otra clave', async () => {
+  const login = await issueTokens(prisma, user, { ...auth, jwtSecret: 'otra-clave' })
+
+  assert.equal((await authenticate(login.accessToken)).error.statusCode, 403)
+})
+
+test('authenticateToken rechaza los tokens de una sesión cerrada', async () => {
+  const login = await issueTokens(prisma, user, auth)
+  assert.equal(await isSessionActive(prisma, prisma.db.refreshTokens[0].sessionId), true)
+
+  await revokeSession(prisma, prisma.db.refreshTokens[0].sessionId)
+
+  assert.equal(await isSessionActive(prisma, prisma.db.refreshTokens[0].sessionId), false)
+  assert.equal((await authenticate(login.accessToken)).error.statusCode, 401)
+})
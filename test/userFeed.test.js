@@ -0,0 +1,191 @@
+const { test, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createEventBus, USER_EVENTS } = require('../utils/events')
+const { createUserFeed, formatSseMessage } = require('../utils/userFeed')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+test('formatSseMessage escribe id, event y data en una sola línea de JSON', () => {
+  assert.equal(formatSseMessage({ id: 3, event: 'user.updated', data: { a: 'b\nc' } }), 'id: 3\nevent: user.updated\ndata: {"a":"b\\nc"}\n\n')
+  assert.equal(formatSseMessage({ event: 'reset', data: {} }), 'event: reset\ndata: {}\n\n')
+})
+
+test('el feed numera los cambios y guarda solo los últimos bufferSize', () => {
+  const events = createEventBus()
+  const feed = createUserFeed({ events, bufferSize: 2 })
+  const received = []
+  feed.subscribe({ onChange: (change) => received.push(change), onClose: () => {} })
+
+  events.publish(USER_EVENTS.REGISTERED, { user: { id: 1 } })
+  events.publish('appointment.created', { user: { id: 1 } })
+  events.publish(USER_EVENTS.UPDATED, { user: { id: 1 } })
+  events.publish(USER_EVENTS.DELETED, { user: { id: 1 } })
+
+  assert.deepEqual(received.map(({ id, type }) => [id, type]), [[1, 'user.created'], [2, 'user.updated'], [3, 'user.deleted']])
+  assert.deepEqual(feed.since(2), { changes: [received[2]], complete: true })
+  assert.deepEqual(feed.since(1).changes.map(change => change.id), [2, 3])
+  assert.deepEqual(feed.since(0), { changes: [], complete: false })
+  assert.deepEqual(feed.since(3), { changes: [], complete: true })
+  assert.equal(feed.since(9).complete, false)
+})
+
+let ctx
+let adminHeaders
+
+afterEach(async () => {
+  // Las pruebas del feed no levantan la aplicación.
+  await ctx?.close()
+  ctx = undefined
+})
+
+/**
+ * Levanta la aplicación con un administrador (usuario 1, cambio 1 del feed).
+ * @param {Object} [userFeed] - Configuración del feed (`bufferSize`, `heartbeatMs`, ...)
+ * @returns {Promise<Object>} Respuesta de `POST /login` del administrador
+ */
+const setup = async (userFeed = {}) => {
+  ctx = await startApp({ config: { userFeed } })
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users[0].role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  adminHeaders = { Authorization: `Bearer ${body.accessToken}` }
+  return body
+}
+
+const createUser = (name, email) => ctx.request('POST', '/users', { headers: adminHeaders, body: { name, email, password: 'secreto123' } })
+
+/**
+ * Convierte un mensaje SSE en un objeto: `{ id, event, data }`, `{ retry }` o `{ comment }`.
+ * @param {string} raw - Líneas del mensaje, sin la línea en blanco final
+ * @returns {Object}
+ */
+const parseMessage = (raw) => {
+  const message = {}
+  for (const line of raw.split('\n')) {
+    if (line.startsWith(':')) message.comment = line.slice(1).trim()
+    const [, field, value] = line.match(/^(id|event|data|retry): (.*)$/) || []
+    if (field === 'id') message.id = Number(value)
+    if (field === 'event') message.event = value
+    if (field === 'data') message.data = JSON.parse(value)
+    if (field === 'retry') message.retry = Number(value)
+  }
+  return message
+}
+
+/**
+ * Abre `GET /events` y lee sus mensajes a medida que llegan.
+ * @param {Object} headers - Cabeceras de la solicitud
+ * @returns {Promise<Object>} `{ status, until, close }`. `until(predicado)` lee hasta el primer
+ *   mensaje que cumple `predicado` y devuelve todos los leídos (menos si el stream termina antes)
+ */
+const openStream = async (headers) => {
+  const controller = new AbortController()
+  const response = await fetch(`${ctx.base}/events`, { headers, signal: controller.signal })
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let pending = ''
+
+  const readMessage = async () => {
+    while (!pending.includes('\n\n')) {
+      const { value, done } = await reader.read()
+      if (done) return null
+      pending += value
+    }
+    const end = pending.indexOf('\n\n')
+    const raw = pending.slice(0, end)
+    pending = pending.slice(end + 2)
+    return parseMessage(raw)
+  }
+
+  const until = async (predicate) => {
+    const messages = []
+    for (let message = await readMessage(); message; message = await readMessage()) {
+      messages.push(message)
+      if (predicate(message)) break
+    }
+    return messages
+  }
+
+  return { status: response.status, headers: response.headers, until, close: () => controller.abort() }
+}
+
+const changes = (messages) => messages.filter(message => message.event?.startsWith('user.'))
+
+test('GET /events exige un token', async () => {
+  await setup()
+  assert.equal((await ctx.request('GET', '/events')).status, 401)
+})
+
+test('un administrador recibe todos los cambios con IDs crecientes y sin contraseñas', { timeout: 5000 }, async () => {
+  await setup()
+  const stream = await openStream(adminHeaders)
+  assert.equal(stream.status, 200)
+  assert.match(stream.headers.get('content-type'), /^text\/event-stream/)
+
+  const { body: bea } = await createUser('Bea Gómez', 'bea@example.com')
+  await ctx.request('PATCH', `/users/${bea.id}`, { headers: { ...adminHeaders, 'If-Match': '"1"' }, body: { name: 'Bea María' } })
+  await ctx.request('DELETE', `/users/${bea.id}`, { headers: adminHeaders })
+
+  const messages = await stream.until(message => message.event === 'user.deleted')
+  stream.close()
+
+  assert.deepEqual(messages[0], { retry: 3000 })
+  assert.deepEqual(changes(messages).map(({ id, event }) => [id, event]), [[2, 'user.created'], [3, 'user.updated'], [4, 'user.deleted']])
+  for (const { id, data } of changes(messages)) {
+    assert.equal(data.id, id)
+    assert.equal(data.user.id, bea.id)
+    assert.equal(data.user.password, undefined)
+  }
+  assert.equal(changes(messages)[1].data.user.name, 'Bea María')
+})
+
+test('con Last-Event-ID se reenvían los cambios perdidos, o reset si ya no están en memoria', { timeout: 5000 }, async () => {
+  await setup({ bufferSize: 3 })
+  await createUser('Bea Gómez', 'bea@example.com')
+  await createUser('Carla Ruiz', 'carla@example.com')
+  await createUser('Dani Soto', 'dani@example.com')
+
+  // El feed guarda los cambios 2, 3 y 4: el 1 (registro del administrador) ya salió.
+  for (const [lastEventId, expected] of [['3', [4]], ['1', [2, 3, 4]]]) {
+    const stream = await openStream({ ...adminHeaders, 'Last-Event-ID': lastEventId })
+    const messages = await stream.until(message => message.id === 4)
+    stream.close()
+    assert.deepEqual(changes(messages).map(({ id }) => id), expected, `Last-Event-ID: ${lastEventId}`)
+  }
+
+  for (const lastEventId of ['0', '99', 'abc']) {
+    const stream = await openStream({ ...adminHeaders, 'Last-Event-ID': lastEventId })
+    const messages = await stream.until(message => message.event === 'reset')
+    stream.close()
+    assert.equal(messages.at(-1).event, 'reset', `Last-Event-ID: ${lastEventId}`)
+    assert.deepEqual(changes(messages), [])
+  }
+})
+
+test('un usuario que no es administrador solo recibe los cambios de su propio usuario', { timeout: 5000 }, async () => {
+  await setup()
+  const { accessToken } = await registerAndLogin(ctx.request)
+  const headers = { Authorization: `Bearer ${accessToken}` }
+  const stream = await openStream(headers)
+
+  await createUser('Bea Gómez', 'bea@example.com')
+  await ctx.request('PATCH', '/me', { headers, body: { name: 'Ana María' } })
+
+  const messages = await stream.until(message => message.event === 'user.updated')
+  stream.close()
+
+  assert.deepEqual(changes(messages).map(({ id, event, data }) => [id, event, data.user.email]), [[4, 'user.updated', 'ana@example.com']])
+})
+
+test('envía latidos y cierra el stream cuando la sesión se revoca', { timeout: 5000 }, async () => {
+  const admin = await setup({ heartbeatMs: 30 })
+  const stream = await openStream(adminHeaders)
+
+  const pings = await stream.until(message => message.comment === 'ping')
+  assert.equal(pings.at(-1).comment, 'ping')
+
+  assert.equal((await ctx.request('POST', '/logout', { body: { refreshToken: admin.refreshToken } })).status, 204)
+
+  const messages = await stream.until(message => message.event === 'unauthorized')
+  assert.equal(messages.at(-1).event, 'unauthorized')
+  // Después del aviso el servidor termina la respuesta.
+  assert.deepEqual(await stream.until(() => false), [])
+})
@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const bcrypt = require('bcryptjs')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+let ctx
+let admin
+
+beforeEach(async () => {
+  ctx = await startApp()
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users[0].role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  admin = { Authorization: `Bearer ${body.accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+const CSV = [
+  'name;email;password;role',
+  'Ana Pérez;ana@example.com;secreto123;USER',
+  'Bea Gómez;bea@example.com;secreto456;ADMIN',
+  'Ana Bis;ANA@example.com;secreto789;USER',
+  'Al;no-es-correo;123;USER',
+  'Admin Bis;admin@example.com;secreto123;USER'
+].join('\n')
+
+test('importa un CSV y devuelve un informe por fila', async () => {
+  const response = await ctx.request('POST', '/users/import', { text: CSV, headers: { ...admin, 'Content-Type': 'text/csv' } })
+
+  assert.equal(response.status, 200)
+  assert.deepEqual(response.body.summary, { total: 5, created: 2, skipped: 2, invalid: 1 })
+  assert.deepEqual(response.body.rows.map(row => row.status), ['created', 'created', 'skipped', 'invalid', 'skipped'])
+  assert.deepEqual(response.body.rows[3].errors.map(error => error.field), ['name', 'email', 'password'])
+
+  const bea = ctx.prisma.db.users.find(user => user.email === 'bea@example.com')
+  assert.equal(bea.role, 'ADMIN')
+  assert.ok(await bcrypt.compare('secreto456', bea.password))
+  assert.equal(ctx.prisma.db.auditLogs.filter(entry => entry.action === 'USER_CREATED').length, 2)
+})
+
+test('con dryRun=true valida un JSON sin crear usuarios', async () => {
+  const response = await ctx.request('POST', '/users/import?dryRun=true', {
+    headers: admin,
+    body: [{ name: 'Ana Pérez', email: 'ana@example.com', password: 'secreto123' }, { name: 'Sin contraseña', email: 'sin@example.com' }]
+  })
+
+  assert.equal(response.status, 200)
+  assert.equal(response.body.dryRun, true)
+  assert.deepEqual(response.body.rows.map(row => [row.status, row.id ?? null]), [['created', null], ['invalid', null]])
+  assert.equal(ctx.prisma.db.users.length, 1)
+})
+
+test('rechaza un cuerpo que no es CSV ni una lista JSON', async () => {
+  const notList = await ctx.request('POST', '/users/import', { headers: admin, body: { name: 'Ana' } })
+  assert.equal(notList.status, 400)
+
+  const badCsv = await ctx.request('POST', '/users/import', { text: 'name,email\n"Ana,ana@example.com', headers: { ...admin, 'Content-Type': 'text/csv' } })
+  assert.equal(badCsv.status, 400)
+
+  const xml = await ctx.request('POST', '/users/import', { text: '<users/>', headers: { ...admin, 'Content-Type': 'application/xml' } })
+  assert.equal(xml.status, 415)
+})
+
+test('exporta los usuarios sin contraseñas en CSV, JSON y NDJSON', async () => {
+  await ctx.request('POST', '/users/import', { text: CSV, headers: { ...admin, 'Content-Type': 'text/csv' } })
+  await ctx.request('DELETE', '/users/3', { headers: admin })
+
+  const csv = await ctx.request('GET', '/users/export', { headers: admin })
+  assert.equal(csv.status, 200)
+  assert.match(csv.headers.get('content-type'), /^text\/csv/)
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="users-\d{4}-\d{2}-\d{2}\.csv"/)
+  assert.deepEqual(csv.body.trim().split('\r\n'), [
+    'id,name,email,role,emailVerifiedAt',
+    '1,Admin,admin@example.com,ADMIN,',
+    '2,Ana Pérez,ana@example.com,USER,'
+  ])
+
+  const json = await ctx.request('GET', '/users/export?format=json', { headers: admin })
+  assert.deepEqual(json.body.map(user => user.email), ['admin@example.com', 'ana@example.com'])
+  assert.ok(json.body.every(user => !('password' in user)))
+
+  const ndjson = await ctx.request('GET', '/users/export?format=ndjson', { headers: admin })
+  assert.deepEqual(ndjson.body.trim().split('\n').map(line => JSON.parse(line).id), [1, 2])
+})
+
+test('la importación y la exportación son solo para administradores', async () => {
+  const { accessToken } = await registerAndLogin(ctx.request)
+  const user = { Authorization: `Bearer ${accessToken}` }
+
+  assert.equal((await ctx.request('GET', '/users/export')).status, 401)
+  assert.equal((await ctx.request('GET', '/users/export', { headers: user })).status, 403)
+  assert.equal((await ctx.request('POST', '/users/import', { headers: user, body: [] })).status, 403)
+})
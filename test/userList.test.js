@@ -0,0 +1,61 @@
+const { describe, test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { createUserStore } = require('../stores/userStore')
+const { createFakePrisma } = require('./helpers/fakePrisma')
+
+const USERS = [
+  { name: 'Ana Pérez', email: 'ana@example.com', role: 'ADMIN' },
+  { name: 'Bruno Díaz', email: 'bruno@correo.com', role: 'USER' },
+  { name: 'Carla Ana', email: 'carla@example.com', role: 'USER' },
+  { name: 'Diego Sol', email: 'diego@example.com', role: 'USER' }
+]
+
+// Los dos almacenes deben listar igual: se ejecutan las mismas pruebas sobre cada uno.
+const stores = {
+  prisma: async () => createUserStore({ type: 'prisma', prisma: createFakePrisma() }),
+  file: async (dir) => createUserStore({ type: 'file', filePath: path.join(dir, 'users.json') })
+}
+
+for (const [type, createStore] of Object.entries(stores)) {
+  describe(`list en el almacén ${type}`, () => {
+    let dir
+    let store
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'user-list-'))
+      store = await createStore(dir)
+      for (const user of USERS) await store.create(user)
+    })
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true })
+    })
+
+    const names = ({ items }) => items.map(user => user.name)
+
+    test('pagina con skip y take y devuelve el total', async () => {
+      const result = await store.list({ skip: 1, take: 2 })
+      assert.deepEqual(names(result), ['Bruno Díaz', 'Carla Ana'])
+      assert.equal(result.total, 4)
+    })
+
+    test('filtra por nombre y correo sin distinguir mayúsculas, y por rol exacto', async () => {
+      assert.deepEqual(names(await store.list({ filters: { name: 'ANA' } })), ['Ana Pérez', 'Carla Ana'])
+      assert.deepEqual(names(await store.list({ filters: { email: 'CORREO' } })), ['Bruno Díaz'])
+      assert.equal((await store.list({ filters: { role: 'USER' } })).total, 3)
+    })
+
+    test('term busca en el nombre o en el correo', async () => {
+      assert.deepEqual(names(await store.list({ filters: { term: 'diego' } })), ['Diego Sol'])
+      assert.equal((await store.list({ filters: { term: 'example' } })).total, 3)
+    })
+
+    test('ordena por el campo y la dirección indicados', async () => {
+      assert.deepEqual(names(await store.list({ sort: 'name', order: 'desc' })), ['Diego Sol', 'Carla Ana', 'Bruno Díaz', 'Ana Pérez'])
+      assert.deepEqual((await store.list({ sort: 'email', take: 1 })).items.map(user => user.email), ['ana@example.com'])
+    })
+  })
+}
@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { createUserToken, consumeUserToken } = require('../utils/userTokens')
+const { createMailer } = require('../utils/mailer')
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails')
+const { createFakePrisma } = require('./helpers/fakePrisma')
+
+const TTL_MS = 60 * 60 * 1000
+const emailOptions = { appUrl: 'https://app.example.com', ttlMs: TTL_MS }
+
+let prisma
+let user
+let dir
+
+beforeEach(async () => {
+  prisma = createFakePrisma()
+  user = await prisma.users.create({ data: { name: 'Ana Pérez', email: 'ana@example.com', password: 'hash' } })
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'))
+})
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+/**
+ * Lee los mensajes guardados en la bandeja de salida de la prueba.
+ * @returns {Promise<Array<Object>>}
+ */
+const readOutbox = async () => {
+  const files = await fs.readdir(dir)
+  return Promise.all(files.map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'))))
+}
+
+test('el token se guarda como hash, caduca según ttlMs y solo se puede usar una vez', async () => {
+  const token = await createUserToken(prisma, user.id, 'PASSWORD_RESET', TTL_MS)
+  assert.ok(Math.abs(prisma.db.userTokens[0].expiresAt - Date.now() - TTL_MS) < 1000)
+
+  assert.notEqual(prisma.db.userTokens[0].tokenHash, token)
+  assert.equal((await consumeUserToken(prisma, token, 'PASSWORD_RESET')).userId, user.id)
+  assert.equal(await consumeUserToken(prisma, token, 'PASSWORD_RESET'), null)
+})
+
+test('un token nuevo invalida los anteriores del mismo tipo', async () => {
+  const first = await createUserToken(prisma, user.id, 'EMAIL_VERIFICATION', TTL_MS)
+  const reset = await createUserToken(prisma, user.id, 'PASSWORD_RESET', TTL_MS)
+  const second = await createUserToken(prisma, user.id, 'EMAIL_VERIFICATION', TTL_MS)
+
+  assert.equal(await consumeUserToken(prisma, first, 'EMAIL_VERIFICATION'), null)
+  assert.ok(await consumeUserToken(prisma, second, 'EMAIL_VERIFICATION'))
+  assert.ok(await consumeUserToken(prisma, reset, 'PASSWORD_RESET'))
+})
+
+test('rechaza un token de otro tipo, expirado o desconocido', async () => {
+  const token = await createUserToken(prisma, user.id, 'EMAIL_VERIFICATION', TTL_MS)
+  assert.equal(await consumeUserToken(prisma, token, 'PASSWORD_RESET'), null)
+
+  prisma.db.userTokens[0].expiresAt = new Date(Date.now() - 1000)
+  assert.equal(await consumeUserToken(prisma, token, 'EMAIL_VERIFICATION'), null)
+  assert.equal(await consumeUserToken(prisma, 'desconocido', 'EMAIL_VERIFICATION'), null)
+})
+
+test('dos consumos simultáneos del mismo token: solo uno gana', async () => {
+  const token = await createUserToken(prisma, user.id, 'PASSWORD_RESET', TTL_MS)
+
+  const results = await Promise.all([
+    consumeUserToken(prisma, token, 'PASSWORD_RESET'),
+    consumeUserToken(prisma, token, 'PASSWORD_RESET')
+  ])
+  assert.equal(results.filter(Boolean).length, 1)
+})
+
+test('el transporte outbox guarda cada correo como JSON con el remitente', async () => {
+  const mailer = createMailer({ outboxDir: dir, from: 'app@example.com' })
+  await mailer.send({ to: 'ana@example.com', subject: 'Hola', text: 'Texto' })
+
+  const [message] = await readOutbox()
+  assert.equal(message.from, 'app@example.com')
+  assert.equal(message.to, 'ana@example.com')
+  assert.equal(message.subject, 'Hola')
+})
+
+test('createMailer acepta un transporte propio y rechaza uno desconocido', async () => {
+  const sent = []
+  const mailer = createMailer({ transport: { send: async (message) => { sent.push(message); return { id: '1' } } } })
+  await mailer.send({ to: 'ana@example.com', subject: 'Hola', text: 'Texto' })
+
+  assert.equal(sent[0].to, 'ana@example.com')
+  assert.throws(() => createMailer({ transport: 'smtp' }), /MAIL_TRANSPORT desconocido/)
+})
+
+test('los correos de la cuenta llevan el enlace con el token', async () => {
+  const mailer = createMailer({ outboxDir: dir })
+  await sendVerificationEmail(mailer, user, 'token-verificacion', emailOptions)
+  await sendPasswordResetEmail(mailer, user, 'token-reset', emailOptions)
+
+  const messages = await readOutbox()
+  const verification = messages.find(message => message.subject === 'Verifica tu correo electrónico')
+  const reset = messages.find(message => message.subject === 'Restablece tu contraseña')
+  assert.match(verification.text, /https:\/\/app\.example\.com\/verify-email\?token=token-verificacion/)
+  assert.match(reset.text, /https:\/\/app\.example\.com\/password\/reset\?token=token-reset/)
+  assert.match(reset.text, /caduca en 60 minutos/)
+  assert.match(verification.text, /Hola Ana Pérez/)
+})
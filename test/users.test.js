@@ -0,0 +1,114 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+let ctx
+
+beforeEach(async () => {
+  ctx = await startApp()
+})
+
+afterEach(async () => {
+  await ctx.close()
+})
+
+const bearer = (accessToken) => ({ Authorization: `Bearer ${accessToken}` })
+
+/**
+ * Registra un usuario, lo promueve a ADMIN en la base de datos e inicia sesión.
+ * @returns {Promise<string>} Token de acceso del administrador
+ */
+const loginAsAdmin = async () => {
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users.find(user => user.email === 'admin@example.com').role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  return body.accessToken
+}
+
+test('sin credenciales, las consultas y el alta de usuarios responden 401', async () => {
+  for (const [method, path, body] of [
+    ['GET', '/users'],
+    ['GET', '/users/1'],
+    ['GET', '/search?termino=ana'],
+    ['POST', '/users', { name: 'Intrusa', email: 'intrusa@example.com', password: 'secreto123' }]
+  ]) {
+    const response = await ctx.request(method, path, { body })
+    assert.equal(response.status, 401, `${method} ${path}`)
+    assert.equal(response.body.status, 'error')
+  }
+  assert.equal(ctx.prisma.db.users.length, 0)
+})
+
+test('un usuario sin rol ADMIN recibe 403', async () => {
+  const { accessToken } = await registerAndLogin(ctx.request)
+
+  assert.equal((await ctx.request('GET', '/users', { headers: bearer(accessToken) })).status, 403)
+  assert.equal((await ctx.request('GET', '/search?termino=ana', { headers: bearer(accessToken) })).status, 403)
+  const created = await ctx.request('POST', '/users', {
+    headers: bearer(accessToken),
+    body: { name: 'Otra', email: 'otra@example.com', password: 'secreto123' }
+  })
+  assert.equal(created.status, 403)
+})
+
+test('GET /users/:id solo lo ven el propio usuario y los administradores', async () => {
+  const { accessToken } = await registerAndLogin(ctx.request)
+  await registerAndLogin(ctx.request, { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123' })
+
+  assert.equal((await ctx.request('GET', '/users/1', { headers: bearer(accessToken) })).status, 200)
+  assert.equal((await ctx.request('GET', '/users/2', { headers: bearer(accessToken) })).status, 403)
+  assert.equal((await ctx.request('GET', '/users/2', { headers: bearer(await loginAsAdmin()) })).status, 200)
+})
+
+test('un administrador lista, busca y crea usuarios (con rol USER y sin contraseña en la respuesta)', async () => {
+  const accessToken = await loginAsAdmin()
+
+  const created = await ctx.request('POST', '/users', {
+    headers: bearer(accessToken),
+    body: { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123', role: 'ADMIN' }
+  })
+  assert.equal(created.status, 201)
+  assert.equal(created.body.role, 'USER')
+  assert.equal(created.body.password, undefined)
+
+  const list = await ctx.request('GET', '/users', { headers: bearer(accessToken) })
+  assert.equal(list.status, 200)
+  assert.equal(list.body.meta.total, 2)
+
+  const search = await ctx.request('GET', '/search?termino=bea', { headers: bearer(accessToken) })
+  assert.deepEqual(search.body.data.map(user => user.email), ['bea@example.com'])
+})
+
+test('los datos inválidos responden 422 con el sobre de errores por campo', async () => {
+  const response = await ctx.request('POST', '/register', { body: { name: 'Al', email: 'no-es-correo' } })
+
+  assert.equal(response.status, 422)
+  assert.equal(response.body.status, 'error')
+  assert.equal(response.body.statusCode, 422)
+  assert.deepEqual(response.body.errors.map(error => error.field), ['name', 'email', 'password'])
+})
+
+test('un correo repetido en el registro responde 409', async () => {
+  await registerAndLogin(ctx.request)
+  const response = await ctx.request('POST', '/register', { body: { name: 'Ana Bis', email: 'ana@example.com', password: 'secreto123' } })
+
+  assert.equal(response.status, 409)
+  assert.equal(response.body.message, 'El correo electrónico ya está registrado.')
+})
+
+test('el registro no falla si no se puede enviar la verificación', async () => {
+  ctx.prisma.userTokens.create = async () => { throw new Error('sin conexión') }
+
+  const response = await ctx.request('POST', '/register', { body: { name: 'Ana Pérez', email: 'ana@example.com', password: 'secreto123' } })
+  assert.equal(response.status, 201)
+  assert.equal(ctx.prisma.db.users.length, 1)
+  assert.equal(ctx.mails.length, 0)
+})
+
+test('el registro envía el enlace de verificación con APP_URL', async () => {
+  await ctx.close()
+  ctx = await startApp({ config: { appUrl: 'https://app.example.com' } })
+
+  await ctx.request('POST', '/register', { body: { name: 'Ana Pérez', email: 'ana@example.com', password: 'secreto123' } })
+  assert.match(ctx.mails[0].text, /https:\/\/app\.example\.com\/verify-email\?token=/)
+})
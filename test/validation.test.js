@@ -0,0 +1,76 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const validate = require('../middlewares/validate')
+const { createUserSchema, patchUserSchema, userIdParamsSchema } = require('../schemas/users')
+
+/**
+ * Ejecuta `validate` con una solicitud simulada.
+ * @param {Object} schemas - Esquemas de la ruta
+ * @param {Object} req - `body`, `params` y `query`
+ * @returns {Object} `{ error }` con el error pasado a `next`, o `{ next: true }` si continuó sin error
+ */
+const run = (schemas, req) => {
+  let result = { next: false }
+  validate(schemas)({ body: {}, params: {}, query: {}, ...req }, {}, (error) => {
+    result = error ? { error } : { next: true }
+  })
+  return result
+}
+
+test('un cuerpo inválido pasa un 422 con todos los errores por campo', () => {
+  const { error } = run({ body: createUserSchema }, { body: { name: 'Al', email: 'no-es-correo' } })
+
+  assert.equal(error.name, 'ValidationError')
+  assert.equal(error.statusCode, 422)
+  assert.equal(error.message, 'Los datos enviados no son válidos.')
+  assert.deepEqual(error.details, { errors: error.errors })
+  assert.deepEqual(error.errors.map(error => [error.location, error.field]), [
+    ['body', 'name'],
+    ['body', 'email'],
+    ['body', 'password']
+  ])
+  for (const fieldError of error.errors) assert.equal(typeof fieldError.message, 'string')
+})
+
+test('los errores de params y query llevan su location', () => {
+  const schemas = {
+    params: userIdParamsSchema,
+    query: { type: 'object', properties: { page: { type: 'integer', minimum: 1 } } }
+  }
+  const { error } = run(schemas, { params: { id: 'abc' }, query: { page: '0' } })
+
+  assert.deepEqual(error.errors.map(error => [error.location, error.field]), [
+    ['params', 'id'],
+    ['query', 'page']
+  ])
+})
+
+test('convierte params y query al tipo declarado, aplica los valores por defecto y descarta campos desconocidos', () => {
+  const req = { params: { id: '7' }, query: { limit: '5', extra: 'x' }, body: { name: 'Ana', role: 'ADMIN' } }
+  const result = { next: false }
+  validate({
+    params: userIdParamsSchema,
+    query: { type: 'object', properties: { page: { type: 'integer', default: 1 }, limit: { type: 'integer' } } },
+    body: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+  })(req, {}, (error) => { result.next = !error })
+
+  assert.equal(result.next, true)
+  assert.deepEqual(req.params, { id: 7 })
+  assert.deepEqual(req.query, { page: 1, limit: 5 })
+  assert.deepEqual(req.body, { name: 'Ana' })
+})
+
+test('no convierte los tipos del cuerpo', () => {
+  const { error } = run({ body: { type: 'object', properties: { age: { type: 'integer' } } } }, { body: { age: '30' } })
+
+  assert.equal(error.statusCode, 422)
+  assert.deepEqual(error.errors.map(fieldError => fieldError.field), ['age'])
+})
+
+test('el esquema parcial acepta un solo campo pero no un cuerpo vacío', () => {
+  assert.deepEqual(run({ body: patchUserSchema }, { body: { name: 'Ana María' } }), { next: true })
+
+  const { error } = run({ body: patchUserSchema }, { body: { role: 'ADMIN' } })
+  assert.equal(error.statusCode, 422)
+  assert.deepEqual(error.errors, [{ location: 'body', field: null, message: 'No se recibieron datos.' }])
+})
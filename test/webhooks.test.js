@@ -0,0 +1,204 @@
+const { test, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const http = require('http')
+const { signPayload, verifySignature, retryDelay, createWebhookWorker } = require('../utils/webhooks')
+const { logger } = require('../utils/logger')
+const { startApp, registerAndLogin } = require('./helpers/testApp')
+
+const SECRET = 'whsec_secreto-de-prueba'
+const BASE_DELAY_MS = 1000
+
+test('verifySignature acepta la firma de signPayload y rechaza cambios, otro secreto o un timestamp viejo', () => {
+  const timestamp = Math.floor(Date.now() / 1000)
+  const body = JSON.stringify({ type: 'user.created' })
+  const signature = signPayload(SECRET, timestamp, body)
+
+  assert.equal(verifySignature({ secret: SECRET, signature, timestamp: String(timestamp), body }), true)
+  assert.equal(verifySignature({ secret: SECRET, signature, timestamp: String(timestamp), body: body + ' ' }), false)
+  assert.equal(verifySignature({ secret: 'otro-secreto-cualquiera', signature, timestamp: String(timestamp), body }), false)
+
+  const old = timestamp - 600
+  assert.equal(verifySignature({ secret: SECRET, signature: signPayload(SECRET, old, body), timestamp: String(old), body }), false)
+})
+
+test('retryDelay se duplica en cada fallo sin pasar del máximo', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 5000 }
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempts => retryDelay(attempts, options)), [1000, 2000, 4000, 5000, 5000])
+})
+
+let ctx
+let adminHeaders
+let receiver
+let received
+let respondWith
+
+beforeEach(async () => {
+  // Receptor local: guarda cada entrega y responde con `respondWith`.
+  received = []
+  respondWith = 204
+  receiver = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => {
+      received.push({ headers: req.headers, body })
+      res.statusCode = respondWith
+      res.end()
+    })
+  })
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve))
+
+  ctx = await startApp()
+  await registerAndLogin(ctx.request, { name: 'Admin', email: 'admin@example.com', password: 'secreto123' })
+  ctx.prisma.db.users[0].role = 'ADMIN'
+  const { body } = await ctx.request('POST', '/login', { body: { email: 'admin@example.com', password: 'secreto123' } })
+  adminHeaders = { Authorization: `Bearer ${body.accessToken}` }
+})
+
+afterEach(async () => {
+  await ctx.close()
+  await new Promise(resolve => receiver.close(resolve))
+})
+
+const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hooks`
+
+/**
+ * Suscribe el receptor local a los eventos indicados.
+ * @param {Object} [body] - Campos de la suscripción
+ * @returns {Promise<Object>} Respuesta de `POST /webhooks`
+ */
+const subscribe = (body = {}) => ctx.request('POST', '/webhooks', {
+  headers: adminHeaders,
+  body: { url: receiverUrl(), secret: SECRET, events: ['user.registered'], ...body }
+})
+
+/**
+ * Registra un usuario (evento `user.registered`) y espera a que su entrega se encole.
+ * @returns {Promise<Object>} Entrega encolada
+ */
+const registerAndEnqueue = async () => {
+  await ctx.request('POST', '/register', { body: { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123' } })
+  await new Promise(resolve => setImmediate(resolve))
+  return ctx.prisma.db.webhookDeliveries.at(-1)
+}
+
+const createWorker = (options = {}) => createWebhookWorker({ prisma: ctx.prisma, baseDelayMs: BASE_DELAY_MS, maxDelayMs: 60 * 1000, ...options })
+
+test('la entrega llega al receptor firmada con HMAC-SHA256 y queda SUCCEEDED', async () => {
+  const created = await subscribe()
+  assert.equal(created.status, 201)
+  assert.equal(created.body.secret, SECRET)
+
+  const delivery = await registerAndEnqueue()
+  assert.equal(delivery.status, 'PENDING')
+  assert.equal(await createWorker().runOnce(), 1)
+
+  const [{ headers, body }] = received
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex')
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`)
+  assert.equal(headers['x-webhook-event'], 'user.registered')
+  assert.equal(headers['x-webhook-id'], delivery.eventId)
+
+  const event = JSON.parse(body)
+  assert.equal(event.data.user.email, 'bea@example.com')
+  assert.equal(event.data.user.password, undefined)
+
+  assert.equal(delivery.status, 'SUCCEEDED')
+  assert.equal(delivery.attempts, 1)
+  assert.equal(delivery.lastStatusCode, 204)
+  assert.ok(delivery.deliveredAt)
+})
+
+test('solo se encolan los eventos de las suscripciones activas que los piden', async () => {
+  await subscribe({ events: ['user.deleted'] })
+  await subscribe({ events: [], active: false })
+
+  assert.equal(await registerAndEnqueue(), undefined)
+})
+
+test('un receptor que falla se reintenta con esperas crecientes y queda FAILED tras el máximo', async () => {
+  await subscribe()
+  respondWith = 500
+  const worker = createWorker({ maxAttempts: 3 })
+  const delivery = await registerAndEnqueue()
+
+  const delays = []
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    delivery.nextAttemptAt = new Date(Date.now() - 1)
+    assert.equal(await worker.runOnce(), 1)
+    if (delivery.status === 'PENDING') delays.push(delivery.nextAttemptAt - delivery.lastAttemptAt)
+  }
+
+  assert.equal(received.length, 3)
+  assert.equal(delays.length, 2)
+  assert.ok(Math.abs(delays[0] - BASE_DELAY_MS) < 500, `primera espera: ${delays[0]}`)
+  assert.ok(Math.abs(delays[1] - 2 * BASE_DELAY_MS) < 500, `segunda espera: ${delays[1]}`)
+  assert.equal(delivery.status, 'FAILED')
+  assert.equal(delivery.attempts, 3)
+  assert.equal(delivery.lastStatusCode, 500)
+
+  // Un intento más no la vuelve a enviar.
+  delivery.nextAttemptAt = new Date(Date.now() - 1)
+  assert.equal(await worker.runOnce(), 0)
+})
+
+test('las entregas pendientes esperan a su próximo intento', async () => {
+  await subscribe()
+  respondWith = 500
+  await registerAndEnqueue()
+  const worker = createWorker()
+
+  assert.equal(await worker.runOnce(), 1)
+  assert.equal(await worker.runOnce(), 0)
+  assert.equal(received.length, 1)
+})
+
+test('redeliver vuelve a encolar una entrega FAILED; si ya está pendiente responde 409', async () => {
+  await subscribe()
+  respondWith = 500
+  const delivery = await registerAndEnqueue()
+  await createWorker({ maxAttempts: 1 }).runOnce()
+  assert.equal(delivery.status, 'FAILED')
+
+  const redelivered = await ctx.request('POST', `/webhooks/deliveries/${delivery.id}/redeliver`, { headers: adminHeaders })
+  assert.equal(redelivered.status, 202)
+  assert.equal(redelivered.body.status, 'PENDING')
+  assert.equal(redelivered.body.attempts, 0)
+  assert.equal((await ctx.request('POST', `/webhooks/deliveries/${delivery.id}/redeliver`, { headers: adminHeaders })).status, 409)
+  assert.equal((await ctx.request('POST', '/webhooks/deliveries/99/redeliver', { headers: adminHeaders })).status, 404)
+
+  respondWith = 200
+  await createWorker().runOnce()
+  assert.equal(delivery.status, 'SUCCEEDED')
+  assert.equal(received.length, 2)
+  assert.equal(received[0].headers['x-webhook-id'], received[1].headers['x-webhook-id'])
+})
+
+test('el listado de suscripciones no muestra el secreto y el registro de entregas filtra por estado', async () => {
+  const { body: subscription } = await subscribe()
+  await registerAndEnqueue()
+
+  const list = await ctx.request('GET', '/webhooks', { headers: adminHeaders })
+  assert.equal(list.body.data[0].secret, undefined)
+
+  const pending = await ctx.request('GET', `/webhooks/${subscription.id}/deliveries?status=PENDING`, { headers: adminHeaders })
+  assert.equal(pending.body.meta.total, 1)
+  const failed = await ctx.request('GET', `/webhooks/${subscription.id}/deliveries?status=FAILED`, { headers: adminHeaders })
+  assert.equal(failed.body.meta.total, 0)
+})
+
+test('si no se puede encolar, la solicitud no falla y el error se registra', async () => {
+  await subscribe()
+  const logError = mock.method(logger, 'error', () => {})
+  ctx.prisma.webhookSubscriptions.findMany = async () => { throw new Error('sin conexión') }
+
+  try {
+    const response = await ctx.request('POST', '/register', { body: { name: 'Bea Gómez', email: 'bea@example.com', password: 'secreto123' } })
+    await new Promise(resolve => setImmediate(resolve))
+
+    assert.equal(response.status, 201)
+    assert.ok(logError.mock.calls.some(call => call.arguments[0].msg === 'webhook enqueue failed'))
+  } finally {
+    logError.mock.restore()
+  }
+})
@@ -0,0 +1,63 @@
+// ==============================
+// CORREOS DE LA CUENTA
+// ==============================
+// Textos de los correos de verificación de email y de restablecimiento de contraseña.
+// Los enlaces apuntan a `appUrl` (`APP_URL`, ver `utils/config.js`), donde el cliente
+// debe enviar el token a `POST /verify-email` o `POST /password/reset`.
+
+/**
+ * Envía el correo para verificar la dirección de email.
+ * @param {Object} mailer - Servicio de correo (`utils/mailer.js`)
+ * @param {Object} user - Destinatario (`name`, `email`)
+ * @param {string} token - Token de verificación en texto plano
+ * @param {Object} options
+ * @param {string} options.appUrl - Dirección pública de la aplicación
+ * @param {number} options.ttlMs - Validez del token en milisegundos
+ */
+const sendVerificationEmail = (mailer, user, token, { appUrl, ttlMs }) => {
+  const hours = Math.round(ttlMs / (60 * 60 * 1000))
+  return mailer.send({
+    to: user.email,
+    subject: 'Verifica tu correo electrónico',
+    text: [
+      `Hola ${user.name},`,
+      '',
+      'Para activar tu cuenta verifica tu correo en el siguiente enlace:',
+      `${appUrl}/verify-email?token=${token}`,
+      '',
+      `Código de verificación: ${token}`,
+      `El enlace caduca en ${hours} horas.`
+    ].join('\n')
+  })
+}
+
+/**
+ * Envía el correo para restablecer la contraseña.
+ * @param {Object} mailer - Servicio de correo (`utils/mailer.js`)
+ * @param {Object} user - Destinatario (`name`, `email`)
+ * @param {string} token - Token de restablecimiento en texto plano
+ * @param {Object} options
+ * @param {string} options.appUrl - Dirección pública de la aplicación
+ * @param {number} options.ttlMs - Validez del token en milisegundos
+ */
+const sendPasswordResetEmail = (mailer, user, token, { appUrl, ttlMs }) => {
+  const minutes = Math.round(ttlMs / (60 * 1000))
+  return mailer.send({
+    to: user.email,
+    subject: 'Restablece tu contraseña',
+    text: [
+      `Hola ${user.name},`,
+      '',
+      'Recibimos una solicitud para restablecer tu contraseña. Si no fuiste tú, ignora este correo.',
+      `${appUrl}/password/reset?token=${token}`,
+      '',
+      `Código de restablecimiento: ${token}`,
+      `El enlace caduca en ${minutes} minutos y solo se puede usar una vez.`
+    ].join('\n')
+  })
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+}
@@ -0,0 +1,98 @@
+// ==============================
+// CLAVES DE API
+// ==============================
+// Claves para que otros servicios (por ejemplo, procesos por lotes) llamen a la API sin
+// usar el token de un usuario. Se envían en la cabecera `X-API-Key`.
+//
+// - Solo se guarda el hash SHA-256 de la clave; el texto completo se muestra una única vez,
+//   al crearla. `prefix` (el comienzo de la clave) sirve para reconocerla en los listados.
+// - Cada clave pertenece a un usuario (`owner`) y actúa en su nombre: nunca puede más que él.
+// - Los alcances (`scopes`) limitan además qué rutas puede usar (ver `requireScope`).
+
+const crypto = require('crypto')
+const { hashToken } = require('./tokens')
+
+// Alcances disponibles: `<recurso>:read` para consultar y `<recurso>:write` para modificar.
+const API_KEY_SCOPES = [
+  'users:read',
+  'users:write',
+  'appointments:read',
+  'appointments:write',
+  'audit:read'
+]
+
+// Las claves empiezan por este texto para reconocerlas (por ejemplo, en escáneres de secretos).
+const API_KEY_PREFIX = 'ak_'
+
+// Caracteres de la clave que se guardan como `prefix`.
+const VISIBLE_PREFIX_LENGTH = 11
+
+// Intervalo mínimo entre dos actualizaciones de `lastUsedAt`, para no escribir en cada solicitud.
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+
+/**
+ * Crea una clave de API y devuelve su valor en texto plano (la única vez que existe).
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {Object} data
+ * @param {string} data.name - Nombre descriptivo (por ejemplo, el servicio que la usa)
+ * @param {Array<string>} data.scopes - Alcances (ver `API_KEY_SCOPES`)
+ * @param {number} data.ownerId - Usuario en cuyo nombre actúa
+ * @param {Date|null} [data.expiresAt=null] - Fecha de expiración (`null`: no expira)
+ * @returns {Promise<{ apiKey: Object, key: string }>} Registro creado y clave en texto plano
+ */
+const createApiKey = async (db, { name, scopes, ownerId, expiresAt = null }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+  const apiKey = await db.apiKeys.create({
+    data: {
+      name,
+      prefix: key.slice(0, VISIBLE_PREFIX_LENGTH),
+      keyHash: hashToken(key),
+      scopes,
+      ownerId,
+      expiresAt
+    }
+  })
+  return { apiKey, key }
+}
+
+/**
+ * Busca la clave de API activa (sin revocar ni expirar) que corresponde al texto recibido,
+ * junto con su dueño, y actualiza su fecha de último uso.
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {string} key - Clave en texto plano (cabecera `X-API-Key`)
+ * @returns {Promise<Object|null>} Clave con `owner`, o `null` si no es válida o su dueño está eliminado
+ */
+const findActiveApiKey = async (db, key) => {
+  const now = new Date()
+  const apiKey = await db.apiKeys.findUnique({
+    where: { keyHash: hashToken(key) },
+    include: { owner: true }
+  })
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now) || apiKey.owner.deletedAt) {
+    return null
+  }
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+    await db.apiKeys.update({ where: { id: apiKey.id }, data: { lastUsedAt: now } })
+  }
+  return apiKey
+}
+
+/**
+ * Devuelve una copia de la clave sin su hash, para enviarla en las respuestas.
+ * @param {Object} apiKey - Registro de la clave
+ * @returns {Object}
+ */
+const omitKeyHash = (apiKey) => {
+  const { keyHash, owner, ...publicKey } = apiKey
+  return publicKey
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  findActiveApiKey,
+  omitKeyHash
+}
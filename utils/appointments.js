@@ -0,0 +1,103 @@
+// ==============================
+// REGLAS DE NEGOCIO DE LAS CITAS
+// ==============================
+
+/**
+ * Transiciones de estado permitidas para una cita.
+ *
+ * SCHEDULED -> CONFIRMED | CANCELLED
+ * CONFIRMED -> COMPLETED | CANCELLED
+ * CANCELLED y COMPLETED son estados finales.
+ */
+const STATUS_TRANSITIONS = {
+  SCHEDULED: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['COMPLETED', 'CANCELLED'],
+  CANCELLED: [],
+  COMPLETED: []
+}
+
+// Estados que ocupan el horario del usuario (se tienen en cuenta para detectar solapamientos).
+const ACTIVE_STATUSES = ['SCHEDULED', 'CONFIRMED']
+
+/**
+ * Indica si una cita puede pasar del estado `from` al estado `to`.
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado solicitado
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Valida el horario de una cita.
+ *
+ * El formato de cada campo lo comprueba el esquema de la ruta (`schemas/appointments.js`);
+ * aquí se comprueba la regla que relaciona ambos: `endsAt` debe ser posterior a `startsAt`.
+ *
+ * @param {Object} data - Datos recibidos (`startsAt`, `endsAt`)
+ * @param {Object} [current] - Cita actual (en caso de actualización) para completar los campos que no llegan
+ * @returns {{ isValid: boolean, field?: string, error?: string, startsAt?: Date, endsAt?: Date }}
+ */
+const validateAppointment = (data, current) => {
+  const startsAt = new Date(data.startsAt ?? current?.startsAt)
+  const endsAt = new Date(data.endsAt ?? current?.endsAt)
+  if (endsAt <= startsAt) {
+    return { isValid: false, field: 'endsAt', error: 'La fecha de fin debe ser posterior a la de inicio.' }
+  }
+
+  return { isValid: true, startsAt, endsAt }
+}
+
+/**
+ * Busca una cita activa del usuario que se solape con el intervalo indicado.
+ * Dos intervalos se solapan si uno empieza antes de que termine el otro y viceversa.
+ *
+ * @param {Object} db - Cliente de Prisma (o transacción)
+ * @param {Object} slot
+ * @param {number} slot.userId - Usuario dueño de las citas
+ * @param {Date} slot.startsAt - Inicio del intervalo
+ * @param {Date} slot.endsAt - Fin del intervalo
+ * @param {number} [slot.excludeId] - Cita a ignorar (la que se está actualizando)
+ * @returns {Promise<Object|null>} Cita que se solapa o `null`
+ */
+const findOverlappingAppointment = (db, { userId, startsAt, endsAt, excludeId }) => {
+  return db.appointments.findFirst({
+    where: {
+      userId,
+      status: { in: ACTIVE_STATUSES },
+      startsAt: { lt: endsAt },
+      endsAt: { gt: startsAt },
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  })
+}
+
+/**
+ * Ejecuta `callback` dentro de una transacción serializable.
+ *
+ * Si la base de datos aborta la transacción porque otra transacción simultánea modificó
+ * los mismos datos (código P2034 de Prisma), devuelve `{ writeConflict: true }` en lugar
+ * de lanzar el error: el cliente puede repetir la solicitud.
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {Function} callback - Recibe la transacción y devuelve el resultado
+ * @returns {Promise<Object>} Resultado de `callback` o `{ writeConflict: true }`
+ */
+const runSerializable = async (db, callback) => {
+  try {
+    return await db.$transaction(callback, { isolationLevel: 'Serializable' })
+  } catch (error) {
+    if (error.code === 'P2034') return { writeConflict: true }
+    throw error
+  }
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  ACTIVE_STATUSES,
+  canTransition,
+  validateAppointment,
+  findOverlappingAppointment,
+  runSerializable
+}
@@ -0,0 +1,81 @@
+// ==============================
+// REGISTRO DE AUDITORÍA
+// ==============================
+// Guarda en la tabla `AuditLogs` quién cambió un usuario, qué acción hizo y qué cambió.
+// Cada entrada lleva el ID de la solicitud (`X-Request-Id`) para cruzarla con los logs.
+// Los hashes de contraseña nunca se guardan: si la contraseña cambió, el campo aparece
+// como `[REDACTED]` en `before` y `after`.
+
+// Acciones registradas.
+const AUDIT_ACTIONS = {
+  USER_REGISTERED: 'USER_REGISTERED',
+  USER_CREATED: 'USER_CREATED',
+  USER_UPDATED: 'USER_UPDATED',
+  USER_DELETED: 'USER_DELETED',
+  USER_RESTORED: 'USER_RESTORED',
+  USER_ROLE_CHANGED: 'USER_ROLE_CHANGED',
+  USER_EMAIL_VERIFIED: 'USER_EMAIL_VERIFIED',
+  USER_PASSWORD_RESET: 'USER_PASSWORD_RESET',
+  USER_PASSWORD_CHANGED: 'USER_PASSWORD_CHANGED'
+}
+
+// Campos que se enmascaran en el diff.
+const SECRET_FIELDS = ['password']
+
+// Campos que no se registran: `version` cambia con cada escritura (ver `utils/etag.js`).
+const IGNORED_FIELDS = ['version']
+
+/**
+ * Calcula los campos que cambiaron entre dos versiones de un registro.
+ *
+ * @param {Object|null} before - Estado anterior (`null` si se creó)
+ * @param {Object|null} after - Estado posterior (`null` si se eliminó)
+ * @returns {{ before: Object|null, after: Object|null }} Solo los campos que cambiaron (sin `version`)
+ */
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  const changes = { before: before && {}, after: after && {} }
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue
+    const previous = before?.[field]
+    const next = after?.[field]
+    if (JSON.stringify(previous) === JSON.stringify(next)) continue
+
+    const mask = (value) => (SECRET_FIELDS.includes(field) && value !== undefined ? '[REDACTED]' : value)
+    if (before && previous !== undefined) changes.before[field] = mask(previous)
+    if (after && next !== undefined) changes.after[field] = mask(next)
+  }
+  return changes
+}
+
+/**
+ * Registra una acción sobre un usuario.
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {Object} req - Solicitud: de ella salen el actor (`req.user`) y el ID de la solicitud (`req.id`)
+ * @param {Object} entry
+ * @param {string} entry.action - Una de `AUDIT_ACTIONS`
+ * @param {number} entry.targetId - ID del usuario afectado
+ * @param {Object|null} [entry.before=null] - Estado anterior del usuario
+ * @param {Object|null} [entry.after=null] - Estado posterior del usuario
+ * @param {number} [entry.actorId] - Actor, si no es el usuario autenticado (p. ej. al registrarse)
+ * @returns {Promise<Object>} Entrada creada
+ */
+const recordAudit = (db, req, { action, targetId, before = null, after = null, actorId = req.user?.id }) => {
+  return db.auditLogs.create({
+    data: {
+      actorId: actorId ?? null,
+      action,
+      targetId,
+      changes: diff(before, after),
+      requestId: req.id
+    }
+  })
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diff,
+  recordAudit
+}
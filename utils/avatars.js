@@ -0,0 +1,43 @@
+// ==============================
+// AVATARES DE USUARIOS
+// ==============================
+// Los avatares se guardan en el almacén de archivos (`stores/fileStorage.js`) con la clave
+// `avatars/<id del usuario>`; cada avatar nuevo reemplaza al anterior.
+//
+// `avatarUrl` del usuario apunta a `GET /users/:id/avatar?v=<huella>`: la huella cambia con
+// el contenido, así que los navegadores y las CDN pueden guardar esa URL sin caducidad y un
+// avatar nuevo se pide siempre con una URL distinta.
+
+const crypto = require('crypto')
+
+// Formatos admitidos. SVG queda fuera: puede llevar scripts.
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+/**
+ * Clave del avatar de un usuario en el almacén de archivos.
+ * @param {number} userId - ID del usuario
+ * @returns {string}
+ */
+const avatarKey = (userId) => `avatars/${userId}`
+
+/**
+ * Huella del contenido de un avatar (se usa en `avatarUrl` y como ETag).
+ * @param {Buffer} data - Contenido del archivo
+ * @returns {string}
+ */
+const avatarFingerprint = (data) => crypto.createHash('sha256').update(data).digest('base64url').slice(0, 16)
+
+/**
+ * URL pública del avatar de un usuario.
+ * @param {number} userId - ID del usuario
+ * @param {Buffer} data - Contenido del archivo
+ * @returns {string}
+ */
+const buildAvatarUrl = (userId, data) => `/users/${userId}/avatar?v=${avatarFingerprint(data)}`
+
+module.exports = {
+  AVATAR_TYPES,
+  avatarKey,
+  avatarFingerprint,
+  buildAvatarUrl
+}
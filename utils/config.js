@@ -0,0 +1,312 @@
+// ==============================
+// CONFIGURACIÓN DE LA APLICACIÓN
+// ==============================
+// Reúne en un solo objeto las variables de entorno que usan `createApp` (`app.js`)
+// y el punto de entrada (`server.js`), y comprueba al arrancar que las obligatorias
+// estén presentes para fallar de inmediato en lugar de en la primera solicitud.
+
+const net = require('net')
+const path = require('path')
+
+// Variables sin las que la aplicación no puede funcionar.
+const REQUIRED_ENV = ['JWT_SECRET', 'DATABASE_URL']
+
+const USER_STORE_TYPES = ['prisma', 'file']
+const LOG_DESTINATIONS = ['stdout', 'file']
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+// Duración en el formato de `jsonwebtoken` (p. ej. `900`, `15m`, `1h`, `7d`).
+const DURATION_PATTERN = /^\d+(ms|s|m|h|d|w|y)?$/
+
+const RATE_LIMIT_STORE_TYPES = ['memory']
+const FILE_STORAGE_TYPES = ['local']
+
+// Valores por defecto de `createApp` cuando no se le pasa una configuración completa (por ejemplo, en pruebas).
+const DEFAULT_CONFIG = {
+  port: 3000,
+  userStore: 'prisma',
+  usersFilePath: path.join(__dirname, '..', 'users.json'),
+  requireEmailVerification: false,
+  // Días que se conserva un usuario eliminado antes de purgarlo (`npm run users:purge`).
+  userRetentionDays: 30,
+  // Dirección pública de la aplicación: base de los enlaces de los correos (ver `utils/accountEmails.js`).
+  appUrl: 'http://localhost:3000',
+  // Firma de los tokens de acceso y validez de las sesiones (ver `utils/tokens.js`).
+  auth: {
+    jwtSecret: null,
+    accessTokenExpiresIn: '15m',
+    refreshTokenExpiresDays: 7
+  },
+  // Validez de los tokens de un solo uso (ver `utils/userTokens.js`).
+  accountTokens: {
+    emailVerificationTtlMs: 24 * 60 * 60 * 1000,
+    passwordResetTtlMs: 60 * 60 * 1000
+  },
+  // Registro estructurado (ver `utils/logger.js`); `server.js` lo aplica al arrancar.
+  logging: {
+    destination: 'stdout',
+    filePath: path.join(__dirname, '..', 'logs', 'requests.jsonl'),
+    maxBytes: 10 * 1024 * 1024,
+    maxFiles: 5,
+    level: 'info'
+  },
+  mail: {
+    transport: 'outbox',
+    outboxDir: path.join(__dirname, '..', 'outbox'),
+    from: 'no-reply@localhost'
+  },
+  // Archivos subidos (ver `stores/fileStorage.js`) y tamaño máximo de los avatares.
+  fileStorage: {
+    type: 'local',
+    dir: path.join(__dirname, '..', 'uploads')
+  },
+  avatars: {
+    maxBytes: 2 * 1024 * 1024
+  },
+  shutdownTimeoutMs: 10000,
+  // Valor de `trust proxy` de Express: necesario detrás de un proxy para que `req.ip` sea la IP del cliente.
+  trustProxy: false,
+  rateLimit: {
+    store: 'memory',
+    windowMs: 15 * 60 * 1000,
+    maxPerIp: 20,
+    maxPerAccount: 10
+  },
+  loginLockout: {
+    threshold: 5,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+  },
+  // Proceso de entrega de webhooks (ver `utils/webhooks.js`). Con varias instancias se puede
+  // dejar activo solo en una; los eventos se encolan igualmente en todas.
+  webhooks: {
+    workerEnabled: true,
+    pollIntervalMs: 5000,
+    maxAttempts: 8,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    timeoutMs: 10 * 1000
+  },
+  // Feed de cambios de `GET /events` (ver `utils/userFeed.js`): cambios guardados para las
+  // reconexiones, intervalo de los latidos y espera que se indica al navegador antes de reconectar.
+  userFeed: {
+    bufferSize: 1000,
+    heartbeatMs: 15 * 1000,
+    retryMs: 3000
+  },
+  // Acceso a `GET /metrics` (ver `middlewares/metricsAccess.js`). Sin token ni IPs, es público.
+  metrics: {
+    token: null,
+    allowedIps: []
+  }
+}
+
+/**
+ * Error de configuración: lleva la lista completa de problemas encontrados.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - Descripción de cada problema
+   */
+  constructor (problems) {
+    super(`Configuración inválida:\n- ${problems.join('\n- ')}`)
+    this.name = 'ConfigError'
+    this.problems = problems
+  }
+}
+
+/**
+ * Indica si un valor es una URL absoluta `http` o `https`.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Convierte `TRUST_PROXY` al valor que espera Express: `true`/`false`, un número de saltos
+ * o una lista de direcciones (por ejemplo `loopback, 10.0.0.0/8`).
+ * @param {string} [value] - Valor de la variable
+ * @returns {boolean|number|string}
+ */
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false
+  if (value === 'true') return true
+  if (/^\d+$/.test(value)) return Number(value)
+  return value
+}
+
+/**
+ * Indica si un valor es una IP o un rango CIDR (`10.0.0.0/8`, `fd00::/8`).
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isIpOrCidr = (value) => {
+  const [address, prefix, ...rest] = value.split('/')
+  const version = net.isIP(address)
+  if (version === 0 || rest.length > 0) return false
+  if (prefix === undefined) return true
+  return /^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128)
+}
+
+/**
+ * Lee y valida la configuración a partir de las variables de entorno.
+ *
+ * - Falta alguna de `REQUIRED_ENV` (o está vacía).
+ * - `PORT`, `SHUTDOWN_TIMEOUT_MS`, `REFRESH_TOKEN_EXPIRES_DAYS`, `USER_RETENTION_DAYS`, `AVATAR_MAX_BYTES`,
+ *   las variables de validez de los tokens de la cuenta, las numéricas del registro o las de
+ *   límites, de webhooks o del feed de cambios no son números enteros positivos.
+ * - `ACCESS_TOKEN_EXPIRES_IN` no es una duración (`15m`, `1h`, ...).
+ * - `APP_URL` no es una URL `http` o `https`.
+ * - `USER_STORE` no es `prisma` ni `file`, `RATE_LIMIT_STORE` no es `memory` o `FILE_STORAGE` no es `local`.
+ * - `LOG_DESTINATION` no es `stdout` ni `file`, o `LOG_LEVEL` no es un nivel conocido.
+ * - `METRICS_ALLOWED_IPS` (lista separada por comas) tiene algo que no es una IP ni un rango CIDR.
+ *
+ * @param {Object} [env=process.env] - Variables de entorno
+ * @returns {Object} Configuración (ver `DEFAULT_CONFIG`)
+ * @throws {ConfigError} Si hay algún problema; el mensaje los enumera todos
+ */
+const loadConfig = (env = process.env) => {
+  const problems = REQUIRED_ENV
+    .filter((name) => !env[name] || !env[name].trim())
+    .map((name) => `${name} es obligatoria.`)
+
+  const readInteger = (name, fallback) => {
+    if (env[name] === undefined || env[name] === '') return fallback
+    const value = Number(env[name])
+    if (!Number.isInteger(value) || value <= 0) {
+      problems.push(`${name} debe ser un número entero positivo.`)
+    }
+    return value
+  }
+
+  const port = readInteger('PORT', DEFAULT_CONFIG.port)
+  const config = {
+    port,
+    userStore: env.USER_STORE || DEFAULT_CONFIG.userStore,
+    usersFilePath: DEFAULT_CONFIG.usersFilePath,
+    requireEmailVerification: env.REQUIRE_EMAIL_VERIFICATION === 'true',
+    userRetentionDays: readInteger('USER_RETENTION_DAYS', DEFAULT_CONFIG.userRetentionDays),
+    appUrl: (env.APP_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+    auth: {
+      jwtSecret: env.JWT_SECRET,
+      accessTokenExpiresIn: env.ACCESS_TOKEN_EXPIRES_IN || DEFAULT_CONFIG.auth.accessTokenExpiresIn,
+      refreshTokenExpiresDays: readInteger('REFRESH_TOKEN_EXPIRES_DAYS', DEFAULT_CONFIG.auth.refreshTokenExpiresDays)
+    },
+    accountTokens: {
+      emailVerificationTtlMs: readInteger('EMAIL_VERIFICATION_TOKEN_TTL_HOURS', 24) * 60 * 60 * 1000,
+      passwordResetTtlMs: readInteger('PASSWORD_RESET_TOKEN_TTL_MINUTES', 60) * 60 * 1000
+    },
+    logging: {
+      destination: env.LOG_DESTINATION || DEFAULT_CONFIG.logging.destination,
+      filePath: env.LOG_FILE ? path.resolve(env.LOG_FILE) : DEFAULT_CONFIG.logging.filePath,
+      maxBytes: readInteger('LOG_MAX_BYTES', DEFAULT_CONFIG.logging.maxBytes),
+      maxFiles: readInteger('LOG_MAX_FILES', DEFAULT_CONFIG.logging.maxFiles),
+      level: env.LOG_LEVEL || DEFAULT_CONFIG.logging.level
+    },
+    mail: {
+      transport: env.MAIL_TRANSPORT || DEFAULT_CONFIG.mail.transport,
+      outboxDir: env.MAIL_OUTBOX_DIR ? path.resolve(env.MAIL_OUTBOX_DIR) : DEFAULT_CONFIG.mail.outboxDir,
+      from: env.MAIL_FROM || DEFAULT_CONFIG.mail.from
+    },
+    fileStorage: {
+      type: env.FILE_STORAGE || DEFAULT_CONFIG.fileStorage.type,
+      dir: env.UPLOADS_DIR ? path.resolve(env.UPLOADS_DIR) : DEFAULT_CONFIG.fileStorage.dir
+    },
+    avatars: {
+      maxBytes: readInteger('AVATAR_MAX_BYTES', DEFAULT_CONFIG.avatars.maxBytes)
+    },
+    shutdownTimeoutMs: readInteger('SHUTDOWN_TIMEOUT_MS', DEFAULT_CONFIG.shutdownTimeoutMs),
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+    rateLimit: {
+      store: env.RATE_LIMIT_STORE || DEFAULT_CONFIG.rateLimit.store,
+      windowMs: readInteger('RATE_LIMIT_WINDOW_MS', DEFAULT_CONFIG.rateLimit.windowMs),
+      maxPerIp: readInteger('AUTH_RATE_LIMIT_PER_IP', DEFAULT_CONFIG.rateLimit.maxPerIp),
+      maxPerAccount: readInteger('AUTH_RATE_LIMIT_PER_ACCOUNT', DEFAULT_CONFIG.rateLimit.maxPerAccount)
+    },
+    loginLockout: {
+      threshold: readInteger('LOGIN_LOCKOUT_THRESHOLD', DEFAULT_CONFIG.loginLockout.threshold),
+      baseLockMs: readInteger('LOGIN_LOCKOUT_BASE_MS', DEFAULT_CONFIG.loginLockout.baseLockMs),
+      maxLockMs: readInteger('LOGIN_LOCKOUT_MAX_MS', DEFAULT_CONFIG.loginLockout.maxLockMs)
+    },
+    webhooks: {
+      workerEnabled: env.WEBHOOK_WORKER_ENABLED !== 'false',
+      pollIntervalMs: readInteger('WEBHOOK_POLL_INTERVAL_MS', DEFAULT_CONFIG.webhooks.pollIntervalMs),
+      maxAttempts: readInteger('WEBHOOK_MAX_ATTEMPTS', DEFAULT_CONFIG.webhooks.maxAttempts),
+      baseDelayMs: readInteger('WEBHOOK_RETRY_BASE_MS', DEFAULT_CONFIG.webhooks.baseDelayMs),
+      maxDelayMs: readInteger('WEBHOOK_RETRY_MAX_MS', DEFAULT_CONFIG.webhooks.maxDelayMs),
+      timeoutMs: readInteger('WEBHOOK_TIMEOUT_MS', DEFAULT_CONFIG.webhooks.timeoutMs)
+    },
+    userFeed: {
+      bufferSize: readInteger('USER_FEED_BUFFER_SIZE', DEFAULT_CONFIG.userFeed.bufferSize),
+      heartbeatMs: readInteger('USER_FEED_HEARTBEAT_MS', DEFAULT_CONFIG.userFeed.heartbeatMs),
+      retryMs: readInteger('USER_FEED_RETRY_MS', DEFAULT_CONFIG.userFeed.retryMs)
+    },
+    metrics: {
+      token: env.METRICS_TOKEN || DEFAULT_CONFIG.metrics.token,
+      allowedIps: (env.METRICS_ALLOWED_IPS || '').split(',').map((entry) => entry.trim()).filter(Boolean)
+    }
+  }
+
+  if (!DURATION_PATTERN.test(config.auth.accessTokenExpiresIn)) {
+    problems.push('ACCESS_TOKEN_EXPIRES_IN debe ser una duración, por ejemplo 15m o 1h.')
+  }
+  if (!isHttpUrl(config.appUrl)) {
+    problems.push('APP_URL debe ser una URL http o https.')
+  }
+  if (!USER_STORE_TYPES.includes(config.userStore)) {
+    problems.push(`USER_STORE debe ser uno de: ${USER_STORE_TYPES.join(', ')}.`)
+  }
+  if (!LOG_DESTINATIONS.includes(config.logging.destination)) {
+    problems.push(`LOG_DESTINATION debe ser uno de: ${LOG_DESTINATIONS.join(', ')}.`)
+  }
+  if (!LOG_LEVELS.includes(config.logging.level)) {
+    problems.push(`LOG_LEVEL debe ser uno de: ${LOG_LEVELS.join(', ')}.`)
+  }
+  if (!RATE_LIMIT_STORE_TYPES.includes(config.rateLimit.store)) {
+    problems.push(`RATE_LIMIT_STORE debe ser uno de: ${RATE_LIMIT_STORE_TYPES.join(', ')}.`)
+  }
+
+  if (!FILE_STORAGE_TYPES.includes(config.fileStorage.type)) {
+    problems.push(`FILE_STORAGE debe ser uno de: ${FILE_STORAGE_TYPES.join(', ')}.`)
+  }
+
+  const invalidIps = config.metrics.allowedIps.filter((entry) => !isIpOrCidr(entry))
+  if (invalidIps.length > 0) {
+    problems.push(`METRICS_ALLOWED_IPS tiene valores que no son IPs ni rangos CIDR: ${invalidIps.join(', ')}.`)
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems)
+  }
+  return config
+}
+
+/**
+ * Completa una configuración parcial con los valores por defecto, también dentro
+ * de los grupos anidados (`auth`, `accountTokens`, `logging`, `mail`, `fileStorage`, `avatars`, `rateLimit`,
+ * `loginLockout`, `webhooks`, `userFeed`, `metrics`).
+ * @param {Object} [config={}] - Configuración parcial
+ * @returns {Object} Configuración completa
+ */
+const withDefaults = (config = {}) => {
+  const merged = { ...DEFAULT_CONFIG, ...config }
+  for (const [key, value] of Object.entries(DEFAULT_CONFIG)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      merged[key] = { ...value, ...config[key] }
+    }
+  }
+  return merged
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  ConfigError,
+  loadConfig,
+  withDefaults
+}
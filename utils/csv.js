@@ -0,0 +1,116 @@
+// ==============================
+// LECTURA Y ESCRITURA DE CSV
+// ==============================
+// Implementación mínima de CSV (RFC 4180) para importar y exportar usuarios:
+// campos entre comillas con comas, saltos de línea y comillas dobles escapadas (`""`).
+//
+// Las hojas de cálculo en español suelen guardar el CSV con `;` como separador, así que
+// al leer se usa `;` si la cabecera lo contiene y no contiene comas.
+
+/**
+ * Divide un texto CSV en filas de campos.
+ * @param {string} text - Contenido del archivo
+ * @param {string} delimiter - Separador de campos
+ * @returns {Array<Array<string>>}
+ * @throws {Error} Si hay comillas sin cerrar
+ */
+const splitRecords = (text, delimiter) => {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Hay un campo entre comillas sin cerrar.')
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+  // Las líneas vacías no son filas.
+  return records.filter(fields => fields.length > 1 || fields[0] !== '')
+}
+
+/**
+ * Convierte un texto CSV con cabecera en una lista de objetos (uno por fila,
+ * con las columnas de la cabecera como claves).
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object>} Filas, sin la cabecera
+ * @throws {Error} Si el CSV está mal formado o una fila tiene más columnas que la cabecera
+ */
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '')
+  const firstLine = content.split(/\r?\n/, 1)[0]
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ','
+
+  const [header = [], ...records] = splitRecords(content, delimiter)
+  const columns = header.map(column => column.trim())
+
+  return records.map((fields, index) => {
+    if (fields.length > columns.length) {
+      throw new Error(`La fila ${index + 1} tiene más columnas que la cabecera.`)
+    }
+    return Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? '']))
+  })
+}
+
+/**
+ * Convierte un valor en un campo de CSV.
+ *
+ * - `null` y `undefined` quedan vacíos; las fechas, en formato ISO 8601.
+ * - Los textos que empiezan por `=`, `+`, `-`, `@`, tabulador o retorno de carro llevan
+ *   delante un apóstrofo, para que las hojas de cálculo no los ejecuten como fórmulas.
+ * - Los campos con comas, comillas o saltos de línea van entre comillas.
+ *
+ * @param {*} value - Valor del campo
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return ''
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Convierte una lista de valores en una línea de CSV (con el salto de línea final).
+ * @param {Array<*>} values - Valores de la fila
+ * @returns {string}
+ */
+const toCsvLine = (values) => `${values.map(toCsvField).join(',')}\r\n`
+
+module.exports = {
+  parseCsv,
+  toCsvLine
+}
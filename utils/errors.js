@@ -0,0 +1,120 @@
+// ==============================
+// ERRORES HTTP TIPADOS
+// ==============================
+// Las rutas y middlewares lanzan (o pasan a `next`) estos errores y el manejador
+// global (`middlewares/errorHandler.js`) los convierte en la respuesta
+// `{ status, statusCode, message }`, más los `details` que lleve cada error.
+
+/**
+ * Error base con código de estado HTTP.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - Código de estado HTTP
+   * @param {string} message - Mensaje para el cliente
+   * @param {Object} [details] - Campos adicionales que se agregan a la respuesta
+   */
+  constructor (statusCode, message, details) {
+    super(message)
+    this.name = this.constructor.name
+    this.statusCode = statusCode
+    this.details = details
+  }
+}
+
+// 400: la solicitud no se puede procesar tal como llegó.
+class BadRequestError extends HttpError {
+  constructor (message = 'Solicitud inválida.', details) {
+    super(400, message, details)
+  }
+}
+
+// 401: falta autenticación o no es válida.
+class UnauthorizedError extends HttpError {
+  constructor (message = 'No autenticado.', details) {
+    super(401, message, details)
+  }
+}
+
+// 403: el usuario está autenticado pero no tiene permiso.
+class ForbiddenError extends HttpError {
+  constructor (message = 'Acceso denegado.', details) {
+    super(403, message, details)
+  }
+}
+
+// 404: el recurso no existe.
+class NotFoundError extends HttpError {
+  constructor (message = 'Recurso no encontrado.', details) {
+    super(404, message, details)
+  }
+}
+
+// 409: la operación choca con el estado actual del recurso.
+class ConflictError extends HttpError {
+  constructor (message = 'Conflicto con el estado actual del recurso.', details) {
+    super(409, message, details)
+  }
+}
+
+// 412: la versión indicada en `If-Match` ya no es la actual (otro cliente modificó el recurso).
+class PreconditionFailedError extends HttpError {
+  constructor (message = 'El recurso cambió desde que se leyó.', details) {
+    super(412, message, details)
+  }
+}
+
+// 413: el cuerpo o el archivo enviado supera el tamaño máximo.
+class PayloadTooLargeError extends HttpError {
+  constructor (message = 'El contenido enviado es demasiado grande.', details) {
+    super(413, message, details)
+  }
+}
+
+// 415: el formato del cuerpo (`Content-Type`) no está admitido.
+class UnsupportedMediaTypeError extends HttpError {
+  constructor (message = 'Formato de contenido no admitido.', details) {
+    super(415, message, details)
+  }
+}
+
+// 422: los datos no cumplen el esquema. `errors` es la lista de errores por campo.
+class ValidationError extends HttpError {
+  /**
+   * @param {Array<{ location: string, field: string|null, message: string }>} errors - Errores por campo
+   * @param {string} [message] - Mensaje general
+   */
+  constructor (errors, message = 'Los datos enviados no son válidos.') {
+    super(422, message, { errors })
+    this.errors = errors
+  }
+}
+
+// 428: la operación exige una cabecera condicional (`If-Match`) que no se envió.
+class PreconditionRequiredError extends HttpError {
+  constructor (message = 'Falta la cabecera If-Match.', details) {
+    super(428, message, details)
+  }
+}
+
+// 429: se superó el límite de solicitudes o la cuenta está bloqueada temporalmente.
+class TooManyRequestsError extends HttpError {
+  constructor (message = 'Demasiadas solicitudes. Inténtalo más tarde.', details) {
+    super(429, message, details)
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+  PreconditionRequiredError,
+  TooManyRequestsError
+}
@@ -0,0 +1,57 @@
+// ==============================
+// ETAGS Y SOLICITUDES CONDICIONALES
+// ==============================
+// Los ETag de los usuarios salen de su número de versión (`version`, ver `stores/userStore.js`):
+// - `GET /users/:id` envía `ETag: "<versión>"` y los listados un ETag débil calculado con los
+//   IDs y versiones de la página. Con `If-None-Match`, Express responde 304 si no cambió
+//   (`req.fresh`).
+// - `PUT` y `PATCH /users/:id` exigen `If-Match` con el ETag leído: si otro cliente modificó
+//   el usuario entretanto, la versión ya no coincide y se responde 412 en lugar de pisar su cambio.
+
+const crypto = require('crypto')
+const { PreconditionFailedError, PreconditionRequiredError } = require('./errors')
+
+/**
+ * ETag fuerte de un usuario.
+ * @param {Object} user - Usuario (con `version`)
+ * @returns {string}
+ */
+const userETag = (user) => `"${user.version}"`
+
+/**
+ * ETag débil de una página de un listado: cambia si cambia algún usuario de la página
+ * (su versión), su orden o el total.
+ * @param {Object} page - Página de `paginate` (`data` y `meta`)
+ * @returns {string}
+ */
+const pageETag = ({ data, meta }) => {
+  const fingerprint = JSON.stringify([meta, data.map(user => [user.id, user.version])])
+  return `W/"${crypto.createHash('sha1').update(fingerprint).digest('base64url')}"`
+}
+
+/**
+ * Comprueba la cabecera `If-Match` de una solicitud contra el ETag actual del recurso.
+ * Acepta `*` y listas de ETags separadas por comas; los ETags débiles (`W/`) nunca
+ * coinciden, porque `If-Match` usa la comparación fuerte.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} etag - ETag actual del recurso
+ * @throws {PreconditionRequiredError} Si falta la cabecera (428)
+ * @throws {PreconditionFailedError} Si ningún ETag coincide (412)
+ */
+const assertIfMatch = (req, etag) => {
+  const header = req.get('If-Match')
+  if (!header) {
+    throw new PreconditionRequiredError('Falta la cabecera If-Match. Envía el ETag obtenido al leer el usuario.')
+  }
+  const matches = header.trim() === '*' || header.split(',').some(tag => tag.trim() === etag)
+  if (!matches) {
+    throw new PreconditionFailedError('El usuario cambió desde que se leyó. Vuelve a leerlo y reintenta.')
+  }
+}
+
+module.exports = {
+  userETag,
+  pageETag,
+  assertIfMatch
+}
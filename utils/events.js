@@ -0,0 +1,72 @@
+// ==============================
+// BUS DE EVENTOS DE LA APLICACIÓN
+// ==============================
+// Las rutas publican aquí lo que ocurre (por ejemplo, `user.created`) y los interesados
+// se suscriben sin que las rutas los conozcan: los webhooks (`utils/webhooks.js`) encolan
+// una entrega por cada suscripción.
+//
+// El bus vive en memoria, dentro del proceso: los suscriptores que necesitan garantías
+// (como los webhooks) guardan el evento en la base de datos en cuanto lo reciben.
+
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const { logger } = require('./logger')
+
+// Eventos del ciclo de vida de los usuarios. `data.user` es el usuario sin contraseña.
+const USER_EVENTS = {
+  REGISTERED: 'user.registered',
+  CREATED: 'user.created',
+  UPDATED: 'user.updated',
+  DELETED: 'user.deleted',
+  RESTORED: 'user.restored'
+}
+
+/**
+ * Crea un bus de eventos.
+ *
+ * Cada evento publicado es `{ id, type, occurredAt, data }`, con un ID único que los
+ * receptores pueden usar para descartar duplicados.
+ *
+ * @returns {{ publish: Function, subscribe: Function }}
+ */
+const createEventBus = () => {
+  const emitter = new EventEmitter()
+  // Sin límite de suscriptores: no es una fuga que haya muchos.
+  emitter.setMaxListeners(0)
+
+  return {
+    /**
+     * Publica un evento. Los suscriptores se llaman de inmediato; un error en uno de
+     * ellos se registra y no afecta a los demás ni a quien publica.
+     * @param {string} type - Tipo de evento (por ejemplo `USER_EVENTS.CREATED`)
+     * @param {Object} data - Datos del evento
+     * @returns {Object} Evento publicado
+     */
+    publish (type, data) {
+      const event = { id: crypto.randomUUID(), type, occurredAt: new Date().toISOString(), data }
+      for (const listener of emitter.listeners('event')) {
+        try {
+          listener(event)
+        } catch (error) {
+          logger.error({ msg: 'event listener failed', event: type, message: error.message })
+        }
+      }
+      return event
+    },
+
+    /**
+     * Suscribe una función a todos los eventos.
+     * @param {Function} listener - Recibe cada evento
+     * @returns {Function} Función que cancela la suscripción
+     */
+    subscribe (listener) {
+      emitter.on('event', listener)
+      return () => emitter.off('event', listener)
+    }
+  }
+}
+
+module.exports = {
+  USER_EVENTS,
+  createEventBus
+}
@@ -0,0 +1,36 @@
+// ==============================
+// TIPO DE ARCHIVO POR SU CONTENIDO
+// ==============================
+// Identifica el formato de un archivo por sus primeros bytes ("magic bytes"). El nombre del
+// archivo y el `Content-Type` que declara el cliente no son fiables: cualquiera puede
+// llamar `foto.png` a un HTML o a un ejecutable.
+
+// Firma de cada formato admitido: bytes esperados a partir de una posición.
+const SIGNATURES = [
+  { mimeType: 'image/png', checks: [{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }] },
+  { mimeType: 'image/jpeg', checks: [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }] },
+  { mimeType: 'image/gif', checks: [{ offset: 0, bytes: [...Buffer.from('GIF87a')] }] },
+  { mimeType: 'image/gif', checks: [{ offset: 0, bytes: [...Buffer.from('GIF89a')] }] },
+  {
+    mimeType: 'image/webp',
+    checks: [
+      { offset: 0, bytes: [...Buffer.from('RIFF')] },
+      { offset: 8, bytes: [...Buffer.from('WEBP')] }
+    ]
+  }
+]
+
+/**
+ * Devuelve el tipo MIME de un archivo según su contenido.
+ * @param {Buffer} data - Contenido del archivo
+ * @returns {string|null} Tipo MIME, o `null` si no es un formato conocido
+ */
+const detectFileType = (data) => {
+  const matches = ({ offset, bytes }) => bytes.every((byte, i) => data[offset + i] === byte)
+  const signature = SIGNATURES.find(({ checks }) => checks.every(matches))
+  return signature ? signature.mimeType : null
+}
+
+module.exports = {
+  detectFileType
+}
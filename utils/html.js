@@ -0,0 +1,92 @@
+// ==============================
+// PLANTILLAS HTML CON ESCAPADO AUTOMÁTICO
+// ==============================
+// Las vistas (carpeta `views/`) se escriben con la etiqueta `html`:
+//
+//   html`<h1>Hola, ${user.name}</h1>`
+//
+// Todo valor interpolado se escapa, salvo que sea a su vez el resultado de `html`
+// (un fragmento ya seguro). Así ningún dato del usuario o de la solicitud puede
+// inyectar etiquetas ni atributos (XSS).
+//
+// `viewEngine` registra las vistas como motor de plantillas de Express, para usarlas
+// con `res.render('nombre', datos)`.
+
+/**
+ * Fragmento de HTML que ya es seguro y no se vuelve a escapar.
+ */
+class SafeHtml {
+  /**
+   * @param {string} value - HTML seguro
+   */
+  constructor (value) {
+    this.value = value
+  }
+
+  toString () {
+    return this.value
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+/**
+ * Escapa los caracteres especiales de HTML de un texto.
+ * @param {*} value - Valor a escapar
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+
+/**
+ * Convierte un valor interpolado en HTML seguro.
+ * - `null`, `undefined` y `false` no se muestran (útil para `${condición && html`...`}`).
+ * - Las listas se convierten elemento a elemento.
+ * - Los fragmentos `SafeHtml` se insertan tal cual; el resto se escapa.
+ * @param {*} value - Valor interpolado
+ * @returns {string}
+ */
+const toHtml = (value) => {
+  if (value === null || value === undefined || value === false) return ''
+  if (Array.isArray(value)) return value.map(toHtml).join('')
+  if (value instanceof SafeHtml) return value.value
+  return escapeHtml(value)
+}
+
+/**
+ * Etiqueta de plantilla que escapa los valores interpolados.
+ * @param {Array<string>} strings - Partes literales de la plantilla
+ * @param {...*} values - Valores interpolados
+ * @returns {SafeHtml}
+ */
+const html = (strings, ...values) => {
+  return new SafeHtml(strings.reduce((result, string, i) => result + toHtml(values[i - 1]) + string))
+}
+
+/**
+ * Motor de plantillas de Express para las vistas de `views/`: cada vista es un módulo
+ * que exporta una función `(locals) => SafeHtml`.
+ * @param {string} filePath - Ruta de la vista
+ * @param {Object} options - Datos de la vista (`res.render`) junto con `app.locals` y `res.locals`
+ * @param {Function} callback - `(err, html)`
+ */
+const viewEngine = (filePath, options, callback) => {
+  try {
+    const view = require(filePath)
+    callback(null, String(view(options)))
+  } catch (err) {
+    callback(err)
+  }
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  viewEngine
+}
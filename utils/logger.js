@@ -0,0 +1,126 @@
+// ==============================
+// REGISTRO ESTRUCTURADO (JSON)
+// ==============================
+// Cada entrada es una línea JSON con `time`, `level` y los campos que se indiquen.
+// El logger compartido (`logger`) escribe en stdout con nivel `info` hasta que `server.js`
+// le aplica la configuración validada (`config.logging`, ver `utils/config.js`) con
+// `configureLogger`. Las variables de entorno correspondientes son:
+// - LOG_DESTINATION: `stdout` (por defecto) o `file`.
+// - LOG_FILE: archivo JSONL donde se agregan las líneas (por defecto `logs/requests.jsonl`).
+// - LOG_MAX_BYTES: tamaño a partir del cual se rota el archivo (por defecto 10 MB).
+// - LOG_MAX_FILES: cantidad de archivos rotados que se conservan (por defecto 5).
+// - LOG_LEVEL: nivel mínimo que se registra (`debug`, `info`, `warn` o `error`; por defecto `info`).
+
+const fs = require('fs')
+const path = require('path')
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+// Claves cuyo valor nunca debe llegar a los registros (se comparan en minúsculas).
+const REDACTED_KEYS = ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'password', 'currentpassword', 'newpassword', 'refreshtoken', 'token', 'secret']
+
+/**
+ * Devuelve una copia del valor en la que se ocultan los campos sensibles
+ * (cabeceras de autorización, contraseñas y tokens), a cualquier profundidad.
+ * @param {*} value - Valor a limpiar
+ * @returns {*} Copia con los campos sensibles reemplazados por `[REDACTED]`
+ */
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact)
+  if (!value || typeof value !== 'object' || value instanceof Date) return value
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_KEYS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(item)
+  ]))
+}
+
+/**
+ * Crea un destino que agrega líneas a un archivo y lo rota por tamaño:
+ * `archivo` -> `archivo.1` -> `archivo.2` ... hasta `maxFiles`.
+ * Las escrituras son síncronas para conservar el orden de las líneas entre solicitudes.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Archivo JSONL
+ * @param {number} options.maxBytes - Tamaño máximo antes de rotar
+ * @param {number} options.maxFiles - Archivos rotados que se conservan
+ * @returns {Function} Función que escribe una línea
+ */
+const createFileSink = ({ filePath, maxBytes, maxFiles }) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0
+
+  const rotate = () => {
+    fs.rmSync(`${filePath}.${maxFiles}`, { force: true })
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${filePath}.${index}`)) {
+        fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`)
+      }
+    }
+    if (fs.existsSync(filePath)) fs.renameSync(filePath, `${filePath}.1`)
+    size = 0
+  }
+
+  return (line) => {
+    const bytes = Buffer.byteLength(line)
+    if (size > 0 && size + bytes > maxBytes) rotate()
+    fs.appendFileSync(filePath, line)
+    size += bytes
+  }
+}
+
+/**
+ * Crea un logger estructurado.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.destination='stdout'] - `stdout` o `file`
+ * @param {string} [options.filePath] - Archivo JSONL (destino `file`)
+ * @param {number} [options.maxBytes=10485760] - Tamaño máximo del archivo antes de rotar
+ * @param {number} [options.maxFiles=5] - Archivos rotados que se conservan
+ * @param {string} [options.level='info'] - Nivel mínimo que se registra
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+const createLogger = ({
+  destination = 'stdout',
+  filePath = path.join(__dirname, '..', 'logs', 'requests.jsonl'),
+  maxBytes = 10 * 1024 * 1024,
+  maxFiles = 5,
+  level = 'info'
+} = {}) => {
+  const write = destination === 'file'
+    ? createFileSink({ filePath, maxBytes, maxFiles })
+    : (line) => process.stdout.write(line)
+  const minLevel = LEVELS[level] ?? LEVELS.info
+
+  const log = (entryLevel) => (fields) => {
+    if (LEVELS[entryLevel] < minLevel) return
+    const entry = { time: new Date().toISOString(), level: entryLevel, ...redact(fields) }
+    write(`${JSON.stringify(entry)}\n`)
+  }
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  }
+}
+
+// Logger de la aplicación. Los módulos guardan esta referencia, así que `configureLogger`
+// reemplaza sus métodos en lugar del objeto.
+const logger = createLogger()
+
+/**
+ * Aplica una configuración al logger compartido (mismas opciones que `createLogger`).
+ * @param {Object} [options] - Ver `createLogger`
+ */
+const configureLogger = (options) => {
+  Object.assign(logger, createLogger(options))
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  configureLogger,
+  redact
+}
@@ -0,0 +1,74 @@
+// ==============================
+// BLOQUEO DE CUENTAS POR INTENTOS FALLIDOS
+// ==============================
+// Tras `threshold` contraseñas incorrectas seguidas, la cuenta se bloquea durante `baseLockMs`.
+// Cada fallo adicional duplica el bloqueo, hasta `maxLockMs`. Un inicio de sesión correcto
+// reinicia el contador. Los fallos se olvidan `failureWindowMs` después del primero.
+//
+// El bloqueo se aplica por correo, exista o no la cuenta, para no revelar qué correos
+// están registrados. Se comprueba antes de comparar la contraseña, así un atacante
+// no puede seguir consumiendo CPU con bcrypt sobre una cuenta bloqueada.
+
+/**
+ * Crea el control de bloqueo de cuentas.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Almacén de contadores (ver `stores/rateLimitStore.js`)
+ * @param {number} [options.threshold=5] - Fallos seguidos que provocan el primer bloqueo
+ * @param {number} [options.baseLockMs=60000] - Duración del primer bloqueo
+ * @param {number} [options.maxLockMs=3600000] - Duración máxima de un bloqueo
+ * @param {number} [options.failureWindowMs=86400000] - Tiempo durante el que se recuerdan los fallos
+ * @returns {{ getLock: Function, registerFailure: Function, reset: Function }}
+ */
+const createLoginLockout = ({
+  store,
+  threshold = 5,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  failureWindowMs = 24 * 60 * 60 * 1000
+}) => {
+  const failuresKey = (email) => `login-failures:${email.toLowerCase()}`
+  const lockKey = (email) => `login-lock:${email.toLowerCase()}`
+
+  return {
+    /**
+     * Devuelve los segundos que faltan para que termine el bloqueo de la cuenta,
+     * o `0` si no está bloqueada.
+     * @param {string} email - Correo de la cuenta
+     * @returns {Promise<number>}
+     */
+    async getLock (email) {
+      const lock = await store.get(lockKey(email))
+      return lock ? Math.ceil((lock.resetAt - Date.now()) / 1000) : 0
+    },
+
+    /**
+     * Registra un intento fallido y bloquea la cuenta si corresponde.
+     * @param {string} email - Correo de la cuenta
+     * @returns {Promise<number>} Segundos de bloqueo aplicados (`0` si no se bloquea)
+     */
+    async registerFailure (email) {
+      const { count } = await store.increment(failuresKey(email), failureWindowMs)
+      if (count < threshold) return 0
+
+      const lockMs = Math.min(baseLockMs * 2 ** (count - threshold), maxLockMs)
+      await store.reset(lockKey(email))
+      await store.increment(lockKey(email), lockMs)
+      return Math.ceil(lockMs / 1000)
+    },
+
+    /**
+     * Olvida los fallos y el bloqueo de la cuenta (tras un inicio de sesión correcto
+     * o al restablecer la contraseña).
+     * @param {string} email - Correo de la cuenta
+     */
+    async reset (email) {
+      await store.reset(failuresKey(email))
+      await store.reset(lockKey(email))
+    }
+  }
+}
+
+module.exports = {
+  createLoginLockout
+}
@@ -0,0 +1,86 @@
+// ==============================
+// ENVÍO DE CORREOS
+// ==============================
+// Interfaz mínima para enviar correos con transportes intercambiables.
+// Un transporte es cualquier objeto con un método `send(message)` asíncrono.
+//
+// Transportes incluidos (variable de entorno `MAIL_TRANSPORT`):
+// - `outbox` (por defecto): guarda cada mensaje como un archivo JSON en `MAIL_OUTBOX_DIR`
+//   (por defecto `outbox/`), para probar los flujos sin servidor de correo.
+// - `console`: registra el mensaje en el log estructurado.
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+const { logger } = require('./logger')
+
+/**
+ * Crea un transporte que escribe los mensajes en un directorio local.
+ * @param {Object} options
+ * @param {string} options.dir - Directorio de la bandeja de salida
+ * @returns {{ send: Function }}
+ */
+const createOutboxTransport = ({ dir }) => ({
+  async send (message) {
+    await fs.mkdir(dir, { recursive: true })
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2))
+    return { id: fileName }
+  }
+})
+
+/**
+ * Crea un transporte que solo registra los mensajes en el log.
+ * @returns {{ send: Function }}
+ */
+const createConsoleTransport = () => ({
+  async send (message) {
+    const id = crypto.randomUUID()
+    logger.info({ msg: 'mail sent', mailId: id, to: message.to, subject: message.subject, text: message.text })
+    return { id }
+  }
+})
+
+/**
+ * Crea el servicio de correo.
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.transport='outbox'] - Nombre de un transporte incluido o un transporte propio
+ * @param {string} [options.outboxDir] - Directorio del transporte `outbox`
+ * @param {string} [options.from] - Remitente por defecto
+ * @returns {{ send: Function }} Servicio con `send({ to, subject, text })`
+ */
+const createMailer = ({
+  transport = 'outbox',
+  outboxDir = path.join(__dirname, '..', 'outbox'),
+  from = 'no-reply@localhost'
+} = {}) => {
+  const transports = {
+    outbox: () => createOutboxTransport({ dir: outboxDir }),
+    console: () => createConsoleTransport()
+  }
+  if (typeof transport === 'string' && !transports[transport]) {
+    throw new Error(`MAIL_TRANSPORT desconocido: ${transport}`)
+  }
+  const selected = typeof transport === 'string' ? transports[transport]() : transport
+
+  return {
+    /**
+     * Envía un correo.
+     * @param {Object} message
+     * @param {string} message.to - Destinatario
+     * @param {string} message.subject - Asunto
+     * @param {string} message.text - Cuerpo en texto plano
+     * @returns {Promise<{ id: string }>}
+     */
+    send ({ to, subject, text }) {
+      return selected.send({ from, to, subject, text, date: new Date().toISOString() })
+    }
+  }
+}
+
+module.exports = {
+  createMailer,
+  createOutboxTransport,
+  createConsoleTransport
+}
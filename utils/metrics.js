@@ -0,0 +1,328 @@
+// ==============================
+// MÉTRICAS EN FORMATO PROMETHEUS
+// ==============================
+// Contadores, histogramas y medidores (gauges) en memoria que `GET /metrics` publica en el
+// formato de texto de Prometheus (versión 0.0.4). Cada instancia del servidor tiene los suyos:
+// Prometheus los suma al consultarlas todas.
+//
+// Métricas de la aplicación (`createMetrics`):
+// - `http_requests_total` y `http_request_duration_seconds`: por método, ruta (el patrón,
+//   p. ej. `/users/:id`) y código de estado. Las registra `LoggerMiddleware`.
+// - `auth_failures_total`: rechazos de `authenticateToken`, por motivo.
+// - `prisma_query_duration_seconds`: consultas a la base de datos, por modelo y operación
+//   (ver `withQueryMetrics`).
+// - `webhook_enqueue_failures_total`: eventos que no se pudieron encolar para los webhooks.
+// - Memoria del proceso y retraso del bucle de eventos, medidos al consultar `/metrics`.
+//
+// Las etiquetas solo toman valores acotados (patrones de ruta, no URLs) para que el número
+// de series no crezca con cada solicitud.
+
+const { monitorEventLoopDelay } = require('perf_hooks')
+
+// Tipo de contenido del formato de texto de Prometheus.
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+// Límites (en segundos) de los histogramas de duración.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+// Etiqueta `route` de las solicitudes que no coinciden con ninguna ruta (404, archivos, ...).
+const UNMATCHED_ROUTE = 'unmatched'
+
+/**
+ * Escribe un valor numérico como lo espera Prometheus.
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (Number.isNaN(value)) return 'NaN'
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+/**
+ * Escribe las etiquetas de una serie (`{method="GET",status="200"}`), escapando los valores.
+ * @param {Object} labels - Etiquetas y sus valores
+ * @returns {string}
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    return `${name}="${escaped}"`
+  })
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Crea una familia de series: guarda un valor por combinación de etiquetas.
+ * @param {Array<string>} labelNames - Nombres de las etiquetas, en orden
+ * @param {Function} initial - Crea el valor de una serie nueva
+ */
+const createSeries = (labelNames, initial) => {
+  const series = new Map()
+  return {
+    get (labels = {}) {
+      const values = labelNames.map(name => String(labels[name] ?? ''))
+      const key = JSON.stringify(values)
+      if (!series.has(key)) {
+        series.set(key, {
+          labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])),
+          value: initial()
+        })
+      }
+      return series.get(key).value
+    },
+    entries: () => [...series.values()]
+  }
+}
+
+/**
+ * Crea un contador: solo puede aumentar.
+ * @param {Object} options
+ * @param {string} options.name - Nombre de la métrica (termina en `_total`)
+ * @param {string} options.help - Descripción
+ * @param {Array<string>} [options.labelNames=[]] - Etiquetas
+ * @returns {{ inc: Function, render: Function }}
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = createSeries(labelNames, () => ({ count: 0 }))
+  return {
+    /**
+     * @param {Object} [labels] - Valores de las etiquetas
+     * @param {number} [value=1] - Incremento
+     */
+    inc (labels, value = 1) {
+      series.get(labels).count += value
+    },
+    render () {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value.count)}`)
+      ]
+    }
+  }
+}
+
+/**
+ * Crea un histograma: cuenta las observaciones por intervalos (`le`) y guarda su suma.
+ * @param {Object} options
+ * @param {string} options.name - Nombre de la métrica
+ * @param {string} options.help - Descripción
+ * @param {Array<string>} [options.labelNames=[]] - Etiquetas
+ * @param {Array<number>} [options.buckets=DEFAULT_BUCKETS] - Límites superiores, de menor a mayor
+ * @returns {{ observe: Function, render: Function }}
+ */
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }))
+  return {
+    /**
+     * @param {Object} labels - Valores de las etiquetas
+     * @param {number} value - Valor observado (por ejemplo, segundos)
+     */
+    observe (labels, value) {
+      const entry = series.get(labels)
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++
+      })
+      entry.sum += value
+      entry.count++
+    },
+    render () {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`]
+      for (const { labels, value } of series.entries()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`)
+        })
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`)
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`)
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`)
+      }
+      return lines
+    }
+  }
+}
+
+/**
+ * Crea un medidor cuyo valor se lee al publicar las métricas.
+ * @param {Object} options
+ * @param {string} options.name - Nombre de la métrica
+ * @param {string} options.help - Descripción
+ * @param {Function} options.collect - Devuelve el valor actual
+ * @returns {{ render: Function }}
+ */
+const createGauge = ({ name, help, collect }) => ({
+  render () {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${formatValue(collect())}`]
+  }
+})
+
+/**
+ * Crea las métricas de la aplicación.
+ *
+ * @example
+ * const metrics = createMetrics()
+ * metrics.recordHttpRequest({ method: 'GET', route: '/users/:id', status: 200, durationSeconds: 0.012 })
+ * res.type(METRICS_CONTENT_TYPE).send(metrics.render())
+ *
+ * @returns {Object} `{ recordHttpRequest, recordAuthFailure, recordQuery, recordWebhookEnqueueFailure, render }`
+ */
+const createMetrics = () => {
+  const httpRequests = createCounter({
+    name: 'http_requests_total',
+    help: 'Solicitudes HTTP atendidas.',
+    labelNames: ['method', 'route', 'status']
+  })
+  const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duración de las solicitudes HTTP en segundos.',
+    labelNames: ['method', 'route', 'status']
+  })
+  const authFailures = createCounter({
+    name: 'auth_failures_total',
+    help: 'Solicitudes rechazadas por authenticateToken.',
+    labelNames: ['reason']
+  })
+  const queryDuration = createHistogram({
+    name: 'prisma_query_duration_seconds',
+    help: 'Duración de las consultas de Prisma en segundos.',
+    labelNames: ['model', 'operation', 'outcome']
+  })
+  const webhookEnqueueFailures = createCounter({
+    name: 'webhook_enqueue_failures_total',
+    help: 'Eventos que no se pudieron encolar para los webhooks.',
+    labelNames: ['event']
+  })
+
+  // Retraso del bucle de eventos: muestras cada 20 ms; se reinician en cada consulta de `/metrics`,
+  // así que los valores corresponden al intervalo entre dos consultas.
+  const loopDelay = monitorEventLoopDelay({ resolution: 20 })
+  loopDelay.enable()
+  const nanosToSeconds = (value) => value / 1e9
+
+  const gauges = [
+    createGauge({
+      name: 'process_resident_memory_bytes',
+      help: 'Memoria residente del proceso en bytes.',
+      collect: () => process.memoryUsage.rss()
+    }),
+    createGauge({
+      name: 'nodejs_heap_size_total_bytes',
+      help: 'Tamaño del heap de V8 en bytes.',
+      collect: () => process.memoryUsage().heapTotal
+    }),
+    createGauge({
+      name: 'nodejs_heap_size_used_bytes',
+      help: 'Heap de V8 en uso en bytes.',
+      collect: () => process.memoryUsage().heapUsed
+    }),
+    createGauge({
+      name: 'nodejs_eventloop_lag_mean_seconds',
+      help: 'Retraso medio del bucle de eventos desde la consulta anterior.',
+      collect: () => nanosToSeconds(loopDelay.mean)
+    }),
+    createGauge({
+      name: 'nodejs_eventloop_lag_p99_seconds',
+      help: 'Percentil 99 del retraso del bucle de eventos desde la consulta anterior.',
+      collect: () => nanosToSeconds(loopDelay.percentile(99))
+    }),
+    createGauge({
+      name: 'nodejs_eventloop_lag_max_seconds',
+      help: 'Retraso máximo del bucle de eventos desde la consulta anterior.',
+      collect: () => nanosToSeconds(loopDelay.max)
+    })
+  ]
+
+  return {
+    /**
+     * Registra una solicitud HTTP terminada.
+     * @param {Object} request
+     * @param {string} request.method - Método HTTP
+     * @param {string|null} request.route - Patrón de la ruta; `null` si no coincidió ninguna
+     * @param {number} request.status - Código de estado
+     * @param {number} request.durationSeconds - Duración
+     */
+    recordHttpRequest ({ method, route, status, durationSeconds }) {
+      const labels = { method, route: route ?? UNMATCHED_ROUTE, status }
+      httpRequests.inc(labels)
+      httpRequestDuration.observe(labels, durationSeconds)
+    },
+
+    /**
+     * Registra un rechazo de la autenticación.
+     * @param {string} reason - Motivo (`missing_token`, `invalid_token`, ...)
+     */
+    recordAuthFailure (reason) {
+      authFailures.inc({ reason })
+    },
+
+    /**
+     * Registra una consulta de Prisma.
+     * @param {Object} query
+     * @param {string} query.model - Modelo (`raw` para las consultas SQL directas)
+     * @param {string} query.operation - Operación (`findMany`, `update`, ...)
+     * @param {string} query.outcome - `ok` o `error`
+     * @param {number} query.durationSeconds - Duración
+     */
+    recordQuery ({ model, operation, outcome, durationSeconds }) {
+      queryDuration.observe({ model, operation, outcome }, durationSeconds)
+    },
+
+    /**
+     * Registra un evento que no se pudo encolar para los webhooks.
+     * @param {string} event - Tipo de evento (`user.created`, ...)
+     */
+    recordWebhookEnqueueFailure (event) {
+      webhookEnqueueFailures.inc({ event })
+    },
+
+    /**
+     * Publica todas las métricas en el formato de texto de Prometheus.
+     * @returns {string}
+     */
+    render () {
+      const lines = [httpRequests, httpRequestDuration, authFailures, queryDuration, webhookEnqueueFailures, ...gauges]
+        .flatMap(metric => metric.render())
+      loopDelay.reset()
+      return `${lines.join('\n')}\n`
+    }
+  }
+}
+
+/**
+ * Devuelve el cliente de Prisma extendido para medir la duración de cada consulta
+ * (`prisma_query_duration_seconds`). El cliente original no se modifica.
+ *
+ * @example
+ * const prisma = withQueryMetrics(new PrismaClient(), metrics)
+ *
+ * @param {Object} prisma - Cliente de Prisma
+ * @param {Object} metrics - Métricas de `createMetrics`
+ * @returns {Object} Cliente de Prisma extendido
+ */
+const withQueryMetrics = (prisma, metrics) => prisma.$extends({
+  query: {
+    async $allOperations ({ model, operation, args, query }) {
+      const start = process.hrtime.bigint()
+      let outcome = 'error'
+      try {
+        const result = await query(args)
+        outcome = 'ok'
+        return result
+      } finally {
+        metrics.recordQuery({
+          model: model ?? 'raw',
+          operation,
+          outcome,
+          durationSeconds: Number(process.hrtime.bigint() - start) / 1e9
+        })
+      }
+    }
+  }
+})
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  createMetrics,
+  withQueryMetrics
+}
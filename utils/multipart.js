@@ -0,0 +1,88 @@
+// ==============================
+// CUERPOS MULTIPART/FORM-DATA
+// ==============================
+// Implementación mínima de `multipart/form-data` (RFC 7578) para las subidas de archivos:
+// el cuerpo completo se lee en memoria (con un límite de tamaño) y se divide en partes.
+// Solo se usa en rutas con archivos pequeños, como los avatares.
+
+/**
+ * Obtiene el `boundary` de una cabecera `Content-Type` de tipo `multipart/form-data`.
+ * @param {string} [contentType] - Valor de la cabecera
+ * @returns {string|null} El `boundary`, o `null` si no es multipart o no lo trae
+ */
+const getBoundary = (contentType = '') => {
+  if (!/^multipart\/form-data\s*(;|$)/i.test(contentType)) return null
+  const match = contentType.match(/;\s*boundary=(?:"([^"]{1,70})"|([^\s;]{1,70}))/i)
+  return match ? (match[1] || match[2]) : null
+}
+
+/**
+ * Lee los parámetros de una cabecera como `Content-Disposition` (`name="avatar"; filename="a.png"`).
+ * @param {string} value - Valor de la cabecera
+ * @returns {Object} Parámetros, con los nombres en minúsculas
+ */
+const parseHeaderParams = (value) => {
+  const params = {}
+  for (const [, name, quoted, plain] of value.matchAll(/;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g)) {
+    params[name.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : plain.trim()
+  }
+  return params
+}
+
+/**
+ * Divide un cuerpo `multipart/form-data` en sus partes.
+ *
+ * @param {Buffer} body - Cuerpo completo
+ * @param {string} boundary - Separador (ver `getBoundary`)
+ * @returns {Array<{ name: string, filename: (string|undefined), contentType: (string|undefined), data: Buffer }>}
+ * @throws {Error} Si el cuerpo no tiene el formato esperado
+ */
+const parseMultipart = (body, boundary) => {
+  const delimiter = Buffer.from(`--${boundary}`)
+  const nextDelimiter = Buffer.from(`\r\n--${boundary}`)
+  const parts = []
+
+  let position = body.indexOf(delimiter)
+  if (position === -1) throw new Error('No se encontró el separador del cuerpo multipart.')
+
+  while (true) {
+    position += delimiter.length
+    const after = body.subarray(position, position + 2).toString('latin1')
+    if (after === '--') return parts
+    if (after !== '\r\n') throw new Error('Separador del cuerpo multipart mal formado.')
+    position += 2
+
+    const end = body.indexOf(nextDelimiter, position)
+    if (end === -1) throw new Error('Falta el separador final del cuerpo multipart.')
+    const part = body.subarray(position, end)
+
+    // Las cabeceras de la parte terminan en una línea vacía (puede no haber ninguna).
+    const headerEnd = part.subarray(0, 2).toString('latin1') === '\r\n' ? 0 : part.indexOf('\r\n\r\n')
+    if (headerEnd === -1) throw new Error('Parte del cuerpo multipart sin cabeceras.')
+    const headers = {}
+    for (const line of part.subarray(0, headerEnd).toString('utf-8').split('\r\n').filter(Boolean)) {
+      const separator = line.indexOf(':')
+      if (separator === -1) throw new Error('Cabecera mal formada en el cuerpo multipart.')
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+    }
+
+    const disposition = headers['content-disposition'] || ''
+    if (!/^form-data\s*(;|$)/i.test(disposition)) {
+      throw new Error('Parte del cuerpo multipart sin `Content-Disposition: form-data`.')
+    }
+    const { name, filename } = parseHeaderParams(disposition)
+    parts.push({
+      name,
+      filename,
+      contentType: headers['content-type'],
+      data: part.subarray(headerEnd === 0 ? 2 : headerEnd + 4)
+    })
+
+    position = end + 2
+  }
+}
+
+module.exports = {
+  getBoundary,
+  parseMultipart
+}
@@ -0,0 +1,258 @@
+// ==============================
+// GENERACIÓN DEL DOCUMENTO OPENAPI 3
+// ==============================
+// El documento se construye recorriendo las rutas registradas en la aplicación, de modo
+// que no se puede desincronizar del código:
+// - Método y ruta: de la propia ruta de Express (`/users/:id` -> `/users/{id}`).
+// - Parámetros y cuerpo: de los esquemas del middleware `validate` (`middleware.schemas`).
+// - Seguridad: de la presencia de `authenticateToken` y de `authorize` (`middleware.roles`)
+//   o `authorizeSelfOrAdmin` (`middleware.ownerParam`). Las rutas con `requireScope`
+//   (`middleware.scopes`) aceptan además una clave de API (`apiKeyAuth`).
+// - Disponibilidad: las rutas con `requirePrismaUserStore` (`middleware.requiredUserStore`)
+//   documentan el 501 que devuelven con `USER_STORE=file`.
+// - Respuesta 429: de la presencia de `rateLimit` (`middleware.rateLimit`).
+// - Resumen, etiquetas y respuestas: de la descripción de cada ruta en `schemas/openapi.js`,
+//   que también puede añadir parámetros de cabecera (`parameters`).
+
+const ERROR_RESPONSES = {
+  BadRequest: 'Solicitud inválida.',
+  Unauthorized: 'Falta el token de acceso, es inválido, la sesión fue revocada o la clave de API no es válida.',
+  Forbidden: 'El usuario no tiene permiso para este recurso.',
+  NotFound: 'El recurso no existe.',
+  Conflict: 'La operación entra en conflicto con el estado actual.',
+  PreconditionFailed: 'El ETag de `If-Match` ya no es el actual: el recurso cambió desde que se leyó.',
+  PayloadTooLarge: 'El cuerpo o el archivo enviado supera el tamaño máximo.',
+  UnsupportedMediaType: 'El formato del cuerpo (`Content-Type`) no está admitido.',
+  ValidationFailed: 'Datos inválidos (lista de errores por campo).',
+  PreconditionRequired: 'Falta la cabecera `If-Match`.',
+  TooManyRequests: 'Se superó el límite de solicitudes (ver la cabecera `Retry-After`).',
+  InternalError: 'Error inesperado del servidor.',
+  NotImplemented: 'La función no está disponible con el almacén de usuarios configurado (USER_STORE).'
+}
+
+/**
+ * Convierte una ruta de Express al formato de OpenAPI (`/users/:id` -> `/users/{id}`).
+ * @param {string} path - Ruta de Express
+ * @returns {string}
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}')
+
+/**
+ * Convierte un esquema de validación (`utils/validation.js`) en un esquema de OpenAPI.
+ * El formato ya es un subconjunto de JSON Schema; solo se quitan las listas
+ * `required` vacías, que OpenAPI 3.0 no admite.
+ * @param {Object} schema - Esquema de validación
+ * @returns {Object} Esquema de OpenAPI
+ */
+const toOpenApiSchema = (schema) => {
+  const { required, properties, ...rest } = schema
+  return {
+    ...rest,
+    ...(properties && { properties }),
+    ...(required && required.length > 0 && { required })
+  }
+}
+
+/**
+ * Convierte las propiedades de un esquema de `params` o `query` en parámetros de OpenAPI.
+ * @param {Object} schema - Esquema de validación
+ * @param {string} location - `path` o `query`
+ * @returns {Array<Object>}
+ */
+const toParameters = (schema, location) => {
+  const required = schema.required || []
+  return Object.entries(schema.properties || {}).map(([name, rules]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: rules
+  }))
+}
+
+/**
+ * Devuelve las rutas registradas en la aplicación con sus manejadores.
+ * @param {Object} app - Aplicación de Express
+ * @returns {Array<{ method: string, path: string, handlers: Array<Function> }>}
+ */
+const listRoutes = (app) => {
+  return app.router.stack
+    .filter((layer) => layer.route && typeof layer.route.path === 'string')
+    .flatMap(({ route }) => Object.keys(route.methods)
+      .filter((method) => method !== '_all')
+      .map((method) => ({
+        method,
+        path: route.path,
+        handlers: route.stack
+          .filter((layer) => !layer.method || layer.method === method)
+          .map((layer) => layer.handle)
+      })))
+}
+
+/**
+ * Convierte la descripción de una respuesta en un objeto de respuesta de OpenAPI.
+ * Puede ser `{ description, schema, contentType }`, `{ description, content }` (varios tipos
+ * de contenido, en formato OpenAPI) o el nombre de una respuesta de error común
+ * (`'NotFound'`, `'Conflict'`, ...).
+ * @param {Object|string} response - Descripción de la respuesta
+ * @returns {Object}
+ */
+const toResponse = (response) => {
+  if (typeof response === 'string') {
+    return { $ref: `#/components/responses/${response}` }
+  }
+  const { description, schema, contentType = 'application/json', content } = response
+  return {
+    description,
+    ...(content && { content }),
+    ...(schema && { content: { [contentType]: { schema } } })
+  }
+}
+
+/**
+ * Construye la operación de OpenAPI de una ruta.
+ * @param {Object} route - Ruta (`method`, `path`, `handlers`)
+ * @param {Object} doc - Descripción de la ruta en `routeDocs`
+ * @param {Function} authenticate - Middleware de autenticación
+ * @returns {Object}
+ */
+const buildOperation = (route, doc, authenticate) => {
+  const schemas = Object.assign({}, ...route.handlers.map((handler) => handler.schemas || {}))
+  const roles = route.handlers.flatMap((handler) => handler.roles || [])
+  const isOwnerOnly = route.handlers.some((handler) => handler.ownerParam)
+  const requiredUserStore = route.handlers.find((handler) => handler.requiredUserStore)?.requiredUserStore
+  const scopes = route.handlers.flatMap((handler) => handler.scopes || [])
+  const isAuthenticated = route.handlers.includes(authenticate)
+  const isRateLimited = route.handlers.some((handler) => handler.rateLimit)
+  const upload = route.handlers.find((handler) => handler.upload)?.upload
+
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => name)
+  const declaredParams = schemas.params ? toParameters(schemas.params, 'path') : []
+  const parameters = [
+    ...declaredParams,
+    ...pathParams
+      .filter((name) => !declaredParams.some((param) => param.name === name))
+      .map((name) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+    ...(schemas.query ? toParameters(schemas.query, 'query') : []),
+    ...(doc.parameters || [])
+  ]
+
+  const access = []
+  if (roles.length > 0) access.push(`Requiere el rol ${roles.join(' o ')}.`)
+  if (isOwnerOnly) access.push('Solo el propio usuario o un administrador.')
+  if (scopes.length > 0) access.push(`Con clave de API, requiere el alcance ${scopes.join(' o ')}.`)
+  const description = [doc.description, ...access].filter(Boolean).join('\n\n')
+
+  const responses = Object.fromEntries(
+    Object.entries(doc.responses || { 200: { description: 'Operación exitosa.' } })
+      .map(([status, response]) => [status, toResponse(response)])
+  )
+  const addError = (status, name) => {
+    if (!responses[status]) responses[status] = { $ref: `#/components/responses/${name}` }
+  }
+  if (isAuthenticated) addError(401, 'Unauthorized')
+  if (roles.length > 0 || isOwnerOnly || scopes.length > 0) addError(403, 'Forbidden')
+  if (upload) {
+    addError(413, 'PayloadTooLarge')
+    addError(415, 'UnsupportedMediaType')
+  }
+  if (schemas.params || schemas.query || schemas.body || upload) addError(422, 'ValidationFailed')
+  if (isRateLimited) addError(429, 'TooManyRequests')
+  addError(500, 'InternalError')
+  if (requiredUserStore) addError(501, 'NotImplemented')
+
+  return {
+    ...(doc.operationId && { operationId: doc.operationId }),
+    ...(doc.tags && { tags: doc.tags }),
+    ...(doc.summary && { summary: doc.summary }),
+    ...(description && { description }),
+    ...(isAuthenticated && { security: [{ bearerAuth: [] }, ...(scopes.length > 0 ? [{ apiKeyAuth: [] }] : [])] }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(doc.requestBody && { requestBody: doc.requestBody }),
+    ...(upload && {
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                [upload.field]: {
+                  type: 'string',
+                  format: 'binary',
+                  description: `Tipos admitidos: ${upload.allowedTypes.join(', ')}. Tamaño máximo: ${upload.maxBytes} bytes.`
+                }
+              },
+              required: [upload.field]
+            }
+          }
+        }
+      }
+    }),
+    ...(schemas.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: toOpenApiSchema(schemas.body) } }
+      }
+    }),
+    responses
+  }
+}
+
+/**
+ * Construye el documento OpenAPI 3 de la aplicación.
+ *
+ * Las rutas sin descripción en `routeDocs` también se documentan, con los datos que se
+ * obtienen de sus middlewares. Las rutas marcadas con `hidden: true` se omiten.
+ *
+ * @param {Object} app - Aplicación de Express (con todas sus rutas ya registradas)
+ * @param {Object} options
+ * @param {Object} options.info - Bloque `info` del documento (`title`, `version`, `description`)
+ * @param {Function} options.authenticate - Middleware que exige el token de acceso (`bearerAuth`)
+ * @param {Object} [options.routeDocs={}] - Descripción de cada ruta, por clave `'GET /users'`
+ * @param {Object} [options.componentSchemas={}] - Esquemas reutilizables (`#/components/schemas`)
+ * @param {Array<Object>} [options.tags] - Etiquetas con su descripción
+ * @returns {Object} Documento OpenAPI
+ */
+const buildOpenApiSpec = (app, { info, authenticate, routeDocs = {}, componentSchemas = {}, tags }) => {
+  const paths = {}
+
+  for (const route of listRoutes(app)) {
+    const doc = routeDocs[`${route.method.toUpperCase()} ${route.path}`] || {}
+    if (doc.hidden) continue
+
+    const path = toOpenApiPath(route.path)
+    paths[path] = paths[path] || {}
+    paths[path][route.method] = buildOperation(route, doc, authenticate)
+  }
+
+  return {
+    openapi: '3.0.3',
+    info,
+    ...(tags && { tags }),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: componentSchemas,
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, description]) => [
+        name,
+        {
+          description,
+          content: {
+            'application/json': {
+              schema: { $ref: `#/components/schemas/${name === 'ValidationFailed' ? 'ValidationError' : 'Error'}` }
+            }
+          }
+        }
+      ]))
+    }
+  }
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  toOpenApiPath,
+  toOpenApiSchema
+}
@@ -0,0 +1,53 @@
+// ==============================
+// PAGINACIÓN DE LISTADOS
+// ==============================
+// Parámetros comunes de paginación (`page` y `limit`) y el sobre con el que
+// se devuelven los listados paginados:
+// { data, meta: { total, page, limit, totalPages }, links: { self, next, prev } }
+
+// Propiedades de query string para paginar, para incluir en los esquemas de cada listado.
+const paginationQueryProperties = {
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+}
+
+/**
+ * Construye la URL de otra página del mismo listado, conservando los demás parámetros.
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {number} page - Página de destino
+ * @returns {string} Ruta relativa con la query string
+ */
+const pageLink = (req, page) => {
+  const url = new URL(req.originalUrl, 'http://localhost')
+  url.searchParams.set('page', page)
+  return `${url.pathname}${url.search}`
+}
+
+/**
+ * Envuelve una página de resultados con el total y los enlaces de navegación.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP (se usa para construir los enlaces)
+ * @param {Object} result
+ * @param {Array} result.items - Elementos de la página
+ * @param {number} result.total - Total de elementos que cumplen los filtros
+ * @param {number} result.page - Página actual (desde 1)
+ * @param {number} result.limit - Elementos por página
+ * @returns {{ data: Array, meta: Object, links: Object }}
+ */
+const paginate = (req, { items, total, page, limit }) => {
+  const totalPages = Math.max(1, Math.ceil(total / limit))
+  return {
+    data: items,
+    meta: { total, page, limit, totalPages },
+    links: {
+      self: pageLink(req, page),
+      next: page < totalPages ? pageLink(req, page + 1) : null,
+      prev: page > 1 ? pageLink(req, Math.min(page - 1, totalPages)) : null
+    }
+  }
+}
+
+module.exports = {
+  paginationQueryProperties,
+  paginate
+}
@@ -0,0 +1,56 @@
+// ==============================
+// TRADUCCIÓN DE ERRORES DE PRISMA
+// ==============================
+// Convierte los errores conocidos de Prisma en errores HTTP tipados (ver `utils/errors.js`)
+// para que el manejador global responda con el código adecuado en lugar de un 500.
+// Referencia de códigos: https://www.prisma.io/docs/orm/reference/error-reference
+
+const { HttpError, NotFoundError, ConflictError, ValidationError } = require('./errors')
+
+/**
+ * Describe los campos afectados por un error de Prisma (`meta.target` o `meta.field_name`).
+ * @param {Object} [meta] - Metadatos del error
+ * @returns {string}
+ */
+const describeTarget = (meta = {}) => {
+  const target = meta.target ?? meta.field_name
+  return Array.isArray(target) ? target.join(', ') : (target || 'desconocido')
+}
+
+// Traducción por código de error de Prisma.
+const PRISMA_ERROR_MAP = {
+  // Valor demasiado largo para la columna.
+  P2000: (error) => new ValidationError([
+    { location: 'body', field: error.meta?.column_name ?? null, message: 'El valor es demasiado largo.' }
+  ]),
+  // Restricción única.
+  P2002: (error) => new ConflictError(`Ya existe un registro con el mismo valor en: ${describeTarget(error.meta)}.`),
+  // Clave foránea: el registro relacionado no existe o sigue en uso.
+  P2003: (error) => new ConflictError(`El registro relacionado no existe o está en uso (${describeTarget(error.meta)}).`),
+  // Registro requerido no encontrado (update/delete sobre un ID inexistente).
+  P2025: () => new NotFoundError('Registro no encontrado.')
+}
+
+/**
+ * Traduce un error de Prisma a un error HTTP.
+ *
+ * - Errores conocidos (`PrismaClientKnownRequestError`): según `PRISMA_ERROR_MAP`.
+ * - Errores de conexión (`PrismaClientInitializationError`): 503.
+ *
+ * @param {Error} error - Error capturado
+ * @returns {HttpError|null} Error HTTP o `null` si no es un error de Prisma conocido
+ */
+const mapPrismaError = (error) => {
+  if (error?.name === 'PrismaClientKnownRequestError' && PRISMA_ERROR_MAP[error.code]) {
+    return PRISMA_ERROR_MAP[error.code](error)
+  }
+  if (error?.name === 'PrismaClientInitializationError') {
+    return new HttpError(503, 'La base de datos no está disponible.')
+  }
+  return null
+}
+
+module.exports = {
+  PRISMA_ERROR_MAP,
+  mapPrismaError
+}
@@ -0,0 +1,171 @@
+// ==============================
+// UTILIDADES DE TOKENS JWT Y DE REFRESCO
+// ==============================
+// Centraliza la emisión de tokens de acceso (JWT de corta duración) y
+// de tokens de refresco (aleatorios, guardados como hash en la base de datos).
+// Cada inicio de sesión crea una "sesión" identificada por `sessionId`,
+// que se conserva al rotar los tokens de refresco y viaja en el JWT como `sid`.
+// La clave de firma y la validez de los tokens llegan en `auth` (`config.auth`, ver `utils/config.js`):
+// - jwtSecret: clave con la que se firman los tokens de acceso (`JWT_SECRET`).
+// - accessTokenExpiresIn: duración del token de acceso (formato de `jsonwebtoken`, p. ej. '15m', '1h').
+// - refreshTokenExpiresDays: días de validez de un token de refresco.
+
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+
+/**
+ * Calcula el hash SHA-256 de un token.
+ * Los tokens de refresco nunca se guardan en texto plano.
+ * @param {string} token - Token en texto plano
+ * @returns {string} Hash en hexadecimal
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Firma un token de acceso para el usuario dentro de una sesión.
+ * @param {Object} user - Usuario (`id`, `email`, `role`)
+ * @param {string} sessionId - Identificador de la sesión
+ * @param {Object} auth - Configuración de autenticación (`jwtSecret`, `accessTokenExpiresIn`)
+ * @returns {string} JWT firmado con `auth.jwtSecret`
+ */
+const signAccessToken = (user, sessionId, auth) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    auth.jwtSecret,
+    { expiresIn: auth.accessTokenExpiresIn }
+  )
+}
+
+/**
+ * Crea un token de refresco para la sesión, guarda su hash y firma un nuevo token de acceso.
+ *
+ * @param {Object} db - Cliente de Prisma (o transacción)
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} auth - Configuración de autenticación (`config.auth`)
+ * @param {string} [sessionId] - Sesión existente (al rotar); si no se indica, se crea una nueva
+ * @returns {Promise<{ accessToken: string, refreshToken: string, tokenType: string, expiresIn: string }>}
+ */
+const issueTokens = async (db, user, auth, sessionId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex')
+  const expiresAt = new Date(Date.now() + auth.refreshTokenExpiresDays * 24 * 60 * 60 * 1000)
+
+  await db.refreshTokens.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      sessionId,
+      userId: user.id,
+      expiresAt
+    }
+  })
+
+  return {
+    accessToken: signAccessToken(user, sessionId, auth),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: auth.accessTokenExpiresIn
+  }
+}
+
+/**
+ * Revoca todos los tokens de refresco activos de una sesión.
+ * A partir de ese momento `authenticateToken` rechaza los JWT con ese `sid`.
+ * @param {Object} db - Cliente de Prisma (o transacción)
+ * @param {string} sessionId - Sesión a revocar
+ */
+const revokeSession = (db, sessionId) => {
+  return db.refreshTokens.updateMany({
+    where: { sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  })
+}
+
+/**
+ * Revoca todas las sesiones de un usuario (por ejemplo, al restablecer su contraseña).
+ * @param {Object} db - Cliente de Prisma (o transacción)
+ * @param {number} userId - Usuario cuyas sesiones se revocan
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Sesión que se conserva (p. ej. la que cambia la contraseña)
+ */
+const revokeUserSessions = (db, userId, { exceptSessionId } = {}) => {
+  return db.refreshTokens.updateMany({
+    where: { userId, revokedAt: null, ...(exceptSessionId && { sessionId: { not: exceptSessionId } }) },
+    data: { revokedAt: new Date() }
+  })
+}
+
+/**
+ * Rota un token de refresco: lo revoca y emite un nuevo par de tokens en la misma sesión.
+ *
+ * - Si el token ya estaba revocado, se asume que fue robado y se revoca la sesión completa.
+ * - La revocación solo cuenta si el token seguía activo: si otra solicitud lo rotó entre
+ *   la lectura y la actualización, se trata igual que una reutilización.
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {string} refreshToken - Token de refresco en texto plano
+ * @param {Object} options
+ * @param {Function} options.findUser - Busca el usuario por ID (sus datos se leen de nuevo, por ejemplo el rol)
+ * @param {Object} options.auth - Configuración de autenticación (`config.auth`)
+ * @returns {Promise<{ tokens?: Object, error?: string }>} Nuevo par de tokens, o el motivo del rechazo
+ */
+const rotateRefreshToken = async (db, refreshToken, { findUser, auth }) => {
+  const storedToken = await db.refreshTokens.findUnique({
+    where: { tokenHash: hashToken(refreshToken) }
+  })
+  if (!storedToken) {
+    return { error: 'Token de refresco inválido.' }
+  }
+  if (storedToken.revokedAt) {
+    await revokeSession(db, storedToken.sessionId)
+    return { error: 'Token de refresco revocado.' }
+  }
+  if (storedToken.expiresAt <= new Date()) {
+    return { error: 'Token de refresco expirado.' }
+  }
+
+  const user = await findUser(storedToken.userId)
+  if (!user) {
+    await revokeSession(db, storedToken.sessionId)
+    return { error: 'Token de refresco inválido.' }
+  }
+
+  const tokens = await db.$transaction(async (tx) => {
+    const { count } = await tx.refreshTokens.updateMany({
+      where: { id: storedToken.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    })
+    if (count === 0) return null
+    return issueTokens(tx, user, auth, storedToken.sessionId)
+  })
+  if (!tokens) {
+    await revokeSession(db, storedToken.sessionId)
+    return { error: 'Token de refresco revocado.' }
+  }
+  return { tokens }
+}
+
+/**
+ * Indica si la sesión sigue activa, es decir, si conserva algún token de refresco
+ * sin revocar y sin expirar.
+ * @param {Object} db - Cliente de Prisma
+ * @param {string} sessionId - Sesión a comprobar
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (db, sessionId) => {
+  const token = await db.refreshTokens.findFirst({
+    where: { sessionId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true }
+  })
+  return Boolean(token)
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  isSessionActive
+}
@@ -0,0 +1,69 @@
+// ==============================
+// EXPORTACIÓN DE USUARIOS
+// ==============================
+// Usada por `GET /users/export`. Los usuarios se leen del almacén por lotes
+// (`userStore.batches`) y se van escribiendo en la respuesta a medida que llegan,
+// así la memoria no crece con el número de usuarios.
+//
+// Nunca se exporta el hash de la contraseña.
+
+const { toCsvLine } = require('./csv')
+
+// Columnas exportadas, en orden.
+const EXPORT_FIELDS = ['id', 'name', 'email', 'role', 'emailVerifiedAt']
+
+// Usuarios leídos por consulta.
+const EXPORT_BATCH_SIZE = 500
+
+// Tipo de contenido de cada formato.
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+}
+
+/**
+ * Deja solo las columnas exportadas de un usuario.
+ * @param {Object} user - Usuario del almacén
+ * @returns {Object}
+ */
+const toExportRecord = (user) => {
+  return Object.fromEntries(EXPORT_FIELDS.map(field => [field, user[field] ?? null]))
+}
+
+/**
+ * Convierte los lotes de usuarios en los fragmentos de texto del archivo exportado.
+ *
+ * - `csv`: cabecera y una línea por usuario.
+ * - `json`: una lista JSON, escrita elemento a elemento.
+ * - `ndjson`: un objeto JSON por línea.
+ *
+ * @param {AsyncIterable<Array<Object>>} batches - Lotes de usuarios
+ * @param {string} format - `csv`, `json` o `ndjson`
+ * @returns {AsyncGenerator<string>}
+ */
+async function * serializeUsers (batches, format) {
+  let first = true
+  if (format === 'csv') yield toCsvLine(EXPORT_FIELDS)
+  if (format === 'json') yield '['
+
+  for await (const batch of batches) {
+    const chunk = batch.map((user) => {
+      const record = toExportRecord(user)
+      if (format === 'csv') return toCsvLine(EXPORT_FIELDS.map(field => record[field]))
+      if (format === 'ndjson') return `${JSON.stringify(record)}\n`
+      const item = `${first ? '' : ','}\n${JSON.stringify(record)}`
+      first = false
+      return item
+    })
+    yield chunk.join('')
+  }
+
+  if (format === 'json') yield first ? ']' : '\n]'
+}
+
+module.exports = {
+  EXPORT_BATCH_SIZE,
+  EXPORT_CONTENT_TYPES,
+  serializeUsers
+}
@@ -0,0 +1,101 @@
+// ==============================
+// FEED DE CAMBIOS DE USUARIOS (SSE)
+// ==============================
+// Reúne los eventos de usuarios del bus (`utils/events.js`) para `GET /events`, que los envía
+// a los navegadores como Server-Sent Events.
+//
+// - Cada cambio recibe un ID creciente (1, 2, 3, ...), que se envía como `id:` del mensaje.
+// - Los últimos `bufferSize` cambios se guardan en memoria: un cliente que se reconecta con
+//   `Last-Event-ID` recibe los que se perdió. Si ya no están (o el ID es de antes de un reinicio),
+//   recibe un evento `reset` para que vuelva a cargar `/users`.
+// - El registro (`user.registered`) se envía como `user.created`: para el panel es un alta más.
+//
+// El feed vive en el proceso: con varias instancias, cada una envía los cambios que atendió.
+
+const { USER_EVENTS } = require('./events')
+
+// Tipo con el que se envía cada evento del bus; los que no están aquí no se envían.
+const FEED_EVENT_TYPES = {
+  [USER_EVENTS.REGISTERED]: 'user.created',
+  [USER_EVENTS.CREATED]: 'user.created',
+  [USER_EVENTS.UPDATED]: 'user.updated',
+  [USER_EVENTS.DELETED]: 'user.deleted',
+  [USER_EVENTS.RESTORED]: 'user.restored'
+}
+
+/**
+ * Escribe un mensaje en el formato de Server-Sent Events.
+ * @param {Object} message
+ * @param {number} [message.id] - Campo `id:`
+ * @param {string} message.event - Campo `event:`
+ * @param {Object} message.data - Se envía en JSON (en una sola línea)
+ * @returns {string}
+ */
+const formatSseMessage = ({ id, event, data }) => {
+  return `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+}
+
+/**
+ * Crea el feed de cambios de usuarios y lo suscribe al bus de eventos.
+ *
+ * @param {Object} options
+ * @param {Object} options.events - Bus de eventos
+ * @param {number} [options.bufferSize=1000] - Cambios que se guardan para las reconexiones
+ * @returns {{ subscribe: Function, since: Function, close: Function }}
+ */
+const createUserFeed = ({ events, bufferSize = 1000 }) => {
+  const buffer = []
+  const subscribers = new Set()
+  let lastId = 0
+
+  events.subscribe((event) => {
+    const type = FEED_EVENT_TYPES[event.type]
+    if (!type) return
+
+    const change = { id: ++lastId, type, occurredAt: event.occurredAt, user: event.data.user }
+    buffer.push(change)
+    if (buffer.length > bufferSize) buffer.shift()
+
+    for (const subscriber of subscribers) subscriber.onChange(change)
+  })
+
+  return {
+    /**
+     * Recibe cada cambio nuevo (`{ id, type, occurredAt, user }`).
+     * @param {Object} subscriber
+     * @param {Function} subscriber.onChange - Se llama con cada cambio
+     * @param {Function} subscriber.onClose - Se llama si el feed se cierra (apagado del servidor)
+     * @returns {Function} Función que cancela la suscripción
+     */
+    subscribe (subscriber) {
+      subscribers.add(subscriber)
+      return () => subscribers.delete(subscriber)
+    },
+
+    /**
+     * Cambios posteriores a un ID, para un cliente que se reconecta.
+     * @param {number} id - Último ID que recibió el cliente (`Last-Event-ID`)
+     * @returns {{ changes: Array<Object>, complete: boolean }} `complete` es `false` si se
+     *   perdieron cambios que ya no están en memoria
+     */
+    since (id) {
+      const oldestId = buffer.length > 0 ? buffer[0].id : lastId + 1
+      const complete = id <= lastId && id >= oldestId - 1
+      return { changes: complete ? buffer.filter((change) => change.id > id) : [], complete }
+    },
+
+    /**
+     * Cierra todas las suscripciones (en el apagado, para que las conexiones abiertas no
+     * lo retrasen).
+     */
+    close () {
+      for (const subscriber of subscribers) subscriber.onClose()
+      subscribers.clear()
+    }
+  }
+}
+
+module.exports = {
+  formatSseMessage,
+  createUserFeed
+}
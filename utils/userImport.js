@@ -0,0 +1,130 @@
+// ==============================
+// IMPORTACIÓN MASIVA DE USUARIOS
+// ==============================
+// Usada por `POST /users/import` y por `npm run users:import` (`users.json`). Cada fila se
+// valida con las mismas reglas que el alta de usuarios (`importUserRowSchema`) y termina en
+// una sola categoría del informe:
+// - `created`: el usuario se creó (o se crearía, con `dryRun`).
+// - `skipped`: el correo o el `id` de origen ya existen, en el almacén o en una fila anterior.
+// - `invalid`: la fila no cumple el esquema; lleva la lista de errores por campo.
+//
+// Los IDs de origen no se conservan: el almacén asigna uno nuevo y el informe lo indica.
+
+const bcrypt = require('bcryptjs')
+const { parseCsv } = require('./csv')
+const { validateSchema } = require('./validation')
+const { importUserRowSchema } = require('../schemas/users')
+const { BadRequestError, UnsupportedMediaTypeError } = require('./errors')
+
+/**
+ * Obtiene las filas a importar del cuerpo de la solicitud.
+ *
+ * - `text/csv`: CSV con cabecera (`name,email,password`, y opcionalmente `id` y `role`).
+ * - `application/json`: lista de objetos con los mismos campos.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP (con el cuerpo ya leído)
+ * @returns {{ rows: Array<Object>, coerce: boolean }} Filas y si sus valores llegan como texto
+ * @throws {UnsupportedMediaTypeError} Si el `Content-Type` no es CSV ni JSON
+ * @throws {BadRequestError} Si el cuerpo no se puede interpretar
+ */
+const readImportRows = (req) => {
+  if (req.is('text/csv')) {
+    try {
+      return { rows: parseCsv(req.body || ''), coerce: true }
+    } catch (err) {
+      throw new BadRequestError(`CSV inválido: ${err.message}`)
+    }
+  }
+  if (req.is('application/json')) {
+    if (!Array.isArray(req.body) || req.body.some(row => !row || typeof row !== 'object')) {
+      throw new BadRequestError('Se esperaba una lista de usuarios.')
+    }
+    return { rows: req.body, coerce: false }
+  }
+  throw new UnsupportedMediaTypeError('El archivo debe enviarse como text/csv o application/json.')
+}
+
+/**
+ * Importa una lista de usuarios en el almacén de usuarios.
+ *
+ * Las filas se procesan en orden, una a una, para que los duplicados dentro del
+ * propio archivo se detecten igual que los que ya existen en el almacén.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.rows - Filas a importar
+ * @param {Object} options.userStore - Almacén de usuarios
+ * @param {boolean} [options.coerce=false] - Convierte los textos al tipo declarado (CSV)
+ * @param {boolean} [options.dryRun=false] - Solo valida, sin crear usuarios
+ * @param {boolean} [options.passwordsHashed=false] - Las contraseñas ya son hashes de bcrypt
+ *   (por ejemplo, las de `users.json`) y se guardan tal cual
+ * @param {Function} [options.onCreated] - Se llama con cada usuario creado
+ * @returns {Promise<{ dryRun: boolean, summary: Object, rows: Array<Object> }>} Informe por fila
+ */
+const importUsers = async ({ rows, userStore, coerce = false, dryRun = false, passwordsHashed = false, onCreated }) => {
+  const seenEmails = new Map()
+  const seenIds = new Map()
+  const report = []
+
+  for (const [index, input] of rows.entries()) {
+    const row = index + 1
+    const { value, errors } = validateSchema(importUserRowSchema, input, { coerce })
+    if (errors.length > 0) {
+      report.push({ row, status: 'invalid', email: input.email ?? null, errors })
+      continue
+    }
+
+    const email = value.email.toLowerCase()
+    const skip = (reason) => report.push({ row, status: 'skipped', email: value.email, reason })
+
+    if (seenEmails.has(email)) {
+      skip(`Correo repetido en la fila ${seenEmails.get(email)}.`)
+      continue
+    }
+    if (value.id !== undefined && seenIds.has(value.id)) {
+      skip(`ID repetido en la fila ${seenIds.get(value.id)}.`)
+      continue
+    }
+    seenEmails.set(email, row)
+    if (value.id !== undefined) seenIds.set(value.id, row)
+
+    if (await userStore.findByEmail(value.email, { includeDeleted: true })) {
+      skip('El correo electrónico ya está registrado.')
+      continue
+    }
+    if (value.id !== undefined && await userStore.findById(value.id, { includeDeleted: true })) {
+      skip(`Ya existe un usuario con el ID ${value.id}.`)
+      continue
+    }
+
+    if (dryRun) {
+      report.push({ row, status: 'created', email: value.email, id: null })
+      continue
+    }
+
+    const user = await userStore.create({
+      name: value.name,
+      email: value.email,
+      password: passwordsHashed ? value.password : await bcrypt.hash(value.password, 10),
+      role: value.role
+    })
+    if (onCreated) await onCreated(user)
+    report.push({ row, status: 'created', email: user.email, id: user.id })
+  }
+
+  const count = (status) => report.filter(entry => entry.status === status).length
+  return {
+    dryRun,
+    summary: {
+      total: report.length,
+      created: count('created'),
+      skipped: count('skipped'),
+      invalid: count('invalid')
+    },
+    rows: report
+  }
+}
+
+module.exports = {
+  readImportRows,
+  importUsers
+}
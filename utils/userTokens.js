@@ -0,0 +1,67 @@
+// ==============================
+// TOKENS DE UN SOLO USO
+// ==============================
+// Tokens para verificar el correo y restablecer la contraseña. Se guardan como hash
+// en la tabla `UserTokens`, expiran y solo se pueden usar una vez. La validez de cada tipo
+// se configura en `accountTokens` (ver `utils/config.js`).
+
+const crypto = require('crypto')
+const { hashToken } = require('./tokens')
+
+/**
+ * Crea un token de un solo uso para el usuario y devuelve su valor en texto plano
+ * (el único momento en que existe fuera del correo enviado).
+ * Los tokens anteriores del mismo tipo que no se usaron quedan invalidados.
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {number} userId - Usuario dueño del token
+ * @param {string} type - `EMAIL_VERIFICATION` o `PASSWORD_RESET`
+ * @param {number} ttlMs - Validez del token en milisegundos
+ * @returns {Promise<string>} Token en texto plano
+ */
+const createUserToken = async (db, userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex')
+  const now = new Date()
+
+  await db.$transaction([
+    db.userTokens.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: now }
+    }),
+    db.userTokens.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + ttlMs)
+      }
+    })
+  ])
+
+  return token
+}
+
+/**
+ * Consume un token: lo marca como usado si existe, es del tipo indicado, no se usó y no expiró.
+ * La marca se hace con una actualización condicional, así dos solicitudes simultáneas
+ * no pueden usar el mismo token.
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {string} token - Token en texto plano
+ * @param {string} type - Tipo esperado
+ * @returns {Promise<Object|null>} Registro del token o `null` si no es válido
+ */
+const consumeUserToken = async (db, token, type) => {
+  const tokenHash = hashToken(token)
+  const { count } = await db.userTokens.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() }
+  })
+  if (count === 0) return null
+  return db.userTokens.findUnique({ where: { tokenHash } })
+}
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+}
@@ -1,6 +1,16 @@
 // ==============================
-// FUNCIONES DE VALIDACIÓN DE USUARIOS
+// FUNCIONES DE VALIDACIÓN
 // ==============================
+// Validación declarativa de datos de entrada. Cada ruta declara esquemas para
+// `body`, `params` y `query` (ver `middlewares/validate.js` y la carpeta `schemas/`).
+//
+// Los esquemas usan un subconjunto de JSON Schema:
+// - Objeto: `{ type: 'object', properties, required, minProperties }`
+// - Propiedad: `type` ('string' | 'integer' | 'number' | 'boolean' | 'array'), `minLength`, `maxLength`,
+//   `format` ('email' | 'date-time' | 'uri'), `enum`, `minimum`, `maximum`, `nullable` y `default`.
+// - Lista: `{ type: 'array', items, minItems, maxItems, uniqueItems }`, donde `items` son las
+//   reglas de cada elemento.
+// Los campos que no aparecen en `properties` se descartan.
 
 /**
  * Valida si un correo electrónico tiene un formato correcto.
@@ -13,6 +23,19 @@ const isValidEmail = (email) => {
     return emailRegex.test(email)
 }
 
+/**
+ * Valida si un texto es una URL absoluta `http` o `https`.
+ * @param {string} value - URL a validar
+ * @returns {boolean}
+ */
+const isValidHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol)
+    } catch {
+        return false
+    }
+}
+
 /**
  * Valida que el nombre sea una cadena con al menos 3 caracteres.
  * @param {string} name - Nombre del usuario
@@ -23,46 +46,155 @@ const isValidName = (name) => {
 }
 
 /**
- * Verifica que el ID sea un número y que no se repita en la lista de usuarios.
- * @param {number} id - ID a validar
- * @param {Array} users - Lista de usuarios existentes
- * @returns {boolean}
+ * Convierte un valor recibido como texto (parámetros de ruta y query string)
+ * al tipo que declara el esquema. Si no se puede convertir, lo devuelve sin cambios
+ * para que la validación de tipo informe el error.
+ * @param {*} value - Valor recibido
+ * @param {string} type - Tipo declarado en el esquema
+ * @returns {*}
  */
-const isUniqueNumericId = (id, users) => {
-    return typeof id === 'number' && !users.some(user => user.id === id)
+const coerceValue = (value, type) => {
+    if (typeof value !== 'string') return value
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value)
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true'
+    }
+    return value
 }
 
 /**
- * Valida un objeto de usuario según nombre, email e ID.
- * 
- * - Verifica formato del nombre y del correo.
- * - Asegura que el ID sea único (excepto si está siendo actualizado).
- * 
- * @param {Object} user - Objeto con datos del usuario
- * @param {Array} users - Lista completa de usuarios
- * @param {number} [userIdBeingUpdated] - ID actual (en caso de actualización)
- * @returns {{ isValid: boolean, error?: string }}
+ * Comprueba un valor contra las reglas de una propiedad del esquema.
+ * @param {*} value - Valor a comprobar
+ * @param {Object} rules - Reglas de la propiedad
+ * @returns {string|null} Mensaje de error o `null` si el valor es válido
  */
-const validateUser = (user, users, userIdBeingUpdated) => {
-    const { name, email, id } = user
-
-    if (!isValidName(name)) {
-        return {isValid: false, error: 'El nombre debe tener al menos 3 caracteres.'}
+const checkRules = (value, rules) => {
+    switch (rules.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'Debe ser una cadena de texto.'
+            if (rules.minLength !== undefined && value.length < rules.minLength) {
+                return `Debe tener al menos ${rules.minLength} caracteres.`
+            }
+            if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+                return `Debe tener como máximo ${rules.maxLength} caracteres.`
+            }
+            if (rules.format === 'email' && !isValidEmail(value)) {
+                return 'El correo electrónico no es válido.'
+            }
+            if (rules.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+                return 'Debe ser una fecha válida (ISO 8601).'
+            }
+            if (rules.format === 'uri' && !isValidHttpUrl(value)) {
+                return 'Debe ser una URL http o https.'
+            }
+            break
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) return 'Debe ser un número.'
+            if (rules.type === 'integer' && !Number.isInteger(value)) return 'Debe ser un número entero.'
+            if (rules.minimum !== undefined && value < rules.minimum) {
+                return `Debe ser mayor o igual que ${rules.minimum}.`
+            }
+            if (rules.maximum !== undefined && value > rules.maximum) {
+                return `Debe ser menor o igual que ${rules.maximum}.`
+            }
+            break
+        case 'boolean':
+            if (typeof value !== 'boolean') return 'Debe ser verdadero o falso.'
+            break
+        case 'array':
+            if (!Array.isArray(value)) return 'Debe ser una lista.'
+            if (rules.minItems !== undefined && value.length < rules.minItems) {
+                return `Debe tener al menos ${rules.minItems} elementos.`
+            }
+            if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+                return `Debe tener como máximo ${rules.maxItems} elementos.`
+            }
+            if (rules.uniqueItems && new Set(value).size !== value.length) {
+                return 'No debe tener elementos repetidos.'
+            }
+            if (rules.items) {
+                for (const [index, item] of value.entries()) {
+                    const message = checkRules(item, rules.items)
+                    if (message) return `Elemento ${index + 1}: ${message}`
+                }
+            }
+            break
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return `Debe ser uno de: ${rules.enum.join(', ')}.`
     }
-    if (!isValidEmail(email)) {
-        return {isValid: false, error: 'El correo electrónico no es válido.'}
+    return null
+}
+
+/**
+ * Valida un objeto contra un esquema y devuelve todos los errores encontrados.
+ *
+ * - Los campos desconocidos se descartan del resultado.
+ * - Los campos opcionales que no llegan toman su valor `default`, si lo tienen.
+ * - Con `coerce`, los textos se convierten al tipo declarado (para `params` y `query`).
+ *
+ * @param {Object} schema - Esquema de tipo `object`
+ * @param {Object} input - Datos recibidos
+ * @param {Object} [options]
+ * @param {string} [options.location='body'] - Origen de los datos (`body`, `params` o `query`)
+ * @param {boolean} [options.coerce=false] - Convierte textos al tipo declarado
+ * @returns {{ value: Object, errors: Array<{ location: string, field: string|null, message: string }> }}
+ */
+const validateSchema = (schema, input, { location = 'body', coerce = false } = {}) => {
+    const data = input && typeof input === 'object' ? input : {}
+    const required = schema.required || []
+    const value = {}
+    const errors = []
+
+    for (const [field, rules] of Object.entries(schema.properties || {})) {
+        const raw = data[field]
+
+        if (raw === undefined || raw === '' || (raw === null && !rules.nullable)) {
+            if (required.includes(field)) {
+                errors.push({ location, field, message: 'Es obligatorio.' })
+            } else if (rules.default !== undefined) {
+                value[field] = rules.default
+            }
+            continue
+        }
+        if (raw === null) {
+            value[field] = null
+            continue
+        }
+
+        const candidate = coerce ? coerceValue(raw, rules.type) : raw
+        const message = checkRules(candidate, rules)
+        if (message) {
+            errors.push({ location, field, message })
+        } else {
+            value[field] = candidate
+        }
     }
-    if (id !== userIdBeingUpdated  && !isUniqueNumericId(id, users)) {
-        return {isValid: false, error: 'El ID debe ser númerico y único.'}
+
+    if (schema.minProperties && errors.length === 0 && Object.keys(value).length < schema.minProperties) {
+        errors.push({ location, field: null, message: 'No se recibieron datos.' })
     }
 
-    return { isValid: true }
+    return { value, errors }
+}
+
+/**
+ * Devuelve una copia del esquema en la que ningún campo es obligatorio,
+ * para actualizaciones parciales (PATCH). Exige al menos un campo.
+ * @param {Object} schema - Esquema completo
+ * @returns {Object} Esquema parcial
+ */
+const partial = (schema) => {
+    return { ...schema, required: [], minProperties: 1 }
 }
 
 // Exportación de funciones para uso en otros módulos
 module.exports = {
     isValidName,
     isValidEmail,
-    isUniqueNumericId,
-    validateUser
-}
\ No newline at end of file
+    validateSchema,
+    partial
+}
@@ -0,0 +1,305 @@
+// ==============================
+// WEBHOOKS SALIENTES
+// ==============================
+// Avisan a otros sistemas (por ejemplo, un CRM) de los eventos del bus (`utils/events.js`).
+//
+// - Suscripciones (`WebhookSubscriptions`): URL, secreto y eventos que le interesan.
+// - Cola (`WebhookDeliveries`): `enqueueWebhookDeliveries` guarda una entrega por cada
+//   suscripción interesada en el evento. Al estar en la base de datos, las entregas pendientes
+//   sobreviven a un reinicio.
+// - Entrega: `createWebhookWorker` revisa la cola cada cierto tiempo y envía un POST con el
+//   evento en JSON. Si el receptor no responde 2xx (o no responde), se reintenta con espera
+//   exponencial (`retryDelay`) hasta `maxAttempts` intentos; después queda `FAILED` y se puede
+//   reenviar a mano (`POST /webhooks/deliveries/:id/redeliver`).
+//
+// Cabeceras de cada entrega:
+// - `X-Webhook-Id`: ID del evento (igual en todos los reintentos, para descartar duplicados).
+// - `X-Webhook-Event`: tipo de evento (`user.created`, ...).
+// - `X-Webhook-Timestamp`: momento del envío, en segundos desde 1970.
+// - `X-Webhook-Signature`: `sha256=<hex>`, HMAC-SHA256 con el secreto de la suscripción
+//   sobre `<timestamp>.<cuerpo>`. El receptor la comprueba con `verifySignature`.
+
+const crypto = require('crypto')
+const { USER_EVENTS } = require('./events')
+const { logger } = require('./logger')
+
+// Eventos a los que se puede suscribir un webhook.
+const WEBHOOK_EVENTS = Object.values(USER_EVENTS)
+
+// Longitud máxima del error guardado en `lastError` (por ejemplo, el cuerpo de la respuesta).
+const MAX_ERROR_LENGTH = 500
+
+/**
+ * Genera un secreto de firma para una suscripción.
+ * @returns {string}
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`
+
+/**
+ * Devuelve una copia de la suscripción sin su secreto, para enviarla en las respuestas.
+ * @param {Object} subscription - Suscripción
+ * @returns {Object}
+ */
+const omitSecret = (subscription) => {
+  const { secret, ...publicSubscription } = subscription
+  return publicSubscription
+}
+
+/**
+ * Firma el cuerpo de una entrega.
+ *
+ * @param {string} secret - Secreto de la suscripción
+ * @param {number|string} timestamp - Valor de `X-Webhook-Timestamp`
+ * @param {string} body - Cuerpo JSON, tal como se envía
+ * @returns {string} Valor de `X-Webhook-Signature` (`sha256=<hex>`)
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `sha256=${digest}`
+}
+
+/**
+ * Comprueba la firma de una entrega recibida (lado del receptor).
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Secreto de la suscripción
+ * @param {string} options.signature - Cabecera `X-Webhook-Signature`
+ * @param {string} options.timestamp - Cabecera `X-Webhook-Timestamp`
+ * @param {string} options.body - Cuerpo recibido, sin modificar
+ * @param {number} [options.toleranceSeconds=300] - Antigüedad máxima aceptada, contra repeticiones
+ * @returns {boolean}
+ */
+const verifySignature = ({ secret, signature, timestamp, body, toleranceSeconds = 300 }) => {
+  if (!signature || !/^\d+$/.test(timestamp || '')) return false
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body))
+  const received = Buffer.from(signature)
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+/**
+ * Espera antes del siguiente intento: `baseDelayMs` tras el primer fallo y el doble en
+ * cada fallo siguiente, sin pasar de `maxDelayMs`.
+ *
+ * @param {number} attempts - Intentos ya hechos (1 o más)
+ * @param {Object} options
+ * @param {number} options.baseDelayMs - Espera tras el primer fallo
+ * @param {number} options.maxDelayMs - Espera máxima
+ * @returns {number} Milisegundos
+ */
+const retryDelay = (attempts, { baseDelayMs, maxDelayMs }) => {
+  return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs)
+}
+
+/**
+ * Indica si una suscripción recibe un tipo de evento (`events` vacío: todos).
+ * @param {Object} subscription - Suscripción
+ * @param {string} type - Tipo de evento
+ * @returns {boolean}
+ */
+const isSubscribedTo = (subscription, type) => {
+  return subscription.events.length === 0 || subscription.events.includes(type)
+}
+
+/**
+ * Encola una entrega del evento para cada suscripción activa interesada en él.
+ *
+ * @param {Object} db - Cliente de Prisma
+ * @param {Object} event - Evento del bus (`{ id, type, occurredAt, data }`)
+ * @returns {Promise<number>} Entregas encoladas
+ */
+const enqueueWebhookDeliveries = async (db, event) => {
+  const subscriptions = (await db.webhookSubscriptions.findMany({ where: { active: true } }))
+    .filter(subscription => isSubscribedTo(subscription, event.type))
+  if (subscriptions.length === 0) return 0
+
+  const { count } = await db.webhookDeliveries.createMany({
+    data: subscriptions.map(subscription => ({
+      subscriptionId: subscription.id,
+      eventId: event.id,
+      event: event.type,
+      payload: event
+    }))
+  })
+  return count
+}
+
+/**
+ * Crea el proceso que entrega los webhooks encolados.
+ *
+ * Varias instancias pueden compartir la cola: antes de enviar una entrega, el proceso la
+ * reserva moviendo su `nextAttemptAt` (solo lo consigue uno de ellos).
+ *
+ * @example
+ * const worker = createWebhookWorker({ prisma, ...config.webhooks })
+ * worker.start()
+ * // ...
+ * await worker.stop()
+ *
+ * @param {Object} options
+ * @param {Object} options.prisma - Cliente de Prisma
+ * @param {number} [options.pollIntervalMs=5000] - Cada cuánto se revisa la cola
+ * @param {number} [options.batchSize=20] - Entregas por revisión
+ * @param {number} [options.maxAttempts=8] - Intentos antes de marcar la entrega como `FAILED`
+ * @param {number} [options.baseDelayMs=30000] - Espera tras el primer fallo (ver `retryDelay`)
+ * @param {number} [options.maxDelayMs=3600000] - Espera máxima entre intentos
+ * @param {number} [options.timeoutMs=10000] - Tiempo máximo de respuesta del receptor
+ * @param {Function} [options.fetch=globalThis.fetch] - Cliente HTTP (se puede sustituir en pruebas)
+ * @returns {{ runOnce: Function, start: Function, stop: Function }}
+ */
+const createWebhookWorker = ({
+  prisma,
+  pollIntervalMs = 5000,
+  batchSize = 20,
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  timeoutMs = 10 * 1000,
+  fetch = globalThis.fetch
+}) => {
+  let timer = null
+  let running = null
+
+  /**
+   * Reserva una entrega para este proceso. Devuelve `false` si otro ya la tomó.
+   */
+  const claim = async (delivery, now) => {
+    const { count } = await prisma.webhookDeliveries.updateMany({
+      where: { id: delivery.id, status: 'PENDING', nextAttemptAt: delivery.nextAttemptAt },
+      data: { nextAttemptAt: new Date(now.getTime() + timeoutMs * 2) }
+    })
+    return count > 0
+  }
+
+  /**
+   * Envía una entrega y guarda el resultado del intento.
+   */
+  const deliver = async (delivery) => {
+    const { subscription } = delivery
+    const attempts = delivery.attempts + 1
+    const attemptedAt = new Date()
+
+    if (!subscription.active) {
+      await prisma.webhookDeliveries.update({
+        where: { id: delivery.id },
+        data: { status: 'FAILED', lastError: 'La suscripción está desactivada.' }
+      })
+      return
+    }
+
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(attemptedAt.getTime() / 1000)
+    let statusCode = null
+    let error = null
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'curso-express-webhooks',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      })
+      statusCode = response.status
+      if (!response.ok) {
+        error = `HTTP ${response.status}: ${(await response.text()).slice(0, MAX_ERROR_LENGTH)}`
+      }
+    } catch (err) {
+      error = (err.name === 'TimeoutError' ? `Sin respuesta en ${timeoutMs} ms` : err.message).slice(0, MAX_ERROR_LENGTH)
+    }
+
+    const succeeded = error === null
+    const exhausted = !succeeded && attempts >= maxAttempts
+    await prisma.webhookDeliveries.update({
+      where: { id: delivery.id },
+      data: {
+        attempts,
+        lastAttemptAt: attemptedAt,
+        lastStatusCode: statusCode,
+        lastError: error,
+        status: succeeded ? 'SUCCEEDED' : exhausted ? 'FAILED' : 'PENDING',
+        ...(succeeded && { deliveredAt: new Date() }),
+        ...(!succeeded && !exhausted && {
+          nextAttemptAt: new Date(Date.now() + retryDelay(attempts, { baseDelayMs, maxDelayMs }))
+        })
+      }
+    })
+
+    const log = succeeded ? logger.info : logger.warn
+    log({ msg: 'webhook delivery', deliveryId: delivery.id, event: delivery.event, url: subscription.url, attempts, statusCode, succeeded, error })
+  }
+
+  /**
+   * Entrega las entregas pendientes cuyo próximo intento ya venció.
+   * @returns {Promise<number>} Entregas intentadas
+   */
+  const runOnce = async () => {
+    const now = new Date()
+    const due = await prisma.webhookDeliveries.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+      orderBy: [{ nextAttemptAt: 'asc' }, { id: 'asc' }],
+      take: batchSize,
+      include: { subscription: true }
+    })
+
+    let attempted = 0
+    for (const delivery of due) {
+      if (!(await claim(delivery, now))) continue
+      await deliver(delivery)
+      attempted++
+    }
+    return attempted
+  }
+
+  const tick = async () => {
+    try {
+      running = runOnce()
+      await running
+    } catch (error) {
+      logger.error({ msg: 'webhook worker failed', message: error.message })
+    } finally {
+      running = null
+      if (timer) timer = setTimeout(tick, pollIntervalMs).unref()
+    }
+  }
+
+  return {
+    runOnce,
+
+    /**
+     * Empieza a revisar la cola cada `pollIntervalMs`.
+     */
+    start () {
+      if (timer) return
+      timer = setTimeout(tick, 0).unref()
+    },
+
+    /**
+     * Deja de revisar la cola y espera a que termine la revisión en curso.
+     * @returns {Promise<void>}
+     */
+    async stop () {
+      clearTimeout(timer)
+      timer = null
+      if (running) await running.catch(() => {})
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  omitSecret,
+  signPayload,
+  verifySignature,
+  retryDelay,
+  enqueueWebhookDeliveries,
+  createWebhookWorker
+}
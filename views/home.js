@@ -0,0 +1,22 @@
+// ==============================
+// VISTA: PÁGINA DE INICIO (`GET /`)
+// ==============================
+
+const { html } = require('../utils/html')
+const layout = require('./layout')
+
+/**
+ * @param {Object} locals
+ * @param {string} locals.name - Nombre de la aplicación
+ * @param {string} locals.description - Descripción
+ * @param {number} locals.port - Puerto en el que corre
+ * @returns {SafeHtml}
+ */
+module.exports = ({ name, description, port }) => layout({
+  title: name,
+  body: html`
+    <h1>${name}</h1>
+    <p>${description}</p>
+    <p>Corre en el puerto: ${port}</p>
+  `
+})
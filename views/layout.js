@@ -0,0 +1,28 @@
+// ==============================
+// PLANTILLA BASE DE LAS VISTAS HTML
+// ==============================
+
+const { html } = require('../utils/html')
+
+/**
+ * Envuelve el contenido de una vista en un documento HTML completo.
+ * @param {Object} options
+ * @param {string} options.title - Título de la página
+ * @param {SafeHtml} options.body - Contenido de la página (resultado de `html`)
+ * @returns {SafeHtml}
+ */
+module.exports = ({ title, body }) => html`<!DOCTYPE html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+  </head>
+  <body>
+    <nav><a href="/">Inicio</a> · <a href="/search">Buscar usuarios</a> · <a href="/docs">API</a></nav>
+    <main>
+      ${body}
+    </main>
+  </body>
+</html>
+`
@@ -0,0 +1,39 @@
+// ==============================
+// VISTA: BÚSQUEDA DE USUARIOS (`GET /search`)
+// ==============================
+
+const { html } = require('../utils/html')
+const layout = require('./layout')
+
+/**
+ * @param {Object} locals
+ * @param {string} [locals.termino] - Texto buscado
+ * @param {string} [locals.categoria] - Rol filtrado
+ * @param {Object} locals.results - Página de resultados (`data`, `meta` y `links` de `paginate`)
+ * @returns {SafeHtml}
+ */
+module.exports = ({ termino, categoria, results }) => layout({
+  title: 'Buscar usuarios',
+  body: html`
+    <h1>Buscar usuarios</h1>
+    <form method="get" action="/search">
+      <input type="search" name="termino" value="${termino || ''}" placeholder="Nombre o correo">
+      <select name="categoria">
+        <option value="">Todos los roles</option>
+        ${['ADMIN', 'USER'].map(role => html`<option value="${role}"${role === categoria && html` selected`}>${role}</option>`)}
+      </select>
+      <button type="submit">Buscar</button>
+    </form>
+    ${termino && html`<p>Resultados para «${termino}»: ${results.meta.total}</p>`}
+    ${results.data.length === 0
+      ? html`<p>No se encontraron usuarios.</p>`
+      : html`<ul>
+        ${results.data.map(user => html`<li><a href="/users/${user.id}">${user.name}</a> &lt;${user.email}&gt; (${user.role || 'USER'})</li>`)}
+      </ul>`}
+    <p>
+      ${results.links.prev && html`<a href="${results.links.prev}" rel="prev">Anterior</a>`}
+      Página ${results.meta.page} de ${results.meta.totalPages}
+      ${results.links.next && html`<a href="${results.links.next}" rel="next">Siguiente</a>`}
+    </p>
+  `
+})
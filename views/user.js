@@ -0,0 +1,25 @@
+// ==============================
+// VISTA: DETALLE DE UN USUARIO (`GET /users/:id`)
+// ==============================
+
+const { html } = require('../utils/html')
+const layout = require('./layout')
+
+/**
+ * @param {Object} locals
+ * @param {Object} locals.user - Usuario (sin contraseña)
+ * @returns {SafeHtml}
+ */
+module.exports = ({ user }) => layout({
+  title: user.name,
+  body: html`
+    <h1>${user.name}</h1>
+    ${user.avatarUrl ? html`<img src="${user.avatarUrl}" alt="Avatar de ${user.name}" width="96" height="96">` : ''}
+    <dl>
+      <dt>ID</dt><dd>${user.id}</dd>
+      <dt>Correo</dt><dd>${user.email}</dd>
+      <dt>Rol</dt><dd>${user.role || 'USER'}</dd>
+      <dt>Correo verificado</dt><dd>${user.emailVerifiedAt ? 'Sí' : 'No'}</dd>
+    </dl>
+  `
+})